@@ -0,0 +1,445 @@
+/**
+ * @file auth.js
+ * @description Users, login sessions, API tokens and the audit log for the dashboard
+ * and API. There are two roles:
+ * - `viewer` - may read the dashboard and every `GET` endpoint
+ * - `operator` - may also call the endpoints that change state (`POST`, `PATCH`, ...)
+ *
+ * Users log in with a password (scrypt hashes in `users`) and get a session cookie
+ * signed with `SESSION_SECRET`; scripts and other services send an API token as
+ * `Authorization: Bearer <token>`. Only SHA-256 hashes of session ids and tokens are
+ * stored. Users and tokens are managed with `src/scripts/manageAccess.js`.
+ *
+ * @requires ./database - Shared data-access module
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { run, get, all } = require("./database");
+
+const ROLES = ["viewer", "operator"];
+
+const SESSION_COOKIE = "mft_session";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Checked when a username is unknown, so the response takes as long as for a known user
+const DUMMY_PASSWORD_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`;
+
+// Placeholder value of SESSION_SECRET in env-template.txt
+const TEMPLATE_SESSION_SECRET = "your_random_session_secret_here";
+
+const DEFAULT_AUTH_CONFIG = {
+  enabled: true,
+  sessionSecret: null,
+  sessionTtlHours: 12,
+  rateLimitPerMinute: 100,
+};
+
+/**
+ * Reads the authentication settings from the environment. In production a real
+ * `SESSION_SECRET` is required; elsewhere a random one is used when it is missing, so
+ * sessions end when the server restarts.
+ * @param {Object} [env] - Environment variables
+ * @returns {{enabled: boolean, sessionSecret: string, sessionTtlHours: number,
+ * rateLimitPerMinute: number, generatedSecret: boolean}}
+ */
+function loadAuthConfig(env = process.env) {
+  const enabled = env.AUTH_ENABLED !== "false";
+  const sessionTtlHours = parseFloat(
+    env.SESSION_TTL_HOURS || DEFAULT_AUTH_CONFIG.sessionTtlHours
+  );
+  if (!(sessionTtlHours > 0)) {
+    throw new Error("SESSION_TTL_HOURS must be a positive number");
+  }
+  const rateLimitPerMinute = parseInt(
+    env.RATE_LIMIT != null && env.RATE_LIMIT !== ""
+      ? env.RATE_LIMIT
+      : DEFAULT_AUTH_CONFIG.rateLimitPerMinute
+  );
+  if (!(rateLimitPerMinute >= 0)) {
+    throw new Error("RATE_LIMIT must be 0 (off) or a positive integer");
+  }
+
+  let sessionSecret = env.SESSION_SECRET;
+  const generatedSecret =
+    !sessionSecret || sessionSecret === TEMPLATE_SESSION_SECRET;
+  if (generatedSecret) {
+    if (enabled && env.NODE_ENV === "prod") {
+      throw new Error(
+        "SESSION_SECRET must be set to a random string in production"
+      );
+    }
+    sessionSecret = crypto.randomBytes(32).toString("hex");
+  }
+
+  return {
+    enabled,
+    sessionSecret,
+    sessionTtlHours,
+    rateLimitPerMinute,
+    generatedSecret,
+  };
+}
+
+/**
+ * SHA-256 hex digest, used to store session ids and API tokens
+ * @param {string} value - Secret
+ * @returns {string}
+ */
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, 64)).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} stored - See hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Throws unless a role is known
+ * @param {string} role - Role name
+ */
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(
+      `Unknown role "${role}". Expected one of: ${ROLES.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Whether a user's role grants a required role; operators can do everything viewers can
+ * @param {{role: string}|null} user - Authenticated user
+ * @param {string} role - Required role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// ----------------------- Users ----------------------- //
+
+/**
+ * Creates a user, or replaces the password and role of an existing one
+ * @param {string} username - Login name
+ * @param {string} password - Plain-text password
+ * @param {string} role - `viewer` or `operator`
+ * @returns {Promise<void>}
+ */
+async function saveUser(username, password, role) {
+  assertRole(role);
+  if (!/^[\w.@-]+$/.test(username || "")) {
+    throw new Error(
+      "Usernames may only contain letters, digits, '.', '_', '@' and '-'"
+    );
+  }
+  if (!password) {
+    throw new Error("A password is required");
+  }
+  await run(
+    `
+        INSERT INTO users (username, password_hash, role)
+        VALUES (?, ?, ?)
+        ON CONFLICT (username) DO UPDATE SET
+            password_hash = excluded.password_hash,
+            role = excluded.role
+    `,
+    [username, await hashPassword(password), role]
+  );
+}
+
+/**
+ * Deletes a user and ends their sessions
+ * @param {string} username - Login name
+ * @returns {Promise<boolean>} Whether the user existed
+ */
+async function removeUser(username) {
+  const user = await get("SELECT id FROM users WHERE username = ?", [username]);
+  if (!user) {
+    return false;
+  }
+  await run("DELETE FROM sessions WHERE user_id = ?", [user.id]);
+  await run("DELETE FROM users WHERE id = ?", [user.id]);
+  return true;
+}
+
+/**
+ * Every user, without password hashes
+ * @returns {Promise<Array<{username: string, role: string, created_at: string}>>}
+ */
+function listUsers() {
+  return all("SELECT username, role, created_at FROM users ORDER BY username");
+}
+
+/**
+ * Checks a username and password
+ * @param {string} username - Login name
+ * @param {string} password - Plain-text password
+ * @returns {Promise<{id: number, name: string, role: string}|null>} Null when they do
+ * not match
+ */
+async function authenticateUser(username, password) {
+  const user = await get("SELECT * FROM users WHERE username = ?", [
+    username || "",
+  ]);
+  const matches = await verifyPassword(
+    password || "",
+    user ? user.password_hash : DUMMY_PASSWORD_HASH
+  );
+  if (!user || !matches) {
+    return null;
+  }
+  return { id: user.id, name: user.username, role: user.role };
+}
+
+// ----------------------- Sessions ----------------------- //
+
+/**
+ * Signs a session id for the cookie
+ * @param {string} sessionId - Session id
+ * @param {string} secret - SESSION_SECRET
+ * @returns {string} `<id>.<signature>`
+ */
+function signSessionId(sessionId, secret) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(sessionId)
+    .digest("base64url");
+  return `${sessionId}.${signature}`;
+}
+
+/**
+ * Extracts the session id from a signed cookie value
+ * @param {string} value - Cookie value
+ * @param {string} secret - SESSION_SECRET
+ * @returns {string|null} Null when the signature does not match
+ */
+function unsignSessionId(value, secret) {
+  const [sessionId] = (value || "").split(".");
+  if (!sessionId) {
+    return null;
+  }
+  const expected = Buffer.from(signSessionId(sessionId, secret));
+  const actual = Buffer.from(value);
+  return expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+    ? sessionId
+    : null;
+}
+
+/**
+ * Starts a session for a user and removes expired ones
+ * @param {number} userId - users.id
+ * @param {Object} config - See loadAuthConfig
+ * @returns {Promise<{cookieValue: string, expiresAt: Date}>}
+ */
+async function createSession(userId, config) {
+  const sessionId = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + config.sessionTtlHours * 3600000);
+  await run("DELETE FROM sessions WHERE expires_at < ?", [
+    new Date().toISOString(),
+  ]);
+  await run(
+    "INSERT INTO sessions (id_hash, user_id, expires_at) VALUES (?, ?, ?)",
+    [sha256(sessionId), userId, expiresAt.toISOString()]
+  );
+  return {
+    cookieValue: signSessionId(sessionId, config.sessionSecret),
+    expiresAt,
+  };
+}
+
+/**
+ * User of a session cookie
+ * @param {string} cookieValue - Signed cookie value
+ * @param {Object} config - See loadAuthConfig
+ * @returns {Promise<{id: number, name: string, role: string}|null>} Null when the
+ * cookie is forged or the session ended
+ */
+async function getSessionUser(cookieValue, config) {
+  const sessionId = unsignSessionId(cookieValue, config.sessionSecret);
+  if (!sessionId) {
+    return null;
+  }
+  const row = await get(
+    `
+        SELECT u.id, u.username, u.role
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id_hash = ? AND s.expires_at > ?
+    `,
+    [sha256(sessionId), new Date().toISOString()]
+  );
+  return row ? { id: row.id, name: row.username, role: row.role } : null;
+}
+
+/**
+ * Ends a session
+ * @param {string} cookieValue - Signed cookie value
+ * @param {Object} config - See loadAuthConfig
+ * @returns {Promise<void>}
+ */
+async function endSession(cookieValue, config) {
+  const sessionId = unsignSessionId(cookieValue, config.sessionSecret);
+  if (sessionId) {
+    await run("DELETE FROM sessions WHERE id_hash = ?", [sha256(sessionId)]);
+  }
+}
+
+// ----------------------- API tokens ----------------------- //
+
+/**
+ * Creates an API token; the token itself is only returned here
+ * @param {string} name - Unique token name, e.g. the service using it
+ * @param {string} role - `viewer` or `operator`
+ * @returns {Promise<string>} The token
+ */
+async function createApiToken(name, role) {
+  assertRole(role);
+  const token = crypto.randomBytes(32).toString("hex");
+  await run(
+    "INSERT INTO api_tokens (name, token_hash, role) VALUES (?, ?, ?)",
+    [name, sha256(token), role]
+  );
+  return token;
+}
+
+/**
+ * Revokes an API token
+ * @param {string} name - Token name
+ * @returns {Promise<boolean>} Whether an active token was revoked
+ */
+async function revokeApiToken(name) {
+  const { changes } = await run(
+    "UPDATE api_tokens SET revoked_at = ? WHERE name = ? AND revoked_at IS NULL",
+    [new Date().toISOString(), name]
+  );
+  return changes > 0;
+}
+
+/**
+ * Every API token, without hashes
+ * @returns {Promise<Array<Object>>}
+ */
+function listApiTokens() {
+  return all(
+    "SELECT name, role, created_at, last_used_at, revoked_at FROM api_tokens ORDER BY name"
+  );
+}
+
+/**
+ * Identity of an API token
+ * @param {string} token - Bearer token
+ * @returns {Promise<{name: string, role: string}|null>} Null for an unknown or revoked
+ * token
+ */
+async function getTokenUser(token) {
+  const row = await get(
+    "SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL",
+    [sha256(token || "")]
+  );
+  if (!row) {
+    return null;
+  }
+  await run("UPDATE api_tokens SET last_used_at = ? WHERE id = ?", [
+    new Date().toISOString(),
+    row.id,
+  ]);
+  return { name: `token:${row.name}`, role: row.role };
+}
+
+// ----------------------- Audit log ----------------------- //
+
+/**
+ * Records an authenticated action or a failed login
+ * @param {Object} entry
+ * @param {string} entry.actor - User name, `token:<name>`, or the attempted user name
+ * @param {string|null} [entry.role] - Role of the actor
+ * @param {string} entry.action - `login`, `login_failed`, `logout` or `request`
+ * @param {string} [entry.method] - HTTP method
+ * @param {string} [entry.path] - Request path
+ * @param {number} [entry.statusCode] - Response status
+ * @param {string} [entry.ip] - Client address
+ * @returns {Promise<void>}
+ */
+async function recordAudit({
+  actor,
+  role = null,
+  action,
+  method = null,
+  path = null,
+  statusCode = null,
+  ip = null,
+}) {
+  await run(
+    `
+        INSERT INTO audit_log (actor, role, action, method, path, status_code, ip)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+    [actor, role, action, method, path, statusCode, ip]
+  );
+}
+
+/**
+ * Audit log entries, newest first
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Only this actor's entries
+ * @param {number} [options.limit] - Most entries returned
+ * @param {number} [options.offset] - Entries skipped
+ * @returns {Promise<Array<Object>>}
+ */
+function getAuditLog({ actor = null, limit = 100, offset = 0 } = {}) {
+  return all(
+    `
+        SELECT * FROM audit_log
+        ${actor ? "WHERE actor = ?" : ""}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `,
+    actor ? [actor, limit, offset] : [limit, offset]
+  );
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  DEFAULT_AUTH_CONFIG,
+  loadAuthConfig,
+  hasRole,
+  saveUser,
+  removeUser,
+  listUsers,
+  authenticateUser,
+  createSession,
+  getSessionUser,
+  endSession,
+  createApiToken,
+  revokeApiToken,
+  listApiTokens,
+  getTokenUser,
+  recordAudit,
+  getAuditLog,
+};
@@ -0,0 +1,523 @@
+/**
+ * @file backtest.js
+ * @description Historical backtesting engine for the Magic Formula strategy.
+ * Replays the live strategy day by day over offline data:
+ * 1. On the first trading day of each rebalance month, ranks every symbol whose
+ *    fundamentals were public by then with `computeMagicFormulaRankings` and the same
+ *    ranking configuration (factors, TTM, momentum, filters), keeps the market-cap
+ *    cutoff, and buys the top batch sized with the same sizing configuration as
+ *    `buyPositions.js`, skipping stocks sold at a loss within the wash-sale window
+ * 2. Every trading day, checks each open lot against the same risk exits and sell rules as
+ *    `sellPositions.js`, or in cohort mode sells the cohort that reached its holding period
+ *    and refills the portfolio to its target size at the next quarterly buy
+ * 3. Marks the portfolio to market at each close and reports CAGR, max drawdown,
+ *    Sharpe ratio, turnover and a per-trade log
+ *
+ * Fills happen at the day's close. Lots still open at the end are marked to market,
+ * not sold.
+ */
+
+const {
+  DEFAULT_RANKING_CONFIG,
+  activeFactors,
+  extractFactorMetrics,
+  computeMomentum,
+  computeMagicFormulaRankings,
+  describeRanks,
+} = require("./ranking");
+const {
+  DEFAULT_SELL_RULE_CONFIG,
+  evaluateSellRules,
+  daysBetween,
+  classifyGain,
+  washSaleBlocks,
+} = require("./sellRules");
+const {
+  DEFAULT_SIZING_CONFIG,
+  annualizedVolatility,
+  sizePositions,
+} = require("./sizing");
+const { DEFAULT_RISK_EXIT_CONFIG, evaluateRiskExits } = require("./riskExits");
+const {
+  DEFAULT_PORTFOLIO_CONFIG,
+  evaluateCohort,
+  cohortBudget,
+} = require("./cohorts");
+
+const TRADING_DAYS_PER_YEAR = 252;
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Adds calendar days to an ISO date
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} ISO date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Indexes prices by date and lists the trading days in range
+ * @param {Array<{symbol: string, date: string, close: number}>} prices
+ * @param {string} [startDate] - First day to simulate
+ * @param {string} [endDate] - Last day to simulate
+ * @returns {{tradingDays: string[], pricesByDate: Map<string, Map<string, number>>}}
+ */
+function indexPrices(prices, startDate, endDate) {
+  const pricesByDate = new Map();
+  prices.forEach(({ symbol, date, close }) => {
+    if ((startDate && date < startDate) || (endDate && date > endDate)) {
+      return;
+    }
+    if (!pricesByDate.has(date)) {
+      pricesByDate.set(date, new Map());
+    }
+    pricesByDate.get(date).set(symbol, close);
+  });
+
+  return { tradingDays: [...pricesByDate.keys()].sort(), pricesByDate };
+}
+
+/**
+ * Groups fundamentals by symbol with the date each row became public, oldest first
+ * @param {Array<Object>} fundamentals - See backtestData.loadFundamentals
+ * @param {number} reportingLagDays - Lag applied to rows without a filing date
+ * @returns {Map<string, Array<Object>>}
+ */
+function indexFundamentals(fundamentals, reportingLagDays) {
+  const bySymbol = new Map();
+  fundamentals.forEach((row) => {
+    const availableDate = row.filingDate
+      ? String(row.filingDate).slice(0, 10)
+      : addDays(row.date, reportingLagDays);
+    if (!bySymbol.has(row.symbol)) {
+      bySymbol.set(row.symbol, []);
+    }
+    bySymbol.get(row.symbol).push({ ...row, availableDate });
+  });
+  bySymbol.forEach((rows) =>
+    rows.sort((a, b) => a.availableDate.localeCompare(b.availableDate))
+  );
+  return bySymbol;
+}
+
+/**
+ * Fundamentals rows per symbol that were public on a given date, newest first
+ * @param {Map<string, Array<Object>>} fundamentalsBySymbol
+ * @param {string} date - ISO date
+ * @returns {Array<{symbol: string, rows: Array<Object>}>}
+ */
+function fundamentalsAsOf(fundamentalsBySymbol, date) {
+  const available = [];
+  fundamentalsBySymbol.forEach((rows, symbol) => {
+    const publicRows = rows.filter((row) => row.availableDate <= date);
+    if (publicRows.length > 0) {
+      available.push({ symbol, rows: publicRows.reverse() });
+    }
+  });
+  return available;
+}
+
+/**
+ * Groups daily closes by symbol, oldest first, for momentum and volatility lookbacks
+ * @param {Array<{symbol: string, date: string, close: number}>} prices
+ * @returns {Map<string, Array<{date: string, close: number}>>}
+ */
+function indexPriceHistory(prices) {
+  const bySymbol = new Map();
+  prices.forEach(({ symbol, date, close }) => {
+    if (!bySymbol.has(symbol)) {
+      bySymbol.set(symbol, []);
+    }
+    bySymbol.get(symbol).push({ date, close });
+  });
+  bySymbol.forEach((rows) => rows.sort((a, b) => a.date.localeCompare(b.date)));
+  return bySymbol;
+}
+
+/**
+ * Sell decision for a lot under the cohort rule
+ * @param {{acquisitionDate: string}} lot - Open lot
+ * @param {string} date - Trading day
+ * @param {Object} portfolio - See cohorts.loadPortfolioConfig
+ * @returns {{shouldSell: boolean, holdingDays: number, reason: string}}
+ */
+function cohortExit(lot, date, portfolio) {
+  const { expired, cohort, quartersHeld } = evaluateCohort(
+    lot.acquisitionDate,
+    date,
+    portfolio
+  );
+  return {
+    shouldSell: expired,
+    holdingDays: daysBetween(lot.acquisitionDate, date),
+    reason: `cohort ${cohort} held for ${quartersHeld} quarters`,
+  };
+}
+
+/**
+ * Computes performance statistics for an equity curve
+ * @param {Array<{date: string, equity: number}>} equityCurve
+ * @param {Array<{amount: number}>} trades
+ * @param {number} riskFreeRate - Annual risk-free rate used for the Sharpe ratio
+ * @returns {Object}
+ */
+function computeMetrics(equityCurve, trades, riskFreeRate = 0) {
+  if (equityCurve.length < 2) {
+    return {
+      startingEquity: equityCurve.length ? equityCurve[0].equity : null,
+      endingEquity: equityCurve.length ? equityCurve[0].equity : null,
+      totalReturn: 0,
+      cagr: 0,
+      volatility: null,
+      sharpeRatio: null,
+      maxDrawdown: 0,
+      turnover: 0,
+    };
+  }
+
+  const first = equityCurve[0];
+  const last = equityCurve[equityCurve.length - 1];
+  const years =
+    (new Date(last.date) - new Date(first.date)) /
+    (1000 * 60 * 60 * 24 * DAYS_PER_YEAR);
+  const totalReturn = last.equity / first.equity - 1;
+  const cagr =
+    years > 0 ? Math.pow(last.equity / first.equity, 1 / years) - 1 : 0;
+
+  // Max drawdown from the running peak
+  let peak = first.equity;
+  let maxDrawdown = 0;
+  equityCurve.forEach(({ equity }) => {
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - equity) / peak : 0);
+  });
+
+  // Annualized Sharpe ratio from daily returns
+  const dailyReturns = equityCurve
+    .slice(1)
+    .map((point, i) => point.equity / equityCurve[i].equity - 1);
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const excess = dailyReturns.map((r) => r - dailyRiskFree);
+  const mean = excess.reduce((sum, r) => sum + r, 0) / excess.length;
+  const variance =
+    excess.length > 1
+      ? excess.reduce((sum, r) => sum + (r - mean) ** 2, 0) /
+        (excess.length - 1)
+      : 0;
+  const stdDev = Math.sqrt(variance);
+  const sharpeRatio =
+    stdDev > 0 ? (mean / stdDev) * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+
+  // Annual turnover: half of traded value over average equity, per year
+  const averageEquity =
+    equityCurve.reduce((sum, point) => sum + point.equity, 0) /
+    equityCurve.length;
+  const tradedValue = trades.reduce((sum, trade) => sum + trade.amount, 0);
+  const turnover =
+    years > 0 && averageEquity > 0
+      ? tradedValue / 2 / averageEquity / years
+      : 0;
+
+  return {
+    startingEquity: first.equity,
+    endingEquity: last.equity,
+    totalReturn,
+    cagr,
+    volatility: stdDev * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    sharpeRatio,
+    maxDrawdown,
+    turnover,
+  };
+}
+
+/**
+ * Runs a backtest
+ * @param {{fundamentals: Array<Object>, prices: Array<Object>}} data - See backtestData.loadBacktestData
+ * @param {Object} config
+ * @param {string} [config.startDate] - First day to simulate (ISO date)
+ * @param {string} [config.endDate] - Last day to simulate (ISO date)
+ * @param {number} [config.initialCash] - Starting cash
+ * @param {number} config.stocksPerBatch - NUMBER_OF_STOCKS_PER_BATCH
+ * @param {number} config.maxInvestmentPercent - MAX_TOTAL_INVESTMENT_PERCENT
+ * @param {number} [config.marketCapMin] - STOCK_SCREENER_MARKET_CAP
+ * @param {number[]} [config.rebalanceMonths] - Months (1-12) with a quarterly buy
+ * @param {number} [config.reportingLagDays] - Days before fundamentals without a filing date are used
+ * @param {number} [config.riskFreeRate] - Annual risk-free rate for the Sharpe ratio
+ * @param {Object} [config.ranking] - See ranking.loadRankingConfig; defaults to the classic
+ * Magic Formula
+ * @param {Object} [config.sizing] - See sizing.loadSizingConfig; defaults to equal weight in
+ * whole shares
+ * @param {Object} [config.portfolio] - See cohorts.loadPortfolioConfig; in cohort mode
+ * lots are sold when their cohort expires instead of on the sell rules
+ * @param {Object} [config.riskExits] - See riskExits.loadRiskExitConfig; checked at each
+ * close before the other sell rules, with the highest close since purchase for the
+ * trailing stop
+ * @param {Object} [config.sellRules] - See sellRules.loadSellRuleConfig; the holding
+ * periods apply in batch mode only, the wash-sale window in both modes
+ * @returns {{config: Object, metrics: Object, equityCurve: Array<Object>, trades: Array<Object>, openLots: Array<Object>}}
+ */
+function runBacktest(data, config) {
+  const {
+    startDate = null,
+    endDate = null,
+    initialCash = 100000,
+    stocksPerBatch,
+    maxInvestmentPercent,
+    marketCapMin = 0,
+    rebalanceMonths = [1, 4, 7, 10],
+    reportingLagDays = 45,
+    riskFreeRate = 0,
+    ranking = DEFAULT_RANKING_CONFIG,
+    sizing = DEFAULT_SIZING_CONFIG,
+    portfolio = DEFAULT_PORTFOLIO_CONFIG,
+    riskExits = DEFAULT_RISK_EXIT_CONFIG,
+    sellRules = DEFAULT_SELL_RULE_CONFIG,
+  } = config;
+
+  const { tradingDays, pricesByDate } = indexPrices(
+    data.prices,
+    startDate,
+    endDate
+  );
+  const fundamentalsBySymbol = indexFundamentals(
+    data.fundamentals,
+    reportingLagDays
+  );
+  const useMomentum = activeFactors(ranking).includes("momentum");
+  const useVolatility = sizing.method === "inverse-volatility";
+  const priceHistory =
+    useMomentum || useVolatility ? indexPriceHistory(data.prices) : null;
+
+  let cash = initialCash;
+  let nextLotId = 1;
+  const lastPrices = new Map();
+  const openLots = [];
+  const lossSales = [];
+  const trades = [];
+  const equityCurve = [];
+
+  tradingDays.forEach((date, dayIndex) => {
+    const todaysPrices = pricesByDate.get(date);
+    todaysPrices.forEach((close, symbol) => lastPrices.set(symbol, close));
+
+    // Daily sell check on every open lot
+    for (let i = openLots.length - 1; i >= 0; i--) {
+      const lot = openLots[i];
+      const price = lastPrices.get(lot.symbol);
+      lot.highPrice = Math.max(lot.highPrice, price);
+      const risk = evaluateRiskExits(
+        {
+          entryPrice: lot.price,
+          currentPrice: price,
+          highPrice: lot.highPrice,
+        },
+        riskExits
+      );
+      const decision = risk.triggered
+        ? {
+            shouldSell: true,
+            holdingDays: daysBetween(lot.acquisitionDate, date),
+            reason: risk.reason,
+          }
+        : portfolio.mode === "cohort"
+        ? cohortExit(lot, date, portfolio)
+        : evaluateSellRules(
+            {
+              acquisitionDate: lot.acquisitionDate,
+              entryPrice: lot.price,
+              currentPrice: price,
+              asOf: date,
+            },
+            sellRules
+          );
+      if (!decision.shouldSell) {
+        continue;
+      }
+
+      const amount = lot.qty * price;
+      const realizedPnl = amount - lot.qty * lot.price;
+      cash += amount;
+      openLots.splice(i, 1);
+      if (realizedPnl < 0) {
+        lossSales.push({ symbol: lot.symbol, saleDate: date, realizedPnl });
+      }
+      trades.push({
+        date,
+        symbol: lot.symbol,
+        side: "sell",
+        qty: lot.qty,
+        price,
+        amount,
+        lotId: lot.id,
+        holdingDays: decision.holdingDays,
+        realizedPnl,
+        gainClassification: classifyGain({
+          acquisitionDate: lot.acquisitionDate,
+          saleDate: date,
+          realizedPnl,
+        }).classification,
+        reason: decision.reason,
+      });
+    }
+
+    // Quarterly buy on the first trading day of each rebalance month
+    const month = parseInt(date.slice(5, 7));
+    const isFirstDayOfMonth =
+      dayIndex === 0 ||
+      tradingDays[dayIndex - 1].slice(0, 7) !== date.slice(0, 7);
+    if (isFirstDayOfMonth && rebalanceMonths.includes(month)) {
+      const metrics = fundamentalsAsOf(fundamentalsBySymbol, date)
+        .filter(
+          ({ symbol, rows }) =>
+            todaysPrices.has(symbol) &&
+            (rows[0].marketCap == null || rows[0].marketCap > marketCapMin)
+        )
+        .map(({ symbol, rows }) => ({
+          symbol,
+          sector: rows[0].sector || null,
+          ...extractFactorMetrics(rows, ranking),
+          momentum: useMomentum
+            ? computeMomentum(
+                priceHistory.get(symbol),
+                date,
+                ranking.momentumMonths
+              )
+            : null,
+        }));
+      const ranked = computeMagicFormulaRankings(metrics, ranking);
+
+      // Size positions like the live buy script: price the ranking in batches until
+      // every slot is filled
+      const positionsValue = new Map();
+      openLots.forEach((lot) => {
+        positionsValue.set(
+          lot.symbol,
+          (positionsValue.get(lot.symbol) || 0) +
+            lot.qty * lastPrices.get(lot.symbol)
+        );
+      });
+      const portfolioValue =
+        cash +
+        [...positionsValue.values()].reduce((sum, value) => sum + value, 0);
+      const { slots, budget } =
+        portfolio.mode === "cohort"
+          ? cohortBudget({
+              heldPositions: positionsValue.size,
+              portfolioValue,
+              cash,
+              config: portfolio,
+            })
+          : {
+              slots: stocksPerBatch,
+              budget: Math.max(
+                0,
+                Math.min(portfolioValue * maxInvestmentPercent, cash)
+              ),
+            };
+      const washSales = washSaleBlocks(lossSales, date, sellRules);
+      const candidates = [];
+      let sized = { orders: [] };
+      for (let start = 0; slots > 0; start += slots) {
+        ranked.slice(start, start + slots).forEach(({ symbol }) => {
+          candidates.push({
+            symbol,
+            price: todaysPrices.get(symbol),
+            heldValue: positionsValue.get(symbol) || 0,
+            blockedReason: washSales.has(symbol)
+              ? `Wash-sale window: sold at a loss on ${washSales.get(symbol)}`
+              : undefined,
+            volatility: useVolatility
+              ? annualizedVolatility(
+                  priceHistory.get(symbol),
+                  date,
+                  sizing.volatilityDays
+                )
+              : null,
+          });
+        });
+        sized = sizePositions({
+          candidates,
+          budget,
+          portfolioValue,
+          slots,
+          config: sizing,
+        });
+        if (!sized.exhausted || start + slots >= ranked.length) {
+          break;
+        }
+      }
+
+      sized.orders.forEach(({ symbol, qty, price, amount }) => {
+        const stock = ranked.find((m) => m.symbol === symbol);
+        cash -= amount;
+        const lot = {
+          id: nextLotId++,
+          symbol,
+          qty,
+          price,
+          highPrice: price,
+          acquisitionDate: date,
+        };
+        openLots.push(lot);
+        trades.push({
+          date,
+          symbol,
+          side: "buy",
+          qty,
+          price,
+          amount,
+          lotId: lot.id,
+          reason: `Magic Formula rank #${
+            ranked.indexOf(stock) + 1
+          } (${describeRanks(stock)}, combined ${stock.combinedRank})`,
+        });
+      });
+    }
+
+    // Mark to market at the close
+    const positionsValue = openLots.reduce(
+      (sum, lot) => sum + lot.qty * lastPrices.get(lot.symbol),
+      0
+    );
+    equityCurve.push({ date, equity: cash + positionsValue, cash });
+  });
+
+  return {
+    config: {
+      startDate: tradingDays[0] || startDate,
+      endDate: tradingDays[tradingDays.length - 1] || endDate,
+      initialCash,
+      stocksPerBatch,
+      maxInvestmentPercent,
+      marketCapMin,
+      rebalanceMonths,
+      reportingLagDays,
+      riskFreeRate,
+      ranking,
+      riskExits,
+      sellRules,
+    },
+    metrics: {
+      ...computeMetrics(equityCurve, trades, riskFreeRate),
+      trades: trades.length,
+      buys: trades.filter((trade) => trade.side === "buy").length,
+      sells: trades.filter((trade) => trade.side === "sell").length,
+      openLots: openLots.length,
+    },
+    equityCurve,
+    trades,
+    openLots: openLots.map((lot) => ({
+      ...lot,
+      lastPrice: lastPrices.get(lot.symbol),
+    })),
+  };
+}
+
+module.exports = {
+  runBacktest,
+  computeMetrics,
+};
@@ -0,0 +1,223 @@
+/**
+ * @file backtestData.js
+ * @description Loads the offline datasets used by the backtester.
+ * A dataset directory contains:
+ * - Fundamentals: `fundamentals.json` or `fundamentals.csv`. Rows need `symbol`, `date`,
+ *   `roic` and `earningsYield`; `marketCap`, `freeCashFlowYield`, `debtToEquity` and
+ *   `sector` are optional and used by the matching ranking factors and filters. A `filingDate` (or FMP's
+ *   `fillingDate`) marks when a row became public; otherwise `date` plus a reporting lag
+ *   is used. The JSON form may also map each symbol to its rows, as cached from FMP's
+ *   key-metrics endpoint.
+ * - Prices: `prices.json`, `prices.csv` or a `prices/` directory of `<SYMBOL>.csv` files.
+ *   Rows need `date` and `close` (plus `symbol` when several symbols share one file).
+ *   The JSON form may map each symbol to its rows or use FMP's `{symbol, historical}` shape.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Parses CSV text with a header row into objects. Numeric-looking fields become numbers.
+ * @param {string} text - CSV content
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const splitLine = (line) => {
+    const fields = [];
+    let current = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === "," && !quoted) {
+        fields.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current);
+    return fields.map((field) => field.trim());
+  };
+
+  const headers = splitLine(lines[0]);
+  return lines.slice(1).map((line) => {
+    const values = splitLine(line);
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = values[index];
+      row[header] =
+        value !== undefined && value !== "" && !isNaN(Number(value))
+          ? Number(value)
+          : value;
+    });
+    return row;
+  });
+}
+
+/**
+ * Reads a JSON or CSV file
+ * @param {string} filePath - File to read
+ * @returns {*} Parsed content
+ */
+function readDataFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  return filePath.endsWith(".csv") ? parseCsv(content) : JSON.parse(content);
+}
+
+/**
+ * Returns the first existing file among candidates
+ * @param {string} dir - Dataset directory
+ * @param {string[]} names - Candidate file names
+ * @returns {string|null}
+ */
+function findFile(dir, names) {
+  const found = names
+    .map((name) => path.join(dir, name))
+    .find((filePath) => fs.existsSync(filePath));
+  return found || null;
+}
+
+/**
+ * Flattens `{SYMBOL: rows}`, `{symbol, historical}` and plain row arrays into rows
+ * that all carry a symbol
+ * @param {*} data - Parsed file content
+ * @param {string} [symbol] - Symbol to assign to rows that lack one
+ * @returns {Array<Object>}
+ */
+function toRows(data, symbol = null) {
+  if (Array.isArray(data)) {
+    return data.flatMap((row) =>
+      row && Array.isArray(row.historical)
+        ? toRows(row.historical, row.symbol)
+        : [{ ...row, symbol: row.symbol || symbol }]
+    );
+  }
+  if (data && Array.isArray(data.historical)) {
+    return toRows(data.historical, data.symbol || symbol);
+  }
+  if (data && typeof data === "object") {
+    return Object.entries(data).flatMap(([key, rows]) => toRows(rows, key));
+  }
+  return [];
+}
+
+/**
+ * Loads fundamentals rows
+ * @param {string} dir - Dataset directory
+ * @returns {Array<{symbol: string, date: string, filingDate: string|null, roic: number, earningsYield: number,
+ * freeCashFlowYield: number|null, debtToEquity: number|null, marketCap: number|null, sector: string|null}>}
+ */
+function loadFundamentals(dir) {
+  const filePath = findFile(dir, ["fundamentals.json", "fundamentals.csv"]);
+  if (!filePath) {
+    throw new Error(`No fundamentals.json or fundamentals.csv found in ${dir}`);
+  }
+
+  return toRows(readDataFile(filePath))
+    .filter((row) => row.symbol && row.date)
+    .map((row) => ({
+      symbol: row.symbol,
+      date: String(row.date).slice(0, 10),
+      filingDate: row.filingDate || row.fillingDate || null,
+      roic: row.roic != null ? parseFloat(row.roic) : null,
+      earningsYield:
+        row.earningsYield != null ? parseFloat(row.earningsYield) : null,
+      freeCashFlowYield:
+        row.freeCashFlowYield != null
+          ? parseFloat(row.freeCashFlowYield)
+          : null,
+      debtToEquity:
+        row.debtToEquity != null ? parseFloat(row.debtToEquity) : null,
+      marketCap: row.marketCap != null ? parseFloat(row.marketCap) : null,
+      sector: row.sector || null,
+    }));
+}
+
+/**
+ * Loads daily closing prices
+ * @param {string} dir - Dataset directory
+ * @returns {Array<{symbol: string, date: string, close: number}>}
+ */
+function loadPrices(dir) {
+  let rows;
+  const filePath = findFile(dir, ["prices.json", "prices.csv"]);
+  const pricesDir = path.join(dir, "prices");
+
+  if (filePath) {
+    rows = toRows(readDataFile(filePath));
+  } else if (fs.existsSync(pricesDir)) {
+    rows = fs
+      .readdirSync(pricesDir)
+      .filter((name) => name.endsWith(".csv") || name.endsWith(".json"))
+      .flatMap((name) =>
+        toRows(
+          readDataFile(path.join(pricesDir, name)),
+          path.basename(name, path.extname(name))
+        )
+      );
+  } else {
+    throw new Error(`No prices.json, prices.csv or prices/ found in ${dir}`);
+  }
+
+  return normalizePrices(rows);
+}
+
+/**
+ * Keeps the usable rows of a price file
+ * @param {Array<Object>} rows - See toRows
+ * @returns {Array<{symbol: string, date: string, close: number}>}
+ */
+function normalizePrices(rows) {
+  return rows
+    .filter((row) => row.symbol && row.date)
+    .map((row) => ({
+      symbol: row.symbol,
+      date: String(row.date).slice(0, 10),
+      close: parseFloat(row.close != null ? row.close : row.adjClose),
+    }))
+    .filter((row) => !isNaN(row.close) && row.close > 0);
+}
+
+/**
+ * Loads one symbol's daily closes from a single file, in any of the price formats above.
+ * Rows without a `symbol` are taken to be the symbol's.
+ * @param {string} filePath - `.json` or `.csv` file
+ * @param {string} symbol - Symbol to load
+ * @returns {Array<{date: string, close: number}>} Oldest first
+ */
+function loadPriceFile(filePath, symbol) {
+  return normalizePrices(toRows(readDataFile(filePath), symbol))
+    .filter((row) => row.symbol === symbol)
+    .map(({ date, close }) => ({ date, close }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Loads a complete backtest dataset
+ * @param {string} dir - Dataset directory
+ * @returns {{fundamentals: Array<Object>, prices: Array<Object>}}
+ */
+function loadBacktestData(dir) {
+  return {
+    fundamentals: loadFundamentals(dir),
+    prices: loadPrices(dir),
+  };
+}
+
+module.exports = {
+  parseCsv,
+  loadFundamentals,
+  loadPrices,
+  loadPriceFile,
+  loadBacktestData,
+};
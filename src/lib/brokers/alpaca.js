@@ -0,0 +1,122 @@
+/**
+ * @file alpaca.js
+ * @description Broker adapter for Alpaca. Translates Alpaca's string-valued,
+ * snake_case objects into the broker interface described in `./index.js`.
+ *
+ * @requires @alpacahq/alpaca-trade-api - For trading operations
+ */
+
+const Alpaca = require("@alpacahq/alpaca-trade-api");
+
+/**
+ * Normalizes an Alpaca order
+ * @param {Object} order - Order as returned by Alpaca
+ * @returns {Object} Broker order
+ */
+function toOrder(order) {
+  return {
+    id: order.id,
+    symbol: order.symbol,
+    side: order.side,
+    qty: parseFloat(order.qty),
+    type: order.type,
+    timeInForce: order.time_in_force,
+    status: order.status,
+    filledQty: parseFloat(order.filled_qty) || 0,
+    filledAvgPrice: parseFloat(order.filled_avg_price) || null,
+    submittedAt: order.submitted_at,
+    filledAt: order.filled_at,
+    replacedBy: order.replaced_by || null,
+  };
+}
+
+/**
+ * Creates an Alpaca broker
+ * @param {Object} options
+ * @param {string} options.keyId - ALPACA_API_KEY
+ * @param {string} options.secretKey - ALPACA_API_SECRET
+ * @param {string} options.baseUrl - ALPACA_BASE_URL; paper trading when it contains "paper"
+ * @returns {Object} Broker
+ */
+function createAlpacaBroker({ keyId, secretKey, baseUrl }) {
+  const client = new Alpaca({
+    keyId,
+    secretKey,
+    paper: baseUrl.includes("paper"), // true for paper trading, false for live
+    usePolygon: false,
+  });
+
+  return {
+    name: "alpaca",
+    client,
+
+    async getAccount() {
+      const account = await client.getAccount();
+      return {
+        id: account.id,
+        cash: parseFloat(account.cash),
+        portfolioValue: parseFloat(account.portfolio_value),
+        buyingPower: parseFloat(account.buying_power),
+        status: account.status,
+      };
+    },
+
+    async getPositions() {
+      const positions = await client.getPositions();
+      return positions.map((position) => ({
+        symbol: position.symbol,
+        qty: parseFloat(position.qty),
+        qtyAvailable: parseFloat(
+          position.qty_available != null ? position.qty_available : position.qty
+        ),
+        avgEntryPrice: parseFloat(position.avg_entry_price),
+        currentPrice: parseFloat(position.current_price),
+        marketValue: parseFloat(position.market_value),
+        costBasis: parseFloat(position.cost_basis),
+        unrealizedPnl: parseFloat(position.unrealized_pl),
+      }));
+    },
+
+    async createOrder({
+      symbol,
+      qty,
+      side,
+      type = "market",
+      timeInForce = "day",
+    }) {
+      const order = await client.createOrder({
+        symbol,
+        qty,
+        side,
+        type,
+        time_in_force: timeInForce,
+      });
+      return toOrder(order);
+    },
+
+    async getOrder(orderId) {
+      return toOrder(await client.getOrder(orderId));
+    },
+
+    async getQuote(symbol) {
+      const trade = await client.getLatestTrade(symbol);
+      return { symbol, price: trade.Price, timestamp: trade.Timestamp };
+    },
+
+    async getClock() {
+      const clock = await client.getClock();
+      return { isOpen: clock.is_open, timestamp: clock.timestamp };
+    },
+
+    async getCalendar({ start, end }) {
+      const days = await client.getCalendar({ start, end });
+      return days.map((day) => ({
+        date: day.date,
+        open: day.open,
+        close: day.close,
+      }));
+    },
+  };
+}
+
+module.exports = { createAlpacaBroker };
@@ -0,0 +1,83 @@
+/**
+ * @file index.js
+ * @description Broker selection. The trading scripts, order tracking and reconciliation
+ * only talk to a broker through this interface, so any adapter can stand in for Alpaca:
+ *
+ * - `getAccount()` → `{id, cash, portfolioValue, buyingPower, status}`
+ * - `getPositions()` → `[{symbol, qty, qtyAvailable, avgEntryPrice, currentPrice,
+ *   marketValue, costBasis, unrealizedPnl}]`
+ * - `createOrder({symbol, qty, side, type = "market", timeInForce = "day"})` → order
+ * - `getOrder(orderId)` → `{id, symbol, side, qty, type, timeInForce, status, filledQty,
+ *   filledAvgPrice, submittedAt, filledAt, replacedBy}`, with Alpaca's status names;
+ *   `replacedBy` is the id of the order that replaced a `replaced` order
+ * - `getQuote(symbol)` → `{symbol, price, timestamp}`
+ * - `getClock()` → `{isOpen, timestamp}` and `getCalendar({start, end})` → `[{date, open,
+ *   close}]` (optional; the market calendar falls back to bundled holidays without them)
+ *
+ * Numbers are always numbers. `BROKER` selects the adapter: `alpaca` (default) or `paper`.
+ *
+ * @requires dotenv - For environment variable management
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { createAlpacaBroker } = require("./alpaca");
+const { createPaperBroker } = require("./paper");
+
+const BROKERS = ["alpaca", "paper"];
+
+// Relative files are resolved against the project root, not the working directory
+const PROJECT_ROOT = path.join(__dirname, "../../..");
+
+/**
+ * Creates the broker configured in the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Broker
+ */
+function createBroker(env = process.env) {
+  const name = (env.BROKER || "alpaca").toLowerCase();
+
+  if (name === "alpaca") {
+    return createAlpacaBroker({
+      keyId: env.ALPACA_API_KEY,
+      secretKey: env.ALPACA_API_SECRET,
+      baseUrl: env.ALPACA_BASE_URL,
+    });
+  }
+  if (name === "paper") {
+    return createPaperBroker({
+      initialCash: parseFloat(env.PAPER_BROKER_INITIAL_CASH || 100000),
+      prices: env.PAPER_BROKER_PRICES_FILE
+        ? JSON.parse(
+            fs.readFileSync(
+              path.resolve(PROJECT_ROOT, env.PAPER_BROKER_PRICES_FILE),
+              "utf8"
+            )
+          )
+        : null,
+    });
+  }
+  throw new Error(
+    `Unknown BROKER "${env.BROKER}". Expected one of: ${BROKERS.join(", ")}`
+  );
+}
+
+let defaultBroker = null;
+
+/**
+ * The broker configured in the environment, created on first use
+ * @returns {Object} Broker
+ */
+function getBroker() {
+  if (!defaultBroker) {
+    defaultBroker = createBroker();
+  }
+  return defaultBroker;
+}
+
+module.exports = {
+  BROKERS,
+  createBroker,
+  getBroker,
+};
@@ -0,0 +1,266 @@
+/**
+ * @file paper.js
+ * @description Local simulated broker. Cash, positions, orders and prices live in the
+ * `paper_*` tables of the shared database, so the whole system can run without network
+ * access. Market orders fill immediately and completely at the supplied price for the
+ * symbol; orders are rejected when there is no price, not enough cash or not enough
+ * shares (no shorting). Prices are supplied by `setPrices`, by a JSON file
+ * (`PAPER_BROKER_PRICES_FILE`) or by a custom `priceSource` function.
+ *
+ * @requires ../database - Shared data-access module
+ */
+
+const crypto = require("crypto");
+const { run, get, all, transaction } = require("../database");
+
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Normalizes a paper_orders row
+ * @param {Object} row - paper_orders row
+ * @returns {Object} Broker order
+ */
+function toOrder(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    side: row.side,
+    qty: row.qty,
+    type: row.type,
+    timeInForce: row.time_in_force,
+    status: row.status,
+    filledQty: row.filled_qty,
+    filledAvgPrice: row.filled_avg_price,
+    rejectReason: row.reject_reason,
+    submittedAt: row.submitted_at,
+    filledAt: row.filled_at,
+  };
+}
+
+/**
+ * Creates a paper broker
+ * @param {Object} [options]
+ * @param {number} [options.initialCash] - Cash the account starts with the first time it is used
+ * @param {Object<string, number>} [options.prices] - Prices to store before the first call
+ * @param {function(string): Promise<number|null>} [options.priceSource] - Looks up the price
+ * for a symbol instead of the paper_prices table
+ * @returns {Object} Broker
+ */
+function createPaperBroker({
+  initialCash = 100000,
+  prices = null,
+  priceSource = null,
+} = {}) {
+  let initialized = null;
+
+  /**
+   * Creates the account row and stores the initial prices once
+   */
+  function init() {
+    if (!initialized) {
+      initialized = (async () => {
+        await run(
+          `INSERT OR IGNORE INTO paper_account (id, cash, initial_cash) VALUES (1, ?, ?)`,
+          [initialCash, initialCash]
+        );
+        if (prices) {
+          await setPrices(prices);
+        }
+      })();
+    }
+    return initialized;
+  }
+
+  /**
+   * Stores the prices orders fill at
+   * @param {Object<string, number>} newPrices - Price per symbol
+   */
+  async function setPrices(newPrices) {
+    for (const [symbol, price] of Object.entries(newPrices)) {
+      await run(
+        `
+                INSERT INTO paper_prices (symbol, price, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(symbol) DO UPDATE SET price = excluded.price, updated_at = CURRENT_TIMESTAMP
+            `,
+        [symbol, parseFloat(price)]
+      );
+    }
+  }
+
+  /**
+   * Current price of a symbol, or null when none has been supplied
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<number|null>}
+   */
+  async function lookupPrice(symbol) {
+    if (priceSource) {
+      const price = await priceSource(symbol);
+      return price > 0 ? price : null;
+    }
+    const row = await get(`SELECT price FROM paper_prices WHERE symbol = ?`, [
+      symbol,
+    ]);
+    return row ? row.price : null;
+  }
+
+  /**
+   * Positions valued at their current price, falling back to the entry price
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getPositions() {
+    await init();
+    const rows = await all(`SELECT * FROM paper_positions ORDER BY symbol`);
+    const positions = [];
+    for (const row of rows) {
+      const currentPrice =
+        (await lookupPrice(row.symbol)) || row.avg_entry_price;
+      const costBasis = row.qty * row.avg_entry_price;
+      positions.push({
+        symbol: row.symbol,
+        qty: row.qty,
+        qtyAvailable: row.qty,
+        avgEntryPrice: row.avg_entry_price,
+        currentPrice,
+        marketValue: row.qty * currentPrice,
+        costBasis,
+        unrealizedPnl: row.qty * currentPrice - costBasis,
+      });
+    }
+    return positions;
+  }
+
+  return {
+    name: "paper",
+    setPrices,
+
+    async getAccount() {
+      await init();
+      const account = await get(`SELECT * FROM paper_account WHERE id = 1`);
+      const positions = await getPositions();
+      const marketValue = positions.reduce(
+        (sum, position) => sum + position.marketValue,
+        0
+      );
+      return {
+        id: "paper",
+        cash: account.cash,
+        portfolioValue: account.cash + marketValue,
+        buyingPower: account.cash,
+        status: "ACTIVE",
+      };
+    },
+
+    getPositions,
+
+    async createOrder({
+      symbol,
+      qty,
+      side,
+      type = "market",
+      timeInForce = "day",
+    }) {
+      if (type !== "market") {
+        throw new Error(`The paper broker only supports market orders`);
+      }
+      if (!(qty > 0)) {
+        throw new Error(`Invalid order quantity: ${qty}`);
+      }
+      await init();
+
+      const price = await lookupPrice(symbol);
+      const id = `paper-${crypto.randomUUID()}`;
+
+      return transaction(async () => {
+        const account = await get(
+          `SELECT cash FROM paper_account WHERE id = 1`
+        );
+        const position = await get(
+          `SELECT * FROM paper_positions WHERE symbol = ?`,
+          [symbol]
+        );
+        const heldQty = position ? position.qty : 0;
+
+        let rejectReason = null;
+        if (price == null) {
+          rejectReason = `No price available for ${symbol}`;
+        } else if (side === "buy" && qty * price > account.cash) {
+          rejectReason = "Insufficient cash";
+        } else if (side === "sell" && qty > heldQty + QUANTITY_EPSILON) {
+          rejectReason = `Insufficient shares of ${symbol}`;
+        }
+
+        if (rejectReason) {
+          await run(
+            `
+                    INSERT INTO paper_orders (id, symbol, side, qty, type, time_in_force, status, reject_reason)
+                    VALUES (?, ?, ?, ?, ?, ?, 'rejected', ?)
+                `,
+            [id, symbol, side, qty, type, timeInForce, rejectReason]
+          );
+        } else {
+          const amount = qty * price;
+          if (side === "buy") {
+            await run(`UPDATE paper_account SET cash = cash - ? WHERE id = 1`, [
+              amount,
+            ]);
+            await run(
+              `
+                        INSERT INTO paper_positions (symbol, qty, avg_entry_price) VALUES (?, ?, ?)
+                        ON CONFLICT(symbol) DO UPDATE SET
+                            avg_entry_price = (qty * avg_entry_price + excluded.qty * excluded.avg_entry_price) / (qty + excluded.qty),
+                            qty = qty + excluded.qty,
+                            updated_at = CURRENT_TIMESTAMP
+                    `,
+              [symbol, qty, price]
+            );
+          } else {
+            await run(`UPDATE paper_account SET cash = cash + ? WHERE id = 1`, [
+              amount,
+            ]);
+            if (heldQty - qty <= QUANTITY_EPSILON) {
+              await run(`DELETE FROM paper_positions WHERE symbol = ?`, [
+                symbol,
+              ]);
+            } else {
+              await run(
+                `UPDATE paper_positions SET qty = qty - ?, updated_at = CURRENT_TIMESTAMP WHERE symbol = ?`,
+                [qty, symbol]
+              );
+            }
+          }
+          await run(
+            `
+                    INSERT INTO paper_orders (id, symbol, side, qty, type, time_in_force, status, filled_qty, filled_avg_price, filled_at)
+                    VALUES (?, ?, ?, ?, ?, ?, 'filled', ?, ?, CURRENT_TIMESTAMP)
+                `,
+            [id, symbol, side, qty, type, timeInForce, qty, price]
+          );
+        }
+
+        return toOrder(
+          await get(`SELECT * FROM paper_orders WHERE id = ?`, [id])
+        );
+      });
+    },
+
+    async getOrder(orderId) {
+      const row = await get(`SELECT * FROM paper_orders WHERE id = ?`, [
+        orderId,
+      ]);
+      if (!row) {
+        throw new Error(`Paper order ${orderId} not found`);
+      }
+      return toOrder(row);
+    },
+
+    async getQuote(symbol) {
+      const price = await lookupPrice(symbol);
+      if (price == null) {
+        throw new Error(`No price available for ${symbol}`);
+      }
+      return { symbol, price, timestamp: new Date().toISOString() };
+    },
+  };
+}
+
+module.exports = { createPaperBroker };
@@ -0,0 +1,212 @@
+/**
+ * @file cohorts.js
+ * @description Rolling cohort portfolio construction, as Greenblatt describes it.
+ * With `PORTFOLIO_MODE=cohort` every lot belongs to the cohort of the quarter it was
+ * bought in. Each quarter the cohort that has been held for `COHORT_HOLDING_QUARTERS`
+ * quarters is sold and replaced with the current top-ranked stocks, so the portfolio
+ * holds a steady `COHORT_TARGET_POSITIONS` positions and stays fully invested. A cohort
+ * buys at most `COHORT_TARGET_POSITIONS / COHORT_HOLDING_QUARTERS` stocks (rounded up), so
+ * a new portfolio is built up over the first holding period and the cohorts stay staggered.
+ * With the default `PORTFOLIO_MODE=batch` each quarter buys a fixed batch and lots are
+ * sold on the holding-period sell rules. Pure functions only.
+ */
+
+const PORTFOLIO_MODES = ["batch", "cohort"];
+
+const DEFAULT_PORTFOLIO_CONFIG = {
+  mode: "batch",
+  targetPositions: 20,
+  holdingQuarters: 4,
+};
+
+/**
+ * Reads the portfolio construction mode from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{mode: string, targetPositions: number, holdingQuarters: number}}
+ */
+function loadPortfolioConfig(env = process.env) {
+  const mode = (env.PORTFOLIO_MODE || DEFAULT_PORTFOLIO_CONFIG.mode)
+    .toLowerCase()
+    .trim();
+  if (!PORTFOLIO_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown PORTFOLIO_MODE "${mode}". Expected one of: ${PORTFOLIO_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const config = {
+    mode,
+    targetPositions: parseInt(
+      env.COHORT_TARGET_POSITIONS || DEFAULT_PORTFOLIO_CONFIG.targetPositions
+    ),
+    holdingQuarters: parseInt(
+      env.COHORT_HOLDING_QUARTERS || DEFAULT_PORTFOLIO_CONFIG.holdingQuarters
+    ),
+  };
+  if (!(config.targetPositions > 0) || !(config.holdingQuarters > 0)) {
+    throw new Error(
+      "COHORT_TARGET_POSITIONS and COHORT_HOLDING_QUARTERS must be positive integers"
+    );
+  }
+  return config;
+}
+
+/**
+ * Reads the size of a `batch` mode buy from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{stocksPerBatch: number, maxInvestmentPercent: number}}
+ */
+function loadBatchConfig(env = process.env) {
+  const stocksPerBatch = Number(env.NUMBER_OF_STOCKS_PER_BATCH);
+  if (!Number.isInteger(stocksPerBatch) || stocksPerBatch <= 0) {
+    throw new Error(
+      `NUMBER_OF_STOCKS_PER_BATCH must be a positive integer, got "${
+        env.NUMBER_OF_STOCKS_PER_BATCH || ""
+      }"`
+    );
+  }
+  const maxInvestmentPercent = Number(env.MAX_TOTAL_INVESTMENT_PERCENT);
+  if (
+    !env.MAX_TOTAL_INVESTMENT_PERCENT ||
+    !(maxInvestmentPercent > 0 && maxInvestmentPercent <= 1)
+  ) {
+    throw new Error(
+      `MAX_TOTAL_INVESTMENT_PERCENT must be a fraction above 0 and at most 1, got "${
+        env.MAX_TOTAL_INVESTMENT_PERCENT || ""
+      }"`
+    );
+  }
+  return { stocksPerBatch, maxInvestmentPercent };
+}
+
+/**
+ * Quarters since year 0, so quarters can be subtracted
+ * @param {Date|string} date - Date
+ * @returns {number}
+ */
+function quarterNumber(date) {
+  const d = new Date(date);
+  return d.getUTCFullYear() * 4 + Math.floor(d.getUTCMonth() / 3);
+}
+
+/**
+ * Cohort label of a purchase date, e.g. "2025-Q1"
+ * @param {Date|string} date - Acquisition date
+ * @returns {string}
+ */
+function cohortOf(date) {
+  const number = quarterNumber(date);
+  return `${Math.floor(number / 4)}-Q${(number % 4) + 1}`;
+}
+
+/**
+ * Whether a lot's cohort has been held for the full holding period
+ * @param {Date|string} acquisitionDate - When the lot was bought
+ * @param {Date|string} asOf - Evaluation date
+ * @param {Object} config - See loadPortfolioConfig
+ * @returns {{expired: boolean, cohort: string, quartersHeld: number}}
+ */
+function evaluateCohort(acquisitionDate, asOf, config) {
+  const quartersHeld = quarterNumber(asOf) - quarterNumber(acquisitionDate);
+  return {
+    expired: quartersHeld >= config.holdingQuarters,
+    cohort: cohortOf(acquisitionDate),
+    quartersHeld,
+  };
+}
+
+/**
+ * First day of the quarter in which a lot's cohort has been held for the full holding
+ * period, i.e. from when the cohort rule sells it
+ * @param {Date|string} acquisitionDate - When the lot was bought
+ * @param {Object} config - See loadPortfolioConfig
+ * @returns {string} ISO date
+ */
+function cohortExpiryDate(acquisitionDate, config) {
+  const number = quarterNumber(acquisitionDate) + config.holdingQuarters;
+  return new Date(Date.UTC(Math.floor(number / 4), (number % 4) * 3, 1))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Groups open lots into cohorts, oldest first
+ * @param {Array<{symbol: string, acquisitionDate: string, qty: number, costBasis?: number}>} lots
+ * @param {Date|string} asOf - Evaluation date
+ * @param {Object} config - See loadPortfolioConfig
+ * @returns {Array<{cohort: string, quartersHeld: number, expired: boolean,
+ * symbols: string[], lotCount: number, costBasis: number}>}
+ */
+function summarizeCohorts(lots, asOf, config) {
+  const cohorts = new Map();
+  lots.forEach((lot) => {
+    const { cohort, quartersHeld, expired } = evaluateCohort(
+      lot.acquisitionDate,
+      asOf,
+      config
+    );
+    if (!cohorts.has(cohort)) {
+      cohorts.set(cohort, {
+        cohort,
+        quartersHeld,
+        expired,
+        symbols: [],
+        lotCount: 0,
+        costBasis: 0,
+      });
+    }
+    const summary = cohorts.get(cohort);
+    if (!summary.symbols.includes(lot.symbol)) {
+      summary.symbols.push(lot.symbol);
+    }
+    summary.lotCount += 1;
+    summary.costBasis += lot.costBasis || 0;
+  });
+  return [...cohorts.values()].sort((a, b) => b.quartersHeld - a.quartersHeld);
+}
+
+/**
+ * Most stocks one cohort buys
+ * @param {Object} config - See loadPortfolioConfig
+ * @returns {number}
+ */
+function cohortSize(config) {
+  return Math.ceil(config.targetPositions / config.holdingQuarters);
+}
+
+/**
+ * How many new positions a cohort rebalance buys and with how much cash
+ * @param {Object} options
+ * @param {number} options.heldPositions - Symbols still held after the expired cohort is sold
+ * @param {number} options.portfolioValue - Portfolio value
+ * @param {number} options.cash - Cash available after the sales
+ * @param {Object} options.config - See loadPortfolioConfig
+ * @returns {{slots: number, targetPositionValue: number, budget: number}}
+ */
+function cohortBudget({ heldPositions, portfolioValue, cash, config }) {
+  const slots = Math.min(
+    cohortSize(config),
+    Math.max(0, config.targetPositions - heldPositions)
+  );
+  const targetPositionValue = portfolioValue / config.targetPositions;
+  return {
+    slots,
+    targetPositionValue,
+    budget: Math.max(0, Math.min(cash, slots * targetPositionValue)),
+  };
+}
+
+module.exports = {
+  PORTFOLIO_MODES,
+  DEFAULT_PORTFOLIO_CONFIG,
+  loadPortfolioConfig,
+  loadBatchConfig,
+  cohortOf,
+  cohortSize,
+  evaluateCohort,
+  cohortExpiryDate,
+  summarizeCohorts,
+  cohortBudget,
+};
@@ -0,0 +1,220 @@
+/**
+ * @file cronJobs.js
+ * @description Stored schedules of the server's cron jobs. Each job has one `cron_jobs`
+ * row with its cron expression, time zone and status (`active` or `paused`); the server
+ * loads them at startup and reschedules a job when its row changes. Every change is
+ * recorded in `cron_job_changes` with who made it and the values before and after:
+ * - `update` - the cron expression or time zone changed
+ * - `pause` / `resume` - the job was paused or resumed
+ * - `run` - the job was started by hand
+ *
+ * @requires node-cron - Cron expression validation
+ * @requires ./database - Shared data-access module
+ */
+
+const cron = require("node-cron");
+const { run, get, all, transaction } = require("./database");
+
+const CRON_JOB_STATUSES = ["active", "paused"];
+
+/**
+ * Checks a cron expression and time zone
+ * @param {Object} schedule
+ * @param {string} [schedule.schedule] - Cron expression
+ * @param {string} [schedule.timezone] - IANA time zone, e.g. `America/New_York`
+ * @returns {string|null} What is wrong, or null when both are valid
+ */
+function scheduleError({ schedule, timezone }) {
+  if (schedule !== undefined) {
+    if (typeof schedule !== "string" || !cron.validate(schedule.trim())) {
+      return `Invalid cron expression "${schedule}"`;
+    }
+  }
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch (error) {
+      return `Invalid time zone "${timezone}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every stored job
+ * @returns {Promise<Array<Object>>} cron_jobs rows
+ */
+function getCronJobs() {
+  return all("SELECT * FROM cron_jobs ORDER BY id");
+}
+
+/**
+ * One stored job
+ * @param {string} jobName - Job name
+ * @returns {Promise<Object|undefined>} cron_jobs row
+ */
+function getCronJob(jobName) {
+  return get("SELECT * FROM cron_jobs WHERE job_name = ?", [jobName]);
+}
+
+/**
+ * Records a change to a job
+ * @param {string} jobName - Job name
+ * @param {string} action - `update`, `pause`, `resume` or `run`
+ * @param {string} changedBy - Who made the change
+ * @param {Object|null} [oldValue] - Values before the change
+ * @param {Object|null} [newValue] - Values after the change
+ * @returns {Promise<void>}
+ */
+async function recordCronJobChange(
+  jobName,
+  action,
+  changedBy,
+  oldValue = null,
+  newValue = null
+) {
+  await run(
+    `
+        INSERT INTO cron_job_changes (job_name, action, changed_by, old_value, new_value)
+        VALUES (?, ?, ?, ?, ?)
+    `,
+    [
+      jobName,
+      action,
+      changedBy,
+      oldValue ? JSON.stringify(oldValue) : null,
+      newValue ? JSON.stringify(newValue) : null,
+    ]
+  );
+}
+
+/**
+ * Changes a job's cron expression and/or time zone
+ * @param {string} jobName - Job name
+ * @param {{schedule?: string, timezone?: string}} changes - Validate with scheduleError first
+ * @param {string} changedBy - Who made the change
+ * @returns {Promise<Object|null>} The updated row, or null if the job does not exist
+ */
+async function updateCronJobSchedule(jobName, changes, changedBy) {
+  return transaction(async () => {
+    const job = await getCronJob(jobName);
+    if (!job) {
+      return null;
+    }
+    const schedule =
+      changes.schedule !== undefined ? changes.schedule.trim() : job.schedule;
+    const timezone =
+      changes.timezone !== undefined ? changes.timezone : job.timezone;
+    if (schedule === job.schedule && timezone === job.timezone) {
+      return job;
+    }
+
+    await run(
+      `
+            UPDATE cron_jobs
+            SET schedule = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE job_name = ?
+        `,
+      [schedule, timezone, jobName]
+    );
+    await recordCronJobChange(
+      jobName,
+      "update",
+      changedBy,
+      { schedule: job.schedule, timezone: job.timezone },
+      { schedule, timezone }
+    );
+    return getCronJob(jobName);
+  });
+}
+
+/**
+ * Pauses or resumes a job
+ * @param {string} jobName - Job name
+ * @param {string} status - `active` or `paused`
+ * @param {string} changedBy - Who made the change
+ * @returns {Promise<Object|null>} The updated row, or null if the job does not exist
+ */
+async function setCronJobStatus(jobName, status, changedBy) {
+  if (!CRON_JOB_STATUSES.includes(status)) {
+    throw new Error(
+      `Unknown cron job status "${status}". Expected one of: ${CRON_JOB_STATUSES.join(
+        ", "
+      )}`
+    );
+  }
+  return transaction(async () => {
+    const job = await getCronJob(jobName);
+    if (!job) {
+      return null;
+    }
+    if (job.status === status) {
+      return job;
+    }
+
+    await run(
+      `
+            UPDATE cron_jobs
+            SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE job_name = ?
+        `,
+      [status, jobName]
+    );
+    await recordCronJobChange(
+      jobName,
+      status === "paused" ? "pause" : "resume",
+      changedBy,
+      { status: job.status },
+      { status }
+    );
+    return getCronJob(jobName);
+  });
+}
+
+/**
+ * Sets a job's `last_run` to now
+ * @param {string} jobName - Job name
+ * @returns {Promise<void>}
+ */
+async function markCronJobRun(jobName) {
+  await run("UPDATE cron_jobs SET last_run = ? WHERE job_name = ?", [
+    new Date().toISOString(),
+    jobName,
+  ]);
+}
+
+/**
+ * Recorded changes, newest first
+ * @param {Object} [options]
+ * @param {string} [options.jobName] - Only this job's changes
+ * @param {number} [options.limit] - Most changes returned
+ * @returns {Promise<Array<Object>>} cron_job_changes rows with parsed values
+ */
+async function getCronJobChanges({ jobName = null, limit = 50 } = {}) {
+  const rows = await all(
+    `
+        SELECT * FROM cron_job_changes
+        ${jobName ? "WHERE job_name = ?" : ""}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+    `,
+    jobName ? [jobName, limit] : [limit]
+  );
+  return rows.map((row) => ({
+    ...row,
+    old_value: row.old_value ? JSON.parse(row.old_value) : null,
+    new_value: row.new_value ? JSON.parse(row.new_value) : null,
+  }));
+}
+
+module.exports = {
+  CRON_JOB_STATUSES,
+  scheduleError,
+  getCronJobs,
+  getCronJob,
+  recordCronJobChange,
+  updateCronJobSchedule,
+  setCronJobStatus,
+  markCronJobRun,
+  getCronJobChanges,
+};
@@ -0,0 +1,264 @@
+/**
+ * @file database.js
+ * @description Shared SQLite data-access module for the server and all scripts.
+ * Every process opens the same database file, resolved from `DATABASE_DIR` against the
+ * project root, and brings its schema up to date by running the versioned migrations in
+ * `migrations.js` before doing anything else. Applied versions are recorded in the
+ * `schema_migrations` table, so existing databases are upgraded in place.
+ *
+ * @requires sqlite3 - For database operations
+ * @requires dotenv - For environment variable management
+ */
+
+require("dotenv").config();
+const sqlite3 = require("sqlite3").verbose();
+const path = require("path");
+const fs = require("fs");
+const { AsyncLocalStorage } = require("async_hooks");
+const migrations = require("./migrations");
+
+const { DATABASE_DIR = "./database" } = process.env;
+
+// Relative directories are resolved against the project root, not the working directory
+const PROJECT_ROOT = path.join(__dirname, "../..");
+const DATABASE_PATH = path.join(
+  path.resolve(PROJECT_ROOT, DATABASE_DIR),
+  "portfolio.db"
+);
+
+// Where the trading scripts used to keep their own copy of the database
+const LEGACY_SCRIPTS_DATABASE_PATH = path.join(
+  __dirname,
+  "../database/portfolio.db"
+);
+
+// How long to wait for another process (server or script) to release a lock
+const BUSY_TIMEOUT_MS = 5000;
+
+// Ensure the database directory exists
+fs.mkdirSync(path.dirname(DATABASE_PATH), { recursive: true });
+
+const db = new sqlite3.Database(DATABASE_PATH, (err) => {
+  if (err) {
+    console.error("Error connecting to SQLite database:", err.message);
+  } else {
+    console.log("Connected to SQLite database at:", DATABASE_PATH);
+  }
+});
+db.configure("busyTimeout", BUSY_TIMEOUT_MS);
+
+// ----------------------- Transactions ----------------------- //
+
+// The connection is shared by everything in this process, so a statement issued while a
+// transaction is open would become part of it (and be lost on ROLLBACK). Statements are
+// therefore held back until the open transaction ends, unless they come from the
+// transaction's own work, which is marked through this async context. The connection
+// itself is not exported, so every query goes through the helpers below.
+const transactionContext = new AsyncLocalStorage();
+
+// Settles when the open transaction ends; null when none is open
+let openTransaction = null;
+
+// Serializes transactions within this process
+let transactionQueue = Promise.resolve();
+
+/**
+ * Calls `statement` on the connection once no other transaction is open
+ * @param {function(function, function): void} statement - Receives resolve and reject
+ * @returns {Promise<*>}
+ */
+function schedule(statement) {
+  return new Promise((resolve, reject) => {
+    const attempt = () => {
+      if (openTransaction && !transactionContext.getStore()) {
+        openTransaction.then(attempt);
+      } else {
+        statement(resolve, reject);
+      }
+    };
+    attempt();
+  });
+}
+
+/**
+ * Runs work inside a write transaction. Transactions from this process run one at a
+ * time, and the process's other statements wait until it ends; `BEGIN IMMEDIATE` keeps
+ * other processes from writing until it commits. A transaction started from inside
+ * another one's work joins it.
+ * @param {function(): Promise<*>} work - Queries to run
+ * @returns {Promise<*>} Whatever `work` resolves to
+ */
+function transaction(work) {
+  if (transactionContext.getStore()) {
+    return work();
+  }
+  const result = transactionQueue.then(() =>
+    transactionContext.run(true, async () => {
+      let finish;
+      openTransaction = new Promise((resolve) => {
+        finish = resolve;
+      });
+      try {
+        await exec("BEGIN IMMEDIATE");
+        try {
+          const value = await work();
+          await exec("COMMIT");
+          return value;
+        } catch (error) {
+          await exec("ROLLBACK");
+          throw error;
+        }
+      } finally {
+        openTransaction = null;
+        finish();
+      }
+    })
+  );
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+// ----------------------- Query helpers ----------------------- //
+
+/**
+ * Runs a statement
+ * @param {string} sql - SQL statement
+ * @param {Array} [params] - Bound parameters
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function run(sql, params = []) {
+  return schedule((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+/**
+ * Fetches the first matching row
+ * @param {string} sql - SQL query
+ * @param {Array} [params] - Bound parameters
+ * @returns {Promise<Object|undefined>}
+ */
+function get(sql, params = []) {
+  return schedule((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+/**
+ * Fetches all matching rows
+ * @param {string} sql - SQL query
+ * @param {Array} [params] - Bound parameters
+ * @returns {Promise<Array<Object>>}
+ */
+function all(sql, params = []) {
+  return schedule((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Executes one or more statements without parameters
+ * @param {string} sql - SQL statements
+ * @returns {Promise<void>}
+ */
+function exec(sql) {
+  return schedule((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// ----------------------- Migrations ----------------------- //
+
+/**
+ * Applies every migration that has not been recorded yet. Each migration runs in its
+ * own transaction, and the applied check happens inside it so two processes starting
+ * at the same time cannot apply the same version twice.
+ * @returns {Promise<number[]>} Versions applied by this call
+ */
+async function migrate() {
+  await run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+  const applied = [];
+  for (const migration of migrations) {
+    try {
+      await transaction(async () => {
+        const existing = await get(
+          `SELECT version FROM schema_migrations WHERE version = ?`,
+          [migration.version]
+        );
+        if (!existing) {
+          await migration.up({ run, get, all, exec });
+          await run(
+            `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`,
+            [migration.version, migration.name]
+          );
+          applied.push(migration.version);
+        }
+      });
+    } catch (error) {
+      throw new Error(
+        `Migration ${migration.version} (${migration.name}) failed: ${error.message}`
+      );
+    }
+  }
+
+  if (applied.length > 0) {
+    console.log(`Applied database migrations: ${applied.join(", ")}`);
+  }
+  if (
+    path.resolve(LEGACY_SCRIPTS_DATABASE_PATH) !== DATABASE_PATH &&
+    fs.existsSync(LEGACY_SCRIPTS_DATABASE_PATH)
+  ) {
+    console.warn(
+      `Found a legacy database at ${LEGACY_SCRIPTS_DATABASE_PATH} written by older trading scripts. ` +
+        `It is no longer used; merge its holdings into ${DATABASE_PATH} if needed.`
+    );
+  }
+  return applied;
+}
+
+let readyPromise = null;
+
+/**
+ * Resolves once the schema is up to date. Migrations run once per process.
+ * @returns {Promise<number[]>} Versions applied by this process
+ */
+function ready() {
+  if (!readyPromise) {
+    readyPromise = migrate();
+  }
+  return readyPromise;
+}
+
+/**
+ * Closes the database connection
+ * @returns {Promise<void>}
+ */
+function close() {
+  return new Promise((resolve, reject) => {
+    db.close((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = {
+  DATABASE_PATH,
+  run,
+  get,
+  all,
+  exec,
+  transaction,
+  ready,
+  close,
+};
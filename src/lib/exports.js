@@ -0,0 +1,256 @@
+/**
+ * @file exports.js
+ * @description Downloadable exports of the trading records, as CSV or JSON:
+ * - `holdings` - open positions per symbol, summed over their open lots
+ * - `lots` - every tax lot, open or sold
+ * - `transactions` - every buy and sell
+ * - `realized-gains` - every lot sale with its realized P&L and tax classification
+ *
+ * Each export takes a `from`/`to` date range on its own date (acquisition, transaction or
+ * sale date). The year-end tax report lists the lot sales of one calendar year with the
+ * lot's acquisition date, proceeds, cost basis, gain and short/long-term classification,
+ * and sums them by term.
+ *
+ * @requires ./database - Shared data-access module
+ */
+
+const { all } = require("./database");
+
+const EXPORT_FORMATS = ["csv", "json"];
+
+// The query of each export, the date column its range filters on and its CSV columns.
+// Dates are stored as ISO date-times; only their date part is compared.
+const EXPORTS = {
+  holdings: {
+    dateColumn: "acquisition_date",
+    query: (where) => `
+        SELECT
+            symbol,
+            SUM(remaining_quantity) as quantity,
+            COUNT(*) as lots,
+            SUM(remaining_quantity * COALESCE(acquisition_price, cost_basis / quantity)) as cost_basis,
+            SUM(remaining_quantity * COALESCE(acquisition_price, cost_basis / quantity))
+                / SUM(remaining_quantity) as average_price,
+            MIN(substr(acquisition_date, 1, 10)) as first_acquired,
+            MAX(substr(acquisition_date, 1, 10)) as last_acquired
+        FROM holdings
+        WHERE status = 'active' AND remaining_quantity > 0 ${where}
+        GROUP BY symbol
+        ORDER BY symbol
+    `,
+    columns: [
+      "symbol",
+      "quantity",
+      "lots",
+      "cost_basis",
+      "average_price",
+      "first_acquired",
+      "last_acquired",
+    ],
+  },
+  lots: {
+    dateColumn: "acquisition_date",
+    query: (where) => `
+        SELECT * FROM holdings
+        WHERE 1 = 1 ${where}
+        ORDER BY acquisition_date, id
+    `,
+    columns: [
+      "id",
+      "symbol",
+      "quantity",
+      "remaining_quantity",
+      "acquisition_date",
+      "acquisition_price",
+      "cost_basis",
+      "realized_pnl",
+      "status",
+      "closed_date",
+    ],
+  },
+  transactions: {
+    dateColumn: "transaction_date",
+    query: (where) => `
+        SELECT * FROM transactions
+        WHERE 1 = 1 ${where}
+        ORDER BY transaction_date, id
+    `,
+    columns: [
+      "id",
+      "transaction_date",
+      "symbol",
+      "action",
+      "quantity",
+      "price",
+      "total_amount",
+      "alpaca_order_id",
+      "notes",
+    ],
+  },
+  "realized-gains": {
+    dateColumn: "s.sale_date",
+    query: (where) => `
+        SELECT
+            s.id as sale_id,
+            s.holding_id as lot_id,
+            s.symbol,
+            s.quantity,
+            h.acquisition_date,
+            s.sale_date,
+            s.sale_price,
+            s.proceeds,
+            s.cost_basis,
+            s.realized_pnl,
+            s.holding_term,
+            s.gain_classification,
+            s.alpaca_order_id
+        FROM lot_sales s
+        JOIN holdings h ON h.id = s.holding_id
+        WHERE 1 = 1 ${where}
+        ORDER BY s.sale_date, s.id
+    `,
+    columns: [
+      "sale_id",
+      "lot_id",
+      "symbol",
+      "quantity",
+      "acquisition_date",
+      "sale_date",
+      "sale_price",
+      "proceeds",
+      "cost_basis",
+      "realized_pnl",
+      "holding_term",
+      "gain_classification",
+      "alpaca_order_id",
+    ],
+  },
+};
+
+// Columns of the tax report, one row per lot sale
+const TAX_REPORT_COLUMNS = [
+  "symbol",
+  "quantity",
+  "acquisition_date",
+  "sale_date",
+  "proceeds",
+  "cost_basis",
+  "gain",
+  "term",
+  "gain_classification",
+];
+
+/**
+ * Why export options are invalid
+ * @param {Object} options
+ * @param {string} [options.format] - `csv` or `json`
+ * @param {string} [options.from] - First ISO date
+ * @param {string} [options.to] - Last ISO date
+ * @returns {string|null} Null when they are valid
+ */
+function exportOptionsError({ format = "csv", from, to }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return `Unknown format "${format}". Expected one of: ${EXPORT_FORMATS.join(
+      ", "
+    )}`;
+  }
+  const invalid = [from, to].find(
+    (date) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date)
+  );
+  return invalid ? `Invalid date "${invalid}", expected YYYY-MM-DD` : null;
+}
+
+/**
+ * Rows of an export
+ * @param {string} name - Key of EXPORTS
+ * @param {Object} [range]
+ * @param {string} [range.from] - First ISO date
+ * @param {string} [range.to] - Last ISO date
+ * @returns {Promise<Array<Object>>}
+ */
+function getExportRows(name, { from = null, to = null } = {}) {
+  const { dateColumn, query } = EXPORTS[name];
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push(`AND substr(${dateColumn}, 1, 10) >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`AND substr(${dateColumn}, 1, 10) <= ?`);
+    params.push(to);
+  }
+  return all(query(conditions.join(" ")), params);
+}
+
+/**
+ * Year-end tax report: the lot sales of one calendar year
+ * @param {number} year - Tax year
+ * @returns {Promise<{year: number, sales: Array<Object>, summary: Object}>} `summary`
+ * totals proceeds, cost basis and gain by `short` and `long` term and overall
+ */
+async function getTaxReport(year) {
+  const rows = await getExportRows("realized-gains", {
+    from: `${year}-01-01`,
+    to: `${year}-12-31`,
+  });
+  const sales = rows.map((row) => ({
+    symbol: row.symbol,
+    quantity: row.quantity,
+    acquisition_date: String(row.acquisition_date).slice(0, 10),
+    sale_date: String(row.sale_date).slice(0, 10),
+    proceeds: row.proceeds,
+    cost_basis: row.cost_basis,
+    gain: row.realized_pnl,
+    term: row.holding_term,
+    gain_classification: row.gain_classification,
+  }));
+
+  const total = (term) => {
+    const termSales = sales.filter((sale) => !term || sale.term === term);
+    const sum = (field) =>
+      termSales.reduce((result, sale) => result + (sale[field] || 0), 0);
+    return {
+      sales: termSales.length,
+      proceeds: sum("proceeds"),
+      costBasis: sum("cost_basis"),
+      gain: sum("gain"),
+    };
+  };
+  return {
+    year,
+    sales,
+    summary: { short: total("short"), long: total("long"), total: total() },
+  };
+}
+
+/**
+ * Formats rows as CSV with a header row. Fields with commas, quotes or line breaks are
+ * quoted; null becomes an empty field.
+ * @param {Array<Object>} rows
+ * @param {string[]} columns - Columns, in order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const field = (value) => {
+    if (value == null) {
+      return "";
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => field(row[column])).join(",")),
+  ].join("\n");
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORTS,
+  TAX_REPORT_COLUMNS,
+  exportOptionsError,
+  getExportRows,
+  getTaxReport,
+  toCsv,
+};
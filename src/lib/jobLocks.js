@@ -0,0 +1,205 @@
+/**
+ * @file jobLocks.js
+ * @description Keeps the trading jobs from running twice. Every live run of the buy,
+ * sell and reconciliation jobs holds a lock in `job_locks`, whether it was started by
+ * the server or from the command line, and a run that finds the lock held is refused.
+ * The holder refreshes `heartbeat_at` while it runs; a lock whose heartbeat is older than
+ * `JOB_LOCK_STALE_SECONDS` belongs to a process that died and is taken over.
+ *
+ * Each quarter's buy batch also claims an idempotency key in `idempotency_keys`
+ * (e.g. `buyPositions:2025-Q1`). A later buy in the same quarter is refused unless it is
+ * forced. A run that placed no orders gives its key back, so it can be retried.
+ *
+ * @requires ./database - Shared data-access module
+ * @requires ./cohorts - Quarter labels
+ */
+
+const os = require("os");
+const crypto = require("crypto");
+const { run, get, all } = require("./database");
+const { cohortOf } = require("./cohorts");
+
+const DEFAULT_JOB_LOCK_CONFIG = {
+  staleAfterSeconds: 120,
+};
+
+/**
+ * Reads the lock settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{staleAfterSeconds: number}}
+ */
+function loadJobLockConfig(env = process.env) {
+  const staleAfterSeconds = parseInt(
+    env.JOB_LOCK_STALE_SECONDS || DEFAULT_JOB_LOCK_CONFIG.staleAfterSeconds
+  );
+  if (!(staleAfterSeconds > 0)) {
+    throw new Error("JOB_LOCK_STALE_SECONDS must be a positive integer");
+  }
+  return { staleAfterSeconds };
+}
+
+/**
+ * Identifies this process as a lock holder
+ * @returns {string}
+ */
+function newOwner() {
+  return `${os.hostname()}:${process.pid}:${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+}
+
+/**
+ * Takes a job's lock and keeps its heartbeat fresh until it is released
+ * @param {string} jobName - Job name
+ * @param {Object} logger - The job's logger (see logger.createLogger), for heartbeat
+ * failures
+ * @param {Object} [config] - See loadJobLockConfig
+ * @returns {Promise<{acquired: boolean, reason: string|null, owner: string|null,
+ * release: function(): Promise<void>}>} `reason` says who holds the lock when it was
+ * not acquired
+ */
+async function acquireJobLock(jobName, logger, config = loadJobLockConfig()) {
+  const owner = newOwner();
+  const now = new Date();
+  const staleBefore = new Date(
+    now.getTime() - config.staleAfterSeconds * 1000
+  ).toISOString();
+
+  // One statement, so two processes cannot both take the lock
+  const { changes } = await run(
+    `
+        INSERT INTO job_locks (job_name, owner, acquired_at, heartbeat_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (job_name) DO UPDATE SET
+            owner = excluded.owner,
+            acquired_at = excluded.acquired_at,
+            heartbeat_at = excluded.heartbeat_at
+        WHERE job_locks.heartbeat_at < ?
+    `,
+    [jobName, owner, now.toISOString(), now.toISOString(), staleBefore]
+  );
+  if (changes === 0) {
+    const holder = await get("SELECT * FROM job_locks WHERE job_name = ?", [
+      jobName,
+    ]);
+    return {
+      acquired: false,
+      reason: holder
+        ? `${jobName} is already running (${holder.owner}, since ${holder.acquired_at})`
+        : `${jobName} lock is busy`,
+      owner: null,
+      release: async () => {},
+    };
+  }
+
+  const heartbeat = setInterval(() => {
+    run(
+      "UPDATE job_locks SET heartbeat_at = ? WHERE job_name = ? AND owner = ?",
+      [new Date().toISOString(), jobName, owner]
+    ).catch((error) =>
+      logger.error(`Error refreshing the ${jobName} lock: ${error.message}`)
+    );
+  }, (config.staleAfterSeconds * 1000) / 4);
+  heartbeat.unref();
+
+  return {
+    acquired: true,
+    reason: null,
+    owner,
+    release: async () => {
+      clearInterval(heartbeat);
+      await run("DELETE FROM job_locks WHERE job_name = ? AND owner = ?", [
+        jobName,
+        owner,
+      ]);
+    },
+  };
+}
+
+/**
+ * Idempotency key of the buy batch for the quarter a date falls in
+ * @param {Date|string} [date] - Run date, defaults to now
+ * @returns {string} e.g. `buyPositions:2025-Q1`
+ */
+function buyBatchKey(date = new Date()) {
+  return `buyPositions:${cohortOf(date)}`;
+}
+
+/**
+ * Claims an idempotency key before a batch executes
+ * @param {string} key - Idempotency key
+ * @param {string} jobName - Job claiming it
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Claim it even if an earlier run did
+ * @returns {Promise<{claimed: boolean, forced: boolean, reason: string|null}>} `reason`
+ * says when the key was claimed before if it was refused
+ */
+async function claimIdempotencyKey(key, jobName, { force = false } = {}) {
+  const owner = newOwner();
+  const claimedAt = new Date().toISOString();
+  const { changes } = await run(
+    `
+        INSERT OR IGNORE INTO idempotency_keys (idempotency_key, job_name, owner, claimed_at)
+        VALUES (?, ?, ?, ?)
+    `,
+    [key, jobName, owner, claimedAt]
+  );
+  if (changes > 0) {
+    return { claimed: true, forced: false, reason: null };
+  }
+
+  const previous = await get(
+    "SELECT * FROM idempotency_keys WHERE idempotency_key = ?",
+    [key]
+  );
+  const reason = `Batch ${key} already executed on ${previous.claimed_at}`;
+  if (!force) {
+    return { claimed: false, forced: false, reason };
+  }
+  await run(
+    `
+        UPDATE idempotency_keys
+        SET job_name = ?, owner = ?, claimed_at = ?, forced = 1
+        WHERE idempotency_key = ?
+    `,
+    [jobName, owner, claimedAt, key]
+  );
+  return { claimed: true, forced: true, reason };
+}
+
+/**
+ * Gives an idempotency key back, so the batch can run again
+ * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotencyKey(key) {
+  await run("DELETE FROM idempotency_keys WHERE idempotency_key = ?", [key]);
+}
+
+/**
+ * Held locks and claimed idempotency keys, newest first
+ * @returns {Promise<{locks: Array<Object>, idempotencyKeys: Array<Object>}>}
+ */
+async function getJobLocks() {
+  const [locks, idempotencyKeys] = await Promise.all([
+    all("SELECT * FROM job_locks ORDER BY acquired_at DESC"),
+    all("SELECT * FROM idempotency_keys ORDER BY claimed_at DESC"),
+  ]);
+  return {
+    locks,
+    idempotencyKeys: idempotencyKeys.map((row) => ({
+      ...row,
+      forced: row.forced === 1,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_JOB_LOCK_CONFIG,
+  loadJobLockConfig,
+  acquireJobLock,
+  buyBatchKey,
+  claimIdempotencyKey,
+  releaseIdempotencyKey,
+  getJobLocks,
+};
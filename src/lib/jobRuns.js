@@ -0,0 +1,208 @@
+/**
+ * @file jobRuns.js
+ * @description Runs the trading jobs in-process and records every run in `job_runs`:
+ * start and end time, status, orders placed, errors, the job's result and the log
+ * lines it wrote. A job is an async function returning a result object; `ordersPlaced`
+ * and `errors` are read from it when present. Run statuses:
+ * - `running` - still in progress, or the process stopped before it finished
+ * - `succeeded` - finished without errors
+ * - `partial` - finished, but some orders or steps failed (see `errors`)
+ * - `failed` - threw an error
+ * - `skipped` - not started, e.g. because the market was closed or the job was already
+ *   running; a job reports this by returning a result with a `skipReason`
+ *
+ * Log lines are captured per run through `captureJobLog`, which lib/logger calls, so
+ * concurrent runs keep separate logs; `currentJobRunId` tags log entries with the run. Each finished run also sets `last_run` in
+ * the job's `cron_jobs` row.
+ *
+ * @requires ./database - Shared data-access module
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { run, get } = require("./database");
+
+// Id and log lines of the job run the current async call chain belongs to
+const jobLogStorage = new AsyncLocalStorage();
+
+/**
+ * Adds a log line to the job run in progress, if any
+ * @param {string} message - Log message
+ */
+function captureJobLog(message) {
+  const jobRun = jobLogStorage.getStore();
+  if (jobRun) {
+    jobRun.lines.push(`[${new Date().toISOString()}] ${message}`);
+  }
+}
+
+/**
+ * Id of the job run in progress, if any
+ * @returns {number|null}
+ */
+function currentJobRunId() {
+  const jobRun = jobLogStorage.getStore();
+  return jobRun ? jobRun.runId : null;
+}
+
+/**
+ * Stores how a run ended and updates the job's `last_run`
+ * @param {number} runId - job_runs id
+ * @param {string} jobName - Job name
+ * @param {Object} outcome
+ * @returns {Promise<void>}
+ */
+async function finishJobRun(
+  runId,
+  jobName,
+  { status, startedAt, ordersPlaced = 0, errors = [], result = null, log = [] }
+) {
+  const finishedAt = new Date();
+  await run(
+    `
+        UPDATE job_runs
+        SET status = ?, finished_at = ?, duration_ms = ?, orders_placed = ?, errors = ?,
+            result = ?, log = ?
+        WHERE id = ?
+    `,
+    [
+      status,
+      finishedAt.toISOString(),
+      finishedAt - startedAt,
+      ordersPlaced,
+      errors.length > 0 ? JSON.stringify(errors) : null,
+      result != null ? JSON.stringify(result) : null,
+      log.join("\n"),
+      runId,
+    ]
+  );
+  await run(`UPDATE cron_jobs SET last_run = ? WHERE job_name = ?`, [
+    finishedAt.toISOString(),
+    jobName,
+  ]);
+}
+
+/**
+ * Runs a job and records the run
+ * @param {string} jobName - Job name, as in `cron_jobs.job_name`
+ * @param {function(): Promise<Object>} task - The job; resolves to its result
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What started the run, e.g. `schedule` or `manual`
+ * @returns {Promise<{runId: number, status: string, ordersPlaced: number, errors: string[],
+ * result: Object|null}>}
+ */
+async function runJob(jobName, task, { trigger = "schedule" } = {}) {
+  const startedAt = new Date();
+  const { lastID: runId } = await run(
+    `
+        INSERT INTO job_runs (job_name, trigger, status, started_at)
+        VALUES (?, ?, 'running', ?)
+    `,
+    [jobName, trigger, startedAt.toISOString()]
+  );
+
+  const log = [];
+  let outcome;
+  try {
+    const result = await jobLogStorage.run({ runId, lines: log }, task);
+    const errors = (result && result.errors) || [];
+    let status = errors.length > 0 ? "partial" : "succeeded";
+    if (result && result.skipReason) {
+      status = "skipped";
+    }
+    outcome = {
+      status,
+      ordersPlaced: (result && result.ordersPlaced) || 0,
+      errors,
+      result: result || null,
+    };
+  } catch (error) {
+    log.push(`[${new Date().toISOString()}] ${error.stack || error.message}`);
+    outcome = {
+      status: "failed",
+      ordersPlaced: 0,
+      errors: [error.message],
+      result: null,
+    };
+  }
+
+  await finishJobRun(runId, jobName, { ...outcome, startedAt, log });
+  return { runId, ...outcome };
+}
+
+/**
+ * Records a run that was not started
+ * @param {string} jobName - Job name
+ * @param {string} reason - Why it was skipped
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What would have started the run
+ * @returns {Promise<number>} Run id
+ */
+async function recordSkippedRun(
+  jobName,
+  reason,
+  { trigger = "schedule" } = {}
+) {
+  const startedAt = new Date();
+  const { lastID: runId } = await run(
+    `
+        INSERT INTO job_runs (job_name, trigger, status, started_at)
+        VALUES (?, ?, 'running', ?)
+    `,
+    [jobName, trigger, startedAt.toISOString()]
+  );
+  await finishJobRun(runId, jobName, {
+    status: "skipped",
+    startedAt,
+    result: { reason },
+    log: [`[${startedAt.toISOString()}] Skipped: ${reason}`],
+  });
+  return runId;
+}
+
+/**
+ * Whether a job finished a run, with or without errors, since a date
+ * @param {string} jobName - Job name
+ * @param {string} since - ISO date or timestamp
+ * @returns {Promise<boolean>}
+ */
+async function hasCompletedRunSince(jobName, since) {
+  const row = await get(
+    `
+        SELECT id FROM job_runs
+        WHERE job_name = ? AND status IN ('succeeded', 'partial') AND started_at >= ?
+        LIMIT 1
+    `,
+    [jobName, since]
+  );
+  return Boolean(row);
+}
+
+/**
+ * Marks runs left `running` by a process that stopped as failed
+ * @returns {Promise<number>} Runs marked
+ */
+async function failInterruptedRuns() {
+  const result = await run(
+    `
+        UPDATE job_runs
+        SET status = 'failed', finished_at = ?, errors = ?
+        WHERE status = 'running'
+    `,
+    [
+      new Date().toISOString(),
+      JSON.stringify([
+        "Interrupted: the process stopped before the run finished",
+      ]),
+    ]
+  );
+  return result.changes;
+}
+
+module.exports = {
+  captureJobLog,
+  currentJobRunId,
+  runJob,
+  recordSkippedRun,
+  hasCompletedRunSince,
+  failInterruptedRuns,
+};
@@ -0,0 +1,382 @@
+/**
+ * @file logger.js
+ * @description Structured logging for the server and the trading scripts. Every entry is
+ * one JSON line in `$LOG_DIR/<source>.log`:
+ *
+ *   {"timestamp":"2025-01-02T14:45:01.123Z","level":"info","source":"buyOrders",
+ *    "message":"Buy order placed for AAPL","symbol":"AAPL","runId":42}
+ *
+ * Entries below `LOG_LEVEL` are dropped. `runId` is added to entries written during a
+ * job run (see lib/jobRuns), which also captures them in the run's log. Only the sources
+ * in `LOG_SOURCES` exist, so a log name never becomes a file path.
+ *
+ * A log file is rotated to `<source>.<YYYY-MM-DD>.log` (with `.1`, `.2`, ... after the
+ * date for further rotations that day) on the first write of a new UTC day or once it
+ * reaches `LOG_MAX_SIZE_MB`. Rotated files older than `LOG_RETENTION_DAYS` are deleted.
+ * Lines written before structured logging (`[timestamp] message`) are still read as
+ * `info` entries.
+ *
+ * @requires ./jobRuns - Job run capture
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { captureJobLog, currentJobRunId } = require("./jobRuns");
+
+// Most severe first
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+// Log sources and their labels
+const LOG_SOURCES = {
+  server: "Server",
+  "api-errors": "API errors",
+  "cron-errors": "Cron errors",
+  buyOrders: "Buy orders",
+  sellPositions: "Sell positions",
+  reconciliation: "Reconciliation",
+};
+
+// Page bounds of queryLogs, which keeps offset + limit entries in memory while reading
+const MAX_LOG_LIMIT = 1000;
+const MAX_LOG_OFFSET = 10000;
+
+const DEFAULT_LOGGING_CONFIG = {
+  dir: "./logs",
+  level: "info",
+  maxFileSizeMb: 10,
+  retentionDays: 30,
+};
+
+/**
+ * Reads the logging settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{dir: string, level: string, maxFileSizeMb: number, retentionDays: number}}
+ */
+function loadLoggingConfig(env = process.env) {
+  const level = (env.LOG_LEVEL || DEFAULT_LOGGING_CONFIG.level).toLowerCase();
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(
+      `Unknown LOG_LEVEL "${env.LOG_LEVEL}". Expected one of: ${LOG_LEVELS.join(
+        ", "
+      )}`
+    );
+  }
+  const maxFileSizeMb = parseFloat(
+    env.LOG_MAX_SIZE_MB || DEFAULT_LOGGING_CONFIG.maxFileSizeMb
+  );
+  if (!(maxFileSizeMb > 0)) {
+    throw new Error("LOG_MAX_SIZE_MB must be a positive number");
+  }
+  const retentionDays = parseInt(
+    env.LOG_RETENTION_DAYS != null && env.LOG_RETENTION_DAYS !== ""
+      ? env.LOG_RETENTION_DAYS
+      : DEFAULT_LOGGING_CONFIG.retentionDays
+  );
+  if (!(retentionDays >= 0)) {
+    throw new Error("LOG_RETENTION_DAYS must be 0 (keep all) or more");
+  }
+  return {
+    dir: env.LOG_DIR || DEFAULT_LOGGING_CONFIG.dir,
+    level,
+    maxFileSizeMb,
+    retentionDays,
+  };
+}
+
+/**
+ * Throws unless a log source is known
+ * @param {string} source - Log source
+ */
+function assertLogSource(source) {
+  if (!Object.prototype.hasOwnProperty.call(LOG_SOURCES, source)) {
+    throw new Error(
+      `Unknown log source "${source}". Expected one of: ${Object.keys(
+        LOG_SOURCES
+      ).join(", ")}`
+    );
+  }
+}
+
+/**
+ * Whether an entry of one level passes a minimum level
+ * @param {string} level - Entry level
+ * @param {string} minLevel - Least severe level kept
+ * @returns {boolean}
+ */
+function levelPasses(level, minLevel) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(minLevel);
+}
+
+/**
+ * Rotated files of a source, newest first
+ * @param {string} dir - Log directory
+ * @param {string} source - Log source
+ * @returns {Array<{file: string, date: string}>}
+ */
+function rotatedFiles(dir, source) {
+  const pattern = new RegExp(
+    `^${source}\\.(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.log$`
+  );
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .map((name) => ({ name, match: pattern.exec(name) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({
+      file: path.join(dir, name),
+      date: match[1],
+      sequence: parseInt(match[2] || 0),
+    }))
+    .sort((a, b) =>
+      a.date === b.date ? b.sequence - a.sequence : b.date.localeCompare(a.date)
+    )
+    .map(({ file, date }) => ({ file, date }));
+}
+
+/**
+ * Deletes a source's rotated files past the retention period
+ * @param {string} source - Log source
+ * @param {Object} config - See loadLoggingConfig
+ */
+function pruneRotatedFiles(source, config) {
+  if (config.retentionDays === 0) {
+    return;
+  }
+  const cutoff = new Date(Date.now() - config.retentionDays * 86400000)
+    .toISOString()
+    .slice(0, 10);
+  rotatedFiles(config.dir, source)
+    .filter(({ date }) => date < cutoff)
+    .forEach(({ file }) => fs.rmSync(file, { force: true }));
+}
+
+/**
+ * Rotates a source's file when it was last written on an earlier day or has reached the
+ * size limit
+ * @param {string} source - Log source
+ * @param {Object} config - See loadLoggingConfig
+ */
+function rotateIfNeeded(source, config) {
+  const file = path.join(config.dir, `${source}.log`);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    return;
+  }
+  const fileDate = stat.mtime.toISOString().slice(0, 10);
+  const today = new Date().toISOString().slice(0, 10);
+  if (fileDate === today && stat.size < config.maxFileSizeMb * 1024 * 1024) {
+    return;
+  }
+
+  let target = path.join(config.dir, `${source}.${fileDate}.log`);
+  for (let sequence = 1; fs.existsSync(target); sequence++) {
+    target = path.join(config.dir, `${source}.${fileDate}.${sequence}.log`);
+  }
+  try {
+    fs.renameSync(file, target);
+  } catch (error) {
+    // Another process rotated it first
+    return;
+  }
+  pruneRotatedFiles(source, config);
+}
+
+/**
+ * Creates a logger for one source
+ * @param {string} source - Key of LOG_SOURCES
+ * @param {Object} [config] - See loadLoggingConfig
+ * @returns {{log: function(string, string, Object=): void, error: function(string, Object=): void,
+ * warn: function(string, Object=): void, info: function(string, Object=): void,
+ * debug: function(string, Object=): void}} Each takes the message and optional fields,
+ * e.g. `{symbol: "AAPL"}`
+ */
+function createLogger(source, config = loadLoggingConfig()) {
+  assertLogSource(source);
+  // The directory is created and old files pruned on the first write
+  let dirReady = false;
+
+  /**
+   * Writes one entry
+   * @param {string} level - Entry level
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Extra fields, e.g. `symbol`
+   */
+  function log(level, message, fields = {}) {
+    if (!levelPasses(level, config.level)) {
+      return;
+    }
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      source,
+      message,
+      ...fields,
+    };
+    const runId = currentJobRunId();
+    if (runId != null && entry.runId === undefined) {
+      entry.runId = runId;
+    }
+
+    try {
+      if (!dirReady) {
+        fs.mkdirSync(config.dir, { recursive: true });
+        pruneRotatedFiles(source, config);
+        dirReady = true;
+      }
+      rotateIfNeeded(source, config);
+      fs.appendFileSync(
+        path.join(config.dir, `${source}.log`),
+        `${JSON.stringify(entry)}\n`
+      );
+    } catch (error) {
+      console.error(`Error writing the ${source} log: ${error.message}`);
+    }
+    captureJobLog(message);
+    (level === "error" ? console.error : console.log)(
+      `[${entry.timestamp}] ${message}`
+    );
+  }
+
+  return {
+    log,
+    error: (message, fields) => log("error", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    debug: (message, fields) => log("debug", message, fields),
+  };
+}
+
+/**
+ * Parses one log line
+ * @param {string} line - JSON entry, or a `[timestamp] message` line from before
+ * structured logging
+ * @param {string} source - Log source of the file
+ * @returns {Object|null} Null for a blank or unreadable line
+ */
+function parseLogLine(line, source) {
+  if (line.startsWith("{")) {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  }
+  const legacy = /^\[([^\]]+)\] (.*)$/.exec(line);
+  return legacy
+    ? { timestamp: legacy[1], level: "info", source, message: legacy[2] }
+    : null;
+}
+
+/**
+ * Searches the logs, newest entries first. Files are read line by line, so large logs
+ * are not loaded into memory.
+ * @param {Object} [filters]
+ * @param {string[]} [filters.sources] - Log sources, defaults to all
+ * @param {string} [filters.level] - Least severe level returned, e.g. `warn` for
+ * warnings and errors
+ * @param {string} [filters.from] - Earliest timestamp (ISO date or date-time)
+ * @param {string} [filters.to] - Latest timestamp (ISO date or date-time)
+ * @param {string} [filters.symbol] - Only entries about this symbol
+ * @param {number} [filters.runId] - Only entries written by this job run
+ * @param {string} [filters.search] - Only entries whose message contains this text
+ * (case-insensitive)
+ * @param {number} [filters.limit] - Most entries returned, at most MAX_LOG_LIMIT
+ * @param {number} [filters.offset] - Matching entries skipped, at most MAX_LOG_OFFSET
+ * @param {Object} [config] - See loadLoggingConfig
+ * @returns {Promise<{entries: Array<Object>, total: number}>} `total` counts every
+ * matching entry
+ */
+async function queryLogs(
+  {
+    sources = Object.keys(LOG_SOURCES),
+    level = "debug",
+    from = null,
+    to = null,
+    symbol = null,
+    runId = null,
+    search = null,
+    limit = 100,
+    offset = 0,
+  } = {},
+  config = loadLoggingConfig()
+) {
+  sources.forEach(assertLogSource);
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(
+      `Unknown level "${level}". Expected one of: ${LOG_LEVELS.join(", ")}`
+    );
+  }
+  if (!(Number.isInteger(limit) && limit > 0 && limit <= MAX_LOG_LIMIT)) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LOG_LIMIT}`);
+  }
+  if (!(Number.isInteger(offset) && offset >= 0 && offset <= MAX_LOG_OFFSET)) {
+    throw new Error(
+      `offset must be an integer between 0 and ${MAX_LOG_OFFSET}`
+    );
+  }
+  // A bare date as `to` includes that whole day
+  const until = to && to.length === 10 ? `${to}T23:59:59.999Z` : to;
+  const needle = search ? search.toLowerCase() : null;
+  const upperSymbol = symbol ? symbol.toUpperCase() : null;
+
+  const matches = (entry) =>
+    levelPasses(entry.level, level) &&
+    (!from || entry.timestamp >= from) &&
+    (!until || entry.timestamp <= until) &&
+    (!upperSymbol || entry.symbol === upperSymbol) &&
+    (runId == null || entry.runId === runId) &&
+    (!needle || String(entry.message).toLowerCase().includes(needle));
+
+  const keep = offset + limit;
+  let newest = [];
+  let total = 0;
+
+  for (const source of sources) {
+    const files = [
+      { file: path.join(config.dir, `${source}.log`), date: null },
+      ...rotatedFiles(config.dir, source),
+    ].filter(
+      ({ file, date }) =>
+        fs.existsSync(file) && !(from && date && date < from.slice(0, 10))
+    );
+
+    for (const { file } of files) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: "utf8" }),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        const entry = parseLogLine(line, source);
+        if (entry && matches(entry)) {
+          total++;
+          newest.push(entry);
+          if (newest.length > keep + 1000) {
+            newest.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+            newest = newest.slice(0, keep);
+          }
+        }
+      }
+      // Only the newest offset + limit matches can be returned
+      newest.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+      newest = newest.slice(0, keep);
+    }
+  }
+
+  return { entries: newest.slice(offset, keep), total };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  MAX_LOG_LIMIT,
+  MAX_LOG_OFFSET,
+  LOG_SOURCES,
+  DEFAULT_LOGGING_CONFIG,
+  loadLoggingConfig,
+  createLogger,
+  queryLogs,
+};
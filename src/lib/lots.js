@@ -0,0 +1,226 @@
+/**
+ * @file lots.js
+ * @description Tax-lot accounting for holdings.
+ * Every filled buy opens its own lot (a row in `holdings`) with a quantity and cost basis.
+ * Sells consume specific lots, either the ones chosen by the caller or oldest-first (FIFO)
+ * when no choice is given. A partial sell leaves the rest of the lot open, and every
+ * consumption is stored in `lot_sales` together with its realized P&L and its tax
+ * classification (short- or long-term gain or loss). Each lot also keeps the highest price
+ * seen since purchase, for the trailing stop.
+ *
+ * @requires ./database - Shared data-access module
+ * @requires ./sellRules - Holding-period classification
+ */
+
+const { run, all } = require("./database");
+const { classifyGain } = require("./sellRules");
+
+// Quantities below this are treated as fully consumed
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Opens a new lot for a filled buy
+ * @param {Object} lot
+ * @param {string} lot.symbol - Stock symbol
+ * @param {number} lot.quantity - Filled quantity
+ * @param {number} lot.price - Average fill price
+ * @param {string} [lot.acquisitionDate] - ISO date, defaults to now
+ * @returns {Promise<number>} Id of the new lot
+ */
+async function openLot({
+  symbol,
+  quantity,
+  price,
+  acquisitionDate = new Date().toISOString(),
+}) {
+  const result = await run(
+    `
+        INSERT INTO holdings (symbol, quantity, remaining_quantity, acquisition_date, acquisition_price, cost_basis, high_price, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'active')
+    `,
+    [
+      symbol,
+      quantity,
+      quantity,
+      acquisitionDate,
+      price,
+      quantity * price,
+      price,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Fetches open lots, oldest first
+ * @param {string} [symbol] - Restrict to one symbol
+ * @returns {Promise<Array<Object>>} Open lots
+ */
+function getOpenLots(symbol = null) {
+  return all(
+    `
+        SELECT * FROM holdings
+        WHERE status = 'active' AND remaining_quantity > 0
+        ${symbol ? "AND symbol = ?" : ""}
+        ORDER BY acquisition_date ASC, id ASC
+    `,
+    symbol ? [symbol] : []
+  );
+}
+
+/**
+ * Raises the highest price seen of every open lot of a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number} price - Current price
+ * @returns {Promise<number>} Lots updated
+ */
+async function recordHighPrice(symbol, price) {
+  const result = await run(
+    `
+        UPDATE holdings
+        SET high_price = ?
+        WHERE symbol = ? AND status = 'active'
+            AND (high_price IS NULL OR high_price < ?)
+    `,
+    [price, symbol, price]
+  );
+  return result.changes;
+}
+
+/**
+ * Fetches lot sales since a date, for the wash-sale check
+ * @param {string} since - ISO date
+ * @returns {Promise<Array<{symbol: string, saleDate: string, realizedPnl: number|null}>>}
+ */
+function getLotSalesSince(since) {
+  return all(
+    `
+        SELECT symbol, sale_date AS saleDate, realized_pnl AS realizedPnl
+        FROM lot_sales
+        WHERE sale_date >= ?
+        ORDER BY sale_date ASC
+    `,
+    [since]
+  );
+}
+
+/**
+ * Decides how much of each open lot a sale consumes
+ * @param {Array<Object>} openLots - Open lots for one symbol, oldest first
+ * @param {number} quantity - Quantity sold
+ * @param {number[]} [lotIds] - Specific lots to consume, in order. FIFO when omitted.
+ * @returns {{allocations: Array<{lot: Object, quantity: number}>, unallocated: number}}
+ */
+function allocateSale(openLots, quantity, lotIds = null) {
+  const candidates = lotIds
+    ? lotIds.map((id) => openLots.find((lot) => lot.id === id)).filter(Boolean)
+    : openLots;
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of candidates) {
+    if (remaining <= QUANTITY_EPSILON) {
+      break;
+    }
+    const consumed = Math.min(lot.remaining_quantity, remaining);
+    allocations.push({ lot, quantity: consumed });
+    remaining -= consumed;
+  }
+
+  return { allocations, unallocated: Math.max(remaining, 0) };
+}
+
+/**
+ * Consumes lots for a filled sell and stores the realized P&L per lot
+ * @param {Object} sale
+ * @param {string} sale.symbol - Stock symbol
+ * @param {number} sale.quantity - Filled quantity
+ * @param {number} sale.price - Average fill price
+ * @param {number[]} [sale.lotIds] - Specific lots to consume. FIFO when omitted.
+ * @param {string} [sale.orderId] - Alpaca order id
+ * @param {string} [sale.saleDate] - ISO date, defaults to now
+ * @returns {Promise<{sales: Array<{lotId: number, quantity: number, realizedPnl: number,
+ * gainClassification: string|null}>, unallocated: number}>}
+ */
+async function consumeLots({
+  symbol,
+  quantity,
+  price,
+  lotIds = null,
+  orderId = null,
+  saleDate = new Date().toISOString(),
+}) {
+  const openLots = await getOpenLots(symbol);
+  const { allocations, unallocated } = allocateSale(openLots, quantity, lotIds);
+  const sales = [];
+
+  for (const { lot, quantity: consumed } of allocations) {
+    const costBasis =
+      lot.acquisition_price != null ? consumed * lot.acquisition_price : null;
+    const proceeds = consumed * price;
+    const realizedPnl = costBasis != null ? proceeds - costBasis : null;
+    const remaining = lot.remaining_quantity - consumed;
+    const closed = remaining <= QUANTITY_EPSILON;
+    const { term, classification } = classifyGain({
+      acquisitionDate: lot.acquisition_date,
+      saleDate,
+      realizedPnl,
+    });
+
+    await run(
+      `
+            INSERT INTO lot_sales (holding_id, symbol, quantity, sale_price, proceeds, cost_basis, realized_pnl, sale_date, alpaca_order_id,
+                holding_term, gain_classification)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+      [
+        lot.id,
+        symbol,
+        consumed,
+        price,
+        proceeds,
+        costBasis,
+        realizedPnl,
+        saleDate,
+        orderId,
+        term,
+        classification,
+      ]
+    );
+    await run(
+      `
+            UPDATE holdings
+            SET remaining_quantity = ?,
+                realized_pnl = realized_pnl + ?,
+                status = ?,
+                closed_date = ?
+            WHERE id = ?
+        `,
+      [
+        closed ? 0 : remaining,
+        realizedPnl || 0,
+        closed ? "sold" : "active",
+        closed ? saleDate : null,
+        lot.id,
+      ]
+    );
+
+    sales.push({
+      lotId: lot.id,
+      quantity: consumed,
+      realizedPnl,
+      gainClassification: classification,
+    });
+  }
+
+  return { sales, unallocated };
+}
+
+module.exports = {
+  openLot,
+  getOpenLots,
+  recordHighPrice,
+  getLotSalesSince,
+  allocateSale,
+  consumeLots,
+};
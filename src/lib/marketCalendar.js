@@ -0,0 +1,380 @@
+/**
+ * @file marketCalendar.js
+ * @description US equity market calendar for the scheduled trading jobs.
+ * Trading sessions and the open/closed clock come from the broker when it provides them
+ * (`getCalendar` / `getClock`, Alpaca does) and otherwise from the bundled NYSE holiday
+ * rules below. `MARKET_CALENDAR_SOURCE=bundled` always uses the bundled rules. When the
+ * broker cannot be reached the bundled rules are used and a warning is written to the
+ * calendar's logger.
+ *
+ * The bundled rules cover the regular NYSE holidays and early closes. Unscheduled
+ * closures (e.g. a national day of mourning) are only known to the broker calendar.
+ */
+
+const MARKET_TIME_ZONE = "America/New_York";
+const REGULAR_OPEN = "09:30";
+const REGULAR_CLOSE = "16:00";
+const EARLY_CLOSE = "13:00";
+
+const CALENDAR_SOURCES = ["broker", "bundled"];
+
+/**
+ * Date and time of an instant in the market's time zone
+ * @param {Date} [now] - Instant, defaults to now
+ * @returns {{date: string, time: string}} `YYYY-MM-DD` and `HH:MM`
+ */
+function marketDateTime(now = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: MARKET_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(now)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Adds calendar days to an ISO date
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} ISO date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * ISO date of a UTC calendar day
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string}
+ */
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of an ISO date, 0 = Sunday
+ * @param {string} date - ISO date
+ * @returns {number}
+ */
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The nth given weekday of a month; a negative n counts from the end of the month
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the week, 0 = Sunday
+ * @param {number} n - 1 for the first, -1 for the last
+ * @returns {string} ISO date
+ */
+function nthWeekday(year, month, day, n) {
+  if (n > 0) {
+    const first = isoDate(year, month, 1);
+    return addDays(first, ((day - weekday(first) + 7) % 7) + (n - 1) * 7);
+  }
+  const last = isoDate(year, month + 1, 0);
+  return addDays(last, -((weekday(last) - day + 7) % 7) + (n + 1) * 7);
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {string} ISO date
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoDate(year, month, day);
+}
+
+/**
+ * Weekday a fixed-date holiday is observed on: Friday for a Saturday, Monday for a Sunday
+ * @param {string} date - ISO date
+ * @returns {string} ISO date
+ */
+function observed(date) {
+  const day = weekday(date);
+  if (day === 6) {
+    return addDays(date, -1);
+  }
+  if (day === 0) {
+    return addDays(date, 1);
+  }
+  return date;
+}
+
+/**
+ * NYSE holidays of a year
+ * @param {number} year - Year
+ * @returns {Map<string, string>} ISO date to holiday name
+ */
+function nyseHolidays(year) {
+  const holidays = new Map();
+  // New Year's Day on a Saturday is not observed on the Friday before
+  const newYear = isoDate(year, 1, 1);
+  if (weekday(newYear) !== 6) {
+    holidays.set(observed(newYear), "New Year's Day");
+  }
+  holidays.set(nthWeekday(year, 1, 1, 3), "Martin Luther King Jr. Day");
+  holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  holidays.set(addDays(easterSunday(year), -2), "Good Friday");
+  holidays.set(nthWeekday(year, 5, 1, -1), "Memorial Day");
+  if (year >= 2022) {
+    holidays.set(observed(isoDate(year, 6, 19)), "Juneteenth");
+  }
+  holidays.set(observed(isoDate(year, 7, 4)), "Independence Day");
+  holidays.set(nthWeekday(year, 9, 1, 1), "Labor Day");
+  holidays.set(nthWeekday(year, 11, 4, 4), "Thanksgiving Day");
+  holidays.set(observed(isoDate(year, 12, 25)), "Christmas Day");
+  return holidays;
+}
+
+/**
+ * Trading sessions between two dates from the bundled holiday rules
+ * @param {string} start - First ISO date
+ * @param {string} end - Last ISO date
+ * @returns {Array<{date: string, open: string, close: string}>}
+ */
+function bundledSessions(start, end) {
+  const holidays = new Map();
+  const sessions = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const year = parseInt(date.slice(0, 4));
+    if (!holidays.has(year)) {
+      holidays.set(year, nyseHolidays(year));
+    }
+    if (weekday(date) === 0 || weekday(date) === 6) {
+      continue;
+    }
+    if (holidays.get(year).has(date)) {
+      continue;
+    }
+    const earlyClose =
+      date.slice(5) === "07-03" ||
+      date.slice(5) === "12-24" ||
+      date === addDays(nthWeekday(year, 11, 4, 4), 1);
+    sessions.push({
+      date,
+      open: REGULAR_OPEN,
+      close: earlyClose ? EARLY_CLOSE : REGULAR_CLOSE,
+    });
+  }
+  return sessions;
+}
+
+/**
+ * Market clock from the bundled holiday rules
+ * @param {Date} [now] - Instant, defaults to now
+ * @returns {{isOpen: boolean, timestamp: string}}
+ */
+function bundledClock(now = new Date()) {
+  const { date, time } = marketDateTime(now);
+  const [session] = bundledSessions(date, date);
+  return {
+    isOpen: Boolean(session) && time >= session.open && time < session.close,
+    timestamp: now.toISOString(),
+  };
+}
+
+/**
+ * Creates a market calendar
+ * @param {Object} [options]
+ * @param {string} [options.source] - `broker` or `bundled`, defaults to `MARKET_CALENDAR_SOURCE`
+ * @param {Object} [options.broker] - Broker; used when it implements `getCalendar` and `getClock`
+ * @param {Object} [options.logger] - Receives the fallback warnings through `warn(message)`,
+ * e.g. a lib/logger logger bound to the job checking the calendar; defaults to the console
+ * @returns {{source: string, getSessions: function(string, string): Promise<Array<Object>>,
+ * getClock: function(Date=): Promise<Object>, isTradingDay: function(string): Promise<boolean>,
+ * firstTradingDayOfQuarter: function(string): Promise<string|null>}}
+ */
+function createMarketCalendar({
+  source = process.env.MARKET_CALENDAR_SOURCE || "broker",
+  broker = null,
+  logger = console,
+} = {}) {
+  if (!CALENDAR_SOURCES.includes(source)) {
+    throw new Error(
+      `Unknown MARKET_CALENDAR_SOURCE "${source}". Expected one of: ${CALENDAR_SOURCES.join(
+        ", "
+      )}`
+    );
+  }
+  const useBroker =
+    source === "broker" &&
+    broker &&
+    typeof broker.getCalendar === "function" &&
+    typeof broker.getClock === "function";
+
+  /**
+   * Trading sessions between two dates, inclusive
+   * @param {string} start - First ISO date
+   * @param {string} end - Last ISO date
+   * @returns {Promise<Array<{date: string, open: string, close: string}>>}
+   */
+  async function getSessions(start, end) {
+    if (useBroker) {
+      try {
+        return await broker.getCalendar({ start, end });
+      } catch (error) {
+        logger.warn(
+          `${broker.name} market calendar unavailable, using the bundled holidays: ${error.message}`
+        );
+      }
+    }
+    return bundledSessions(start, end);
+  }
+
+  /**
+   * Whether the market is open
+   * @param {Date} [now] - Instant, defaults to now; the broker clock always uses now
+   * @returns {Promise<{isOpen: boolean, timestamp: string}>}
+   */
+  async function getClock(now = new Date()) {
+    if (useBroker) {
+      try {
+        return await broker.getClock();
+      } catch (error) {
+        logger.warn(
+          `${broker.name} market clock unavailable, using the bundled holidays: ${error.message}`
+        );
+      }
+    }
+    return bundledClock(now);
+  }
+
+  /**
+   * Whether a date has a trading session
+   * @param {string} date - ISO date
+   * @returns {Promise<boolean>}
+   */
+  async function isTradingDay(date) {
+    const sessions = await getSessions(date, date);
+    return sessions.some((session) => session.date === date);
+  }
+
+  /**
+   * First trading day of the calendar quarter a date falls in
+   * @param {string} date - ISO date
+   * @returns {Promise<string|null>}
+   */
+  async function firstTradingDayOfQuarter(date) {
+    const month = Math.floor((parseInt(date.slice(5, 7)) - 1) / 3) * 3 + 1;
+    const quarterStart = isoDate(parseInt(date.slice(0, 4)), month, 1);
+    const sessions = await getSessions(quarterStart, addDays(quarterStart, 14));
+    return sessions.length > 0 ? sessions[0].date : null;
+  }
+
+  return {
+    source: useBroker ? "broker" : "bundled",
+    getSessions,
+    getClock,
+    isTradingDay,
+    firstTradingDayOfQuarter,
+  };
+}
+
+/**
+ * Whether a scheduled trading job may run now: the market must be open and, for the
+ * quarterly buy, today must be the first trading day of the quarter. A quarterly buy
+ * that did not complete on that day (e.g. it was skipped because the calendar check
+ * failed) runs on a later session instead, when `hasRunSince` says it has not run yet.
+ * @param {Object} calendar - See createMarketCalendar
+ * @param {Object} [options]
+ * @param {boolean} [options.quarterly] - Only run on the first trading day of the quarter
+ * @param {function(string): Promise<boolean>} [options.hasRunSince] - Whether the quarterly
+ * job completed on or after an ISO date; without it a missed day is not caught up
+ * @param {boolean} [options.requireOpen] - When false, any time on a trading day will do,
+ * e.g. for jobs that run after the close
+ * @param {Date} [options.now] - Instant, defaults to now
+ * @returns {Promise<{run: boolean, reason: string|null}>} When a missed quarterly run is
+ * caught up, `run` is true and `reason` says so
+ */
+async function checkTradingWindow(
+  calendar,
+  {
+    quarterly = false,
+    hasRunSince = null,
+    requireOpen = true,
+    now = new Date(),
+  } = {}
+) {
+  const { date } = marketDateTime(now);
+  let catchUpReason = null;
+  if (quarterly) {
+    const firstTradingDay = await calendar.firstTradingDayOfQuarter(date);
+    const notFirstTradingDay = {
+      run: false,
+      reason: `${date} is not the first trading day of the quarter (${
+        firstTradingDay || "unknown"
+      })`,
+    };
+    if (!firstTradingDay || date < firstTradingDay) {
+      return notFirstTradingDay;
+    }
+    if (date > firstTradingDay) {
+      if (!hasRunSince) {
+        return notFirstTradingDay;
+      }
+      if (await hasRunSince(firstTradingDay)) {
+        return {
+          run: false,
+          reason: `The quarterly run already completed on or after ${firstTradingDay}`,
+        };
+      }
+      catchUpReason = `Catching up on the quarterly run missed on ${firstTradingDay}`;
+    }
+  }
+  if (!requireOpen) {
+    return (await calendar.isTradingDay(date))
+      ? { run: true, reason: catchUpReason }
+      : { run: false, reason: `${date} is not a trading day` };
+  }
+  const clock = await calendar.getClock(now);
+  if (!clock.isOpen) {
+    return {
+      run: false,
+      reason: (await calendar.isTradingDay(date))
+        ? "The market is not open at this time"
+        : `${date} is not a trading day`,
+    };
+  }
+  return { run: true, reason: catchUpReason };
+}
+
+module.exports = {
+  CALENDAR_SOURCES,
+  marketDateTime,
+  nyseHolidays,
+  bundledSessions,
+  createMarketCalendar,
+  checkTradingWindow,
+};
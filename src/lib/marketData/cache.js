@@ -0,0 +1,74 @@
+/**
+ * @file cache.js
+ * @description On-disk response cache for market-data providers. Each call is stored as
+ * a JSON file keyed by provider, method and arguments, and reused until its TTL expires,
+ * so rerunning a job on the same day does not spend API quota again. When a refresh
+ * fails, an expired entry is served instead, so a provider outage only costs freshness.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Wraps a provider so every listed method goes through the cache
+ * @param {Object} provider - Market-data provider
+ * @param {Object} options
+ * @param {string} options.dir - Cache directory
+ * @param {Object<string, number>} options.ttlMs - TTL per method name; 0 disables caching
+ * for that method
+ * @returns {Object} Provider with the same interface
+ */
+function createCachedProvider(provider, { dir, ttlMs }) {
+  const cached = { ...provider };
+
+  Object.entries(ttlMs).forEach(([method, ttl]) => {
+    if (typeof provider[method] !== "function" || !(ttl > 0)) {
+      return;
+    }
+
+    cached[method] = async (...args) => {
+      const key = crypto
+        .createHash("sha1")
+        .update(JSON.stringify(args))
+        .digest("hex");
+      const filePath = path.join(dir, provider.name, method, `${key}.json`);
+
+      let entry = null;
+      if (fs.existsSync(filePath)) {
+        try {
+          entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (error) {
+          entry = null; // Corrupt entry, refetch
+        }
+      }
+      if (entry && Date.now() - new Date(entry.fetchedAt).getTime() < ttl) {
+        return entry.data;
+      }
+
+      let data;
+      try {
+        data = await provider[method](...args);
+      } catch (error) {
+        if (entry) {
+          console.warn(
+            `${provider.name}.${method} failed (${error.message}); using cached data from ${entry.fetchedAt}`
+          );
+          return entry.data;
+        }
+        throw error;
+      }
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify({ fetchedAt: new Date().toISOString(), args, data })
+      );
+      return data;
+    };
+  });
+
+  return cached;
+}
+
+module.exports = { createCachedProvider };
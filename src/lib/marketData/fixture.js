@@ -0,0 +1,90 @@
+/**
+ * @file fixture.js
+ * @description File-based market-data provider for offline runs. Reads FMP-shaped JSON
+ * from a fixture directory:
+ * - `screener.json` - stock screener rows (`symbol`, `marketCap`, `exchange`/`exchangeShortName`, ...)
+ * - `key-metrics/<SYMBOL>.json` - key-metrics rows, newest first
+ * - `prices/<SYMBOL>.json` - daily closes, as an array or FMP's `{symbol, historical}` shape
+ * - `quotes.json` - `{ "SYMBOL": price }` or an array of FMP quote objects
+ *
+ * Screener filters are applied here, so one fixture serves any configuration.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reads a JSON file from the fixture directory
+ * @param {string} filePath - File to read
+ * @returns {*} Parsed content
+ */
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Market-data fixture not found: ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Creates a fixture provider
+ * @param {Object} options
+ * @param {string} options.dir - Fixture directory
+ * @returns {Object} Market-data provider
+ */
+function createFixtureProvider({ dir }) {
+  return {
+    name: "fixture",
+
+    async screenStocks({
+      exchange,
+      marketCapMoreThan,
+      marketCapLowerThan,
+      limit,
+    }) {
+      const stocks = readJson(path.join(dir, "screener.json"))
+        .map((stock) => ({
+          ...stock,
+          exchange: stock.exchangeShortName || stock.exchange,
+        }))
+        .filter((stock) => !exchange || stock.exchange === exchange)
+        .filter(
+          (stock) =>
+            !marketCapMoreThan ||
+            stock.marketCap > parseFloat(marketCapMoreThan)
+        )
+        .filter(
+          (stock) =>
+            !marketCapLowerThan ||
+            stock.marketCap < parseFloat(marketCapLowerThan)
+        )
+        .sort((a, b) => b.marketCap - a.marketCap); // Largest first, like FMP
+      return limit ? stocks.slice(0, limit) : stocks;
+    },
+
+    async getKeyMetrics(symbol, { limit } = {}) {
+      const rows = readJson(path.join(dir, "key-metrics", `${symbol}.json`));
+      return limit ? rows.slice(0, limit) : rows;
+    },
+
+    async getHistoricalPrices(symbol, { from, to } = {}) {
+      const data = readJson(path.join(dir, "prices", `${symbol}.json`));
+      return (Array.isArray(data) ? data : data.historical || [])
+        .map((row) => ({ date: row.date, close: parseFloat(row.close) }))
+        .filter((row) => (!from || row.date >= from) && (!to || row.date <= to))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    async getQuote(symbol) {
+      const quotes = readJson(path.join(dir, "quotes.json"));
+      const quote = Array.isArray(quotes)
+        ? quotes.find((q) => q.symbol === symbol)
+        : quotes[symbol] != null && { price: quotes[symbol] };
+      if (!quote) {
+        throw new Error(`No fixture quote for ${symbol}`);
+      }
+      return { symbol, price: parseFloat(quote.price), timestamp: null };
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
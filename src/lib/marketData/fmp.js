@@ -0,0 +1,102 @@
+/**
+ * @file fmp.js
+ * @description Market-data provider for Financial Modeling Prep.
+ *
+ * @requires axios - For making HTTP requests to FMP API
+ */
+
+const axios = require("axios");
+
+// FMP API endpoints
+const FMP_API_BASE_URL = "https://financialmodelingprep.com/api/v3";
+
+/**
+ * Creates an FMP provider
+ * @param {Object} options
+ * @param {string} options.apiKey - FMP_API_KEY
+ * @param {string} [options.baseUrl] - API base URL
+ * @returns {Object} Market-data provider
+ */
+function createFmpProvider({ apiKey, baseUrl = FMP_API_BASE_URL }) {
+  /**
+   * Calls an FMP endpoint. FMP reports some errors (bad key, plan limits) with a 200
+   * status and an "Error Message" body, so those are turned into errors too.
+   * @param {string} endpoint - Path below the base URL
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<*>} Response body
+   */
+  async function request(endpoint, params = {}) {
+    const response = await axios.get(`${baseUrl}${endpoint}`, {
+      params: { ...params, apikey: apiKey },
+    });
+    if (response.data && response.data["Error Message"]) {
+      throw new Error(`FMP ${endpoint}: ${response.data["Error Message"]}`);
+    }
+    return response.data;
+  }
+
+  return {
+    name: "fmp",
+
+    async screenStocks({
+      exchange,
+      marketCapMoreThan,
+      marketCapLowerThan,
+      limit,
+    }) {
+      // FMP returns the largest companies first
+      const stocks = await request("/stock-screener", {
+        exchange,
+        marketCapMoreThan,
+        marketCapLowerThan,
+        isActivelyTrading: true,
+        limit,
+      });
+      return stocks.map((stock) => ({
+        symbol: stock.symbol,
+        companyName: stock.companyName,
+        marketCap: stock.marketCap,
+        price: stock.price,
+        volume: stock.volume,
+        avgVolume: stock.avgVolume,
+        exchange: stock.exchangeShortName || stock.exchange,
+        sector: stock.sector,
+        industry: stock.industry,
+        country: stock.country,
+        isEtf: stock.isEtf,
+        isFund: stock.isFund,
+      }));
+    },
+
+    async getKeyMetrics(symbol, { period = "quarter", limit } = {}) {
+      return request(`/key-metrics/${symbol}`, { period, limit });
+    },
+
+    async getHistoricalPrices(symbol, { from, to } = {}) {
+      const data = await request(`/historical-price-full/${symbol}`, {
+        from,
+        to,
+        serietype: "line",
+      });
+      return (data.historical || [])
+        .map((row) => ({ date: row.date, close: parseFloat(row.close) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    async getQuote(symbol) {
+      const [quote] = await request(`/quote/${symbol}`);
+      if (!quote) {
+        throw new Error(`FMP returned no quote for ${symbol}`);
+      }
+      return {
+        symbol,
+        price: parseFloat(quote.price),
+        timestamp: quote.timestamp
+          ? new Date(quote.timestamp * 1000).toISOString()
+          : null,
+      };
+    },
+  };
+}
+
+module.exports = { createFmpProvider };
@@ -0,0 +1,92 @@
+/**
+ * @file index.js
+ * @description Market-data provider selection. The trading scripts fetch screener rows,
+ * key metrics and quotes only through this interface:
+ *
+ * - `screenStocks({exchange, marketCapMoreThan, marketCapLowerThan, limit})` → `[{symbol,
+ *   companyName, marketCap, price, volume, avgVolume, exchange, sector, industry, country,
+ *   isEtf, isFund}]`, largest market cap first
+ * - `getKeyMetrics(symbol, {period = "quarter", limit})` → FMP key-metrics rows, newest first
+ * - `getHistoricalPrices(symbol, {from, to})` → `[{date, close}]`, oldest first
+ * - `getQuote(symbol)` → `{symbol, price, timestamp}`
+ *
+ * `MARKET_DATA_PROVIDER` selects the implementation: `fmp` (default) or `fixture`
+ * (reads `MARKET_DATA_FIXTURE_DIR`). Network providers are wrapped in the on-disk cache
+ * in `MARKET_DATA_CACHE_DIR`.
+ *
+ * @requires dotenv - For environment variable management
+ */
+
+require("dotenv").config();
+const path = require("path");
+const { createFmpProvider } = require("./fmp");
+const { createFixtureProvider } = require("./fixture");
+const { createCachedProvider } = require("./cache");
+
+const PROVIDERS = ["fmp", "fixture"];
+
+// Relative directories are resolved against the project root, not the working directory
+const PROJECT_ROOT = path.join(__dirname, "../../..");
+
+/**
+ * Creates the market-data provider configured in the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Market-data provider
+ */
+function createMarketDataProvider(env = process.env) {
+  const name = (env.MARKET_DATA_PROVIDER || "fmp").toLowerCase();
+
+  if (name === "fixture") {
+    if (!env.MARKET_DATA_FIXTURE_DIR) {
+      throw new Error(
+        "MARKET_DATA_PROVIDER=fixture requires MARKET_DATA_FIXTURE_DIR"
+      );
+    }
+    return createFixtureProvider({
+      dir: path.resolve(PROJECT_ROOT, env.MARKET_DATA_FIXTURE_DIR),
+    });
+  }
+  if (name !== "fmp") {
+    throw new Error(
+      `Unknown MARKET_DATA_PROVIDER "${
+        env.MARKET_DATA_PROVIDER
+      }". Expected one of: ${PROVIDERS.join(", ")}`
+    );
+  }
+
+  const ttlHours = parseFloat(env.MARKET_DATA_CACHE_TTL_HOURS || 20);
+  const quoteTtlMinutes = parseFloat(
+    env.MARKET_DATA_QUOTE_CACHE_TTL_MINUTES || 15
+  );
+  return createCachedProvider(createFmpProvider({ apiKey: env.FMP_API_KEY }), {
+    dir: path.resolve(
+      PROJECT_ROOT,
+      env.MARKET_DATA_CACHE_DIR || "./cache/market-data"
+    ),
+    ttlMs: {
+      screenStocks: ttlHours * 60 * 60 * 1000,
+      getKeyMetrics: ttlHours * 60 * 60 * 1000,
+      getHistoricalPrices: ttlHours * 60 * 60 * 1000,
+      getQuote: quoteTtlMinutes * 60 * 1000,
+    },
+  });
+}
+
+let defaultProvider = null;
+
+/**
+ * The market-data provider configured in the environment, created on first use
+ * @returns {Object} Market-data provider
+ */
+function getMarketDataProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createMarketDataProvider();
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  PROVIDERS,
+  createMarketDataProvider,
+  getMarketDataProvider,
+};
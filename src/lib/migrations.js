@@ -0,0 +1,562 @@
+/**
+ * @file migrations.js
+ * @description Versioned schema migrations, applied in order by `database.js`.
+ * Append new migrations to the end of the list with the next version number and never
+ * edit one that has shipped. Each `up` receives the promise-based query helpers and
+ * runs inside a transaction.
+ */
+
+/**
+ * Adds a column unless the table already has it
+ * @param {Object} helpers - Query helpers
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+async function addColumnIfMissing({ all, run }, table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some((c) => c.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = [
+  {
+    version: 1,
+    name: "baseline schema",
+    // Databases created before migrations existed may have any subset of these
+    // tables and columns, depending on which process created them first
+    up: async (helpers) => {
+      const { run } = helpers;
+
+      await run(`
+                CREATE TABLE IF NOT EXISTS holdings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    symbol TEXT NOT NULL,
+                    quantity REAL NOT NULL,
+                    remaining_quantity REAL,
+                    acquisition_date TEXT NOT NULL,
+                    acquisition_price REAL,
+                    cost_basis REAL,
+                    realized_pnl REAL NOT NULL DEFAULT 0,
+                    status TEXT NOT NULL CHECK(status IN ('active', 'sold')),
+                    closed_date TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await addColumnIfMissing(
+        helpers,
+        "holdings",
+        "acquisition_price",
+        "REAL"
+      );
+      await addColumnIfMissing(
+        helpers,
+        "holdings",
+        "remaining_quantity",
+        "REAL"
+      );
+      await addColumnIfMissing(helpers, "holdings", "cost_basis", "REAL");
+      await addColumnIfMissing(
+        helpers,
+        "holdings",
+        "realized_pnl",
+        "REAL NOT NULL DEFAULT 0"
+      );
+      await addColumnIfMissing(helpers, "holdings", "closed_date", "TEXT");
+      // SQLite cannot add a column with a non-constant default
+      await addColumnIfMissing(helpers, "holdings", "created_at", "DATETIME");
+      await run(`
+                UPDATE holdings
+                SET remaining_quantity = CASE WHEN status = 'active' THEN quantity ELSE 0 END,
+                    cost_basis = quantity * acquisition_price
+                WHERE remaining_quantity IS NULL
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_holdings_symbol_status ON holdings (symbol, status)`
+      );
+
+      await run(`
+                CREATE TABLE IF NOT EXISTS transactions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    symbol TEXT NOT NULL,
+                    action TEXT NOT NULL CHECK(action IN ('buy', 'sell')),
+                    quantity REAL NOT NULL,
+                    price REAL NOT NULL,
+                    total_amount REAL NOT NULL,
+                    transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    notes TEXT,
+                    alpaca_order_id TEXT
+                )
+            `);
+      await addColumnIfMissing(
+        helpers,
+        "transactions",
+        "alpaca_order_id",
+        "TEXT"
+      );
+
+      await run(`
+                CREATE TABLE IF NOT EXISTS cron_jobs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    job_name TEXT NOT NULL,
+                    schedule TEXT NOT NULL,
+                    script_path TEXT NOT NULL,
+                    last_run DATETIME,
+                    status TEXT DEFAULT 'active',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+      await run(`
+                CREATE TABLE IF NOT EXISTS orders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    alpaca_order_id TEXT UNIQUE NOT NULL,
+                    symbol TEXT NOT NULL,
+                    side TEXT NOT NULL CHECK(side IN ('buy', 'sell')),
+                    requested_qty REAL NOT NULL,
+                    filled_qty REAL NOT NULL DEFAULT 0,
+                    filled_avg_price REAL,
+                    status TEXT NOT NULL,
+                    notes TEXT,
+                    lot_ids TEXT,
+                    applied INTEGER NOT NULL DEFAULT 0,
+                    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await addColumnIfMissing(helpers, "orders", "lot_ids", "TEXT");
+
+      await run(`
+                CREATE TABLE IF NOT EXISTS lot_sales (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    holding_id INTEGER NOT NULL REFERENCES holdings(id),
+                    symbol TEXT NOT NULL,
+                    quantity REAL NOT NULL,
+                    sale_price REAL NOT NULL,
+                    proceeds REAL NOT NULL,
+                    cost_basis REAL,
+                    realized_pnl REAL,
+                    sale_date TEXT NOT NULL,
+                    alpaca_order_id TEXT
+                )
+            `);
+    },
+  },
+  {
+    version: 2,
+    name: "paper broker",
+    // State of the local simulated broker (BROKER=paper)
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS paper_account (
+                    id INTEGER PRIMARY KEY CHECK(id = 1),
+                    cash REAL NOT NULL,
+                    initial_cash REAL NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS paper_positions (
+                    symbol TEXT PRIMARY KEY,
+                    qty REAL NOT NULL,
+                    avg_entry_price REAL NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS paper_orders (
+                    id TEXT PRIMARY KEY,
+                    symbol TEXT NOT NULL,
+                    side TEXT NOT NULL CHECK(side IN ('buy', 'sell')),
+                    qty REAL NOT NULL,
+                    type TEXT NOT NULL,
+                    time_in_force TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    filled_qty REAL NOT NULL DEFAULT 0,
+                    filled_avg_price REAL,
+                    reject_reason TEXT,
+                    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    filled_at DATETIME
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS paper_prices (
+                    symbol TEXT PRIMARY KEY,
+                    price REAL NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+    },
+  },
+  {
+    version: 3,
+    name: "universe snapshots",
+    // Every candidate the universe builder saw in a quarterly run, with why it was excluded
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS universe_snapshots (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    quarter TEXT NOT NULL,
+                    config TEXT NOT NULL,
+                    candidate_count INTEGER NOT NULL,
+                    included_count INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_universe_snapshots_quarter ON universe_snapshots (quarter)`
+      );
+      await run(`
+                CREATE TABLE IF NOT EXISTS universe_members (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    snapshot_id INTEGER NOT NULL REFERENCES universe_snapshots(id),
+                    symbol TEXT NOT NULL,
+                    company_name TEXT,
+                    exchange TEXT,
+                    sector TEXT,
+                    country TEXT,
+                    market_cap REAL,
+                    dollar_volume REAL,
+                    included INTEGER NOT NULL,
+                    exclusion_reason TEXT
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_universe_members_snapshot ON universe_members (snapshot_id, included)`
+      );
+    },
+  },
+  {
+    version: 4,
+    name: "ranking runs",
+    // Every quarterly ranking with each symbol's raw factors, ranks and outcome
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS ranking_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    universe_snapshot_id INTEGER REFERENCES universe_snapshots(id),
+                    config TEXT NOT NULL,
+                    universe_size INTEGER NOT NULL,
+                    ranked_count INTEGER NOT NULL,
+                    excluded_count INTEGER NOT NULL,
+                    selected_count INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS ranking_entries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    run_id INTEGER NOT NULL REFERENCES ranking_runs(id),
+                    symbol TEXT NOT NULL,
+                    sector TEXT,
+                    position INTEGER,
+                    earnings_yield REAL,
+                    return_on_capital REAL,
+                    free_cash_flow_yield REAL,
+                    momentum REAL,
+                    debt_to_equity REAL,
+                    factor_ranks TEXT,
+                    ey_rank INTEGER,
+                    roc_rank INTEGER,
+                    combined_rank REAL,
+                    status TEXT NOT NULL CHECK(status IN ('excluded', 'ranked', 'selected', 'skipped', 'ordered')),
+                    note TEXT,
+                    order_id TEXT
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_ranking_entries_run ON ranking_entries (run_id, position)`
+      );
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_ranking_entries_symbol ON ranking_entries (symbol)`
+      );
+    },
+  },
+  {
+    version: 5,
+    name: "tax classification",
+    // Holding period and gain/loss classification of every lot sale
+    up: async (helpers) => {
+      const { run } = helpers;
+      await addColumnIfMissing(helpers, "lot_sales", "holding_term", "TEXT");
+      await addColumnIfMissing(
+        helpers,
+        "lot_sales",
+        "gain_classification",
+        "TEXT"
+      );
+      // Long-term when sold after the anniversary of the purchase
+      await run(`
+                UPDATE lot_sales
+                SET holding_term = (
+                    SELECT CASE WHEN date(lot_sales.sale_date) > date(holdings.acquisition_date, '+1 year')
+                        THEN 'long' ELSE 'short' END
+                    FROM holdings
+                    WHERE holdings.id = lot_sales.holding_id
+                )
+                WHERE holding_term IS NULL
+            `);
+      await run(`
+                UPDATE lot_sales
+                SET gain_classification = holding_term || '-term-' ||
+                    CASE WHEN realized_pnl < 0 THEN 'loss' ELSE 'gain' END
+                WHERE gain_classification IS NULL AND holding_term IS NOT NULL AND realized_pnl IS NOT NULL
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_lot_sales_symbol_date ON lot_sales (symbol, sale_date)`
+      );
+    },
+  },
+  {
+    version: 6,
+    name: "lot high prices",
+    // Highest price seen since purchase, for the trailing stop
+    up: async (helpers) => {
+      await addColumnIfMissing(helpers, "holdings", "high_price", "REAL");
+      await helpers.run(`
+                UPDATE holdings
+                SET high_price = acquisition_price
+                WHERE high_price IS NULL
+            `);
+    },
+  },
+  {
+    version: 7,
+    name: "job runs",
+    // History of every in-process job run, and one cron_jobs row per scheduled job
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS job_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    job_name TEXT NOT NULL,
+                    trigger TEXT NOT NULL,
+                    status TEXT NOT NULL CHECK(status IN ('running', 'succeeded', 'partial', 'failed', 'skipped')),
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT,
+                    duration_ms INTEGER,
+                    orders_placed INTEGER NOT NULL DEFAULT 0,
+                    errors TEXT,
+                    result TEXT,
+                    log TEXT
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs (job_name, started_at)`
+      );
+
+      // cron_jobs was created but never filled; keep one row per job
+      await run(`
+                DELETE FROM cron_jobs
+                WHERE id NOT IN (SELECT MIN(id) FROM cron_jobs GROUP BY job_name)
+            `);
+      await run(
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_cron_jobs_name ON cron_jobs (job_name)`
+      );
+      const jobs = [
+        ["buyPositions", "45 9 1-7 1,4,7,10 *", "src/scripts/buyPositions.js"],
+        ["sellPositions", "0 10 * * 1-5", "src/scripts/sellPositions.js"],
+        ["reconcileOrders", "30 16 * * 1-5", "src/scripts/reconcileOrders.js"],
+      ];
+      for (const [jobName, schedule, scriptPath] of jobs) {
+        await run(
+          `INSERT OR IGNORE INTO cron_jobs (job_name, schedule, script_path) VALUES (?, ?, ?)`,
+          [jobName, schedule, scriptPath]
+        );
+      }
+    },
+  },
+  {
+    version: 8,
+    name: "editable cron schedules",
+    // Schedules are loaded from cron_jobs at startup; every change is audited
+    up: async (helpers) => {
+      const { run } = helpers;
+      await addColumnIfMissing(
+        helpers,
+        "cron_jobs",
+        "timezone",
+        "TEXT NOT NULL DEFAULT 'America/New_York'"
+      );
+      await addColumnIfMissing(helpers, "cron_jobs", "updated_at", "DATETIME");
+      await run(
+        `INSERT OR IGNORE INTO cron_jobs (job_name, schedule, script_path) VALUES (?, ?, ?)`,
+        ["healthCheck", "0 * * * *", "src/server.js"]
+      );
+
+      await run(`
+                CREATE TABLE IF NOT EXISTS cron_job_changes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    job_name TEXT NOT NULL,
+                    action TEXT NOT NULL CHECK(action IN ('update', 'pause', 'resume', 'run')),
+                    changed_by TEXT NOT NULL,
+                    old_value TEXT,
+                    new_value TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_cron_job_changes_job ON cron_job_changes (job_name, created_at)`
+      );
+    },
+  },
+  {
+    version: 9,
+    name: "job locks",
+    // One lock row per running job, and one key per executed quarterly buy batch
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS job_locks (
+                    job_name TEXT PRIMARY KEY,
+                    owner TEXT NOT NULL,
+                    acquired_at TEXT NOT NULL,
+                    heartbeat_at TEXT NOT NULL
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    idempotency_key TEXT PRIMARY KEY,
+                    job_name TEXT NOT NULL,
+                    owner TEXT NOT NULL,
+                    claimed_at TEXT NOT NULL,
+                    forced INTEGER NOT NULL DEFAULT 0
+                )
+            `);
+    },
+  },
+  {
+    version: 10,
+    name: "authentication",
+    // Dashboard users, login sessions, API tokens and the audit log of authenticated actions
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL UNIQUE,
+                    password_hash TEXT NOT NULL,
+                    role TEXT NOT NULL CHECK(role IN ('viewer', 'operator')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id_hash TEXT PRIMARY KEY,
+                    user_id INTEGER NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users (id)
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS api_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    role TEXT NOT NULL CHECK(role IN ('viewer', 'operator')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_used_at TEXT,
+                    revoked_at TEXT
+                )
+            `);
+      await run(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor TEXT NOT NULL,
+                    role TEXT,
+                    action TEXT NOT NULL CHECK(action IN ('login', 'login_failed', 'logout', 'request')),
+                    method TEXT,
+                    path TEXT,
+                    status_code INTEGER,
+                    ip TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)`
+      );
+    },
+  },
+  {
+    version: 11,
+    name: "portfolio snapshots",
+    // One valuation of the open lots per market date, taken after the close
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    snapshot_date DATE NOT NULL UNIQUE,
+                    valued_at DATETIME NOT NULL,
+                    market_value DECIMAL(15,2) NOT NULL,
+                    cost_basis DECIMAL(15,2) NOT NULL,
+                    unrealized_pnl DECIMAL(15,2) NOT NULL,
+                    realized_pnl DECIMAL(15,2) NOT NULL,
+                    cash DECIMAL(15,2),
+                    equity DECIMAL(15,2),
+                    lots INTEGER NOT NULL,
+                    missing_prices TEXT
+                )
+            `);
+      await run(
+        `INSERT OR IGNORE INTO cron_jobs (job_name, schedule, script_path) VALUES (?, ?, ?)`,
+        ["portfolioSnapshot", "45 16 * * 1-5", "src/lib/valuation.js"]
+      );
+    },
+  },
+  {
+    version: 12,
+    name: "cash flows",
+    // Deposits and withdrawals, kept out of the time-weighted return
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS cash_flows (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    flow_date DATE NOT NULL,
+                    amount DECIMAL(15,2) NOT NULL,
+                    note TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+      await run(
+        `CREATE INDEX IF NOT EXISTS idx_cash_flows_date ON cash_flows (flow_date)`
+      );
+    },
+  },
+  {
+    version: 13,
+    name: "notification digest",
+    // Notifications routed to the digest wait here for the daily digest job
+    up: async ({ run }) => {
+      await run(`
+                CREATE TABLE IF NOT EXISTS notification_digest (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event TEXT NOT NULL,
+                    subject TEXT NOT NULL,
+                    text TEXT,
+                    data TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    sent_at DATETIME
+                )
+            `);
+      await run(
+        `INSERT OR IGNORE INTO cron_jobs (job_name, schedule, script_path) VALUES (?, ?, ?)`,
+        ["notificationDigest", "0 17 * * 1-5", "src/lib/notifications/index.js"]
+      );
+    },
+  },
+  {
+    version: 14,
+    name: "order fill times",
+    // When each order filled, so lots applied later are dated by the fill
+    up: async (helpers) => {
+      await addColumnIfMissing(helpers, "orders", "filled_at", "DATETIME");
+    },
+  },
+  {
+    version: 15,
+    name: "order replacements",
+    // The order that took over a replaced order's fills
+    up: async (helpers) => {
+      await addColumnIfMissing(helpers, "orders", "replaced_by", "TEXT");
+    },
+  },
+];
@@ -0,0 +1,38 @@
+/**
+ * @file email.js
+ * @description Email channel. Sends the HTML message through any SMTP server
+ * (`SMTP_HOST`), or through Gmail with `EMAIL_FROM` and an app password in `EMAIL_PASS`
+ * when no SMTP server is set.
+ *
+ * @requires nodemailer - For sending email
+ */
+
+const nodemailer = require("nodemailer");
+
+/**
+ * Creates an email channel
+ * @param {Object} options
+ * @param {string} options.from - Sender address
+ * @param {string} options.to - Recipients, comma-separated
+ * @param {string} [options.host] - SMTP server; Gmail when not set
+ * @param {number} [options.port] - SMTP port
+ * @param {boolean} [options.secure] - Use TLS from the start (port 465)
+ * @param {string} [options.user] - SMTP user, defaults to `from`
+ * @param {string} [options.pass] - SMTP password
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createEmailChannel({ from, to, host, port, secure, user, pass }) {
+  const auth = pass ? { user: user || from, pass } : undefined;
+  const transporter = nodemailer.createTransport(
+    host ? { host, port, secure, auth } : { service: "gmail", auth }
+  );
+
+  return {
+    name: "email",
+    async send({ subject, html, text }) {
+      await transporter.sendMail({ from, to, subject, html, text });
+    },
+  };
+}
+
+module.exports = { createEmailChannel };
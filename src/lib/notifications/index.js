@@ -0,0 +1,354 @@
+/**
+ * @file index.js
+ * @description Notifications. The trading scripts and the server raise events; each
+ * event is rendered from the shared templates (see ./templates) and routed to channels:
+ *
+ * - `email` - SMTP (`SMTP_HOST`) or Gmail, to `EMAIL_TO`
+ * - `slack`, `discord` - chat webhooks (`SLACK_WEBHOOK_URL`, `DISCORD_WEBHOOK_URL`)
+ * - `webhook` - the notification as JSON to `NOTIFY_WEBHOOK_URL`
+ * - `outbox` - one JSON file per notification in `NOTIFY_OUTBOX_DIR`
+ * - `digest` - queued in `notification_digest` and sent as one message by the
+ *   `notificationDigest` job to `NOTIFY_DIGEST_CHANNELS`
+ *
+ * A channel exists when its settings are present. `NOTIFY_ROUTES` maps events to
+ * channels, e.g. `order.failed=email,slack;job.failed=email,slack;*=digest`, where `*`
+ * covers the events not listed; without it every event goes to every channel. A channel
+ * that fails does not stop delivery to the others.
+ *
+ * Events: `buy.filled`, `sell.filled`, `order.failed`, `job.failed` and `test`.
+ *
+ * @requires dotenv - For environment variable management
+ * @requires ../database - Shared data-access module
+ */
+
+require("dotenv").config();
+const path = require("path");
+const { run, all, get } = require("../database");
+const {
+  NOTIFICATION_EVENTS,
+  renderNotification,
+  renderDigest,
+} = require("./templates");
+const { createEmailChannel } = require("./email");
+const { createWebhookChannel } = require("./webhook");
+const { createOutboxChannel } = require("./outbox");
+
+const CHANNELS = ["email", "slack", "discord", "webhook", "outbox", "digest"];
+
+// Relative directories are resolved against the project root, not the working directory
+const PROJECT_ROOT = path.join(__dirname, "../../..");
+
+/**
+ * Splits a comma-separated channel list
+ * @param {string} list
+ * @returns {string[]}
+ */
+function channelList(list) {
+  return list
+    .split(",")
+    .map((channel) => channel.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the notification channels and routes from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{channels: Object, routes: Object<string, string[]>, digestChannels: string[]}}
+ * `channels` holds the settings of each configured channel; `routes` lists the channels
+ * of every event
+ */
+function loadNotificationConfig(env = process.env) {
+  const channels = {};
+  if (env.EMAIL_TO) {
+    const secure = env.SMTP_SECURE === "true";
+    channels.email = {
+      from: env.EMAIL_FROM,
+      to: env.EMAIL_TO,
+      host: env.SMTP_HOST || null,
+      port: parseInt(env.SMTP_PORT || (secure ? 465 : 587)),
+      secure,
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || env.EMAIL_PASS || null,
+    };
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.slack = { url: env.SLACK_WEBHOOK_URL };
+  }
+  if (env.DISCORD_WEBHOOK_URL) {
+    channels.discord = { url: env.DISCORD_WEBHOOK_URL };
+  }
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.webhook = { url: env.NOTIFY_WEBHOOK_URL };
+  }
+  if (env.NOTIFY_OUTBOX_DIR) {
+    channels.outbox = {
+      dir: path.resolve(PROJECT_ROOT, env.NOTIFY_OUTBOX_DIR),
+    };
+  }
+  const sendingChannels = Object.keys(channels);
+  channels.digest = {};
+
+  const assertChannels = (list, setting) => {
+    list.forEach((channel) => {
+      if (!CHANNELS.includes(channel)) {
+        throw new Error(
+          `Unknown notification channel "${channel}" in ${setting}. Expected one of: ${CHANNELS.join(
+            ", "
+          )}`
+        );
+      }
+      if (!channels[channel]) {
+        throw new Error(
+          `Notification channel "${channel}" in ${setting} is not configured`
+        );
+      }
+    });
+    return list;
+  };
+
+  const routes = {};
+  if (env.NOTIFY_ROUTES) {
+    const rules = env.NOTIFY_ROUTES.split(";")
+      .map((rule) => rule.trim())
+      .filter(Boolean)
+      .map((rule) => {
+        const [event, list = ""] = rule.split("=");
+        const name = event.trim();
+        if (name !== "*" && !NOTIFICATION_EVENTS.includes(name)) {
+          throw new Error(
+            `Unknown notification event "${name}" in NOTIFY_ROUTES. Expected one of: ${NOTIFICATION_EVENTS.join(
+              ", "
+            )}, *`
+          );
+        }
+        return [name, assertChannels(channelList(list), "NOTIFY_ROUTES")];
+      });
+    const fallback = rules.find(([name]) => name === "*");
+    NOTIFICATION_EVENTS.forEach((event) => {
+      const rule = rules.find(([name]) => name === event) || fallback;
+      routes[event] = rule ? rule[1] : [];
+    });
+  } else {
+    NOTIFICATION_EVENTS.forEach((event) => {
+      routes[event] = sendingChannels;
+    });
+  }
+
+  const digestChannels = env.NOTIFY_DIGEST_CHANNELS
+    ? assertChannels(
+        channelList(env.NOTIFY_DIGEST_CHANNELS),
+        "NOTIFY_DIGEST_CHANNELS"
+      )
+    : sendingChannels;
+  if (digestChannels.includes("digest")) {
+    throw new Error("NOTIFY_DIGEST_CHANNELS cannot include digest");
+  }
+
+  return { channels, routes, digestChannels };
+}
+
+/**
+ * Creates the sender of a configured channel
+ * @param {string} name - Channel
+ * @param {Object} settings - See loadNotificationConfig
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createChannel(name, settings) {
+  switch (name) {
+    case "email":
+      return createEmailChannel(settings);
+    case "slack":
+    case "discord":
+    case "webhook":
+      return createWebhookChannel(name, settings);
+    case "outbox":
+      return createOutboxChannel(settings);
+    case "digest":
+      return {
+        name,
+        async send({ event, subject, text, data }) {
+          await run(
+            `INSERT INTO notification_digest (event, subject, text, data) VALUES (?, ?, ?, ?)`,
+            [event, subject, text, JSON.stringify(data)]
+          );
+        },
+      };
+    default:
+      throw new Error(`Unknown notification channel "${name}"`);
+  }
+}
+
+/**
+ * Creates a notifier
+ * @param {Object} [config] - See loadNotificationConfig
+ * @returns {{config: Object, notify: function(string, Object, Object=): Promise<Object>,
+ * sendDigest: function(): Promise<Object>}}
+ */
+function createNotifier(config = loadNotificationConfig()) {
+  const senders = new Map();
+  const channel = (name) => {
+    if (!senders.has(name)) {
+      senders.set(name, createChannel(name, config.channels[name]));
+    }
+    return senders.get(name);
+  };
+
+  /**
+   * Sends a message to channels, each independently
+   * @param {string[]} names - Channels
+   * @param {Object} notification - Rendered notification with its event and data
+   * @returns {Promise<{delivered: string[], errors: string[]}>}
+   */
+  async function deliver(names, notification) {
+    const delivered = [];
+    const errors = [];
+    for (const name of names) {
+      try {
+        await channel(name).send(notification);
+        delivered.push(name);
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+    return { delivered, errors };
+  }
+
+  return {
+    config,
+
+    /**
+     * Renders an event and sends it to its routed channels
+     * @param {string} event - See NOTIFICATION_EVENTS
+     * @param {Object} data - Event fields used by its template
+     * @param {Object} [options]
+     * @param {string[]} [options.channels] - Send to these channels instead of the route
+     * @returns {Promise<{event: string, subject: string, delivered: string[],
+     * errors: string[]}>}
+     */
+    async notify(event, data, { channels = config.routes[event] } = {}) {
+      const notification = {
+        event,
+        ...renderNotification(event, data),
+        data,
+        timestamp: new Date().toISOString(),
+      };
+      const result = await deliver(channels || [], notification);
+      return { event, subject: notification.subject, ...result };
+    },
+
+    /**
+     * Sends the queued digest notifications as one message and marks them sent once a
+     * channel has it
+     * @returns {Promise<{notifications: number, delivered: string[], ordersPlaced: number,
+     * errors: string[]}>}
+     */
+    async sendDigest() {
+      const queued = await all(
+        `SELECT * FROM notification_digest WHERE sent_at IS NULL ORDER BY id`
+      );
+      if (queued.length === 0) {
+        return { notifications: 0, delivered: [], ordersPlaced: 0, errors: [] };
+      }
+      if (config.digestChannels.length === 0) {
+        throw new Error(
+          `${queued.length} digest notifications are queued but no channel is configured to send them`
+        );
+      }
+
+      const notification = {
+        event: "digest",
+        ...renderDigest(queued),
+        data: queued.map(({ event, subject, data, created_at }) => ({
+          event,
+          subject,
+          data: data ? JSON.parse(data) : null,
+          createdAt: created_at,
+        })),
+        timestamp: new Date().toISOString(),
+      };
+      const { delivered, errors } = await deliver(
+        config.digestChannels,
+        notification
+      );
+      if (delivered.length > 0) {
+        await run(
+          `UPDATE notification_digest SET sent_at = CURRENT_TIMESTAMP
+           WHERE sent_at IS NULL AND id <= ?`,
+          [queued[queued.length - 1].id]
+        );
+      }
+      return {
+        notifications: queued.length,
+        delivered,
+        ordersPlaced: 0,
+        errors,
+      };
+    },
+  };
+}
+
+let defaultNotifier = null;
+
+/**
+ * The notifier configured in the environment, created on first use
+ * @returns {Object} See createNotifier
+ */
+function getNotifier() {
+  if (!defaultNotifier) {
+    defaultNotifier = createNotifier();
+  }
+  return defaultNotifier;
+}
+
+/**
+ * Sends an event through the configured notifier and logs the outcome. Never throws, so a
+ * notification problem does not interrupt trading.
+ * @param {string} event - See NOTIFICATION_EVENTS
+ * @param {Object} data - Event fields; `symbol`, when present, is logged with the entries
+ * @param {Object} logger - See logger.createLogger
+ * @returns {Promise<void>}
+ */
+async function sendNotification(event, data, logger) {
+  const fields = data.symbol ? { symbol: data.symbol } : {};
+  try {
+    const { subject, delivered, errors } = await getNotifier().notify(
+      event,
+      data
+    );
+    if (delivered.length > 0) {
+      logger.info(
+        `Notification sent: ${subject} (${delivered.join(", ")})`,
+        fields
+      );
+    }
+    errors.forEach((error) =>
+      logger.error(`Error sending notification "${subject}": ${error}`, fields)
+    );
+  } catch (error) {
+    logger.error(
+      `Error sending ${event} notification: ${error.message}`,
+      fields
+    );
+  }
+}
+
+/**
+ * Number of digest notifications not sent yet
+ * @returns {Promise<number>}
+ */
+async function pendingDigestCount() {
+  const row = await get(
+    `SELECT COUNT(*) as count FROM notification_digest WHERE sent_at IS NULL`
+  );
+  return row.count;
+}
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_EVENTS,
+  loadNotificationConfig,
+  createNotifier,
+  getNotifier,
+  sendNotification,
+  pendingDigestCount,
+};
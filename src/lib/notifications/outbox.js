@@ -0,0 +1,37 @@
+/**
+ * @file outbox.js
+ * @description Outbox channel for local runs and tests. Each notification is written to
+ * `<dir>/<timestamp>-<event>.json` with its subject, text, HTML and data, instead of
+ * being sent anywhere.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Creates an outbox channel
+ * @param {Object} options
+ * @param {string} options.dir - Outbox directory, created on first use
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createOutboxChannel({ dir }) {
+  let sequence = 0;
+  return {
+    name: "outbox",
+    async send(notification) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      sequence += 1;
+      const stamp = notification.timestamp.replace(/[:.]/g, "-");
+      const file = path.join(
+        dir,
+        `${stamp}-${process.pid}-${sequence}-${notification.event}.json`
+      );
+      await fs.promises.writeFile(
+        file,
+        `${JSON.stringify(notification, null, 2)}\n`
+      );
+    },
+  };
+}
+
+module.exports = { createOutboxChannel };
@@ -0,0 +1,263 @@
+/**
+ * @file templates.js
+ * @description Message templates shared by every notification channel. Each event
+ * renders to a subject, a plain-text body for chat webhooks and an HTML email; the HTML
+ * uses one layout for buys, sells, failures and the digest.
+ */
+
+// What each event says: subject, intro line, detail rows and header colour
+const TEMPLATES = {
+  "buy.filled": {
+    color: "#1976d2",
+    subject: ({ symbol, quantity }) => `Bought ${quantity} shares of ${symbol}`,
+    intro: "A new position has been purchased:",
+    rows: ({ symbol, quantity, price }) => [
+      ["Symbol", symbol],
+      ["Quantity", quantity],
+      ["Price per Share", money(price)],
+      ["Total Investment", money(quantity * price)],
+    ],
+  },
+  "sell.filled": {
+    color: "#d32f2f",
+    subject: ({ symbol, quantity, exitRule }) =>
+      `Sold ${quantity} shares of ${symbol}${exitRule ? ` (${exitRule})` : ""}`,
+    intro: "A position has been sold:",
+    rows: ({ symbol, quantity, price, profitable, reason }) => [
+      ["Symbol", symbol],
+      ["Quantity", quantity],
+      ["Price per Share", money(price)],
+      ["Status", profitable ? "Profitable" : "Unprofitable"],
+      ["Reason", reason],
+      ["Total Proceeds", money(quantity * price)],
+    ],
+  },
+  "order.failed": {
+    color: "#f57c00",
+    subject: ({ side, symbol }) =>
+      `${capitalize(side)} order for ${symbol} failed`,
+    intro: "An order was not filled:",
+    rows: ({ side, symbol, quantity, orderId, status, error }) => [
+      ["Symbol", symbol],
+      ["Side", side],
+      ["Quantity", quantity],
+      ["Order", orderId || "Not submitted"],
+      ["Status", status || "error"],
+      ["Error", error],
+    ],
+  },
+  "job.failed": {
+    color: "#b71c1c",
+    subject: ({ label, status }) =>
+      `The ${label} job ${
+        status === "partial" ? "finished with errors" : status
+      }`,
+    intro: "A trading job did not complete cleanly:",
+    rows: ({ jobName, runId, status, errors }) => [
+      ["Job", jobName],
+      ["Run", runId],
+      ["Status", status],
+      ["Errors", (errors || []).join("; ")],
+    ],
+  },
+  test: {
+    color: "#455a64",
+    subject: () => "Test notification",
+    intro: "Notifications are set up for this channel.",
+    rows: ({ sentBy }) => [["Sent by", sentBy]],
+  },
+};
+
+/**
+ * Formats dollars
+ * @param {number} value
+ * @returns {string}
+ */
+function money(value) {
+  return value != null && !isNaN(value) ? `$${Number(value).toFixed(2)}` : "";
+}
+
+/**
+ * Capitalizes a word
+ * @param {string} word
+ * @returns {string}
+ */
+function capitalize(word) {
+  return word ? word[0].toUpperCase() + word.slice(1) : "";
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * The HTML email layout
+ * @param {Object} content
+ * @param {string} content.subject - Heading
+ * @param {string} content.color - Header colour
+ * @param {string} content.intro - Line above the table
+ * @param {Array<Array<*>>} content.rows - Label and value pairs
+ * @returns {string}
+ */
+function renderHtml({ subject, color, intro, rows }) {
+  return `
+        <!DOCTYPE html>
+        <html>
+          <head>
+            <meta charset="UTF-8" />
+            <title>${escapeHtml(subject)}</title>
+            <style>
+              /* Basic MUI-like styling */
+              body {
+                font-family: 'Roboto', Arial, sans-serif;
+                background-color: #f5f5f5;
+                margin: 0;
+                padding: 0;
+              }
+              .container {
+                max-width: 600px;
+                margin: 40px auto;
+                background-color: #ffffff;
+                border-radius: 4px;
+                box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
+                overflow: hidden;
+              }
+              .header {
+                background-color: ${color};
+                padding: 16px;
+                color: #ffffff;
+              }
+              .header h1 {
+                margin: 0;
+                font-size: 24px;
+              }
+              .content {
+                padding: 16px;
+              }
+              .content h2 {
+                margin-top: 0;
+                color: #333;
+              }
+              .report-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 16px 0;
+              }
+              .report-table th,
+              .report-table td {
+                text-align: left;
+                padding: 12px 8px;
+                border-bottom: 1px solid #e0e0e0;
+              }
+              .footer {
+                background-color: #fafafa;
+                padding: 12px 16px;
+                text-align: center;
+                font-size: 14px;
+                color: #999999;
+              }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>${escapeHtml(subject)}</h1>
+              </div>
+              <div class="content">
+                <h2>Hello Admin,</h2>
+                <p>${escapeHtml(intro)}</p>
+                <table class="report-table">
+                  ${rows
+                    .map(
+                      ([label, value]) => `<tr>
+                    <th>${escapeHtml(label)}</th>
+                    <td>${escapeHtml(value)}</td>
+                  </tr>`
+                    )
+                    .join("\n                  ")}
+                </table>
+                <p>Regards,<br/>Magic Formula Trader Bot</p>
+              </div>
+              <div class="footer">
+                &copy; ${new Date().getFullYear()} Magic Formula Trader
+              </div>
+            </div>
+          </body>
+        </html>
+        `;
+}
+
+/**
+ * Plain-text body: the intro and one `Label: value` line per row
+ * @param {string} intro
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function renderText(intro, rows) {
+  return [intro, ...rows.map(([label, value]) => `${label}: ${value}`)].join(
+    "\n"
+  );
+}
+
+/**
+ * Renders one event
+ * @param {string} event - Key of TEMPLATES
+ * @param {Object} data - Event fields
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderNotification(event, data) {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`No template for notification event "${event}"`);
+  }
+  const subject = template.subject(data);
+  const rows = template
+    .rows(data)
+    .filter(([, value]) => value != null && value !== "");
+  return {
+    subject,
+    text: renderText(template.intro, rows),
+    html: renderHtml({
+      subject,
+      color: template.color,
+      intro: template.intro,
+      rows,
+    }),
+  };
+}
+
+/**
+ * Renders queued notifications as one digest message
+ * @param {Array<{subject: string, created_at: string}>} notifications - Oldest first
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderDigest(notifications) {
+  const subject = `Trading digest: ${notifications.length} notification${
+    notifications.length === 1 ? "" : "s"
+  }`;
+  const intro = "Since the last digest:";
+  const rows = notifications.map((notification) => [
+    String(notification.created_at).slice(0, 16).replace("T", " "),
+    notification.subject,
+  ]);
+  return {
+    subject,
+    text: renderText(intro, rows),
+    html: renderHtml({ subject, color: "#1976d2", intro, rows }),
+  };
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS: Object.keys(TEMPLATES),
+  renderNotification,
+  renderDigest,
+};
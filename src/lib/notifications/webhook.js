@@ -0,0 +1,60 @@
+/**
+ * @file webhook.js
+ * @description Webhook channels:
+ * - `slack` - Slack incoming webhook, `{text}`
+ * - `discord` - Discord webhook, `{content}`
+ * - `webhook` - any endpoint, the whole notification as JSON: `{event, subject, text,
+ *   data, timestamp}`
+ *
+ * @requires axios - For HTTP requests
+ */
+
+const axios = require("axios");
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Request body of each webhook style
+const PAYLOADS = {
+  slack: ({ subject, text }) => ({ text: `*${subject}*\n${text}` }),
+  // Discord rejects messages over 2000 characters
+  discord: ({ subject, text }) => ({
+    content: `**${subject}**\n${text}`.slice(0, 2000),
+  }),
+  webhook: ({ event, subject, text, data, timestamp }) => ({
+    event,
+    subject,
+    text,
+    data,
+    timestamp,
+  }),
+};
+
+/**
+ * Creates a webhook channel
+ * @param {string} style - Key of PAYLOADS
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+function createWebhookChannel(style, { url }) {
+  const payload = PAYLOADS[style];
+  return {
+    name: style,
+    async send(notification) {
+      try {
+        await axios.post(url, payload(notification), {
+          timeout: WEBHOOK_TIMEOUT_MS,
+        });
+      } catch (error) {
+        // Keep the webhook URL, which holds its secret, out of the message
+        throw new Error(
+          error.response
+            ? `${style} webhook returned ${error.response.status}`
+            : `${style} webhook failed: ${error.code || error.message}`
+        );
+      }
+    },
+  };
+}
+
+module.exports = { createWebhookChannel };
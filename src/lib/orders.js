@@ -0,0 +1,459 @@
+/**
+ * @file orders.js
+ * @description Order lifecycle tracking shared by the buy and sell scripts.
+ * Every order submitted to the broker is stored in the `orders` table and followed until
+ * it reaches a terminal status. Only then are its actual filled quantity and average
+ * price applied to the lots in `holdings` and to `transactions`. Orders that are still
+ * open when the submitting script gives up (e.g. a `day` order placed before the open)
+ * are picked up later by the reconciliation job.
+ *
+ * Functions take a broker (see `./brokers`) from the caller. The `alpaca_order_id`
+ * columns hold the broker's order id whichever broker placed the order.
+ *
+ * @requires ./database - Shared data-access module
+ */
+
+const crypto = require("crypto");
+const { run, get, all, transaction } = require("./database");
+const { openLot, consumeLots } = require("./lots");
+
+// Order polling
+const ORDER_POLL_INTERVAL_MS = 2000;
+const ORDER_FILL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Prefix of the id an order is stored under until the broker has accepted it
+const PENDING_ORDER_PREFIX = "pending:";
+
+// Alpaca statuses after which an order will never fill further. `done_for_day`,
+// `stopped` and `suspended` orders may still fill, and a `replaced` order's fills
+// arrive on the order that replaced it (see followOrder).
+const TERMINAL_ORDER_STATUSES = ["filled", "canceled", "expired", "rejected"];
+
+/**
+ * Whether an Alpaca order status is final
+ * @param {string} status - Alpaca order status
+ * @returns {boolean}
+ */
+function isTerminalStatus(status) {
+  return TERMINAL_ORDER_STATUSES.includes(status);
+}
+
+/**
+ * Normalizes a broker or SQLite timestamp to an ISO date-time
+ * @param {string} [value] - ISO date-time, or SQLite's `YYYY-MM-DD HH:MM:SS` in UTC
+ * @returns {string|null} Null when missing or invalid
+ */
+function toIsoTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value);
+  const date = new Date(
+    /T.*(Z|[+-]\d{2}:?\d{2})$/.test(text) ? text : `${text.replace(" ", "T")}Z`
+  );
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Stores the latest state of a broker order
+ * @param {Object} order - Order returned by the broker
+ */
+async function saveOrderState(order) {
+  await run(
+    `
+        UPDATE orders
+        SET status = ?, filled_qty = ?, filled_avg_price = ?, filled_at = COALESCE(?, filled_at),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE alpaca_order_id = ?
+    `,
+    [
+      order.status,
+      order.filledQty || 0,
+      order.filledAvgPrice || null,
+      toIsoTimestamp(order.filledAt),
+      order.id,
+    ]
+  );
+}
+
+/**
+ * Stores the order that replaced a tracked order, with the same side, notes and lots,
+ * and links the two. The replaced order itself is never applied.
+ * @param {Object} order - Replaced order returned by the broker
+ */
+async function recordReplacement(order) {
+  const row = await get(`SELECT * FROM orders WHERE alpaca_order_id = ?`, [
+    order.id,
+  ]);
+  await run(
+    `
+        INSERT OR IGNORE INTO orders (alpaca_order_id, symbol, side, requested_qty, status, notes, lot_ids)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      order.replacedBy,
+      row.symbol,
+      row.side,
+      row.requested_qty,
+      "new",
+      row.notes,
+      row.lot_ids,
+    ]
+  );
+  await run(`UPDATE orders SET replaced_by = ? WHERE id = ?`, [
+    order.replacedBy,
+    row.id,
+  ]);
+}
+
+/**
+ * Fetches an order from the broker, following replacements to the order that now
+ * carries its fills
+ * @param {Object} broker - Broker
+ * @param {string} orderId - Broker order id
+ * @returns {Promise<Object>} The order, or the last order in its replacement chain
+ */
+async function followOrder(broker, orderId) {
+  let order = await broker.getOrder(orderId);
+  while (order.status === "replaced" && order.replacedBy) {
+    await saveOrderState(order);
+    await recordReplacement(order);
+    order = await broker.getOrder(order.replacedBy);
+  }
+  return order;
+}
+
+/**
+ * Submits a market order to the broker and stores it in the orders table. The order is
+ * stored as `submitting` before it is sent, so an order the broker accepted is never
+ * untracked: if it cannot be stored afterwards, the row stays `submitting` and the error
+ * names the broker's order id.
+ * @param {Object} broker - Broker
+ * @param {Object} params
+ * @param {string} params.symbol - Stock symbol
+ * @param {number} params.qty - Number of shares
+ * @param {string} params.side - 'buy' or 'sell'
+ * @param {string} [params.notes] - Why the order was placed
+ * @param {number[]} [params.lotIds] - Lots a sell should consume. FIFO when omitted.
+ * @returns {Promise<Object>} The order as returned by the broker
+ */
+async function submitOrder(
+  broker,
+  { symbol, qty, side, notes = null, lotIds = null }
+) {
+  // Replaced by the broker's order id once the broker has accepted the order
+  const pendingId = `${PENDING_ORDER_PREFIX}${crypto.randomUUID()}`;
+  await run(
+    `
+        INSERT INTO orders (alpaca_order_id, symbol, side, requested_qty, status, notes, lot_ids)
+        VALUES (?, ?, ?, ?, 'submitting', ?, ?)
+    `,
+    [
+      pendingId,
+      symbol,
+      side,
+      qty,
+      notes,
+      lotIds ? JSON.stringify(lotIds) : null,
+    ]
+  );
+
+  let order;
+  try {
+    order = await broker.createOrder({
+      symbol,
+      qty,
+      side,
+      type: "market",
+      timeInForce: "day",
+    });
+  } catch (error) {
+    // Nothing to apply; the row stays as a record of the attempt
+    await run(
+      `UPDATE orders SET status = 'rejected', applied = 1, updated_at = CURRENT_TIMESTAMP WHERE alpaca_order_id = ?`,
+      [pendingId]
+    );
+    throw error;
+  }
+
+  try {
+    await run(
+      `
+            UPDATE orders SET alpaca_order_id = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE alpaca_order_id = ?
+        `,
+      [order.id, order.status, pendingId]
+    );
+  } catch (error) {
+    throw new Error(
+      `Order ${order.id} for ${symbol} was placed with the broker but could not be stored (stored as ${pendingId}): ${error.message}`
+    );
+  }
+
+  return order;
+}
+
+/**
+ * Polls the broker until an order reaches a terminal status or the timeout elapses,
+ * persisting every status change along the way. A replaced order is followed to its
+ * replacement.
+ * @param {Object} broker - Broker
+ * @param {string} orderId - Broker order id
+ * @param {number} [timeoutMs] - How long to keep polling
+ * @returns {Promise<Object>} The last known state of the order, or of its replacement
+ */
+async function waitForTerminalStatus(
+  broker,
+  orderId,
+  timeoutMs = ORDER_FILL_TIMEOUT_MS
+) {
+  const deadline = Date.now() + timeoutMs;
+  let order = await followOrder(broker, orderId);
+  let lastStatus = null;
+
+  while (true) {
+    if (order.status !== lastStatus) {
+      await saveOrderState(order);
+      lastStatus = order.status;
+    }
+    if (isTerminalStatus(order.status) || Date.now() >= deadline) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, ORDER_POLL_INTERVAL_MS));
+    order = await followOrder(broker, order.id);
+  }
+
+  await saveOrderState(order);
+  return order;
+}
+
+/**
+ * Applies the actual fill of a terminal order to transactions and lots: a buy opens
+ * a lot, a sell consumes the lots chosen at submission (FIFO otherwise).
+ * Each order is applied at most once, in one transaction with its ledger writes, and
+ * its lots are dated by the fill, not by when it is applied.
+ * @param {string} orderId - Broker order id
+ * @returns {Promise<{applied: boolean, filledQty: number, filledPrice: number, status: string, unallocated: number}>}
+ * `unallocated` is any sold quantity no open lot could account for
+ */
+function applyOrderFill(orderId) {
+  return transaction(() => applyOrderFillInTransaction(orderId));
+}
+
+/**
+ * The work of applyOrderFill, run inside its transaction
+ * @param {string} orderId - Broker order id
+ * @returns {Promise<Object>} See applyOrderFill
+ */
+async function applyOrderFillInTransaction(orderId) {
+  const row = await get(`SELECT * FROM orders WHERE alpaca_order_id = ?`, [
+    orderId,
+  ]);
+  if (!row || !isTerminalStatus(row.status)) {
+    return {
+      applied: false,
+      filledQty: 0,
+      filledPrice: 0,
+      status: row && row.status,
+    };
+  }
+
+  // Claim the order so a concurrent reconciliation cannot apply it twice
+  const claim = await run(
+    `UPDATE orders SET applied = 1 WHERE id = ? AND applied = 0`,
+    [row.id]
+  );
+  const filledQty = row.filled_qty || 0;
+  const filledPrice = row.filled_avg_price || 0;
+  if (claim.changes === 0 || filledQty <= 0) {
+    return { applied: false, filledQty, filledPrice, status: row.status };
+  }
+  // Orders stored before fill times were kept fall back to their last update
+  const filledAt =
+    toIsoTimestamp(row.filled_at) ||
+    toIsoTimestamp(row.updated_at) ||
+    new Date().toISOString();
+
+  await run(
+    `
+        INSERT INTO transactions (transaction_date, symbol, action, quantity, price, total_amount, notes,
+            alpaca_order_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      // In the column's CURRENT_TIMESTAMP format
+      filledAt.slice(0, 19).replace("T", " "),
+      row.symbol,
+      row.side,
+      filledQty,
+      filledPrice,
+      filledQty * filledPrice,
+      row.notes,
+      row.alpaca_order_id,
+    ]
+  );
+
+  let unallocated = 0;
+  if (row.side === "buy") {
+    await openLot({
+      symbol: row.symbol,
+      quantity: filledQty,
+      price: filledPrice,
+      acquisitionDate: filledAt,
+    });
+  } else {
+    const result = await consumeLots({
+      symbol: row.symbol,
+      quantity: filledQty,
+      price: filledPrice,
+      lotIds: row.lot_ids ? JSON.parse(row.lot_ids) : null,
+      orderId: row.alpaca_order_id,
+      saleDate: filledAt,
+    });
+    unallocated = result.unallocated;
+  }
+
+  return {
+    applied: true,
+    filledQty,
+    filledPrice,
+    status: row.status,
+    unallocated,
+  };
+}
+
+/**
+ * Submits a market order, follows it to a terminal status and applies its fill
+ * @param {Object} broker - Broker
+ * @param {Object} params - See submitOrder
+ * @returns {Promise<{order: Object, applied: boolean, filledQty: number, filledPrice: number, status: string}>}
+ */
+async function executeMarketOrder(broker, params) {
+  const submitted = await submitOrder(broker, params);
+  const order = await waitForTerminalStatus(broker, submitted.id);
+  const result = await applyOrderFill(order.id);
+  return { order, ...result };
+}
+
+/**
+ * Refreshes every stored order that is not yet terminal or not yet applied. A replaced
+ * order is reported with the status of its replacement.
+ * @param {Object} broker - Broker
+ * @returns {Promise<Array<{symbol: string, side: string, orderId: string, status: string|null, applied: boolean, filledQty: number, error: string|null}>>}
+ * `error` is set, and `status` null, for an order that could not be refreshed
+ */
+async function refreshOpenOrders(broker) {
+  const rows = await all(
+    `SELECT alpaca_order_id, symbol, side FROM orders WHERE applied = 0 AND replaced_by IS NULL ORDER BY submitted_at ASC, id ASC`
+  );
+  const results = [];
+
+  for (const row of rows) {
+    // One order the broker cannot report must not hold up the others
+    try {
+      if (row.alpaca_order_id.startsWith(PENDING_ORDER_PREFIX)) {
+        throw new Error(
+          "Submitted but never stored with the broker's order id. Check the broker for this order."
+        );
+      }
+      const order = await followOrder(broker, row.alpaca_order_id);
+      await saveOrderState(order);
+      const result = await applyOrderFill(order.id);
+      results.push({
+        symbol: row.symbol,
+        side: row.side,
+        orderId: order.id,
+        status: order.status,
+        applied: result.applied,
+        filledQty: result.filledQty,
+        error: null,
+      });
+    } catch (error) {
+      results.push({
+        symbol: row.symbol,
+        side: row.side,
+        orderId: row.alpaca_order_id,
+        status: null,
+        applied: false,
+        filledQty: 0,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Row id of the newest stored order, so a caller can tell later whether any order was
+ * submitted in between (see countOrdersAfter)
+ * @returns {Promise<number>} 0 when no order is stored
+ */
+async function latestOrderRowId() {
+  const row = await get(`SELECT MAX(id) AS id FROM orders`);
+  return row.id || 0;
+}
+
+/**
+ * Number of orders stored after a row id that the broker may have accepted. Orders the
+ * broker refused at submission are not counted.
+ * @param {number} rowId - See latestOrderRowId
+ * @returns {Promise<number>}
+ */
+async function countOrdersAfter(rowId) {
+  const row = await get(
+    `
+        SELECT COUNT(*) AS count FROM orders
+        WHERE id > ? AND NOT (status = 'rejected' AND alpaca_order_id LIKE ?)
+    `,
+    [rowId, `${PENDING_ORDER_PREFIX}%`]
+  );
+  return row.count;
+}
+
+/**
+ * Compares broker positions with open lots and returns every symbol whose
+ * quantities disagree
+ * @param {Object} broker - Broker
+ * @returns {Promise<Array<{symbol: string, brokerQty: number, databaseQty: number, difference: number}>>}
+ */
+async function findPositionDrift(broker) {
+  const positions = await broker.getPositions();
+  const holdings = await all(
+    `SELECT symbol, SUM(remaining_quantity) AS qty FROM holdings WHERE status = 'active' GROUP BY symbol`
+  );
+
+  const quantities = {};
+  positions.forEach((position) => {
+    quantities[position.symbol] = {
+      brokerQty: position.qty,
+      databaseQty: 0,
+    };
+  });
+  holdings.forEach((holding) => {
+    quantities[holding.symbol] = quantities[holding.symbol] || { brokerQty: 0 };
+    quantities[holding.symbol].databaseQty = holding.qty;
+  });
+
+  return Object.entries(quantities)
+    .map(([symbol, { brokerQty, databaseQty }]) => ({
+      symbol,
+      brokerQty,
+      databaseQty,
+      difference: brokerQty - databaseQty,
+    }))
+    .filter((entry) => Math.abs(entry.difference) > 1e-9);
+}
+
+module.exports = {
+  TERMINAL_ORDER_STATUSES,
+  isTerminalStatus,
+  submitOrder,
+  waitForTerminalStatus,
+  applyOrderFill,
+  executeMarketOrder,
+  refreshOpenOrders,
+  latestOrderRowId,
+  countOrdersAfter,
+  findPositionDrift,
+};
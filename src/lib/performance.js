@@ -0,0 +1,433 @@
+/**
+ * @file performance.js
+ * @description Performance analytics from the daily portfolio snapshots (see
+ * lib/valuation), compared against a benchmark.
+ *
+ * The portfolio's daily return is the change in equity less the external cash flows
+ * recorded in `cash_flows` (deposits are positive, withdrawals negative), so money moved
+ * in or out of the account is not counted as performance. Chaining the daily returns
+ * gives the time-weighted return, and the CAGR, volatility, Sharpe ratio and maximum
+ * drawdown are computed from that return index the same way the backtester computes
+ * them (see lib/backtest). A flow is applied on the first snapshot on or after its date.
+ *
+ * The benchmark (`BENCHMARK_SYMBOL`, SPY by default) is priced from
+ * `BENCHMARK_PRICES_FILE` when set, otherwise from the market-data provider, and is
+ * valued at its last close on or before each snapshot date.
+ *
+ * Each cohort (the quarter its lots were bought in, see lib/cohorts) is scored by its
+ * realized plus unrealized P&L over the cost of its lots, against the benchmark over the
+ * same period.
+ *
+ * @requires ./database - Shared data-access module
+ * @requires ./marketData - Benchmark price history
+ */
+
+const path = require("path");
+const { run, all } = require("./database");
+const { getMarketDataProvider } = require("./marketData");
+const { computeMetrics } = require("./backtest");
+const { loadPriceFile } = require("./backtestData");
+const { cohortOf } = require("./cohorts");
+const { getSnapshots, valuePortfolio } = require("./valuation");
+
+// Relative paths are resolved against the project root, not the working directory
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+const DEFAULT_PERFORMANCE_CONFIG = {
+  benchmarkSymbol: "SPY",
+  benchmarkPricesFile: null,
+  riskFreeRate: 0,
+};
+
+/**
+ * Reads the performance settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{benchmarkSymbol: string|null, benchmarkPricesFile: string|null,
+ * riskFreeRate: number}} A null `benchmarkSymbol` turns the benchmark off
+ */
+function loadPerformanceConfig(env = process.env) {
+  const riskFreeRate = parseFloat(
+    env.RISK_FREE_RATE || DEFAULT_PERFORMANCE_CONFIG.riskFreeRate
+  );
+  if (isNaN(riskFreeRate)) {
+    throw new Error("RISK_FREE_RATE must be an annual rate, e.g. 0.04");
+  }
+  const symbol =
+    env.BENCHMARK_SYMBOL != null
+      ? env.BENCHMARK_SYMBOL.trim().toUpperCase()
+      : DEFAULT_PERFORMANCE_CONFIG.benchmarkSymbol;
+  return {
+    benchmarkSymbol: symbol && symbol !== "NONE" ? symbol : null,
+    benchmarkPricesFile: env.BENCHMARK_PRICES_FILE
+      ? path.resolve(PROJECT_ROOT, env.BENCHMARK_PRICES_FILE)
+      : null,
+    riskFreeRate,
+  };
+}
+
+// ----- Cash flows ----- //
+
+/**
+ * Why a cash flow is invalid
+ * @param {Object} flow - See recordCashFlow
+ * @returns {string|null} Null when it is valid
+ */
+function cashFlowError({ date, amount }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+    return `Invalid date "${date}", expected YYYY-MM-DD`;
+  }
+  if (typeof amount !== "number" || !isFinite(amount) || amount === 0) {
+    return "amount must be a non-zero number of dollars";
+  }
+  return null;
+}
+
+/**
+ * Records a deposit (positive amount) or withdrawal (negative amount)
+ * @param {Object} flow
+ * @param {string} flow.date - ISO date
+ * @param {number} flow.amount - Dollars
+ * @param {string} [flow.note] - Description
+ * @returns {Promise<number>} Cash flow id
+ */
+async function recordCashFlow({ date, amount, note = null }) {
+  const error = cashFlowError({ date, amount });
+  if (error) {
+    throw new Error(error);
+  }
+  const result = await run(
+    `INSERT INTO cash_flows (flow_date, amount, note) VALUES (?, ?, ?)`,
+    [date, amount, note]
+  );
+  return result.lastID;
+}
+
+/**
+ * Recorded cash flows, oldest first
+ * @returns {Promise<Array<Object>>} cash_flows rows
+ */
+function getCashFlows() {
+  return all(`SELECT * FROM cash_flows ORDER BY flow_date, id`);
+}
+
+// ----- Returns ----- //
+
+/**
+ * Chains the snapshots' daily returns, net of cash flows, into a return index
+ * @param {Array<{date: string, equity: number}>} points - Equity by date, oldest first
+ * @param {Array<{flow_date: string, amount: number}>} flows - Cash flows
+ * @returns {Array<{date: string, equity: number, index: number}>} `index` starts at 1
+ */
+function returnIndex(points, flows) {
+  let index = 1;
+  return points.map((point, i) => {
+    if (i > 0) {
+      const previous = points[i - 1];
+      const flow = flows
+        .filter(
+          ({ flow_date }) =>
+            flow_date > previous.date && flow_date <= point.date
+        )
+        .reduce((total, { amount }) => total + amount, 0);
+      if (previous.equity > 0) {
+        index *= (point.equity - flow) / previous.equity;
+      }
+    }
+    return { date: point.date, equity: point.equity, index };
+  });
+}
+
+/**
+ * Return statistics of a return index
+ * @param {Array<{date: string, index: number}>} series - Oldest first
+ * @param {number} riskFreeRate - Annual risk-free rate for the Sharpe ratio
+ * @returns {{from: string|null, to: string|null, days: number, totalReturn: number,
+ * cagr: number, volatility: number|null, sharpeRatio: number|null, maxDrawdown: number}}
+ */
+function returnMetrics(series, riskFreeRate) {
+  const { totalReturn, cagr, volatility, sharpeRatio, maxDrawdown } =
+    computeMetrics(
+      series.map(({ date, index }) => ({ date, equity: index })),
+      [],
+      riskFreeRate
+    );
+  return {
+    from: series.length > 0 ? series[0].date : null,
+    to: series.length > 0 ? series[series.length - 1].date : null,
+    days: series.length,
+    totalReturn,
+    cagr,
+    volatility,
+    sharpeRatio,
+    maxDrawdown,
+  };
+}
+
+// ----- Benchmark ----- //
+
+/**
+ * Daily closes of the benchmark
+ * @param {Object} config - See loadPerformanceConfig
+ * @param {string} from - First ISO date
+ * @param {string} to - Last ISO date
+ * @param {Object} [marketData] - Market-data provider
+ * @returns {Promise<{prices: Array<{date: string, close: number}>, source: string}>}
+ */
+async function loadBenchmarkPrices(config, from, to, marketData) {
+  if (config.benchmarkPricesFile) {
+    return {
+      prices: loadPriceFile(
+        config.benchmarkPricesFile,
+        config.benchmarkSymbol
+      ).filter(({ date }) => date <= to),
+      source: "file",
+    };
+  }
+  const provider = marketData || getMarketDataProvider();
+  // A week earlier, so the first date has a close even after a holiday weekend
+  const start = new Date(from);
+  start.setUTCDate(start.getUTCDate() - 7);
+  const prices = await provider.getHistoricalPrices(config.benchmarkSymbol, {
+    from: start.toISOString().slice(0, 10),
+    to,
+  });
+  return { prices, source: "market-data" };
+}
+
+/**
+ * Last close on or before a date
+ * @param {Array<{date: string, close: number}>} prices - Oldest first
+ * @param {string} date - ISO date
+ * @returns {number|null}
+ */
+function closeOn(prices, date) {
+  let close = null;
+  for (const price of prices) {
+    if (price.date > date) {
+      break;
+    }
+    close = price.close;
+  }
+  return close;
+}
+
+/**
+ * Benchmark return between two dates
+ * @param {Array<{date: string, close: number}>} prices - Oldest first
+ * @param {string} from - Start ISO date
+ * @param {string} to - End ISO date
+ * @returns {number|null} Null when either date has no close
+ */
+function benchmarkReturn(prices, from, to) {
+  const start = closeOn(prices, from);
+  const end = closeOn(prices, to);
+  return start && end ? end / start - 1 : null;
+}
+
+// ----- Cohorts ----- //
+
+/**
+ * Return of each cohort: realized plus unrealized P&L over the cost of its lots
+ * @param {Array<Object>} lots - holdings rows
+ * @param {Map<number, Object>} openPositions - Valued open lots by lot id, see
+ * valuation.valuePortfolio
+ * @param {string} today - ISO date
+ * @param {Array<{date: string, close: number}>|null} benchmarkPrices - Oldest first
+ * @returns {Array<Object>} Oldest cohort first
+ */
+function cohortReturns(lots, openPositions, today, benchmarkPrices) {
+  const cohorts = new Map();
+  lots.forEach((lot) => {
+    const cohort = cohortOf(lot.acquisition_date);
+    if (!cohorts.has(cohort)) {
+      cohorts.set(cohort, {
+        cohort,
+        from: lot.acquisition_date.slice(0, 10),
+        to: null,
+        open: false,
+        lots: 0,
+        symbols: [],
+        costBasis: 0,
+        realizedPnl: 0,
+        unrealizedPnl: 0,
+        marketValue: 0,
+      });
+    }
+    const summary = cohorts.get(cohort);
+    const position = openPositions.get(lot.id);
+    summary.from = [summary.from, lot.acquisition_date.slice(0, 10)].sort()[0];
+    summary.lots += 1;
+    if (!summary.symbols.includes(lot.symbol)) {
+      summary.symbols.push(lot.symbol);
+    }
+    summary.costBasis += lot.cost_basis || 0;
+    summary.realizedPnl += lot.realized_pnl || 0;
+    if (position) {
+      summary.open = true;
+      summary.unrealizedPnl += position.unrealizedPnl;
+      summary.marketValue += position.marketValue;
+    } else if (lot.closed_date) {
+      const closed = lot.closed_date.slice(0, 10);
+      summary.to = summary.to && summary.to > closed ? summary.to : closed;
+    }
+  });
+
+  return [...cohorts.values()]
+    .sort((a, b) => a.from.localeCompare(b.from))
+    .map((summary) => {
+      const to = summary.open || !summary.to ? today : summary.to;
+      const totalPnl = summary.realizedPnl + summary.unrealizedPnl;
+      const totalReturn =
+        summary.costBasis > 0 ? totalPnl / summary.costBasis : null;
+      const benchmark = benchmarkPrices
+        ? benchmarkReturn(benchmarkPrices, summary.from, to)
+        : null;
+      return {
+        ...summary,
+        to,
+        totalPnl,
+        totalReturn,
+        benchmarkReturn: benchmark,
+        excessReturn:
+          totalReturn != null && benchmark != null
+            ? totalReturn - benchmark
+            : null,
+      };
+    });
+}
+
+// ----- Report ----- //
+
+/**
+ * Performance of the portfolio against the benchmark
+ * @param {Object} [options]
+ * @param {string} [options.from] - First ISO date
+ * @param {string} [options.to] - Last ISO date
+ * @param {Object} [options.config] - See loadPerformanceConfig
+ * @param {Object} [options.marketData] - Market-data provider for the benchmark
+ * @param {Object} [options.valuation] - See valuation.valuePortfolio; valued now by
+ * default, for the cohorts' unrealized P&L
+ * @returns {Promise<Object>} `portfolio` and `benchmark` metrics, `excessReturn`, the
+ * `series` of cumulative returns by snapshot date, `cohorts` and `errors`
+ */
+async function getPerformance({
+  from = null,
+  to = null,
+  config = loadPerformanceConfig(),
+  marketData,
+  valuation,
+} = {}) {
+  const errors = [];
+  const today = new Date().toISOString().slice(0, 10);
+  const [snapshots, flows, lots] = await Promise.all([
+    getSnapshots({ from, to }),
+    getCashFlows(),
+    all(`SELECT * FROM holdings ORDER BY acquisition_date, id`),
+  ]);
+
+  // Snapshots without account cash only have the market value of the lots
+  const points = snapshots
+    .filter((snapshot) => snapshot.equity != null)
+    .map((snapshot) => ({
+      date: snapshot.snapshot_date,
+      equity: snapshot.equity,
+    }));
+  const portfolioSeries = returnIndex(points, flows);
+
+  let benchmark = null;
+  let benchmarkPrices = null;
+  if (config.benchmarkSymbol) {
+    const start = [
+      points.length > 0 ? points[0].date : today,
+      ...lots.map((lot) => lot.acquisition_date.slice(0, 10)),
+    ].sort()[0];
+    const end = to || today;
+    try {
+      const loaded = await loadBenchmarkPrices(config, start, end, marketData);
+      benchmarkPrices = loaded.prices;
+      benchmark = { symbol: config.benchmarkSymbol, source: loaded.source };
+    } catch (error) {
+      errors.push(`Benchmark ${config.benchmarkSymbol}: ${error.message}`);
+      benchmark = { symbol: config.benchmarkSymbol, error: error.message };
+    }
+  }
+
+  // The benchmark is compared from the first snapshot date it has a close for
+  const benchmarkCloses = benchmarkPrices
+    ? portfolioSeries
+        .map(({ date }) => ({ date, close: closeOn(benchmarkPrices, date) }))
+        .filter(({ close }) => close != null)
+    : [];
+  const benchmarkSeries = benchmarkCloses.map(({ date, close }) => ({
+    date,
+    index: close / benchmarkCloses[0].close,
+  }));
+  const benchmarkByDate = new Map(
+    benchmarkSeries.map(({ date, index }) => [date, index])
+  );
+  if (benchmarkPrices) {
+    benchmark.metrics = returnMetrics(benchmarkSeries, config.riskFreeRate);
+  }
+
+  if (valuation === undefined) {
+    try {
+      valuation = await valuePortfolio({ marketData });
+    } catch (error) {
+      errors.push(`Valuation: ${error.message}`);
+      valuation = null;
+    }
+  }
+  if (valuation) {
+    errors.push(...valuation.errors);
+  }
+  const openPositions = new Map(
+    valuation
+      ? valuation.positions.map((position) => [position.lotId, position])
+      : []
+  );
+
+  const portfolio = returnMetrics(portfolioSeries, config.riskFreeRate);
+  return {
+    riskFreeRate: config.riskFreeRate,
+    portfolio: {
+      ...portfolio,
+      startingEquity: points.length > 0 ? points[0].equity : null,
+      endingEquity: points.length > 0 ? points[points.length - 1].equity : null,
+      netCashFlows: flows
+        .filter(
+          ({ flow_date }) =>
+            points.length > 1 &&
+            flow_date > points[0].date &&
+            flow_date <= points[points.length - 1].date
+        )
+        .reduce((total, { amount }) => total + amount, 0),
+    },
+    benchmark,
+    excessReturn:
+      benchmark &&
+      benchmark.metrics &&
+      benchmark.metrics.from === portfolio.from
+        ? portfolio.totalReturn - benchmark.metrics.totalReturn
+        : null,
+    series: portfolioSeries.map(({ date, equity, index }) => ({
+      date,
+      equity,
+      portfolioReturn: index - 1,
+      benchmarkReturn: benchmarkByDate.has(date)
+        ? benchmarkByDate.get(date) - 1
+        : null,
+    })),
+    cohorts: cohortReturns(lots, openPositions, today, benchmarkPrices),
+    errors,
+  };
+}
+
+module.exports = {
+  DEFAULT_PERFORMANCE_CONFIG,
+  loadPerformanceConfig,
+  cashFlowError,
+  recordCashFlow,
+  getCashFlows,
+  returnIndex,
+  getPerformance,
+};
@@ -0,0 +1,283 @@
+/**
+ * @file ranking.js
+ * @description Magic Formula ranking shared by the buy script and the backtester.
+ * Pure functions only: no I/O, so historical runs rank exactly like live ones.
+ *
+ * Every factor with a positive weight ranks the stocks on its own (1 = best) and the
+ * combined rank is the weighted sum of those ranks, so the default configuration of
+ * earnings yield and return on capital at weight 1 is the classic Magic Formula.
+ * Stocks in excluded sectors or above the debt/equity cap are dropped before ranking.
+ */
+
+// Factors a ranking configuration may weight. All are "higher is better".
+const FACTORS = [
+  "earningsYield",
+  "returnOnCapital",
+  "freeCashFlowYield",
+  "momentum",
+];
+
+// Key-metrics fields that are flows over one quarter and are summed for TTM values
+const FLOW_FIELDS = {
+  earningsYield: "earningsYield",
+  returnOnCapital: "roic",
+  freeCashFlowYield: "freeCashFlowYield",
+};
+
+const QUARTERS_PER_YEAR = 4;
+
+const DEFAULT_RANKING_CONFIG = {
+  period: "quarter",
+  weights: { earningsYield: 1, returnOnCapital: 1 },
+  momentumMonths: 6,
+  maxDebtToEquity: null,
+  excludedSectors: [],
+};
+
+/**
+ * Parses `factor:weight` pairs, e.g. "earningsYield:1,returnOnCapital:1,momentum:0.5"
+ * @param {string} value - Comma-separated pairs
+ * @returns {Object<string, number>}
+ */
+function parseWeights(value) {
+  const weights = {};
+  value
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [factor, weight] = pair.split(":").map((part) => part.trim());
+      if (!FACTORS.includes(factor)) {
+        throw new Error(
+          `Unknown ranking factor "${factor}". Expected one of: ${FACTORS.join(
+            ", "
+          )}`
+        );
+      }
+      const parsed = weight === undefined ? 1 : parseFloat(weight);
+      if (isNaN(parsed) || parsed < 0) {
+        throw new Error(`Invalid weight for ranking factor ${factor}`);
+      }
+      weights[factor] = parsed;
+    });
+  return weights;
+}
+
+/**
+ * Reads the ranking configuration from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{period: string, weights: Object<string, number>, momentumMonths: number,
+ * maxDebtToEquity: number|null, excludedSectors: string[]}}
+ */
+function loadRankingConfig(env = process.env) {
+  const period = (env.RANKING_PERIOD || DEFAULT_RANKING_CONFIG.period)
+    .toLowerCase()
+    .trim();
+  if (!["quarter", "ttm"].includes(period)) {
+    throw new Error(`RANKING_PERIOD must be "quarter" or "ttm"`);
+  }
+
+  return {
+    period,
+    weights: env.RANKING_FACTORS
+      ? parseWeights(env.RANKING_FACTORS)
+      : { ...DEFAULT_RANKING_CONFIG.weights },
+    momentumMonths: parseInt(
+      env.RANKING_MOMENTUM_MONTHS || DEFAULT_RANKING_CONFIG.momentumMonths
+    ),
+    maxDebtToEquity: env.RANKING_MAX_DEBT_TO_EQUITY
+      ? parseFloat(env.RANKING_MAX_DEBT_TO_EQUITY)
+      : null,
+    // Greenblatt leaves out financials and utilities
+    excludedSectors: (env.RANKING_EXCLUDED_SECTORS != null
+      ? env.RANKING_EXCLUDED_SECTORS
+      : "Financial Services,Utilities"
+    )
+      .split(",")
+      .map((sector) => sector.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Factors with a positive weight
+ * @param {Object} config - See loadRankingConfig
+ * @returns {string[]}
+ */
+function activeFactors(config) {
+  return FACTORS.filter((factor) => config.weights[factor] > 0);
+}
+
+/**
+ * Extracts ranking inputs from key-metrics rows (newest first). With the `ttm` period,
+ * flow metrics are summed over the latest four quarters and missing when fewer exist.
+ * @param {Array<Object>} rows - Quarterly key-metrics rows, newest first
+ * @param {Object} config - See loadRankingConfig
+ * @returns {{returnOnCapital: number|null, earningsYield: number|null,
+ * freeCashFlowYield: number|null, debtToEquity: number|null}}
+ */
+function extractFactorMetrics(rows, config = DEFAULT_RANKING_CONFIG) {
+  const toNumber = (value) => {
+    const parsed = parseFloat(value);
+    return isFinite(parsed) ? parsed : null;
+  };
+  const latest = rows[0] || {};
+  const metrics = { debtToEquity: toNumber(latest.debtToEquity) };
+
+  Object.entries(FLOW_FIELDS).forEach(([factor, field]) => {
+    if (config.period !== "ttm") {
+      metrics[factor] = toNumber(latest[field]);
+      return;
+    }
+    const quarters = rows
+      .slice(0, QUARTERS_PER_YEAR)
+      .map((row) => toNumber(row[field]));
+    metrics[factor] =
+      quarters.length === QUARTERS_PER_YEAR && !quarters.includes(null)
+        ? quarters.reduce((sum, value) => sum + value, 0)
+        : null;
+  });
+
+  return metrics;
+}
+
+/**
+ * Price return over the lookback window, from the last close on or before
+ * `asOf - months` to the last close on or before `asOf`
+ * @param {Array<{date: string, close: number}>} prices - Daily closes, oldest first
+ * @param {string} asOf - ISO date
+ * @param {number} months - Lookback window
+ * @returns {number|null}
+ */
+function computeMomentum(prices, asOf, months) {
+  const start = new Date(`${asOf.slice(0, 10)}T00:00:00Z`);
+  start.setUTCMonth(start.getUTCMonth() - months);
+  const startDate = start.toISOString().slice(0, 10);
+
+  const closeOn = (date) => {
+    let close = null;
+    for (const price of prices) {
+      if (price.date > date) {
+        break;
+      }
+      close = price.close;
+    }
+    return close;
+  };
+
+  const startClose = closeOn(startDate);
+  const endClose = closeOn(asOf.slice(0, 10));
+  return startClose > 0 && endClose > 0 ? endClose / startClose - 1 : null;
+}
+
+/**
+ * Why a stock is left out of the ranking, or null when it is eligible
+ * @param {Object} metric - Stock metrics
+ * @param {Object} config - See loadRankingConfig
+ * @returns {string|null}
+ */
+function exclusionReason(metric, config) {
+  if (metric.sector && config.excludedSectors.includes(metric.sector)) {
+    return `Excluded sector ${metric.sector}`;
+  }
+  if (
+    config.maxDebtToEquity != null &&
+    metric.debtToEquity != null &&
+    metric.debtToEquity > config.maxDebtToEquity
+  ) {
+    return `Debt/equity ${metric.debtToEquity.toFixed(2)} above ${
+      config.maxDebtToEquity
+    }`;
+  }
+  const missing = activeFactors(config).filter(
+    (factor) => metric[factor] == null || !isFinite(metric[factor])
+  );
+  if (missing.length > 0) {
+    return `Missing ${missing.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Computes Magic Formula rankings for a list of stocks based on their financial metrics
+ * The classic Magic Formula combines two rankings:
+ * 1. Earnings Yield (EBIT/Enterprise Value) - Higher is better
+ * 2. Return on Capital (EBIT/(Net Working Capital + Net Fixed Assets)) - Higher is better
+ * The configuration can weight further factors and filter the universe first.
+ *
+ * @param {Array<{symbol: string, returnOnCapital: number, earningsYield: number,
+ * freeCashFlowYield?: number, momentum?: number, debtToEquity?: number, sector?: string}>} metrics
+ * Array of objects containing financial metrics for each stock
+ * @param {Object} [config] - See loadRankingConfig; defaults to the classic Magic Formula
+ * @returns {Array<{symbol: string, returnOnCapital: number, earningsYield: number,
+ * ranks: Object<string, number>, eyRank: number, rocRank: number, combinedRank: number}>}
+ * Sorted array of stocks with their per-factor and combined rankings
+ */
+function computeMagicFormulaRankings(metrics, config = DEFAULT_RANKING_CONFIG) {
+  const factors = activeFactors(config);
+  if (factors.length === 0) {
+    throw new Error("The ranking configuration has no factor with a weight");
+  }
+
+  // Filter out excluded stocks and any entries with missing data
+  const validMetrics = metrics.filter(
+    (m) => exclusionReason(m, config) === null
+  );
+  validMetrics.forEach((m) => {
+    m.ranks = {};
+  });
+
+  // Sort by each factor (descending) and assign rank
+  factors.forEach((factor) => {
+    [...validMetrics]
+      .sort((a, b) => b[factor] - a[factor])
+      .forEach((m, index) => {
+        m.ranks[factor] = index + 1;
+      });
+  });
+
+  // Calculate combined rank
+  validMetrics.forEach((m) => {
+    m.eyRank = m.ranks.earningsYield;
+    m.rocRank = m.ranks.returnOnCapital;
+    m.combinedRank = factors.reduce(
+      (sum, factor) => sum + config.weights[factor] * m.ranks[factor],
+      0
+    );
+  });
+
+  // Sort by combined rank (ascending)
+  const sortedByCombinedRank = validMetrics.sort(
+    (a, b) => a.combinedRank - b.combinedRank
+  );
+  return sortedByCombinedRank;
+}
+
+/**
+ * Summarizes a stock's per-factor ranks, e.g. "EY rank 3, ROC rank 12"
+ * @param {Object} stock - Ranked stock
+ * @returns {string}
+ */
+function describeRanks(stock) {
+  const labels = {
+    earningsYield: "EY",
+    returnOnCapital: "ROC",
+    freeCashFlowYield: "FCF yield",
+    momentum: "momentum",
+  };
+  return Object.entries(stock.ranks)
+    .map(([factor, rank]) => `${labels[factor]} rank ${rank}`)
+    .join(", ");
+}
+
+module.exports = {
+  FACTORS,
+  DEFAULT_RANKING_CONFIG,
+  loadRankingConfig,
+  activeFactors,
+  extractFactorMetrics,
+  computeMomentum,
+  exclusionReason,
+  computeMagicFormulaRankings,
+  describeRanks,
+};
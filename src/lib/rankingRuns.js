@@ -0,0 +1,132 @@
+/**
+ * @file rankingRuns.js
+ * @description Persists every quarterly ranking run, so a later reader can see why a
+ * stock was or wasn't bought. A run stores the configuration and counts; each entry
+ * stores one symbol's raw factors, per-factor and combined ranks and its outcome:
+ * - `excluded` - dropped before ranking; `note` says why
+ * - `ranked` - ranked below the number of stocks bought per batch
+ * - `selected` - among the top stocks, not yet priced
+ * - `skipped` - selected but not ordered; `note` says why
+ * - `ordered` - a buy order was submitted; `order_id` links it to the `orders` table
+ *
+ * @requires ./database - Shared data-access module
+ * @requires ./ranking - Exclusion reasons for unranked symbols
+ */
+
+const { run, transaction } = require("./database");
+const { exclusionReason } = require("./ranking");
+
+/**
+ * Saves a ranking run and one entry per symbol that had metrics
+ * @param {Object} options
+ * @param {Array<Object>} options.metrics - Every symbol's factor metrics
+ * @param {Array<Object>} options.ranked - Result of computeMagicFormulaRankings
+ * @param {Object} options.config - Ranking configuration
+ * @param {number} options.universeSize - Symbols in the universe
+ * @param {number} options.selectedCount - Top ranked symbols selected for buying
+ * @param {number|null} [options.universeSnapshotId] - Universe snapshot the run ranked
+ * @returns {Promise<number>} Run id
+ */
+async function saveRankingRun({
+  metrics,
+  ranked,
+  config,
+  universeSize,
+  selectedCount,
+  universeSnapshotId = null,
+}) {
+  const rankedSymbols = new Set(ranked.map((metric) => metric.symbol));
+  const excluded = metrics.filter(
+    (metric) => !rankedSymbols.has(metric.symbol)
+  );
+
+  return transaction(async () => {
+    const { lastID } = await run(
+      `
+            INSERT INTO ranking_runs (universe_snapshot_id, config, universe_size, ranked_count,
+                excluded_count, selected_count)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `,
+      [
+        universeSnapshotId,
+        JSON.stringify(config),
+        universeSize,
+        ranked.length,
+        excluded.length,
+        Math.min(selectedCount, ranked.length),
+      ]
+    );
+
+    const entries = [
+      ...ranked.map((metric, index) => ({
+        metric,
+        position: index + 1,
+        status: index < selectedCount ? "selected" : "ranked",
+        note: null,
+      })),
+      ...excluded.map((metric) => ({
+        metric,
+        position: null,
+        status: "excluded",
+        note: exclusionReason(metric, config),
+      })),
+    ];
+    for (const { metric, position, status, note } of entries) {
+      await run(
+        `
+                INSERT INTO ranking_entries (run_id, symbol, sector, position, earnings_yield,
+                    return_on_capital, free_cash_flow_yield, momentum, debt_to_equity, factor_ranks,
+                    ey_rank, roc_rank, combined_rank, status, note)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+        [
+          lastID,
+          metric.symbol,
+          metric.sector || null,
+          position,
+          metric.earningsYield != null ? metric.earningsYield : null,
+          metric.returnOnCapital != null ? metric.returnOnCapital : null,
+          metric.freeCashFlowYield != null ? metric.freeCashFlowYield : null,
+          metric.momentum != null ? metric.momentum : null,
+          metric.debtToEquity != null ? metric.debtToEquity : null,
+          metric.ranks ? JSON.stringify(metric.ranks) : null,
+          metric.eyRank != null ? metric.eyRank : null,
+          metric.rocRank != null ? metric.rocRank : null,
+          metric.combinedRank != null ? metric.combinedRank : null,
+          status,
+          note,
+        ]
+      );
+    }
+    return lastID;
+  });
+}
+
+/**
+ * Records the outcome of a selected symbol
+ * @param {number} runId - Ranking run id
+ * @param {string} symbol - Stock symbol
+ * @param {Object} outcome
+ * @param {string} outcome.status - `skipped` or `ordered`
+ * @param {string} [outcome.note] - Why it was skipped
+ * @param {string} [outcome.orderId] - Broker order id
+ */
+async function recordRankingOutcome(
+  runId,
+  symbol,
+  { status, note = null, orderId = null }
+) {
+  await run(
+    `
+        UPDATE ranking_entries
+        SET status = ?, note = ?, order_id = ?
+        WHERE run_id = ? AND symbol = ?
+    `,
+    [status, note, orderId, runId, symbol]
+  );
+}
+
+module.exports = {
+  saveRankingRun,
+  recordRankingOutcome,
+};
@@ -0,0 +1,50 @@
+/**
+ * @file rateLimit.js
+ * @description In-memory fixed-window rate limiter for the HTTP server. Each client key
+ * (the user, token or IP address) may make `limit` requests per window; the counts live
+ * in this process and reset when the server restarts.
+ */
+
+/**
+ * Creates a rate limiter
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window; 0 turns limiting off
+ * @param {number} [options.windowMs] - Window length in milliseconds
+ * @returns {function(string): {allowed: boolean, limit: number, remaining: number,
+ * resetAt: number}} Counts one request for a key
+ */
+function createRateLimiter({ limit, windowMs = 60000 }) {
+  const windows = new Map();
+
+  // Drop finished windows so the map does not grow with every client seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (key) => {
+    if (!limit) {
+      return { allowed: true, limit: 0, remaining: 0, resetAt: 0 };
+    }
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(limit - window.count, 0),
+      resetAt: window.resetAt,
+    };
+  };
+}
+
+module.exports = { createRateLimiter };
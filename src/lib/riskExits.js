@@ -0,0 +1,132 @@
+/**
+ * @file riskExits.js
+ * @description Risk-based exits shared by the sell script and the backtester. They are
+ * checked on every sell run before the holding-period or cohort rules, and sell a lot
+ * regardless of how long it has been held:
+ * - Stop-loss: the price fell `RISK_STOP_LOSS_PERCENT` below the lot's entry price
+ * - Trailing stop: the price fell `RISK_TRAILING_STOP_PERCENT` below the highest price
+ *   seen since the lot was bought
+ * - Take-profit: the price rose `RISK_TAKE_PROFIT_PERCENT` above the entry price
+ * Percentages are fractions (`0.25` is 25%); a rule is off when its variable is empty.
+ * Pure functions only.
+ */
+
+const RISK_EXIT_RULES = ["stop-loss", "trailing-stop", "take-profit"];
+
+const DEFAULT_RISK_EXIT_CONFIG = {
+  stopLossPercent: null,
+  trailingStopPercent: null,
+  takeProfitPercent: null,
+};
+
+/**
+ * Parses an optional percentage
+ * @param {string} value - Environment value
+ * @param {string} name - Variable name, for the error message
+ * @param {number} max - Largest allowed value
+ * @returns {number|null} Null when not set
+ */
+function parsePercent(value, name, max) {
+  if (value == null || value === "") {
+    return null;
+  }
+  const percent = parseFloat(value);
+  if (!(percent > 0 && percent <= max)) {
+    throw new Error(`${name} must be a fraction above 0 and at most ${max}`);
+  }
+  return percent;
+}
+
+/**
+ * Reads the risk exit thresholds from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{stopLossPercent: number|null, trailingStopPercent: number|null,
+ * takeProfitPercent: number|null}}
+ */
+function loadRiskExitConfig(env = process.env) {
+  return {
+    stopLossPercent: parsePercent(
+      env.RISK_STOP_LOSS_PERCENT,
+      "RISK_STOP_LOSS_PERCENT",
+      1
+    ),
+    trailingStopPercent: parsePercent(
+      env.RISK_TRAILING_STOP_PERCENT,
+      "RISK_TRAILING_STOP_PERCENT",
+      1
+    ),
+    takeProfitPercent: parsePercent(
+      env.RISK_TAKE_PROFIT_PERCENT,
+      "RISK_TAKE_PROFIT_PERCENT",
+      Infinity
+    ),
+  };
+}
+
+/**
+ * Formats a fraction as a percentage
+ * @param {number} value - Fraction
+ * @returns {string}
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Decides whether a risk exit sells a lot
+ * @param {Object} lot
+ * @param {number} lot.entryPrice - Price paid per share
+ * @param {number} lot.currentPrice - Current price per share
+ * @param {number} [lot.highPrice] - Highest price seen since purchase; the current price
+ * counts as seen
+ * @param {Object} config - See loadRiskExitConfig
+ * @returns {{triggered: boolean, rule: string|null, reason: string}} `rule` is one of
+ * RISK_EXIT_RULES
+ */
+function evaluateRiskExits({ entryPrice, currentPrice, highPrice }, config) {
+  if (!(entryPrice > 0) || !(currentPrice > 0)) {
+    return { triggered: false, rule: null, reason: "" };
+  }
+  const change = currentPrice / entryPrice - 1;
+  const high = Math.max(highPrice || entryPrice, entryPrice, currentPrice);
+  const drawdown = 1 - currentPrice / high;
+
+  if (config.stopLossPercent != null && -change >= config.stopLossPercent) {
+    return {
+      triggered: true,
+      rule: "stop-loss",
+      reason: `stop-loss: down ${formatPercent(
+        -change
+      )} from entry $${entryPrice.toFixed(2)}`,
+    };
+  }
+  if (
+    config.trailingStopPercent != null &&
+    drawdown >= config.trailingStopPercent
+  ) {
+    return {
+      triggered: true,
+      rule: "trailing-stop",
+      reason: `trailing stop: down ${formatPercent(
+        drawdown
+      )} from high $${high.toFixed(2)}`,
+    };
+  }
+  if (config.takeProfitPercent != null && change >= config.takeProfitPercent) {
+    return {
+      triggered: true,
+      rule: "take-profit",
+      reason: `take-profit: up ${formatPercent(
+        change
+      )} from entry $${entryPrice.toFixed(2)}`,
+    };
+  }
+  return { triggered: false, rule: null, reason: "" };
+}
+
+module.exports = {
+  RISK_EXIT_RULES,
+  DEFAULT_RISK_EXIT_CONFIG,
+  loadRiskExitConfig,
+  evaluateRiskExits,
+};
@@ -0,0 +1,177 @@
+/**
+ * @file sellRules.js
+ * @description Tax-aware sell rules shared by the sell script and the backtester.
+ * A lot is held for at least a year, and sold around the one-year mark depending on
+ * how the sale would be taxed:
+ * - Unprofitable lots are sold just before the mark, after `SELL_UNPROFITABLE_AFTER_DAYS`
+ *   (default 358), so the loss is harvested as a short-term loss
+ * - Profitable lots are sold just after it, after `SELL_PROFITABLE_AFTER_DAYS` (default 367),
+ *   so the gain is long-term
+ * A holding is long-term when it is sold after the anniversary of its purchase. A stock
+ * sold at a loss is not bought back within `WASH_SALE_DAYS` (default 30), so the loss is
+ * not disallowed by the wash-sale rule. Pure functions only.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const DEFAULT_SELL_RULE_CONFIG = {
+  sellUnprofitableAfterDays: 358,
+  sellProfitableAfterDays: 367,
+  washSaleDays: 30,
+};
+
+/**
+ * Reads the sell rule thresholds from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{sellUnprofitableAfterDays: number, sellProfitableAfterDays: number,
+ * washSaleDays: number}}
+ */
+function loadSellRuleConfig(env = process.env) {
+  const config = {
+    sellUnprofitableAfterDays: parseInt(
+      env.SELL_UNPROFITABLE_AFTER_DAYS ||
+        DEFAULT_SELL_RULE_CONFIG.sellUnprofitableAfterDays
+    ),
+    sellProfitableAfterDays: parseInt(
+      env.SELL_PROFITABLE_AFTER_DAYS ||
+        DEFAULT_SELL_RULE_CONFIG.sellProfitableAfterDays
+    ),
+    washSaleDays: parseInt(
+      env.WASH_SALE_DAYS != null && env.WASH_SALE_DAYS !== ""
+        ? env.WASH_SALE_DAYS
+        : DEFAULT_SELL_RULE_CONFIG.washSaleDays
+    ),
+  };
+  if (
+    !(config.sellUnprofitableAfterDays >= 0) ||
+    !(config.sellProfitableAfterDays >= 0) ||
+    !(config.washSaleDays >= 0)
+  ) {
+    throw new Error(
+      "SELL_UNPROFITABLE_AFTER_DAYS, SELL_PROFITABLE_AFTER_DAYS and WASH_SALE_DAYS must be non-negative integers"
+    );
+  }
+  return config;
+}
+
+/**
+ * Whole days between two dates
+ * @param {Date|string} from - Start date
+ * @param {Date|string} to - End date
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.floor((new Date(to) - new Date(from)) / MS_PER_DAY);
+}
+
+/**
+ * Holding period of a sale: long-term when sold after the purchase anniversary
+ * @param {Date|string} acquisitionDate - When the lot was bought
+ * @param {Date|string} saleDate - When it is sold
+ * @returns {string} `short` or `long`
+ */
+function holdingTerm(acquisitionDate, saleDate) {
+  const anniversary = new Date(acquisitionDate);
+  anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+  const saleDay = new Date(saleDate).toISOString().slice(0, 10);
+  return saleDay > anniversary.toISOString().slice(0, 10) ? "long" : "short";
+}
+
+/**
+ * Tax classification of a realized gain or loss
+ * @param {Object} sale
+ * @param {Date|string} sale.acquisitionDate - When the lot was bought
+ * @param {Date|string} sale.saleDate - When it was sold
+ * @param {number|null} sale.realizedPnl - Proceeds minus cost basis
+ * @returns {{term: string, classification: string|null}} `classification` is one of
+ * `short-term-gain`, `short-term-loss`, `long-term-gain` or `long-term-loss`, or null
+ * without a cost basis
+ */
+function classifyGain({ acquisitionDate, saleDate, realizedPnl }) {
+  const term = holdingTerm(acquisitionDate, saleDate);
+  return {
+    term,
+    classification:
+      realizedPnl != null
+        ? `${term}-term-${realizedPnl < 0 ? "loss" : "gain"}`
+        : null,
+  };
+}
+
+/**
+ * Decides whether a lot should be sold
+ * @param {Object} lot
+ * @param {Date|string} lot.acquisitionDate - When the lot was bought
+ * @param {number} lot.entryPrice - Price paid per share
+ * @param {number} lot.currentPrice - Current price per share
+ * @param {Date|string} [lot.asOf] - Evaluation date, defaults to now
+ * @param {Object} config - See loadSellRuleConfig
+ * @returns {{shouldSell: boolean, reason: string, isProfitable: boolean, holdingDays: number,
+ * term: string}} `term` is the holding period a sale today would have
+ */
+function evaluateSellRules(
+  { acquisitionDate, entryPrice, currentPrice, asOf = new Date() },
+  config
+) {
+  const isProfitable = currentPrice > entryPrice;
+  const holdingDays = daysBetween(acquisitionDate, asOf);
+  const term = holdingTerm(acquisitionDate, asOf);
+
+  if (!isProfitable && holdingDays >= config.sellUnprofitableAfterDays) {
+    return {
+      shouldSell: true,
+      reason: `unprofitable after ${holdingDays} days (${term}-term loss)`,
+      isProfitable,
+      holdingDays,
+      term,
+    };
+  }
+  if (isProfitable && holdingDays >= config.sellProfitableAfterDays) {
+    return {
+      shouldSell: true,
+      reason: `profitable after ${holdingDays} days (${term}-term gain)`,
+      isProfitable,
+      holdingDays,
+      term,
+    };
+  }
+  return { shouldSell: false, reason: "", isProfitable, holdingDays, term };
+}
+
+/**
+ * Symbols that may not be bought because they were sold at a loss within the wash-sale
+ * window
+ * @param {Array<{symbol: string, saleDate: string, realizedPnl: number|null}>} sales - Recent lot sales
+ * @param {Date|string} asOf - Date of the planned buy
+ * @param {Object} config - See loadSellRuleConfig
+ * @returns {Map<string, string>} Symbol to the ISO date of its latest loss sale
+ */
+function washSaleBlocks(sales, asOf, config) {
+  const blocked = new Map();
+  if (!(config.washSaleDays > 0)) {
+    return blocked;
+  }
+  sales
+    .filter(
+      (sale) =>
+        sale.realizedPnl < 0 &&
+        daysBetween(sale.saleDate, asOf) <= config.washSaleDays
+    )
+    .forEach(({ symbol, saleDate }) => {
+      const day = new Date(saleDate).toISOString().slice(0, 10);
+      if (!blocked.has(symbol) || blocked.get(symbol) < day) {
+        blocked.set(symbol, day);
+      }
+    });
+  return blocked;
+}
+
+module.exports = {
+  DEFAULT_SELL_RULE_CONFIG,
+  loadSellRuleConfig,
+  daysBetween,
+  holdingTerm,
+  classifyGain,
+  evaluateSellRules,
+  washSaleBlocks,
+};
@@ -0,0 +1,275 @@
+/**
+ * @file sizing.js
+ * @description Position sizing shared by the buy script and the backtester.
+ * Pure functions only. The quarterly budget is split over `NUMBER_OF_STOCKS_PER_BATCH`
+ * slots, filled with the top-ranked stocks:
+ * - `equal` gives every slot the same amount; `inverse-volatility` weights the slots by
+ *   1 / annualized volatility, so calmer stocks get more
+ * - Whatever a slot cannot spend (share rounding, the per-position cap) rolls over to the
+ *   next-ranked stock. A stock that cannot buy a single share gives its slot to the next
+ *   stock in the ranking.
+ * - Stocks already held are skipped, or topped up to the slot's target
+ * - Stocks that may not be bought (`blockedReason`, e.g. the wash-sale window) are skipped
+ * - With fractional shares the amount is bought almost exactly, so little cash is left over
+ */
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Decimals kept for fractional quantities
+const FRACTIONAL_QTY_DECIMALS = 6;
+
+const SIZING_METHODS = ["equal", "inverse-volatility"];
+const HELD_POSITION_MODES = ["skip", "top-up"];
+
+const DEFAULT_SIZING_CONFIG = {
+  method: "equal",
+  fractionalShares: false,
+  maxPositionPercent: null,
+  heldPositions: "skip",
+  volatilityDays: 63,
+};
+
+/**
+ * Reads the sizing configuration from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{method: string, fractionalShares: boolean, maxPositionPercent: number|null,
+ * heldPositions: string, volatilityDays: number}}
+ */
+function loadSizingConfig(env = process.env) {
+  const method = (env.SIZING_METHOD || DEFAULT_SIZING_CONFIG.method)
+    .toLowerCase()
+    .trim();
+  if (!SIZING_METHODS.includes(method)) {
+    throw new Error(
+      `Unknown SIZING_METHOD "${method}". Expected one of: ${SIZING_METHODS.join(
+        ", "
+      )}`
+    );
+  }
+  const heldPositions = (
+    env.SIZING_HELD_POSITIONS || DEFAULT_SIZING_CONFIG.heldPositions
+  )
+    .toLowerCase()
+    .trim();
+  if (!HELD_POSITION_MODES.includes(heldPositions)) {
+    throw new Error(
+      `Unknown SIZING_HELD_POSITIONS "${heldPositions}". Expected one of: ${HELD_POSITION_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  let maxPositionPercent = DEFAULT_SIZING_CONFIG.maxPositionPercent;
+  if (env.SIZING_MAX_POSITION_PERCENT) {
+    maxPositionPercent = Number(env.SIZING_MAX_POSITION_PERCENT);
+    if (!(maxPositionPercent > 0 && maxPositionPercent <= 1)) {
+      throw new Error(
+        `SIZING_MAX_POSITION_PERCENT must be a fraction above 0 and at most 1, got "${env.SIZING_MAX_POSITION_PERCENT}"`
+      );
+    }
+  }
+  const volatilityDays = Number(
+    env.SIZING_VOLATILITY_DAYS || DEFAULT_SIZING_CONFIG.volatilityDays
+  );
+  if (!Number.isInteger(volatilityDays) || volatilityDays < 2) {
+    throw new Error(
+      `SIZING_VOLATILITY_DAYS must be an integer of at least 2, got "${env.SIZING_VOLATILITY_DAYS}"`
+    );
+  }
+
+  return {
+    method,
+    fractionalShares: env.SIZING_FRACTIONAL_SHARES === "true",
+    maxPositionPercent,
+    heldPositions,
+    volatilityDays,
+  };
+}
+
+/**
+ * Annualized volatility of daily log returns over the last `days` trading days up to `asOf`
+ * @param {Array<{date: string, close: number}>} prices - Daily closes, oldest first
+ * @param {string} asOf - ISO date
+ * @param {number} days - Lookback in trading days
+ * @returns {number|null} Null without enough history
+ */
+function annualizedVolatility(prices, asOf, days) {
+  const closes = prices
+    .filter((price) => price.date <= asOf.slice(0, 10) && price.close > 0)
+    .slice(-(days + 1))
+    .map((price) => price.close);
+  if (closes.length < Math.min(days + 1, 3)) {
+    return null;
+  }
+
+  const returns = closes
+    .slice(1)
+    .map((close, index) => Math.log(close / closes[index]));
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance =
+    returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) /
+    Math.max(returns.length - 1, 1);
+  return Math.sqrt(variance * TRADING_DAYS_PER_YEAR);
+}
+
+/**
+ * Share quantity an amount buys
+ * @param {number} amount - Dollars
+ * @param {number} price - Price per share
+ * @param {boolean} fractional - Allow fractional shares
+ * @returns {number}
+ */
+function sharesFor(amount, price, fractional) {
+  if (!fractional) {
+    return Math.floor(amount / price);
+  }
+  const factor = 10 ** FRACTIONAL_QTY_DECIMALS;
+  return Math.floor((amount / price) * factor) / factor;
+}
+
+/**
+ * Budget share of each selected stock, in rank order
+ * @param {Array<Object>} selected - Selected candidates
+ * @param {number} budget - Cash to invest
+ * @param {number} slots - Positions per batch
+ * @param {Object} config - See loadSizingConfig
+ * @returns {number[]} Dollar targets
+ */
+function slotTargets(selected, budget, slots, config) {
+  const perSlot = budget / slots;
+  if (config.method !== "inverse-volatility") {
+    return selected.map(() => perSlot);
+  }
+
+  // Stocks without enough history get the median volatility
+  const known = selected
+    .map((candidate) => candidate.volatility)
+    .filter((volatility) => volatility > 0)
+    .sort((a, b) => a - b);
+  if (known.length === 0) {
+    return selected.map(() => perSlot);
+  }
+  const median = known[Math.floor(known.length / 2)];
+  const inverse = selected.map(
+    (candidate) =>
+      1 / (candidate.volatility > 0 ? candidate.volatility : median)
+  );
+  const total = inverse.reduce((sum, value) => sum + value, 0);
+  return inverse.map((value) => (perSlot * selected.length * value) / total);
+}
+
+/**
+ * Sizes the quarterly buy orders
+ * @param {Object} options
+ * @param {Array<{symbol: string, price: number|null, priceError?: string,
+ * heldValue?: number, volatility?: number|null, blockedReason?: string}>} options.candidates -
+ * Ranked stocks, best first, with their current price, the market value already held and
+ * why they may not be bought, if so
+ * @param {number} options.budget - Cash to invest this batch
+ * @param {number} options.portfolioValue - Portfolio value, for the per-position cap
+ * @param {number} options.slots - Positions per batch
+ * @param {Object} [options.config] - See loadSizingConfig
+ * @returns {{orders: Array<{symbol: string, qty: number, price: number, amount: number,
+ * target: number, topUp: boolean}>, skipped: Array<{symbol: string, reason: string}>,
+ * unallocated: number, exhausted: boolean}} `exhausted` is set when a slot had to be
+ * given to the next-ranked stock but the candidates ran out
+ */
+function sizePositions({
+  candidates,
+  budget,
+  portfolioValue,
+  slots,
+  config = DEFAULT_SIZING_CONFIG,
+}) {
+  const topUp = config.heldPositions === "top-up";
+  const cap =
+    config.maxPositionPercent != null
+      ? portfolioValue * config.maxPositionPercent
+      : Infinity;
+  const orders = [];
+  const skipped = [];
+
+  const eligible = candidates.filter((candidate) => {
+    if (candidate.blockedReason) {
+      skipped.push({
+        symbol: candidate.symbol,
+        reason: candidate.blockedReason,
+      });
+      return false;
+    }
+    if (!topUp && candidate.heldValue > 0) {
+      skipped.push({ symbol: candidate.symbol, reason: "Already held" });
+      return false;
+    }
+    return true;
+  });
+  const selected = eligible.slice(0, slots);
+  const queue = slotTargets(selected, budget, slots, config).map(
+    (target, index) => ({ candidate: selected[index], target })
+  );
+  let next = selected.length;
+  let exhausted = selected.length < slots;
+  let carry = 0;
+
+  for (let i = 0; i < queue.length; i++) {
+    const { candidate, target } = queue[i];
+    const { symbol, price } = candidate;
+    const held = candidate.heldValue || 0;
+    const available = target + carry;
+    const amount = Math.min(
+      topUp ? Math.max(0, available - held) : available,
+      Math.max(0, cap - held)
+    );
+    const qty =
+      price > 0 ? sharesFor(amount, price, config.fractionalShares) : 0;
+
+    if (qty > 0) {
+      const cost = qty * price;
+      orders.push({
+        symbol,
+        qty,
+        price,
+        amount: cost,
+        target,
+        topUp: held > 0,
+      });
+      carry = available - cost;
+      continue;
+    }
+
+    let reason;
+    if (!(price > 0)) {
+      reason = candidate.priceError || "Invalid price";
+    } else if (held > 0 && held >= cap) {
+      reason = "Position already at the cap";
+    } else if (held > 0 && amount === 0) {
+      reason = "Position already at its target";
+    } else {
+      reason = `Price $${price.toFixed(2)} exceeds allocation $${amount.toFixed(
+        2
+      )}`;
+    }
+    skipped.push({ symbol, reason });
+
+    // A held stock keeps its slot; anything else hands it to the next-ranked stock
+    if (held > 0) {
+      carry = available;
+    } else if (next < eligible.length) {
+      queue.push({ candidate: eligible[next++], target });
+    } else {
+      exhausted = true;
+      carry = available;
+    }
+  }
+
+  const spent = orders.reduce((sum, order) => sum + order.amount, 0);
+  return { orders, skipped, unallocated: budget - spent, exhausted };
+}
+
+module.exports = {
+  SIZING_METHODS,
+  DEFAULT_SIZING_CONFIG,
+  loadSizingConfig,
+  annualizedVolatility,
+  sizePositions,
+};
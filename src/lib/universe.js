@@ -0,0 +1,301 @@
+/**
+ * @file universe.js
+ * @description Builds the investable universe for the quarterly buy.
+ * 1. Pages through the full screener for every configured exchange, largest companies
+ *    first, using the smallest market cap seen so far as the next page's upper bound
+ * 2. Applies the inclusion rules: minimum market cap, minimum average dollar volume,
+ *    country, excluded sectors, ADRs, funds and the user-maintained blocklist
+ * 3. Optionally saves every candidate, with the reason it was excluded, as a snapshot
+ *    for the quarter in `universe_snapshots` / `universe_members`
+ *
+ * @requires ./database - Shared data-access module
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { run, transaction } = require("./database");
+
+// Relative paths are resolved against the project root, not the working directory
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+// Names FMP uses for depositary receipts
+const ADR_NAME_PATTERN =
+  /\bADRs?\b|\bADS\b|American Depositary|Depositary Receipt/i;
+
+/**
+ * Splits a comma-separated list
+ * @param {string} value - Comma-separated values
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads a blocklist file: one symbol per line, `#` starts a comment
+ * @param {string|null} filePath - Blocklist file
+ * @returns {string[]} Upper-case symbols
+ */
+function loadBlocklist(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, "").trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the universe configuration from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{exchanges: string[], minMarketCap: number, minDollarVolume: number,
+ * countries: string[], excludedSectors: string[], excludeAdrs: boolean, blocklist: string[],
+ * pageSize: number, maxPages: number}}
+ */
+function loadUniverseConfig(env = process.env) {
+  const blocklistFile = path.resolve(
+    PROJECT_ROOT,
+    env.UNIVERSE_BLOCKLIST_FILE || "./config/universe-blocklist.txt"
+  );
+
+  return {
+    exchanges: parseList(env.UNIVERSE_EXCHANGES || "NYSE,NASDAQ"),
+    minMarketCap: parseFloat(env.STOCK_SCREENER_MARKET_CAP || 0),
+    minDollarVolume: parseFloat(env.UNIVERSE_MIN_DOLLAR_VOLUME || 0),
+    countries: parseList(env.UNIVERSE_COUNTRIES),
+    // Shared with the ranking so both steps leave out the same sectors
+    excludedSectors: parseList(
+      env.RANKING_EXCLUDED_SECTORS != null
+        ? env.RANKING_EXCLUDED_SECTORS
+        : "Financial Services,Utilities"
+    ),
+    excludeAdrs: env.UNIVERSE_EXCLUDE_ADRS !== "false",
+    blocklist: [
+      ...loadBlocklist(blocklistFile),
+      ...parseList(env.UNIVERSE_BLOCKLIST).map((symbol) =>
+        symbol.toUpperCase()
+      ),
+    ],
+    pageSize: parseInt(env.UNIVERSE_PAGE_SIZE || 1000),
+    maxPages: parseInt(env.UNIVERSE_MAX_PAGES || 50),
+  };
+}
+
+/**
+ * Fetches every screener row of one exchange above the market-cap floor
+ * @param {Object} marketData - Market-data provider
+ * @param {string} exchange - Exchange short name
+ * @param {Object} config - See loadUniverseConfig
+ * @returns {Promise<Array<Object>>} Screener rows
+ */
+async function fetchExchange(marketData, exchange, config) {
+  const rows = new Map();
+  let upperBound;
+
+  for (let page = 0; page < config.maxPages; page++) {
+    const stocks = await marketData.screenStocks({
+      exchange,
+      marketCapMoreThan: config.minMarketCap,
+      // The bound is exclusive, so step just above it to keep ties with the last row
+      marketCapLowerThan: upperBound != null ? upperBound + 1 : undefined,
+      limit: config.pageSize,
+    });
+
+    const fresh = stocks.filter((stock) => !rows.has(stock.symbol));
+    fresh.forEach((stock) => rows.set(stock.symbol, stock));
+    if (stocks.length < config.pageSize || fresh.length === 0) {
+      break;
+    }
+    upperBound = Math.min(...stocks.map((stock) => stock.marketCap));
+  }
+
+  return [...rows.values()];
+}
+
+// Inclusion rules in the order they are checked. Each returns why a screener row
+// (with `dollarVolume`) is excluded, or null when the rule lets it through.
+const UNIVERSE_RULES = [
+  {
+    rule: "blocklist",
+    check: (stock, config) =>
+      config.blocklist.includes(stock.symbol.toUpperCase())
+        ? "Blocklisted"
+        : null,
+  },
+  {
+    rule: "fund",
+    check: (stock) => (stock.isEtf || stock.isFund ? "Fund or ETF" : null),
+  },
+  {
+    rule: "marketCap",
+    check: (stock, config) =>
+      stock.marketCap > config.minMarketCap
+        ? null
+        : `Market cap below ${config.minMarketCap}`,
+  },
+  {
+    rule: "dollarVolume",
+    check: (stock, config) =>
+      config.minDollarVolume > 0 &&
+      !(stock.dollarVolume >= config.minDollarVolume)
+        ? `Average dollar volume below ${config.minDollarVolume}`
+        : null,
+  },
+  {
+    rule: "country",
+    check: (stock, config) =>
+      config.countries.length > 0 && !config.countries.includes(stock.country)
+        ? `Country ${stock.country || "unknown"} not allowed`
+        : null,
+  },
+  {
+    rule: "sector",
+    check: (stock, config) =>
+      stock.sector && config.excludedSectors.includes(stock.sector)
+        ? `Excluded sector ${stock.sector}`
+        : null,
+  },
+  {
+    rule: "adr",
+    check: (stock, config) =>
+      config.excludeAdrs && ADR_NAME_PATTERN.test(stock.companyName || "")
+        ? "ADR"
+        : null,
+  },
+];
+
+/**
+ * First inclusion rule a screener row fails
+ * @param {Object} stock - Screener row with `dollarVolume`
+ * @param {Object} config - See loadUniverseConfig
+ * @returns {{rule: string, reason: string}|null} Null when the row is included
+ */
+function findExclusion(stock, config) {
+  for (const { rule, check } of UNIVERSE_RULES) {
+    const reason = check(stock, config);
+    if (reason) {
+      return { rule, reason };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the universe from the screener
+ * @param {Object} marketData - Market-data provider
+ * @param {Object} config - See loadUniverseConfig
+ * @returns {Promise<{candidates: Array<Object>, included: Array<Object>,
+ * excludedByRule: Object<string, number>}>} Every candidate carries `included`,
+ * `exclusionRule` and `exclusionReason`
+ */
+async function buildUniverse(marketData, config) {
+  const candidates = [];
+  const seen = new Set();
+
+  for (const exchange of config.exchanges) {
+    const stocks = await fetchExchange(marketData, exchange, config);
+    stocks
+      .filter((stock) => !seen.has(stock.symbol))
+      .forEach((stock) => {
+        seen.add(stock.symbol);
+        const averageVolume =
+          stock.avgVolume != null ? stock.avgVolume : stock.volume;
+        const candidate = {
+          ...stock,
+          exchange: stock.exchange || exchange,
+          dollarVolume:
+            averageVolume != null && stock.price != null
+              ? averageVolume * stock.price
+              : null,
+        };
+        const exclusion = findExclusion(candidate, config);
+        candidate.included = exclusion === null;
+        candidate.exclusionRule = exclusion && exclusion.rule;
+        candidate.exclusionReason = exclusion && exclusion.reason;
+        candidates.push(candidate);
+      });
+  }
+
+  const excludedByRule = {};
+  candidates
+    .filter((candidate) => !candidate.included)
+    .forEach(({ exclusionRule }) => {
+      excludedByRule[exclusionRule] = (excludedByRule[exclusionRule] || 0) + 1;
+    });
+
+  return {
+    candidates,
+    included: candidates.filter((candidate) => candidate.included),
+    excludedByRule,
+  };
+}
+
+/**
+ * Calendar quarter of a date, e.g. "2025-Q3"
+ * @param {Date} [date] - Date, defaults to now
+ * @returns {string}
+ */
+function quarterOf(date = new Date()) {
+  return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+}
+
+/**
+ * Saves a universe snapshot for auditing
+ * @param {Object} universe - Result of buildUniverse
+ * @param {Object} config - Configuration the universe was built with
+ * @param {string} [quarter] - Quarter label, defaults to the current quarter
+ * @returns {Promise<number>} Snapshot id
+ */
+async function saveUniverseSnapshot(universe, config, quarter = quarterOf()) {
+  return transaction(async () => {
+    const { lastID } = await run(
+      `
+            INSERT INTO universe_snapshots (quarter, config, candidate_count, included_count)
+            VALUES (?, ?, ?, ?)
+        `,
+      [
+        quarter,
+        JSON.stringify(config),
+        universe.candidates.length,
+        universe.included.length,
+      ]
+    );
+
+    for (const candidate of universe.candidates) {
+      await run(
+        `
+                INSERT INTO universe_members (snapshot_id, symbol, company_name, exchange, sector, country,
+                    market_cap, dollar_volume, included, exclusion_reason)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+        [
+          lastID,
+          candidate.symbol,
+          candidate.companyName || null,
+          candidate.exchange || null,
+          candidate.sector || null,
+          candidate.country || null,
+          candidate.marketCap != null ? candidate.marketCap : null,
+          candidate.dollarVolume,
+          candidate.included ? 1 : 0,
+          candidate.exclusionReason,
+        ]
+      );
+    }
+    return lastID;
+  });
+}
+
+module.exports = {
+  loadUniverseConfig,
+  loadBlocklist,
+  findExclusion,
+  buildUniverse,
+  quarterOf,
+  saveUniverseSnapshot,
+};
@@ -0,0 +1,430 @@
+/**
+ * @file valuation.js
+ * @description Live valuation of the portfolio. Every open lot in `holdings` is valued at
+ * the current price of its symbol, taken from the broker's positions, then the broker's
+ * quote, then the market-data provider. A lot without any price is valued at its entry
+ * price and listed in `missingPrices`. For each lot the valuation reports its market
+ * value, unrealized P&L and return, how long it has been held, and when the sell rules
+ * will sell it:
+ * - `holding-period` - after `SELL_PROFITABLE_AFTER_DAYS` or `SELL_UNPROFITABLE_AFTER_DAYS`,
+ *   depending on whether it is profitable at the current price
+ * - `cohort` - in cohort mode, from the first day of the quarter its cohort expires
+ * - `stop-loss`, `trailing-stop` or `take-profit` - a risk exit would sell it today
+ *
+ * Realized P&L comes from `lot_sales` and cash from the broker account. A daily snapshot
+ * of the totals is stored in `portfolio_snapshots`, one row per market date, for the
+ * equity history. The server reuses a valuation for `VALUATION_CACHE_SECONDS`, so
+ * dashboards refreshing on a timer do not price the portfolio on every request.
+ *
+ * @requires ./database - Shared data-access module
+ * @requires ./brokers - Broker positions, quotes and cash
+ * @requires ./marketData - Fallback quotes
+ */
+
+const { run, get, all } = require("./database");
+const { getBroker } = require("./brokers");
+const { getMarketDataProvider } = require("./marketData");
+const { loadSellRuleConfig, daysBetween } = require("./sellRules");
+const { loadPortfolioConfig, cohortExpiryDate } = require("./cohorts");
+const { loadRiskExitConfig, evaluateRiskExits } = require("./riskExits");
+const { marketDateTime } = require("./marketCalendar");
+
+const DEFAULT_VALUATION_CACHE_SECONDS = 300;
+
+/**
+ * Reads the rules that decide when a lot is sold, and how long a valuation is reused,
+ * from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{sellRules: Object, portfolio: Object, riskExits: Object, cacheSeconds: number}}
+ */
+function loadValuationConfig(env = process.env) {
+  const cacheSeconds = Number(
+    env.VALUATION_CACHE_SECONDS || DEFAULT_VALUATION_CACHE_SECONDS
+  );
+  if (!(cacheSeconds >= 0)) {
+    throw new Error(
+      `VALUATION_CACHE_SECONDS must be 0 or more, got "${env.VALUATION_CACHE_SECONDS}"`
+    );
+  }
+  return {
+    sellRules: loadSellRuleConfig(env),
+    portfolio: loadPortfolioConfig(env),
+    riskExits: loadRiskExitConfig(env),
+    cacheSeconds,
+  };
+}
+
+/**
+ * Adds days to a date
+ * @param {Date|string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} ISO date
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * When the sell rules will sell a lot, at its current price
+ * @param {Object} lot
+ * @param {string} lot.acquisitionDate - When the lot was bought
+ * @param {number} lot.entryPrice - Price paid per share
+ * @param {number} lot.currentPrice - Current price per share
+ * @param {number} [lot.highPrice] - Highest price seen since purchase
+ * @param {Date} asOf - Valuation date
+ * @param {Object} config - See loadValuationConfig
+ * @returns {{sellRule: string, sellDate: string, daysUntilSell: number}}
+ */
+function sellSchedule(
+  { acquisitionDate, entryPrice, currentPrice, highPrice },
+  asOf,
+  config
+) {
+  const today = asOf.toISOString().slice(0, 10);
+  const risk = evaluateRiskExits(
+    { entryPrice, currentPrice, highPrice },
+    config.riskExits
+  );
+  if (risk.triggered) {
+    return { sellRule: risk.rule, sellDate: today, daysUntilSell: 0 };
+  }
+
+  let sellRule = "holding-period";
+  let sellDate;
+  if (config.portfolio.mode === "cohort") {
+    sellRule = "cohort";
+    sellDate = cohortExpiryDate(acquisitionDate, config.portfolio);
+  } else {
+    sellDate = addDays(
+      acquisitionDate,
+      currentPrice > entryPrice
+        ? config.sellRules.sellProfitableAfterDays
+        : config.sellRules.sellUnprofitableAfterDays
+    );
+  }
+  return {
+    sellRule,
+    sellDate: sellDate > today ? sellDate : today,
+    daysUntilSell: Math.max(0, daysBetween(today, sellDate)),
+  };
+}
+
+/**
+ * Current prices of symbols
+ * @param {string[]} symbols - Symbols to price
+ * @param {Object} sources
+ * @param {Object} sources.broker - Broker
+ * @param {Object|null} sources.marketData - Market-data provider
+ * @param {string[]} errors - Collects what could not be fetched
+ * @returns {Promise<Map<string, {price: number, source: string}>>}
+ */
+async function fetchPrices(symbols, { broker, marketData }, errors) {
+  const prices = new Map();
+  try {
+    const positions = await broker.getPositions();
+    positions
+      .filter((position) => position.currentPrice > 0)
+      .forEach((position) =>
+        prices.set(position.symbol, {
+          price: position.currentPrice,
+          source: "broker",
+        })
+      );
+  } catch (error) {
+    errors.push(`${broker.name} positions: ${error.message}`);
+  }
+
+  for (const symbol of symbols.filter((symbol) => !prices.has(symbol))) {
+    try {
+      const quote = await broker.getQuote(symbol);
+      if (quote && quote.price > 0) {
+        prices.set(symbol, { price: quote.price, source: "broker" });
+        continue;
+      }
+    } catch (error) {
+      // Fall back to the market-data provider
+    }
+    if (!marketData) {
+      continue;
+    }
+    try {
+      const quote = await marketData.getQuote(symbol);
+      if (quote && quote.price > 0) {
+        prices.set(symbol, { price: quote.price, source: "market-data" });
+      }
+    } catch (error) {
+      errors.push(`${symbol} quote: ${error.message}`);
+    }
+  }
+  return prices;
+}
+
+/**
+ * Values every open lot at current prices
+ * @param {Object} [options]
+ * @param {Object} [options.broker] - Broker, defaults to the one configured by `BROKER`
+ * @param {Object|null} [options.marketData] - Fallback quotes, defaults to the provider
+ * configured by `MARKET_DATA_PROVIDER`
+ * @param {Date} [options.asOf] - Valuation date, defaults to now
+ * @param {Object} [options.config] - See loadValuationConfig
+ * @returns {Promise<{asOf: string, positions: Array<Object>, totals: Object,
+ * missingPrices: string[], errors: string[]}>} One position per open lot; `totals.cash`
+ * and `totals.equity` are null when the broker account cannot be read
+ */
+async function valuePortfolio({
+  broker = getBroker(),
+  marketData,
+  asOf = new Date(),
+  config = loadValuationConfig(),
+} = {}) {
+  const errors = [];
+  if (marketData === undefined) {
+    try {
+      marketData = getMarketDataProvider();
+    } catch (error) {
+      marketData = null;
+      errors.push(`Market data: ${error.message}`);
+    }
+  }
+
+  const [lots, realized] = await Promise.all([
+    all(`
+        SELECT * FROM holdings
+        WHERE status = 'active' AND remaining_quantity > 0
+        ORDER BY acquisition_date, id
+    `),
+    get(`
+        SELECT
+            COALESCE(SUM(realized_pnl), 0) as total,
+            COALESCE(SUM(CASE WHEN holding_term = 'short' THEN realized_pnl END), 0) as short_term,
+            COALESCE(SUM(CASE WHEN holding_term = 'long' THEN realized_pnl END), 0) as long_term
+        FROM lot_sales
+    `),
+  ]);
+
+  const symbols = [...new Set(lots.map((lot) => lot.symbol))];
+  const prices = await fetchPrices(symbols, { broker, marketData }, errors);
+  let cash = null;
+  try {
+    cash = (await broker.getAccount()).cash;
+  } catch (error) {
+    errors.push(`${broker.name} account: ${error.message}`);
+  }
+
+  const positions = lots.map((lot) => {
+    const entryPrice =
+      lot.acquisition_price != null
+        ? lot.acquisition_price
+        : lot.cost_basis / lot.quantity;
+    const quote = prices.get(lot.symbol);
+    const currentPrice = quote ? quote.price : entryPrice;
+    const quantity = lot.remaining_quantity;
+    const costBasis = quantity * entryPrice;
+    const marketValue = quantity * currentPrice;
+    return {
+      lotId: lot.id,
+      symbol: lot.symbol,
+      quantity,
+      acquisitionDate: lot.acquisition_date,
+      entryPrice,
+      currentPrice,
+      priceSource: quote ? quote.source : "cost",
+      costBasis,
+      marketValue,
+      unrealizedPnl: marketValue - costBasis,
+      returnPercent: entryPrice > 0 ? currentPrice / entryPrice - 1 : null,
+      daysHeld: daysBetween(lot.acquisition_date, asOf),
+      ...sellSchedule(
+        {
+          acquisitionDate: lot.acquisition_date,
+          entryPrice,
+          currentPrice,
+          highPrice: lot.high_price,
+        },
+        asOf,
+        config
+      ),
+    };
+  });
+
+  const sum = (field) =>
+    positions.reduce((total, position) => total + position[field], 0);
+  const costBasis = sum("costBasis");
+  const marketValue = sum("marketValue");
+  const unrealizedPnl = marketValue - costBasis;
+
+  return {
+    asOf: asOf.toISOString(),
+    positions,
+    totals: {
+      lots: positions.length,
+      symbols: symbols.length,
+      costBasis,
+      marketValue,
+      unrealizedPnl,
+      unrealizedReturnPercent: costBasis > 0 ? unrealizedPnl / costBasis : null,
+      realizedPnl: realized.total,
+      realizedShortTerm: realized.short_term,
+      realizedLongTerm: realized.long_term,
+      totalPnl: unrealizedPnl + realized.total,
+      cash,
+      equity: cash != null ? cash + marketValue : null,
+    },
+    missingPrices: symbols.filter((symbol) => !prices.has(symbol)),
+    errors,
+  };
+}
+
+// The latest valuation from getValuation and when it was started
+let cachedValuation = null;
+
+/**
+ * Values the portfolio with the configured broker and market data, reusing the latest
+ * valuation while it is younger than `config.cacheSeconds`. Requests that arrive while a
+ * valuation is running share it.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Value the portfolio at live prices now
+ * @param {Object} [options.config] - See loadValuationConfig
+ * @returns {Promise<Object>} See valuePortfolio; `asOf` says when it was valued
+ */
+function getValuation({
+  refresh = false,
+  config = loadValuationConfig(),
+} = {}) {
+  if (
+    !refresh &&
+    cachedValuation &&
+    Date.now() - cachedValuation.startedAt < config.cacheSeconds * 1000
+  ) {
+    return cachedValuation.promise;
+  }
+  const promise = valuePortfolio({ config });
+  const entry = { startedAt: Date.now(), promise };
+  cachedValuation = entry;
+  // A failed valuation is not reused
+  promise.catch(() => {
+    if (cachedValuation === entry) {
+      cachedValuation = null;
+    }
+  });
+  return promise;
+}
+
+/**
+ * Stores the totals of a valuation as the snapshot of its market date, replacing an
+ * earlier snapshot of the same date
+ * @param {Object} valuation - See valuePortfolio
+ * @returns {Promise<string>} Snapshot date
+ */
+async function recordSnapshot(valuation) {
+  const { date } = marketDateTime(new Date(valuation.asOf));
+  const { totals } = valuation;
+  await run(
+    `
+        INSERT INTO portfolio_snapshots (snapshot_date, valued_at, market_value, cost_basis,
+            unrealized_pnl, realized_pnl, cash, equity, lots, missing_prices)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (snapshot_date) DO UPDATE SET
+            valued_at = excluded.valued_at,
+            market_value = excluded.market_value,
+            cost_basis = excluded.cost_basis,
+            unrealized_pnl = excluded.unrealized_pnl,
+            realized_pnl = excluded.realized_pnl,
+            cash = excluded.cash,
+            equity = excluded.equity,
+            lots = excluded.lots,
+            missing_prices = excluded.missing_prices
+    `,
+    [
+      date,
+      valuation.asOf,
+      totals.marketValue,
+      totals.costBasis,
+      totals.unrealizedPnl,
+      totals.realizedPnl,
+      totals.cash,
+      totals.equity,
+      totals.lots,
+      valuation.missingPrices.length > 0
+        ? JSON.stringify(valuation.missingPrices)
+        : null,
+    ]
+  );
+  return date;
+}
+
+/**
+ * Values the portfolio and stores the day's snapshot; the job run by the server after
+ * the close
+ * @param {Object} [options] - See valuePortfolio
+ * @returns {Promise<Object>} Snapshot totals, with `errors` for prices or cash that could
+ * not be fetched
+ */
+async function snapshotPortfolio(options = {}) {
+  const valuation = await valuePortfolio(options);
+  const errors = [
+    ...valuation.errors,
+    ...valuation.missingPrices.map(
+      (symbol) => `${symbol}: no current price, valued at cost`
+    ),
+  ];
+  if (valuation.totals.cash == null) {
+    throw new Error(
+      `Cannot snapshot the portfolio without the account cash: ${errors.join(
+        "; "
+      )}`
+    );
+  }
+  const snapshotDate = await recordSnapshot(valuation);
+  return {
+    snapshotDate,
+    ...valuation.totals,
+    missingPrices: valuation.missingPrices,
+    ordersPlaced: 0,
+    errors,
+  };
+}
+
+/**
+ * Stored snapshots, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.from] - First ISO date
+ * @param {string} [options.to] - Last ISO date
+ * @returns {Promise<Array<Object>>} portfolio_snapshots rows with parsed missing prices
+ */
+async function getSnapshots({ from = null, to = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push("snapshot_date >= ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("snapshot_date <= ?");
+    params.push(to);
+  }
+  const rows = await all(
+    `
+        SELECT * FROM portfolio_snapshots
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY snapshot_date
+    `,
+    params
+  );
+  return rows.map((row) => ({
+    ...row,
+    missing_prices: row.missing_prices ? JSON.parse(row.missing_prices) : [],
+  }));
+}
+
+module.exports = {
+  loadValuationConfig,
+  sellSchedule,
+  valuePortfolio,
+  getValuation,
+  recordSnapshot,
+  snapshotPortfolio,
+  getSnapshots,
+};
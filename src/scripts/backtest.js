@@ -0,0 +1,256 @@
+/**
+ * @file backtest.js
+ * @description Replays the Magic Formula strategy over historical data.
+ * This script:
+ * 1. Loads fundamentals and daily prices from a local dataset directory
+ * 2. Simulates the quarterly buys and daily sell checks with the live ranking and sell rules
+ * 3. Prints CAGR, max drawdown, Sharpe ratio, turnover and the trade log
+ * 4. Optionally writes the full report (including the equity curve) as JSON
+ *
+ * Strategy parameters default to the same environment variables as the trading scripts
+ * and can be overridden on the command line:
+ *
+ *   node src/scripts/backtest.js --data ./data/backtest --start 2015-01-01 --end 2023-12-31
+ *     [--initial-cash 100000] [--stocks-per-batch 20] [--max-investment-percent 0.1]
+ *     [--market-cap 1000000000] [--sell-profitable-after 367]
+ *     [--sell-unprofitable-after 358] [--wash-sale-days 30] [--risk-free-rate 0.02]
+ *     [--output report.json]
+ *     [--ranking-factors earningsYield:1,returnOnCapital:1,momentum:0.5] [--ranking-period ttm]
+ *     [--sizing-method inverse-volatility] [--max-position-percent 0.05] [--fractional-shares]
+ *     [--portfolio-mode cohort] [--target-positions 20] [--holding-quarters 4]
+ *     [--stop-loss 0.25] [--trailing-stop 0.2] [--take-profit 1]
+ *
+ * No orders are placed and nothing is written to the database.
+ *
+ * @requires dotenv - For environment variable management
+ * @requires ../lib/backtestData - Dataset loading
+ * @requires ../lib/backtest - Simulation engine
+ */
+
+require("dotenv").config();
+const path = require("path");
+const fs = require("fs");
+const { loadBacktestData } = require("../lib/backtestData");
+const { runBacktest } = require("../lib/backtest");
+const { loadSellRuleConfig } = require("../lib/sellRules");
+const { loadRankingConfig } = require("../lib/ranking");
+const { loadSizingConfig } = require("../lib/sizing");
+const { loadRiskExitConfig } = require("../lib/riskExits");
+const { loadPortfolioConfig } = require("../lib/cohorts");
+
+// ----------------------- Configuration ----------------------- //
+
+// Load environment variables
+const {
+  NUMBER_OF_STOCKS_PER_BATCH,
+  MAX_TOTAL_INVESTMENT_PERCENT,
+  STOCK_SCREENER_MARKET_CAP,
+  BACKTEST_DATA_DIR,
+} = process.env;
+
+/**
+ * Parses `--name value` command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object<string, string>}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const [name, inlineValue] = argv[i].slice(2).split("=");
+      if (inlineValue !== undefined) {
+        args[name] = inlineValue;
+      } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+        args[name] = argv[++i];
+      } else {
+        args[name] = "true";
+      }
+    }
+  }
+  return args;
+}
+
+/**
+ * Builds the backtest configuration from arguments and environment variables
+ * @param {Object<string, string>} args - Parsed command line arguments
+ * @returns {{dataDir: string, output: string|null, config: Object}}
+ */
+function buildConfig(args) {
+  const sellRules = loadSellRuleConfig({
+    ...process.env,
+    ...(args["sell-profitable-after"] && {
+      SELL_PROFITABLE_AFTER_DAYS: args["sell-profitable-after"],
+    }),
+    ...(args["sell-unprofitable-after"] && {
+      SELL_UNPROFITABLE_AFTER_DAYS: args["sell-unprofitable-after"],
+    }),
+    ...(args["wash-sale-days"] && { WASH_SALE_DAYS: args["wash-sale-days"] }),
+  });
+
+  const config = {
+    startDate: args.start || null,
+    endDate: args.end || null,
+    initialCash: parseFloat(args["initial-cash"] || 100000),
+    stocksPerBatch: parseInt(
+      args["stocks-per-batch"] || NUMBER_OF_STOCKS_PER_BATCH
+    ),
+    maxInvestmentPercent: parseFloat(
+      args["max-investment-percent"] || MAX_TOTAL_INVESTMENT_PERCENT
+    ),
+    marketCapMin: parseFloat(
+      args["market-cap"] || STOCK_SCREENER_MARKET_CAP || 0
+    ),
+    riskFreeRate: parseFloat(args["risk-free-rate"] || 0),
+    ranking: loadRankingConfig({
+      ...process.env,
+      ...(args["ranking-factors"] && {
+        RANKING_FACTORS: args["ranking-factors"],
+      }),
+      ...(args["ranking-period"] && { RANKING_PERIOD: args["ranking-period"] }),
+    }),
+    sizing: loadSizingConfig({
+      ...process.env,
+      ...(args["sizing-method"] && { SIZING_METHOD: args["sizing-method"] }),
+      ...(args["max-position-percent"] && {
+        SIZING_MAX_POSITION_PERCENT: args["max-position-percent"],
+      }),
+      ...(args["fractional-shares"] && {
+        SIZING_FRACTIONAL_SHARES: args["fractional-shares"],
+      }),
+    }),
+    portfolio: loadPortfolioConfig({
+      ...process.env,
+      ...(args["portfolio-mode"] && { PORTFOLIO_MODE: args["portfolio-mode"] }),
+      ...(args["target-positions"] && {
+        COHORT_TARGET_POSITIONS: args["target-positions"],
+      }),
+      ...(args["holding-quarters"] && {
+        COHORT_HOLDING_QUARTERS: args["holding-quarters"],
+      }),
+    }),
+    riskExits: loadRiskExitConfig({
+      ...process.env,
+      ...(args["stop-loss"] && { RISK_STOP_LOSS_PERCENT: args["stop-loss"] }),
+      ...(args["trailing-stop"] && {
+        RISK_TRAILING_STOP_PERCENT: args["trailing-stop"],
+      }),
+      ...(args["take-profit"] && {
+        RISK_TAKE_PROFIT_PERCENT: args["take-profit"],
+      }),
+    }),
+    sellRules,
+  };
+
+  const invalid = Object.entries({
+    stocksPerBatch: config.stocksPerBatch,
+    maxInvestmentPercent: config.maxInvestmentPercent,
+    sellProfitableAfterDays: sellRules.sellProfitableAfterDays,
+    sellUnprofitableAfterDays: sellRules.sellUnprofitableAfterDays,
+  })
+    .filter(([, value]) => isNaN(value))
+    .map(([name]) => name);
+  if (invalid.length > 0) {
+    throw new Error(
+      `Missing backtest parameters: ${invalid.join(
+        ", "
+      )}. Set them in .env or pass them on the command line.`
+    );
+  }
+
+  const dataDir = args.data || BACKTEST_DATA_DIR;
+  if (!dataDir) {
+    throw new Error(
+      "No dataset given. Pass --data <dir> or set BACKTEST_DATA_DIR."
+    );
+  }
+
+  return {
+    dataDir: path.resolve(dataDir),
+    output: args.output ? path.resolve(args.output) : null,
+    config,
+  };
+}
+
+/**
+ * Formats a ratio as a percentage
+ * @param {number|null} value - Ratio to format
+ * @returns {string}
+ */
+function formatPercent(value) {
+  return value == null ? "n/a" : `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Prints a human-readable summary of a backtest report
+ * @param {Object} report - Result of runBacktest
+ */
+function printReport(report) {
+  const { config, metrics, trades } = report;
+
+  console.log(`Backtest ${config.startDate} to ${config.endDate}`);
+  console.log(
+    `Starting equity: $${metrics.startingEquity.toFixed(
+      2
+    )}, ending equity: $${metrics.endingEquity.toFixed(2)}`
+  );
+  console.log(`Total return: ${formatPercent(metrics.totalReturn)}`);
+  console.log(`CAGR: ${formatPercent(metrics.cagr)}`);
+  console.log(`Max drawdown: ${formatPercent(metrics.maxDrawdown)}`);
+  console.log(`Annualized volatility: ${formatPercent(metrics.volatility)}`);
+  console.log(
+    `Sharpe ratio: ${
+      metrics.sharpeRatio == null ? "n/a" : metrics.sharpeRatio.toFixed(2)
+    }`
+  );
+  console.log(`Annual turnover: ${formatPercent(metrics.turnover)}`);
+  console.log(
+    `Trades: ${metrics.trades} (${metrics.buys} buys, ${metrics.sells} sells), ${metrics.openLots} lots still open`
+  );
+
+  console.log("\nTrade log:");
+  trades.forEach((trade) => {
+    console.log(
+      `${trade.date} ${trade.side.toUpperCase()} ${trade.qty} ${
+        trade.symbol
+      } @ $${trade.price.toFixed(2)} ($${trade.amount.toFixed(2)})${
+        trade.realizedPnl != null ? ` P&L $${trade.realizedPnl.toFixed(2)}` : ""
+      } - ${trade.reason}`
+    );
+  });
+}
+
+/**
+ * Loads the dataset, runs the backtest and reports the result
+ * @param {Object<string, string>} args - Parsed command line arguments
+ * @returns {Object} The backtest report
+ */
+function main(args) {
+  const { dataDir, output, config } = buildConfig(args);
+  const data = loadBacktestData(dataDir);
+  console.log(
+    `Loaded ${data.fundamentals.length} fundamentals rows and ${data.prices.length} prices from ${dataDir}`
+  );
+
+  const report = runBacktest(data, config);
+  if (report.equityCurve.length === 0) {
+    throw new Error("No prices fall inside the requested date range.");
+  }
+  printReport(report);
+
+  if (output) {
+    fs.writeFileSync(output, JSON.stringify(report, null, 2));
+    console.log(`\nFull report written to ${output}`);
+  }
+  return report;
+}
+
+module.exports = { parseArgs, buildConfig, main };
+
+if (require.main === module) {
+  try {
+    main(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`Backtest failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
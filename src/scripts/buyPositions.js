@@ -3,292 +3,191 @@
  * @description Implements the Magic Formula trading strategy for automated stock buying.
  * This script handles the buying of stocks based on Joel Greenblatt's Magic Formula strategy,
  * which ranks stocks based on their return on capital and earnings yield. The script:
- * 1. Fetches NYSE stocks above a certain market cap threshold
+ * 1. Builds the investable universe across the configured exchanges (see lib/universe)
  * 2. Calculates financial metrics for each stock
  * 3. Ranks stocks using the Magic Formula methodology
- * 4. Places buy orders for the top-ranked stocks
- * 5. Records transactions in a SQLite database
- * 6. Sends email notifications for each purchase
+ * 4. Sizes and places buy orders for the top-ranked stocks (see lib/sizing). In cohort
+ *    mode (`PORTFOLIO_MODE=cohort`) the cohort that reached its holding period is sold
+ *    first and replaced, keeping `COHORT_TARGET_POSITIONS` positions (see lib/cohorts)
+ *    Stocks sold at a loss within the last `WASH_SALE_DAYS` days are not bought back
+ * 5. Tracks each order until it fills and records the actual fill in a SQLite database
+ * 6. Sends a notification for each purchase
+ *
+ * Run with `--dry-run` (or `DRY_RUN=true`) to print the trade plan as JSON without
+ * placing orders, writing holdings or sending notifications. The server imports
+ * `executeMagicFormulaStrategy` and runs it in-process (see lib/jobRuns).
+ *
+ * A live run is refused while another buy is running or once the quarter's batch has
+ * executed (see lib/jobLocks); `--force` buys again anyway.
  * 
  * @requires dotenv - For environment variable management
- * @requires axios - For making HTTP requests to FMP API
- * @requires @alpacahq/alpaca-trade-api - For trading operations
- * @requires sqlite3 - For database operations
- * @requires nodemailer - For sending email notifications
+ * @requires ../lib/marketData - Market-data provider (FMP or a local fixture), cached on disk
+ * @requires ../lib/brokers - Broker adapter (Alpaca or the local paper broker)
+ * @requires ../lib/database - Shared data-access module
+ * @requires ../lib/universe - Universe construction and quarterly snapshots
+ * @requires ../lib/rankingRuns - Persisted ranking runs
+ * @requires ../lib/sizing - Position sizing
+ * @requires ../lib/cohorts - Cohort portfolio construction
+ * @requires ../lib/sellRules - Wash-sale window
+ * @requires ../lib/logger - Structured job log, also captured by job runs started by the server
+ * @requires ../lib/jobLocks - Run lock and the quarterly batch's idempotency key
+ * @requires ../lib/notifications - Fill and failure notifications
+ * @requires ./sellPositions - Sells the expired cohort in cohort mode
  */
 
 require("dotenv").config();
-const axios = require("axios");
-const Alpaca = require("@alpacahq/alpaca-trade-api");
-const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
-const fs = require("fs");
-const nodemailer = require("nodemailer");
-
-// ----------------------- Configuration ----------------------- //
-
-// Load environment variables
+const database = require("../lib/database");
+const { getBroker } = require("../lib/brokers");
+const { getMarketDataProvider } = require("../lib/marketData");
 const {
-  FMP_API_KEY,
-  ALPACA_API_KEY,
-  ALPACA_API_SECRET,
-  ALPACA_BASE_URL,
-  NUMBER_OF_STOCKS_PER_BATCH,
-  MAX_TOTAL_INVESTMENT_PERCENT,
-  STOCK_SCREENER_MARKET_CAP,
-  EMAIL_FROM,
-  EMAIL_PASS,
-  EMAIL_TO,
-  LOG_DIR,
-} = process.env;
-
-// Ensure LOG_DIR exists
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR, { recursive: true });
-}
+  executeMarketOrder,
+  isTerminalStatus,
+  latestOrderRowId,
+  countOrdersAfter,
+} = require("../lib/orders");
+const {
+  loadRankingConfig,
+  activeFactors,
+  extractFactorMetrics,
+  computeMomentum,
+  exclusionReason,
+  computeMagicFormulaRankings,
+  describeRanks,
+} = require("../lib/ranking");
+const {
+  loadUniverseConfig,
+  buildUniverse,
+  saveUniverseSnapshot,
+} = require("../lib/universe");
+const { saveRankingRun, recordRankingOutcome } = require("../lib/rankingRuns");
+const {
+  loadSizingConfig,
+  annualizedVolatility,
+  sizePositions,
+} = require("../lib/sizing");
+const {
+  loadPortfolioConfig,
+  loadBatchConfig,
+  cohortOf,
+  summarizeCohorts,
+  cohortBudget,
+} = require("../lib/cohorts");
+const { loadSellRuleConfig, washSaleBlocks } = require("../lib/sellRules");
+const { getOpenLots, getLotSalesSince } = require("../lib/lots");
+const {
+  acquireJobLock,
+  buyBatchKey,
+  claimIdempotencyKey,
+  releaseIdempotencyKey,
+} = require("../lib/jobLocks");
+const { createLogger } = require("../lib/logger");
+const { sendNotification } = require("../lib/notifications");
+const { buildSellPlan, managePortfolio } = require("./sellPositions");
 
-// FMP API endpoints
-const FMP_API_BASE_URL = "https://financialmodelingprep.com/api/v3";
-
-// Initialize Alpaca API client
-const alpaca = new Alpaca({
-  keyId: ALPACA_API_KEY,
-  secretKey: ALPACA_API_SECRET,
-  paper: ALPACA_BASE_URL.includes("paper"), // true for paper trading, false for live
-  usePolygon: false, // Optional: Set to true if you need Polygon data
-});
-
-// Initialize SQLite Database
-const db = new sqlite3.Database(
-  path.join(__dirname, "../database/portfolio.db"),
-  (err) => {
-    if (err) {
-      console.error("Error connecting to SQLite database:", err.message);
-    } else {
-      console.log("Connected to SQLite database.");
-    }
-  }
-);
-
-// Create table if not exists
-db.run(
-  `
-    CREATE TABLE IF NOT EXISTS holdings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        symbol TEXT NOT NULL,
-        quantity INTEGER NOT NULL,
-        acquisition_date TEXT NOT NULL,
-        status TEXT NOT NULL CHECK(status IN ('active', 'sold'))
-    )
-`,
-  (err) => {
-    if (err) {
-      console.error("Error creating holdings table:", err.message);
-    }
-  }
-);
+// ----------------------- Configuration ----------------------- //
 
-// Initialize Nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: EMAIL_FROM,
-    pass: EMAIL_PASS,
-  },
-});
+// Structured log in $LOG_DIR/buyOrders.log, filtered by LOG_LEVEL
+const logger = createLogger("buyOrders");
 
 /**
  * Logs a message to both console and a log file
  * @param {string} message - The message to log
+ * @param {Object} [fields] - `level` (default `info`) and fields stored with the entry,
+ * e.g. `symbol`
  */
-function logMessage(message) {
-  const timestamp = new Date().toISOString();
-  fs.appendFileSync(
-    path.join(LOG_DIR, "/buyOrders.log"),
-    `[${timestamp}] ${message}\n`
-  );
-  console.log(message);
+function logMessage(message, { level = "info", ...fields } = {}) {
+  logger.log(level, message, fields);
 }
 
 /**
- * Sends a styled HTML email notification about a stock purchase
- * @param {string} subject - Email subject line
- * @param {string} symbol - Stock symbol
- * @param {number} quantity - Number of shares purchased
- * @param {number} price - Price per share
+ * Builds the investable universe, optionally saving it as this quarter's snapshot
+ * @param {Object} marketData - Market-data provider
+ * @param {Object} universeConfig - See universe.loadUniverseConfig
+ * @param {boolean} save - Whether to save the snapshot
+ * @returns {Promise<{universe: Object|null, snapshotId: number|null}>} Universe is null
+ * when the screener could not be read
  */
-async function sendEmail(subject, symbol, quantity, price) {
-  const mailOptions = {
-    from: EMAIL_FROM,
-    to: EMAIL_TO,
-    subject: subject,
-    html: `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="UTF-8" />
-            <title>${subject}</title>
-            <style>
-              /* Basic MUI-like styling */
-              body {
-                font-family: 'Roboto', Arial, sans-serif;
-                background-color: #f5f5f5;
-                margin: 0;
-                padding: 0;
-              }
-              .container {
-                max-width: 600px;
-                margin: 40px auto;
-                background-color: #ffffff;
-                border-radius: 4px;
-                box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
-                overflow: hidden;
-              }
-              .header {
-                background-color: #1976d2;
-                padding: 16px;
-                color: #ffffff;
-              }
-              .header h1 {
-                margin: 0;
-                font-size: 24px;
-              }
-              .content {
-                padding: 16px;
-              }
-              .content h2 {
-                margin-top: 0;
-                color: #333;
-              }
-              .report-table {
-                width: 100%;
-                border-collapse: collapse;
-                margin: 16px 0;
-              }
-              .report-table th,
-              .report-table td {
-                text-align: left;
-                padding: 12px 8px;
-                border-bottom: 1px solid #e0e0e0;
-              }
-              .footer {
-                background-color: #fafafa;
-                padding: 12px 16px;
-                text-align: center;
-                font-size: 14px;
-                color: #999999;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <div class="header">
-                <h1>${subject}</h1>
-              </div>
-              <div class="content">
-                <h2>Hello Admin,</h2>
-                <p>A new position has been purchased:</p>
-                <table class="report-table">
-                  <tr>
-                    <th>Symbol</th>
-                    <td>${symbol}</td>
-                  </tr>
-                  <tr>
-                    <th>Quantity</th>
-                    <td>${quantity}</td>
-                  </tr>
-                  <tr>
-                    <th>Price per Share</th>
-                    <td>$${price.toFixed(2)}</td>
-                  </tr>
-                  <tr>
-                    <th>Total Investment</th>
-                    <td>$${(quantity * price).toFixed(2)}</td>
-                  </tr>
-                </table>
-                <p>Regards,<br/>Magic Formula Trader Bot</p>
-              </div>
-              <div class="footer">
-                &copy; ${new Date().getFullYear()} Magic Formula Trader
-              </div>
-            </div>
-          </body>
-        </html>
-        `,
-  };
-
+async function fetchUniverse(marketData, universeConfig, save) {
+  let universe;
   try {
-    await transporter.sendMail(mailOptions);
-    logMessage(`Email sent: ${subject} for ${symbol}`);
+    universe = await buildUniverse(marketData, universeConfig);
   } catch (error) {
-    logMessage(`Error sending email for ${symbol}: ${error.message}`);
+    logMessage(`Error building the stock universe: ${error.message}`, {
+      level: "error",
+    });
+    return { universe: null, snapshotId: null };
   }
-}
 
-/**
- * Fetches NYSE stocks with market cap above the defined threshold
- * @returns {Promise<string[]>} Array of stock symbols
- */
-async function fetchNYSEStocks() {
-  try {
-    const response = await axios.get(`${FMP_API_BASE_URL}/stock-screener`, {
-      params: {
-        exchange: "NYSE",
-        marketCapMoreThan: STOCK_SCREENER_MARKET_CAP,
-        limit: 248,
-        apikey: FMP_API_KEY,
-      },
-    });
-    return response.data.map((stock) => stock.symbol);
-  } catch (error) {
-    logMessage(`Error fetching NYSE stocks: ${error.message}`);
-    return [];
+  let snapshotId = null;
+  if (save) {
+    try {
+      snapshotId = await saveUniverseSnapshot(universe, universeConfig);
+      logMessage(`Saved universe snapshot ${snapshotId}.`);
+    } catch (error) {
+      logMessage(`Error saving universe snapshot: ${error.message}`, {
+        level: "error",
+      });
+    }
   }
+  return { universe, snapshotId };
 }
 
 /**
- * Fetches financial metrics for a list of stock symbols
- * @param {string[]} symbols - Array of stock symbols to fetch metrics for
- * @returns {Promise<Array<{symbol: string, returnOnCapital: number, earningsYield: number}>>}
+ * Fetches the ranking inputs for a list of stocks: key metrics (latest quarter or TTM)
+ * and, when momentum is weighted, price history
+ * @param {Object} marketData - Market-data provider
+ * @param {Array<{symbol: string, sector: string}>} stocks - Screener rows to fetch metrics for
+ * @param {Object} rankingConfig - See ranking.loadRankingConfig
+ * @returns {Promise<Array<{symbol: string, sector: string, returnOnCapital: number, earningsYield: number,
+ * freeCashFlowYield: number, debtToEquity: number, momentum: number}>>}
  * Array of objects containing financial metrics for each stock
  */
-async function fetchFinancialMetrics(symbols) {
+async function fetchFinancialMetrics(marketData, stocks, rankingConfig) {
   const metrics = [];
+  const today = new Date().toISOString().slice(0, 10);
+  const useMomentum = activeFactors(rankingConfig).includes("momentum");
+  const momentumStart = new Date();
+  momentumStart.setMonth(
+    momentumStart.getMonth() - rankingConfig.momentumMonths
+  );
+  momentumStart.setDate(momentumStart.getDate() - 7); // Room for weekends and holidays
 
   // To handle API rate limits, process symbols in batches with delays if necessary
   const BATCH_SIZE = 50; // Number of concurrent requests
-  for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
-    const batch = symbols.slice(i, i + BATCH_SIZE);
-    const promises = batch.map(async (symbol) => {
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const batch = stocks.slice(i, i + BATCH_SIZE);
+    const promises = batch.map(async ({ symbol, sector }) => {
       try {
-        // Fetch Return on Capital
-        const metricsResponse = await axios.get(
-          `${FMP_API_BASE_URL}/key-metrics/${symbol}`,
-          {
-            params: {
-              period: "quarter",
-              apikey: FMP_API_KEY,
-            },
-          }
-        );
-        const companyData = metricsResponse.data[0];
-
-        const returnOnCapital = companyData
-          ? parseFloat(companyData.roic)
-          : null;
-        const earningsYield = companyData
-          ? parseFloat(companyData.earningsYield)
-          : null;
-
-        if (returnOnCapital && earningsYield) {
-          metrics.push({
-            symbol,
-            returnOnCapital,
-            earningsYield,
+        // Fetch Return on Capital, Earnings Yield and the other key metrics
+        const keyMetrics = await marketData.getKeyMetrics(symbol, {
+          period: "quarter",
+        });
+        if (keyMetrics.length === 0) {
+          return;
+        }
+
+        const metric = {
+          symbol,
+          sector: sector || null,
+          ...extractFactorMetrics(keyMetrics, rankingConfig),
+        };
+        if (useMomentum) {
+          const prices = await marketData.getHistoricalPrices(symbol, {
+            from: momentumStart.toISOString().slice(0, 10),
+            to: today,
           });
+          metric.momentum = computeMomentum(
+            prices,
+            today,
+            rankingConfig.momentumMonths
+          );
         }
+        metrics.push(metric);
       } catch (symbolError) {
-        logMessage(`Error fetching data for ${symbol}: ${symbolError.message}`);
+        logMessage(
+          `Error fetching data for ${symbol}: ${symbolError.message}`,
+          { level: "error", symbol }
+        );
       }
     });
 
@@ -302,267 +201,922 @@ async function fetchFinancialMetrics(symbols) {
 }
 
 /**
- * Computes Magic Formula rankings for a list of stocks based on their financial metrics
- * The Magic Formula combines two rankings:
- * 1. Earnings Yield (EBIT/Enterprise Value) - Higher is better
- * 2. Return on Capital (EBIT/(Net Working Capital + Net Fixed Assets)) - Higher is better
- * 
- * @param {Array<{symbol: string, returnOnCapital: number, earningsYield: number}>} metrics
- * Array of objects containing financial metrics for each stock
- * @returns {Array<{symbol: string, returnOnCapital: number, earningsYield: number, eyRank: number, rocRank: number, combinedRank: number}>}
- * Sorted array of stocks with their individual and combined rankings
+ * Fetches account information from the broker
+ * @param {Object} broker - Broker
+ * @returns {Promise<Object|null>} Account information or null if fetch fails
  */
-function computeMagicFormulaRankings(metrics) {
-  // Filter out any entries with missing data
-  const validMetrics = metrics.filter(
-    (m) => m.returnOnCapital != null && m.earningsYield != null
-  );
+async function getAccountInfo(broker) {
+  try {
+    const account = await broker.getAccount();
+    return account;
+  } catch (error) {
+    logMessage(`Error fetching ${broker.name} account info: ${error.message}`, {
+      level: "error",
+    });
+    return null;
+  }
+}
 
-  // Sort by Earnings Yield (descending) and assign rank
-  const sortedByEarningsYield = [...validMetrics].sort(
-    (a, b) => b.earningsYield - a.earningsYield
-  );
-  sortedByEarningsYield.forEach((m, index) => {
-    m.eyRank = index + 1;
-  });
+/**
+ * Market value already held per symbol
+ * @param {Object} broker - Broker
+ * @returns {Promise<Map<string, number>|null>} Null if the positions cannot be fetched
+ */
+async function getHeldValues(broker) {
+  try {
+    const positions = await broker.getPositions();
+    return new Map(
+      positions.map((position) => [position.symbol, position.marketValue])
+    );
+  } catch (error) {
+    logMessage(`Error fetching ${broker.name} positions: ${error.message}`, {
+      level: "error",
+    });
+    return null;
+  }
+}
+
+/**
+ * Symbols sold at a loss within the wash-sale window
+ * @param {Object} sellRuleConfig - See sellRules.loadSellRuleConfig
+ * @returns {Promise<Map<string, string>|null>} Symbol to its latest loss sale date, or
+ * null if the sales cannot be read
+ */
+async function getWashSaleBlocks(sellRuleConfig) {
+  const since = new Date();
+  since.setDate(since.getDate() - sellRuleConfig.washSaleDays - 1);
+  try {
+    const sales = await getLotSalesSince(since.toISOString().slice(0, 10));
+    return washSaleBlocks(sales, new Date(), sellRuleConfig);
+  } catch (error) {
+    logMessage(`Error reading recent lot sales: ${error.message}`, {
+      level: "error",
+    });
+    return null;
+  }
+}
 
-  // Sort by Return on Capital (descending) and assign rank
-  const sortedByROC = [...validMetrics].sort(
-    (a, b) => b.returnOnCapital - a.returnOnCapital
+/**
+ * Prices ranked stocks for sizing: the current quote, the value already held and, for
+ * inverse-volatility sizing, the recent volatility. Stocks that will be skipped as
+ * already held or inside the wash-sale window are not priced.
+ * @param {Object} marketData - Market-data provider
+ * @param {Array<{symbol: string}>} stocks - Ranked stocks, best first
+ * @param {Map<string, number>} heldValues - Market value held per symbol
+ * @param {Map<string, string>} washSales - Latest loss sale date per blocked symbol
+ * @param {Object} sizingConfig - See sizing.loadSizingConfig
+ * @returns {Promise<Array<{symbol: string, price: number|null, priceError?: string,
+ * heldValue: number, volatility: number|null, blockedReason?: string}>>}
+ */
+async function priceCandidates(
+  marketData,
+  stocks,
+  heldValues,
+  washSales,
+  sizingConfig
+) {
+  const today = new Date().toISOString().slice(0, 10);
+  const volatilityStart = new Date();
+  // Calendar days covering the lookback in trading days, with room for holidays
+  volatilityStart.setDate(
+    volatilityStart.getDate() - Math.ceil(sizingConfig.volatilityDays * 1.5) - 7
   );
-  sortedByROC.forEach((m, index) => {
-    m.rocRank = index + 1;
-  });
 
-  // Calculate combined rank
-  validMetrics.forEach((m) => {
-    m.combinedRank = m.eyRank + m.rocRank;
-  });
+  const candidates = [];
+  for (const { symbol } of stocks) {
+    const candidate = {
+      symbol,
+      price: null,
+      heldValue: heldValues.get(symbol) || 0,
+      volatility: null,
+    };
+    candidates.push(candidate);
+    if (washSales.has(symbol)) {
+      candidate.blockedReason = `Wash-sale window: sold at a loss on ${washSales.get(
+        symbol
+      )}`;
+      continue;
+    }
+    if (candidate.heldValue > 0 && sizingConfig.heldPositions === "skip") {
+      continue;
+    }
 
-  // Sort by combined rank (ascending)
-  const sortedByCombinedRank = validMetrics.sort(
-    (a, b) => a.combinedRank - b.combinedRank
-  );
-  console.log("The final sorted list is", sortedByCombinedRank);
-  return sortedByCombinedRank;
+    try {
+      const quote = await marketData.getQuote(symbol);
+      const price = parseFloat(quote.price);
+      if (!isNaN(price) && price > 0) {
+        candidate.price = price;
+      }
+    } catch (error) {
+      logMessage(`Error fetching quote for ${symbol}: ${error.message}`, {
+        level: "error",
+        symbol,
+      });
+      candidate.priceError = error.message;
+    }
+
+    if (sizingConfig.method === "inverse-volatility") {
+      try {
+        const prices = await marketData.getHistoricalPrices(symbol, {
+          from: volatilityStart.toISOString().slice(0, 10),
+          to: today,
+        });
+        candidate.volatility = annualizedVolatility(
+          prices,
+          today,
+          sizingConfig.volatilityDays
+        );
+      } catch (error) {
+        logMessage(
+          `Error fetching price history for ${symbol}: ${error.message}`,
+          { level: "error", symbol }
+        );
+      }
+    }
+  }
+  return candidates;
 }
 
 /**
- * Fetches account information from Alpaca
- * @returns {Promise<Object|null>} Account information or null if fetch fails
+ * Lists the portfolio cohorts and the sales the cohort rule still calls for. A live run
+ * sells the expired cohort first, so it only has pending sales when that sell was
+ * refused, failed or left its orders open. Risk exits are left to the sell job: an
+ * unfilled stop-loss does not hold up the rebalance.
+ * @param {Object} broker - Broker
+ * @param {Object} portfolioConfig - See cohorts.loadPortfolioConfig
+ * @returns {Promise<{cohorts: Array<Object>, pendingSales: Array<Object>}|null>} Null if
+ * the lots or positions cannot be read
  */
-async function getAccountInfo() {
+async function planCohortRebalance(broker, portfolioConfig) {
   try {
-    const account = await alpaca.getAccount();
-    return account;
+    const lots = await getOpenLots();
+    const cohorts = summarizeCohorts(
+      lots.map((lot) => ({
+        symbol: lot.symbol,
+        acquisitionDate: lot.acquisition_date,
+        qty: lot.remaining_quantity,
+        costBasis: lot.remaining_quantity * (lot.acquisition_price || 0),
+      })),
+      new Date(),
+      portfolioConfig
+    );
+    const sellPlan = await buildSellPlan({ broker, portfolioConfig });
+    return {
+      cohorts,
+      pendingSales: sellPlan.orders.filter(
+        (order) => order.exitRule === "cohort"
+      ),
+    };
   } catch (error) {
-    logMessage(`Error fetching Alpaca account info: ${error.message}`);
+    logMessage(`Error evaluating portfolio cohorts: ${error.message}`, {
+      level: "error",
+    });
     return null;
   }
 }
 
 /**
- * Places a buy order for a stock and records the transaction
+ * Places a buy order for a stock and records the holding and transaction once it fills
+ * @param {Object} broker - Broker
  * @param {string} symbol - Stock symbol to buy
  * @param {number} qty - Number of shares to buy
  * @param {number} price - Current price per share
+ * @param {string} notes - Why the stock is being bought, stored with the transaction
+ * @returns {Promise<{symbol: string, qty: number, orderId: string|null, status: string|null,
+ * filledQty: number, error: string|null}>} What happened to the order; `orderId` is null
+ * if it was not submitted
  */
-async function placeBuyOrder(symbol, qty, price) {
+async function placeBuyOrder(broker, symbol, qty, price, notes) {
+  const execution = {
+    symbol,
+    qty,
+    orderId: null,
+    status: null,
+    filledQty: 0,
+    error: null,
+  };
   try {
-    const order = await alpaca.createOrder({
-      symbol: symbol,
-      qty: qty,
+    const result = await executeMarketOrder(broker, {
+      symbol,
+      qty,
       side: "buy",
-      type: "market",
-      time_in_force: "day",
+      notes,
     });
+    const orderId = result.order.id;
+    execution.orderId = orderId;
+    execution.status = result.status;
+    execution.filledQty = result.filledQty;
     logMessage(
-      `Successfully placed buy order for ${symbol}: ${JSON.stringify(order)}`
+      `Buy order ${orderId} for ${symbol} has status ${result.status}`,
+      { symbol }
     );
 
-    // Record the purchase in the SQLite database
-    const acquisitionDate = new Date().toISOString();
-    db.run(
-      `
-            INSERT INTO holdings (symbol, quantity, acquisition_date, status)
-            VALUES (?, ?, ?, 'active')
-        `,
-      [symbol, qty, acquisitionDate],
-      function (err) {
-        if (err) {
-          logMessage(
-            `Error recording purchase of ${symbol} in database: ${err.message}`
-          );
-        } else {
-          logMessage(
-            `Recorded purchase of ${qty} shares of ${symbol} on ${acquisitionDate}`
-          );
-        }
-      }
+    if (!isTerminalStatus(result.status)) {
+      logMessage(
+        `Buy order ${orderId} for ${symbol} is still open (${result.status}). The reconciliation job will record it once it fills.`,
+        { symbol }
+      );
+      return execution;
+    }
+    if (result.filledQty <= 0) {
+      logMessage(
+        `Buy order ${orderId} for ${symbol} ended with status ${result.status} and no fills. Nothing recorded.`,
+        { level: "warn", symbol }
+      );
+      await sendNotification(
+        "order.failed",
+        {
+          side: "buy",
+          symbol,
+          quantity: qty,
+          orderId,
+          status: result.status,
+          error: "Ended with no fills",
+        },
+        logger
+      );
+      return execution;
+    }
+    if (result.applied) {
+      logMessage(
+        `Recorded purchase of ${
+          result.filledQty
+        } of ${qty} shares of ${symbol} at $${result.filledPrice.toFixed(2)}`,
+        { symbol }
+      );
+    }
+
+    await sendNotification(
+      "buy.filled",
+      { symbol, quantity: result.filledQty, price: result.filledPrice },
+      logger
+    );
+  } catch (error) {
+    logMessage(`Failed to place buy order for ${symbol}: ${error.message}`, {
+      level: "error",
+      symbol,
+    });
+    execution.error = error.message;
+    await sendNotification(
+      "order.failed",
+      {
+        side: "buy",
+        symbol,
+        quantity: qty,
+        orderId: execution.orderId,
+        status: execution.status,
+        error: error.message,
+      },
+      logger
     );
+  }
+  return execution;
+}
 
-    // Send styled HTML email notification
-    const subject = `Bought ${qty} shares of ${symbol}`;
-    await sendEmail(subject, symbol, qty, price);
+/**
+ * Records what happened to a selected stock in the plan's ranking run, if it was saved
+ * @param {Object} plan - Trade plan
+ * @param {string} symbol - Stock symbol
+ * @param {Object} outcome - See rankingRuns.recordRankingOutcome
+ */
+async function recordOutcome(plan, symbol, outcome) {
+  if (!plan.rankingRunId) {
+    return;
+  }
+  try {
+    await recordRankingOutcome(plan.rankingRunId, symbol, outcome);
   } catch (error) {
-    logMessage(`Failed to place buy order for ${symbol}: ${error.message}`);
+    logMessage(
+      `Error recording ranking outcome for ${symbol}: ${error.message}`,
+      { level: "error", symbol }
+    );
   }
 }
 
 /**
- * Main function that executes the Magic Formula trading strategy
- * The strategy follows these steps:
- * 1. Fetches NYSE stocks above market cap threshold
+ * Runs the full Magic Formula pipeline without trading and returns the resulting trade plan
+ * The pipeline follows these steps:
+ * 1. Builds the universe: every configured exchange, filtered by the universe rules
  * 2. Calculates financial metrics for each stock
  * 3. Ranks stocks using Magic Formula methodology
- * 4. Selects top-ranked stocks based on configuration
- * 5. Calculates position sizes based on portfolio value
- * 6. Places buy orders for selected stocks
+ * 4. Fetches the account and the positions already held
+ * 5. Sets the budget: a share of the portfolio value for a batch, or enough to refill
+ *    the portfolio to its target size after the expired cohort is sold
+ * 6. Prices the top-ranked stocks and sizes their orders, handing the slot of a skipped
+ *    stock and any leftover cash to the next-ranked one
+ * 7. Builds the orders with their ranking details
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.broker] - Broker, defaults to the one configured by `BROKER`
+ * @param {Object} [options.marketData] - Market-data provider, defaults to the one
+ * configured by `MARKET_DATA_PROVIDER`
+ * @param {Object} [options.rankingConfig] - Ranking factors and filters, defaults to the
+ * `RANKING_*` environment variables
+ * @param {Object} [options.universeConfig] - Universe rules, defaults to the `UNIVERSE_*`
+ * environment variables
+ * @param {Object} [options.sizingConfig] - Position sizing, defaults to the `SIZING_*`
+ * environment variables
+ * @param {Object} [options.portfolioConfig] - Portfolio mode, defaults to the
+ * `PORTFOLIO_MODE` and `COHORT_*` environment variables
+ * @param {Object} [options.batchConfig] - Batch size in `batch` mode, defaults to
+ * `NUMBER_OF_STOCKS_PER_BATCH` and `MAX_TOTAL_INVESTMENT_PERCENT` (see cohorts.loadBatchConfig)
+ * @param {Object} [options.sellRuleConfig] - Wash-sale window, defaults to `WASH_SALE_DAYS`
+ * @param {boolean} [options.persist] - Save the universe snapshot and the ranking run
+ * @param {boolean} [options.dryRun] - Count pending cohort sales as if they had filled. A
+ * live plan (false) buys nothing while cohort sales are pending.
+ * @returns {Promise<{type: string, generatedAt: string, ranking: Object,
+ * universe: {exchanges: string[], candidateCount: number, includedCount: number,
+ * excludedByRule: Object<string, number>, snapshotId: number|null}|null, universeSize: number,
+ * rankingRunId: number|null, excludedCount: number, rankedCount: number, account: Object|null,
+ * cohorts: Object|null, sizing: Object|null, orders: Array<{symbol: string, qty: number, price: number,
+ * estimatedCost: number, targetValue: number, topUp: boolean, rank: number, factorRanks: Object<string, number>, eyRank: number, rocRank: number,
+ * combinedRank: number, reason: string}>,
+ * skipped: Array<{symbol: string, reason: string}>, errors: string[], message: string|null}>}
+ * `errors` lists the steps that failed and stopped the plan
  */
-async function executeMagicFormulaStrategy() {
-  logMessage("Starting Magic Formula Strategy...");
+async function buildBuyPlan({
+  broker = getBroker(),
+  marketData = getMarketDataProvider(),
+  rankingConfig = loadRankingConfig(),
+  universeConfig = loadUniverseConfig(),
+  sizingConfig = loadSizingConfig(),
+  portfolioConfig = loadPortfolioConfig(),
+  batchConfig = portfolioConfig.mode === "batch" ? loadBatchConfig() : null,
+  sellRuleConfig = loadSellRuleConfig(),
+  persist = false,
+  dryRun = true,
+} = {}) {
+  const plan = {
+    type: "buy",
+    generatedAt: new Date().toISOString(),
+    ranking: rankingConfig,
+    universe: null,
+    universeSize: 0,
+    rankingRunId: null,
+    excludedCount: 0,
+    rankedCount: 0,
+    account: null,
+    cohorts: null,
+    sizing: null,
+    orders: [],
+    skipped: [],
+    errors: [],
+    message: null,
+  };
 
-  // Step 1: Fetch NYSE stocks with market cap > defined threshold
+  // Step 1: Build the universe from every configured exchange
   logMessage(
-    `Fetching NYSE stocks with market cap > $${(
-      STOCK_SCREENER_MARKET_CAP / 1e6
-    ).toFixed(2)}M...`
+    `Building universe from ${universeConfig.exchanges.join(
+      ", "
+    )} with market cap > $${(universeConfig.minMarketCap / 1e6).toFixed(2)}M...`
+  );
+  const { universe, snapshotId } = await fetchUniverse(
+    marketData,
+    universeConfig,
+    persist
   );
-  const symbols = await fetchNYSEStocks();
-  logMessage(`Fetched ${symbols.length} symbols.`);
+  const stocks = universe ? universe.included : [];
+  if (universe) {
+    plan.universe = {
+      exchanges: universeConfig.exchanges,
+      candidateCount: universe.candidates.length,
+      includedCount: universe.included.length,
+      excludedByRule: universe.excludedByRule,
+      snapshotId,
+    };
+    logMessage(
+      `Universe: ${universe.included.length} of ${
+        universe.candidates.length
+      } candidates included (excluded: ${
+        Object.entries(universe.excludedByRule)
+          .map(([rule, count]) => `${rule} ${count}`)
+          .join(", ") || "none"
+      }).`
+    );
+  }
+  plan.universeSize = stocks.length;
 
-  if (symbols.length === 0) {
-    logMessage("No symbols to process. Exiting.");
-    return;
+  if (stocks.length === 0) {
+    plan.message = "No symbols to process.";
+    if (!universe) {
+      plan.errors.push("Unable to build the stock universe.");
+    }
+    return plan;
   }
 
   // Step 2: Fetch financial metrics
-  logMessage("Fetching financial metrics for each symbol...");
-  const metrics = await fetchFinancialMetrics(symbols);
+  logMessage(
+    `Fetching ${rankingConfig.period.toUpperCase()} financial metrics for each symbol...`
+  );
+  const metrics = await fetchFinancialMetrics(
+    marketData,
+    stocks,
+    rankingConfig
+  );
   logMessage(`Fetched financial metrics for ${metrics.length} symbols.`);
 
   if (metrics.length === 0) {
-    logMessage("No financial metrics available. Exiting.");
-    return;
+    plan.message = "No financial metrics available.";
+    return plan;
   }
 
   // Step 3: Compute Magic Formula rankings
-  logMessage("Computing Magic Formula rankings...");
-  const rankedMetrics = computeMagicFormulaRankings(metrics);
-  logMessage("Rankings computed.");
-
-  // Step 4: Select top stocks
-  const topStocks = rankedMetrics.slice(
-    0,
-    parseInt(NUMBER_OF_STOCKS_PER_BATCH)
+  logMessage(
+    `Computing Magic Formula rankings (weights: ${activeFactors(rankingConfig)
+      .map((factor) => `${factor} ${rankingConfig.weights[factor]}`)
+      .join(", ")})...`
   );
+  metrics.forEach((metric) => {
+    const reason = exclusionReason(metric, rankingConfig);
+    if (reason) {
+      logMessage(`Excluding ${metric.symbol} from ranking: ${reason}`, {
+        level: "debug",
+        symbol: metric.symbol,
+      });
+    }
+  });
+  const rankedMetrics = computeMagicFormulaRankings(metrics, rankingConfig);
+  plan.rankedCount = rankedMetrics.length;
+  plan.excludedCount = metrics.length - rankedMetrics.length;
   logMessage(
-    `Top ${NUMBER_OF_STOCKS_PER_BATCH} Stocks: ${topStocks
-      .map((m) => m.symbol)
-      .join(", ")}`
+    `Rankings computed for ${rankedMetrics.length} symbols (${plan.excludedCount} excluded).`
   );
 
-  // Step 5: Fetch Alpaca account info
-  logMessage("Fetching Alpaca account information...");
-  const account = await getAccountInfo();
+  if (persist) {
+    try {
+      plan.rankingRunId = await saveRankingRun({
+        metrics,
+        ranked: rankedMetrics,
+        config: rankingConfig,
+        universeSize: plan.universeSize,
+        // A cohort rebalance only knows its number of slots once the account is read
+        selectedCount:
+          portfolioConfig.mode === "cohort" ? 0 : batchConfig.stocksPerBatch,
+        universeSnapshotId: snapshotId,
+      });
+      logMessage(`Saved ranking run ${plan.rankingRunId}.`);
+    } catch (error) {
+      logMessage(`Error saving ranking run: ${error.message}`, {
+        level: "error",
+      });
+    }
+  }
+
+  if (rankedMetrics.length === 0) {
+    plan.message = "No symbols passed the ranking filters.";
+    return plan;
+  }
+
+  // Step 4: Fetch broker account info and current positions
+  logMessage(`Fetching ${broker.name} account information...`);
+  const account = await getAccountInfo(broker);
 
   if (!account) {
-    logMessage("Unable to retrieve account information. Exiting.");
-    return;
+    plan.message = "Unable to retrieve account information.";
+    plan.errors.push(plan.message);
+    return plan;
   }
 
-  const portfolioValue = parseFloat(account.portfolio_value);
-  const availableCash = parseFloat(account.cash); // Available cash for buying
-  const maxTotalInvestment =
-    portfolioValue * parseFloat(MAX_TOTAL_INVESTMENT_PERCENT);
-  const investmentPerStock =
-    maxTotalInvestment / parseInt(NUMBER_OF_STOCKS_PER_BATCH);
+  const heldValues = await getHeldValues(broker);
+  if (!heldValues) {
+    plan.message = "Unable to retrieve current positions.";
+    plan.errors.push(plan.message);
+    return plan;
+  }
 
+  // Stocks sold at a loss recently are not bought back, so the loss is not disallowed
+  const washSales = await getWashSaleBlocks(sellRuleConfig);
+  if (!washSales) {
+    plan.message = "Unable to check the wash-sale window.";
+    plan.errors.push(plan.message);
+    return plan;
+  }
+
+  // Step 5: Set the budget. A batch spends a fixed share of the portfolio; a cohort
+  // rebalance sells the expired cohort and refills the portfolio to its target size.
+  const portfolioValue = account.portfolioValue;
+  let availableCash = account.cash; // Available cash for buying
   logMessage(`Portfolio Value: $${portfolioValue.toFixed(2)}`);
   logMessage(`Available Cash: $${availableCash.toFixed(2)}`);
-  logMessage(
-    `Max Total Investment (${(MAX_TOTAL_INVESTMENT_PERCENT * 100).toFixed(
-      2
-    )}%): $${maxTotalInvestment.toFixed(2)}`
-  );
-  logMessage(
-    `Investment per Stock (${(
-      (MAX_TOTAL_INVESTMENT_PERCENT * 100) /
-      NUMBER_OF_STOCKS_PER_BATCH
-    ).toFixed(2)}%): $${investmentPerStock.toFixed(2)}`
-  );
 
-  // Step 6: Adjust investment based on available cash to prevent overspending
-  const actualInvestmentPerStock =
-    availableCash / parseInt(NUMBER_OF_STOCKS_PER_BATCH);
-  if (actualInvestmentPerStock < investmentPerStock) {
+  let slots;
+  let budget;
+  let maxTotalInvestment = null;
+  if (portfolioConfig.mode === "cohort") {
+    const cohortPlan = await planCohortRebalance(broker, portfolioConfig);
+    if (!cohortPlan) {
+      plan.message = "Unable to evaluate the portfolio cohorts.";
+      plan.errors.push(plan.message);
+      return plan;
+    }
+    // Pending sales in a live run mean the cohort sell did not complete: their cash is
+    // not there and the positions are still held
+    if (!dryRun && cohortPlan.pendingSales.length > 0) {
+      plan.cohorts = {
+        newCohort: cohortOf(new Date()),
+        targetPositions: portfolioConfig.targetPositions,
+        cohorts: cohortPlan.cohorts,
+        pendingSales: cohortPlan.pendingSales,
+      };
+      plan.message = `${
+        cohortPlan.pendingSales.length
+      } cohort sales have not filled (${cohortPlan.pendingSales
+        .map((sale) => sale.symbol)
+        .join(", ")}). Not buying until the expired cohort is sold.`;
+      plan.errors.push(plan.message);
+      logMessage(plan.message, { level: "error" });
+      return plan;
+    }
+    // A dry run counts the sales it has not made as if they had filled
+    cohortPlan.pendingSales.forEach((sale) => {
+      if (!sale.isProfitable && sellRuleConfig.washSaleDays > 0) {
+        washSales.set(sale.symbol, new Date().toISOString().slice(0, 10));
+      }
+      const remaining =
+        (heldValues.get(sale.symbol) || 0) - sale.qty * sale.price;
+      if (remaining > 1e-6) {
+        heldValues.set(sale.symbol, remaining);
+      } else {
+        heldValues.delete(sale.symbol);
+      }
+      availableCash += sale.estimatedProceeds;
+    });
+    const heldPositions = [...heldValues.values()].filter(
+      (value) => value > 0
+    ).length;
+    const cohortSizing = cohortBudget({
+      heldPositions,
+      portfolioValue,
+      cash: availableCash,
+      config: portfolioConfig,
+    });
+    slots = cohortSizing.slots;
+    budget = cohortSizing.budget;
+    plan.cohorts = {
+      newCohort: cohortOf(new Date()),
+      targetPositions: portfolioConfig.targetPositions,
+      heldPositions,
+      cohorts: cohortPlan.cohorts,
+      pendingSales: cohortPlan.pendingSales,
+    };
     logMessage(
-      `Adjusted Investment per Stock based on available cash: $${actualInvestmentPerStock.toFixed(
+      `Cohort rebalance: ${heldPositions} of ${
+        portfolioConfig.targetPositions
+      } positions held after ${
+        cohortPlan.pendingSales.length
+      } pending cohort sales; buying ${slots} at $${cohortSizing.targetPositionValue.toFixed(
         2
-      )}`
+      )} each.`
     );
+    if (slots === 0) {
+      plan.message = `The portfolio already holds ${heldPositions} of ${portfolioConfig.targetPositions} target positions.`;
+      return plan;
+    }
   } else {
+    slots = batchConfig.stocksPerBatch;
+    maxTotalInvestment = portfolioValue * batchConfig.maxInvestmentPercent;
+    budget = Math.max(0, Math.min(maxTotalInvestment, availableCash));
     logMessage(
-      `Using defined Investment per Stock: $${investmentPerStock.toFixed(2)}`
+      `Max Total Investment (${(batchConfig.maxInvestmentPercent * 100).toFixed(
+        2
+      )}%): $${maxTotalInvestment.toFixed(2)}`
     );
+    if (budget < maxTotalInvestment) {
+      logMessage(
+        `Budget limited by available cash: $${budget.toFixed(
+          2
+        )} over ${slots} positions`
+      );
+    }
   }
+  logMessage(
+    `Sizing ${slots} positions (${sizingConfig.method}${
+      sizingConfig.fractionalShares ? ", fractional shares" : ""
+    }${
+      sizingConfig.maxPositionPercent != null
+        ? `, cap ${(sizingConfig.maxPositionPercent * 100).toFixed(2)}%`
+        : ""
+    }, held positions: ${sizingConfig.heldPositions})...`
+  );
 
-  // Step 7: Calculate number of shares to buy for each stock
-  for (const stock of topStocks) {
-    try {
-      // Fetch current price
-      const quoteResponse = await axios.get(
-        `${FMP_API_BASE_URL}/quote/${stock.symbol}`,
-        {
-          params: { apikey: FMP_API_KEY },
-        }
-      );
+  // Step 6: Price the ranked stocks in batches until every slot is filled, so stocks
+  // that are skipped can hand their slot to the next-ranked one
+  const candidates = [];
+  let sizing;
+  for (let start = 0; ; start += slots) {
+    const batch = rankedMetrics.slice(start, start + slots);
+    candidates.push(
+      ...(await priceCandidates(
+        marketData,
+        batch,
+        heldValues,
+        washSales,
+        sizingConfig
+      ))
+    );
+    sizing = sizePositions({
+      candidates,
+      budget,
+      portfolioValue,
+      slots,
+      config: sizingConfig,
+    });
+    if (!sizing.exhausted || start + slots >= rankedMetrics.length) {
+      break;
+    }
+  }
 
-      const currentPrice = parseFloat(quoteResponse.data[0].price);
-      if (isNaN(currentPrice) || currentPrice <= 0) {
-        logMessage(`Invalid price for ${stock.symbol}. Skipping...`);
-        continue;
-      }
+  plan.account = {
+    portfolioValue,
+    availableCash,
+    maxTotalInvestment,
+    budget,
+    unallocatedCash: sizing.unallocated,
+  };
+  plan.sizing = sizingConfig;
+  plan.skipped = sizing.skipped;
+  sizing.skipped.forEach(({ symbol, reason }) => {
+    logMessage(`Skipping ${symbol}: ${reason}`, { symbol });
+  });
 
-      // Calculate number of shares to buy based on actualInvestmentPerStock
-      const investmentAmount = Math.min(
-        investmentPerStock,
-        actualInvestmentPerStock
-      );
-      const qty = Math.floor(investmentAmount / currentPrice);
-      if (qty <= 0) {
-        logMessage(
-          `Calculated quantity for ${stock.symbol} is less than or equal to zero. Skipping...`
-        );
-        continue;
-      }
+  // Step 7: Turn the sized positions into orders
+  plan.orders = sizing.orders.map((order) => {
+    const stock = rankedMetrics.find((m) => m.symbol === order.symbol);
+    const rank = rankedMetrics.indexOf(stock) + 1;
+    return {
+      symbol: order.symbol,
+      qty: order.qty,
+      price: order.price,
+      estimatedCost: order.amount,
+      targetValue: order.target,
+      topUp: order.topUp,
+      rank,
+      factorRanks: stock.ranks,
+      eyRank: stock.eyRank,
+      rocRank: stock.rocRank,
+      combinedRank: stock.combinedRank,
+      reason: `Magic Formula rank #${rank} (${describeRanks(stock)}, combined ${
+        stock.combinedRank
+      })${order.topUp ? ", top-up of an existing position" : ""}`,
+    };
+  });
+  logMessage(
+    `Planned ${plan.orders.length} orders: ${plan.orders
+      .map((order) => order.symbol)
+      .join(", ")}. Unallocated cash: $${sizing.unallocated.toFixed(2)}`
+  );
+
+  for (const { symbol, reason } of plan.skipped) {
+    await recordOutcome(plan, symbol, { status: "skipped", note: reason });
+  }
 
+  return plan;
+}
+
+/**
+ * Builds the trade plan and places a buy order for every planned stock. In dry-run
+ * mode the plan is returned without placing orders, writing holdings or sending notifications.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only build and report the plan
+ * @param {Object} [options.broker] - Broker, defaults to the one configured by `BROKER`
+ * @param {Object} [options.marketData] - Market-data provider, defaults to the one
+ * configured by `MARKET_DATA_PROVIDER`
+ * @param {Object} [options.rankingConfig] - Ranking factors and filters, defaults to the
+ * `RANKING_*` environment variables
+ * @param {Object} [options.universeConfig] - Universe rules, defaults to the `UNIVERSE_*`
+ * environment variables
+ * @param {Object} [options.sizingConfig] - Position sizing, defaults to the `SIZING_*`
+ * environment variables
+ * @param {Object} [options.portfolioConfig] - Portfolio mode, defaults to the
+ * `PORTFOLIO_MODE` and `COHORT_*` environment variables
+ * @param {Object} [options.batchConfig] - Batch size in `batch` mode, see buildBuyPlan
+ * @param {Object} [options.sellRuleConfig] - Wash-sale window, defaults to `WASH_SALE_DAYS`
+ * @returns {Promise<Object>} The trade plan, with the `executions` of its buy orders, the
+ * number of orders placed (`ordersPlaced`, cohort sales included) and any `errors`
+ */
+async function runMagicFormulaStrategy({
+  dryRun = false,
+  broker = getBroker(),
+  marketData = getMarketDataProvider(),
+  rankingConfig = loadRankingConfig(),
+  universeConfig = loadUniverseConfig(),
+  sizingConfig = loadSizingConfig(),
+  portfolioConfig = loadPortfolioConfig(),
+  batchConfig = portfolioConfig.mode === "batch" ? loadBatchConfig() : null,
+  sellRuleConfig = loadSellRuleConfig(),
+} = {}) {
+  logMessage(`Starting Magic Formula Strategy${dryRun ? " (dry run)" : ""}...`);
+
+  // Sell the expired cohort first so its proceeds fund the replacements. A dry run
+  // only counts the sales in the plan.
+  let cohortSellPlan = null;
+  if (portfolioConfig.mode === "cohort" && !dryRun) {
+    logMessage("Selling cohorts that reached their holding period...");
+    cohortSellPlan = await managePortfolio({ broker, portfolioConfig });
+  }
+
+  const plan = await buildBuyPlan({
+    broker,
+    marketData,
+    rankingConfig,
+    universeConfig,
+    sizingConfig,
+    portfolioConfig,
+    batchConfig,
+    sellRuleConfig,
+    persist: !dryRun,
+    dryRun,
+  });
+  plan.dryRun = dryRun;
+  plan.executions = [];
+  if (cohortSellPlan) {
+    plan.cohortSales = cohortSellPlan.orders;
+  }
+  if (plan.message) {
+    logMessage(`${plan.message} Exiting.`);
+    return summarizeRun(plan, cohortSellPlan);
+  }
+
+  if (dryRun) {
+    plan.orders.forEach((order) => {
       logMessage(
-        `Placing order for ${qty} shares of ${
-          stock.symbol
-        } at $${currentPrice.toFixed(2)} each.`
+        `[DRY RUN] Would buy ${order.qty} shares of ${
+          order.symbol
+        } at $${order.price.toFixed(2)} (${order.reason})`,
+        { symbol: order.symbol }
       );
+    });
+    logMessage("Magic Formula Strategy dry run completed. No orders placed.");
+    return summarizeRun(plan, cohortSellPlan);
+  }
 
-      // Place buy order
-      await placeBuyOrder(stock.symbol, qty, currentPrice);
-    } catch (stockError) {
-      logMessage(`Error processing ${stock.symbol}: ${stockError.message}`);
-    }
+  for (const order of plan.orders) {
+    logMessage(
+      `Placing order for ${order.qty} shares of ${
+        order.symbol
+      } at $${order.price.toFixed(2)} each.`,
+      { symbol: order.symbol }
+    );
+
+    // Place buy order
+    const execution = await placeBuyOrder(
+      broker,
+      order.symbol,
+      order.qty,
+      order.price,
+      order.reason
+    );
+    plan.executions.push(execution);
+    await recordOutcome(
+      plan,
+      order.symbol,
+      execution.orderId
+        ? { status: "ordered", orderId: execution.orderId }
+        : { status: "skipped", note: "Order could not be submitted" }
+    );
   }
 
   logMessage("Magic Formula Strategy execution completed.");
+  return summarizeRun(plan, cohortSellPlan);
+}
+
+/**
+ * Adds the number of orders placed and the errors of a strategy run to its plan,
+ * counting the cohort sales placed before the buys
+ * @param {Object} plan - Trade plan with its buy `executions`
+ * @param {Object|null} cohortSellPlan - Sell plan of the cohort sales, if any
+ * @returns {Object} The plan
+ */
+function summarizeRun(plan, cohortSellPlan) {
+  const executionErrors = plan.executions
+    .filter((execution) => execution.error)
+    .map((execution) => `${execution.symbol}: ${execution.error}`);
+  plan.ordersPlaced =
+    plan.executions.filter((execution) => execution.orderId).length +
+    (cohortSellPlan ? cohortSellPlan.ordersPlaced : 0);
+  plan.errors = [
+    ...(cohortSellPlan ? cohortSellPlan.errors : []),
+    ...plan.errors,
+    ...executionErrors,
+  ];
+  return plan;
 }
 
-// Execute the strategy
-executeMagicFormulaStrategy();
+/**
+ * Main function that executes the Magic Formula trading strategy
+ * A live run holds the buy job lock and claims the quarter's batch key first, so a batch
+ * that is running or already executed this quarter is not bought twice. The key is
+ * released again when the run places no order, including a run that fails before its
+ * first order, so it can be retried. Dry runs skip both checks.
+ * @param {Object} [options] - See runMagicFormulaStrategy
+ * @param {boolean} [options.force] - Run even if this quarter's batch already executed
+ * @returns {Promise<Object>} The trade plan. A refused run returns a plan without orders
+ * whose `skipReason` says why.
+ */
+async function executeMagicFormulaStrategy(options = {}) {
+  const { dryRun = false, force = false } = options;
+  if (dryRun) {
+    return runMagicFormulaStrategy(options);
+  }
 
-// Close the database connection gracefully on exit
-process.on("SIGINT", () => {
-  logMessage("Closing SQLite database connection.");
-  db.close((err) => {
-    if (err) {
-      console.error("Error closing SQLite database:", err.message);
+  const lock = await acquireJobLock("buyPositions", logger);
+  if (!lock.acquired) {
+    logMessage(`${lock.reason}. Exiting.`, { level: "warn" });
+    return refusedPlan(lock.reason);
+  }
+  try {
+    const batchKey = buyBatchKey();
+    const claim = await claimIdempotencyKey(batchKey, "buyPositions", {
+      force,
+    });
+    if (!claim.claimed) {
+      logMessage(`${claim.reason}. Run with --force to buy again. Exiting.`, {
+        level: "warn",
+      });
+      return refusedPlan(claim.reason);
     }
-    process.exit(0);
+    if (claim.forced) {
+      logMessage(`${claim.reason}. Forced to run again.`, { level: "warn" });
+    }
+
+    const lastOrderRowId = await latestOrderRowId();
+    let plan;
+    try {
+      plan = await runMagicFormulaStrategy(options);
+    } catch (error) {
+      // Keep the claim only if an order went out before the failure
+      if ((await countOrdersAfter(lastOrderRowId)) === 0) {
+        await releaseIdempotencyKey(batchKey);
+      }
+      throw error;
+    }
+    plan.batchKey = batchKey;
+    // Nothing was bought, so the quarter's batch can still be run
+    if (plan.ordersPlaced === 0) {
+      await releaseIdempotencyKey(batchKey);
+    }
+    return plan;
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * Trade plan of a run that was refused before it started
+ * @param {string} reason - Why the run was refused
+ * @returns {Object}
+ */
+function refusedPlan(reason) {
+  return {
+    type: "buy",
+    generatedAt: new Date().toISOString(),
+    orders: [],
+    executions: [],
+    ordersPlaced: 0,
+    errors: [],
+    skipReason: reason,
+    message: reason,
+  };
+}
+
+module.exports = {
+  buildBuyPlan,
+  executeMagicFormulaStrategy,
+};
+
+// Execute the strategy when run directly, once the database schema is up to date
+if (require.main === module) {
+  const dryRun =
+    process.argv.includes("--dry-run") || process.env.DRY_RUN === "true";
+  const force = process.argv.includes("--force");
+  if (dryRun) {
+    // Keep stdout for the plan so it can be piped into a JSON parser
+    console.log = console.error;
+  }
+
+  database
+    .ready()
+    .then(() => executeMagicFormulaStrategy({ dryRun, force }))
+    .then((plan) => {
+      if (dryRun) {
+        process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+      }
+    })
+    .catch((error) => {
+      logMessage(`Magic Formula Strategy failed: ${error.message}`, {
+        level: "error",
+      });
+      process.exitCode = 1;
+    });
+
+  // Close the database connection gracefully on exit
+  process.on("SIGINT", () => {
+    logMessage("Closing SQLite database connection.");
+    database
+      .close()
+      .catch((err) =>
+        console.error("Error closing SQLite database:", err.message)
+      )
+      .finally(() => process.exit(0));
   });
-});
+}
@@ -0,0 +1,130 @@
+/**
+ * @file manageAccess.js
+ * @description Manages who can use the dashboard and API (see lib/auth):
+ *
+ *   node src/scripts/manageAccess.js add-user <username> <viewer|operator>
+ *   node src/scripts/manageAccess.js remove-user <username>
+ *   node src/scripts/manageAccess.js create-token <name> <viewer|operator>
+ *   node src/scripts/manageAccess.js revoke-token <name>
+ *   node src/scripts/manageAccess.js list
+ *
+ * `add-user` prompts for the password (or reads it from stdin) and also changes the
+ * password and role of an existing user. `create-token` prints the new token once; only
+ * its hash is stored.
+ *
+ * @requires dotenv - For environment variable management
+ * @requires ../lib/database - Shared data-access module
+ * @requires ../lib/auth - Users and API tokens
+ */
+
+require("dotenv").config();
+const readline = require("readline");
+const { Writable } = require("stream");
+const database = require("../lib/database");
+const {
+  ROLES,
+  saveUser,
+  removeUser,
+  listUsers,
+  createApiToken,
+  revokeApiToken,
+  listApiTokens,
+} = require("../lib/auth");
+
+const USAGE = `Usage:
+  manageAccess.js add-user <username> <${ROLES.join("|")}>
+  manageAccess.js remove-user <username>
+  manageAccess.js create-token <name> <${ROLES.join("|")}>
+  manageAccess.js revoke-token <name>
+  manageAccess.js list`;
+
+/**
+ * Reads a password without echoing it
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>}
+ */
+function promptPassword(prompt) {
+  return new Promise((resolve) => {
+    process.stdout.write(prompt);
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: new Writable({ write: (chunk, encoding, done) => done() }),
+      terminal: Boolean(process.stdin.isTTY),
+    });
+    let answer = "";
+    rl.question("", (line) => {
+      answer = line;
+      rl.close();
+    });
+    // Also resolves when stdin ends without a line
+    rl.on("close", () => {
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Runs one command
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<void>}
+ */
+async function main([command, name, role]) {
+  switch (command) {
+    case "add-user": {
+      if (!name || !role) {
+        throw new Error(USAGE);
+      }
+      const password = await promptPassword(`Password for ${name}: `);
+      await saveUser(name, password, role);
+      console.log(`Saved ${role} user ${name}`);
+      break;
+    }
+    case "remove-user":
+      if (!name) {
+        throw new Error(USAGE);
+      }
+      console.log(
+        (await removeUser(name)) ? `Removed user ${name}` : `No user ${name}`
+      );
+      break;
+    case "create-token": {
+      if (!name || !role) {
+        throw new Error(USAGE);
+      }
+      const token = await createApiToken(name, role);
+      console.log(`Created ${role} token ${name}. It is not shown again:`);
+      console.log(token);
+      break;
+    }
+    case "revoke-token":
+      if (!name) {
+        throw new Error(USAGE);
+      }
+      console.log(
+        (await revokeApiToken(name))
+          ? `Revoked token ${name}`
+          : `No active token ${name}`
+      );
+      break;
+    case "list":
+      console.log("Users:");
+      console.table(await listUsers());
+      console.log("API tokens:");
+      console.table(await listApiTokens());
+      break;
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  database
+    .ready()
+    .then(() => main(process.argv.slice(2)))
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
+}
@@ -0,0 +1,152 @@
+/**
+ * @file reconcileOrders.js
+ * @description Reconciles the local database with the broker.
+ * This script:
+ * 1. Refreshes every tracked order that has not yet been applied to the database
+ * 2. Applies the actual fills of orders that have since reached a terminal status
+ * 3. Compares broker positions with active holdings and flags any drift
+ *
+ * A run is refused while another reconciliation is in progress (see lib/jobLocks).
+ *
+ * @requires dotenv - For environment variable management
+ * @requires ../lib/brokers - Broker adapter (Alpaca or the local paper broker)
+ * @requires ../lib/database - Shared data-access module
+ * @requires ../lib/logger - Structured job log, also captured by job runs started by the server
+ * @requires ../lib/jobLocks - Run lock
+ */
+
+require("dotenv").config();
+const database = require("../lib/database");
+const { getBroker } = require("../lib/brokers");
+const { refreshOpenOrders, findPositionDrift } = require("../lib/orders");
+const { createLogger } = require("../lib/logger");
+const { acquireJobLock } = require("../lib/jobLocks");
+
+// ----------------------- Configuration ----------------------- //
+
+// Structured log in $LOG_DIR/reconciliation.log, filtered by LOG_LEVEL
+const logger = createLogger("reconciliation");
+
+/**
+ * Logs a message to both console and a log file
+ * @param {string} message - The message to log
+ * @param {Object} [fields] - `level` (default `info`) and fields stored with the entry,
+ * e.g. `symbol`
+ */
+function logMessage(message, { level = "info", ...fields } = {}) {
+  logger.log(level, message, fields);
+}
+
+/**
+ * Refreshes open orders and checks for position drift
+ * @param {Object} [options]
+ * @param {Object} [options.broker] - Broker, defaults to the one configured by `BROKER`
+ * @returns {Promise<{refreshed: Array<Object>, drift: Array<Object>, ordersPlaced: number,
+ * errors: string[]}>} The order updates applied, the drift found and the steps that failed
+ */
+async function runReconciliation({ broker = getBroker() } = {}) {
+  logMessage("Starting reconciliation...");
+  const result = { refreshed: [], drift: [], ordersPlaced: 0, errors: [] };
+
+  // Step 1: Finish tracking orders the trading scripts stopped waiting on
+  try {
+    const updates = await refreshOpenOrders(broker);
+    result.refreshed = updates;
+    logMessage(`Refreshed ${updates.length} unapplied orders.`);
+    updates.forEach((update) => {
+      if (update.error) {
+        const message = `Error refreshing order ${update.orderId} (${update.side} ${update.symbol}): ${update.error}`;
+        logMessage(message, { level: "error", symbol: update.symbol });
+        result.errors.push(message);
+        return;
+      }
+      logMessage(
+        `Order ${update.orderId} (${update.side} ${update.symbol}): status ${
+          update.status
+        }${update.applied ? `, applied ${update.filledQty} shares` : ""}`,
+        { symbol: update.symbol }
+      );
+    });
+  } catch (error) {
+    logMessage(`Error refreshing open orders: ${error.message}`, {
+      level: "error",
+    });
+    result.errors.push(`Error refreshing open orders: ${error.message}`);
+  }
+
+  // Step 2: Flag drift between the broker and the database
+  try {
+    const drift = await findPositionDrift(broker);
+    result.drift = drift;
+    if (drift.length === 0) {
+      logMessage(
+        `No drift between ${broker.name} positions and active holdings.`
+      );
+    }
+    drift.forEach((entry) => {
+      logMessage(
+        `DRIFT ${entry.symbol}: ${broker.name} holds ${entry.brokerQty}, database holds ${entry.databaseQty} (difference ${entry.difference})`,
+        { level: "warn", symbol: entry.symbol }
+      );
+    });
+  } catch (error) {
+    logMessage(`Error checking position drift: ${error.message}`, {
+      level: "error",
+    });
+    result.errors.push(`Error checking position drift: ${error.message}`);
+  }
+
+  logMessage("Reconciliation completed.");
+  return result;
+}
+
+/**
+ * Main function that reconciles orders and positions while holding the reconciliation lock
+ * @param {Object} [options] - See runReconciliation
+ * @returns {Promise<Object>} See runReconciliation. A refused run returns an empty
+ * result whose `skipReason` says why.
+ */
+async function reconcile(options = {}) {
+  const lock = await acquireJobLock("reconcileOrders", logger);
+  if (!lock.acquired) {
+    logMessage(`${lock.reason}. Exiting.`, { level: "warn" });
+    return {
+      refreshed: [],
+      drift: [],
+      ordersPlaced: 0,
+      errors: [],
+      skipReason: lock.reason,
+    };
+  }
+  try {
+    return await runReconciliation(options);
+  } finally {
+    await lock.release();
+  }
+}
+
+module.exports = {
+  reconcile,
+};
+
+// Execute the reconciliation when run directly, once the database schema is up to date
+if (require.main === module) {
+  database
+    .ready()
+    .then(() => reconcile())
+    .catch((error) => {
+      logMessage(`Reconciliation failed: ${error.message}`, { level: "error" });
+      process.exitCode = 1;
+    });
+
+  // Close the database connection gracefully on exit
+  process.on("SIGINT", () => {
+    logMessage("Closing SQLite database connection.");
+    database
+      .close()
+      .catch((err) =>
+        console.error("Error closing SQLite database:", err.message)
+      )
+      .finally(() => process.exit(0));
+  });
+}
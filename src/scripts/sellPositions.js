@@ -1,409 +1,464 @@
 /**
  * @file sellPositions.js
  * @description Implements automated selling of stock positions based on holding duration and profitability.
- * This script manages the selling of stock positions according to the following rules:
- * 1. Sells unprofitable positions after a configurable number of days (default: ~1 year)
- * 2. Sells profitable positions after a configurable number of days (default: ~1 year)
- * 3. Records all sales in a SQLite database
- * 4. Sends email notifications for each sale
+ * Each purchase is tracked as its own tax lot, so every lot is evaluated on its own
+ * acquisition date and cost basis. This script sells lots according to the following rules:
+ * 1. Sells any lot that hits a risk exit first: stop-loss, trailing stop or take-profit
+ *    (`RISK_*`, see lib/riskExits), whatever its holding period
+ * 2. Sells unprofitable lots just before the one-year mark (default: day 358), harvesting
+ *    a short-term loss
+ * 3. Sells profitable lots just after it (default: day 367), for long-term gain treatment
+ *    In cohort mode (`PORTFOLIO_MODE=cohort`) rules 2 and 3 are replaced by the cohort rule:
+ *    a lot is sold once the cohort of its purchase quarter has been held for
+ *    `COHORT_HOLDING_QUARTERS` quarters (see lib/cohorts)
+ * 4. Tracks each sell order and records the actual fill in a SQLite database
+ * 5. Sends a notification for each sale, with the rule that triggered it
+ *
+ * Every lot sale is stored with its holding term and gain classification (see lib/lots).
  * 
+ * Run with `--dry-run` (or `DRY_RUN=true`) to print the sell plan as JSON without
+ * placing orders, writing holdings or sending notifications. The server imports
+ * `managePortfolio` and runs it in-process (see lib/jobRuns). A live run is refused while
+ * another sell run, or the cohort sales of a buy run, is in progress (see lib/jobLocks).
+ *
  * The script is designed to optimize tax benefits by holding positions for approximately one year
  * before selling, while also managing risk by selling unprofitable positions.
  * 
  * @requires dotenv - For environment variable management
  * @requires axios - For making HTTP requests to FMP API
- * @requires @alpacahq/alpaca-trade-api - For trading operations
- * @requires sqlite3 - For database operations
- * @requires nodemailer - For sending email notifications
+ * @requires ../lib/brokers - Broker adapter (Alpaca or the local paper broker)
+ * @requires ../lib/database - Shared data-access module
+ * @requires ../lib/cohorts - Cohort portfolio construction
+ * @requires ../lib/riskExits - Stop-loss, trailing stop and take-profit
+ * @requires ../lib/logger - Structured job log, also captured by job runs started by the server
+ * @requires ../lib/jobLocks - Run lock
+ * @requires ../lib/notifications - Fill and failure notifications
  */
 
 require('dotenv').config();
 const axios = require('axios');
-const Alpaca = require('@alpacahq/alpaca-trade-api');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-const nodemailer = require('nodemailer');
+const database = require('../lib/database');
+const { getBroker } = require('../lib/brokers');
+const { executeMarketOrder, isTerminalStatus } = require('../lib/orders');
+const { getOpenLots, recordHighPrice } = require('../lib/lots');
+const { loadSellRuleConfig, evaluateSellRules, daysBetween, holdingTerm } = require('../lib/sellRules');
+const { loadPortfolioConfig, evaluateCohort } = require('../lib/cohorts');
+const { loadRiskExitConfig, evaluateRiskExits } = require('../lib/riskExits');
+const { createLogger } = require('../lib/logger');
+const { acquireJobLock } = require('../lib/jobLocks');
+const { sendNotification } = require('../lib/notifications');
 
 // ----------------------- Configuration ----------------------- //
 
 // Load environment variables
 const {
-    FMP_API_KEY,
-    ALPACA_API_KEY,
-    ALPACA_API_SECRET,
-    ALPACA_BASE_URL,
-    SELL_UNPROFITABLE_AFTER_DAYS,
-    SELL_PROFITABLE_AFTER_DAYS,
-    EMAIL_FROM,
-    EMAIL_PASS,
-    EMAIL_TO,
-    LOG_DIR
+    FMP_API_KEY
 } = process.env;
 
-// Ensure LOG_DIR exists
-if (!fs.existsSync(LOG_DIR)) {
-    fs.mkdirSync(LOG_DIR, { recursive: true });
-}
+// Structured log in $LOG_DIR/sellPositions.log, filtered by LOG_LEVEL
+const logger = createLogger('sellPositions');
 
 // FMP API endpoints
 const FMP_API_BASE_URL = 'https://financialmodelingprep.com/api/v3';
 
-// Initialize Alpaca API client
-const alpaca = new Alpaca({
-    keyId: ALPACA_API_KEY,
-    secretKey: ALPACA_API_SECRET,
-    paper: ALPACA_BASE_URL.includes('paper'), // true for paper trading, false for live
-    usePolygon: false // Optional: Set to true if you need Polygon data
-});
-
-// Initialize SQLite Database
-const db = new sqlite3.Database(path.join(__dirname, '../database/portfolio.db'), (err) => {
-    if (err) {
-        console.error('Error connecting to SQLite database:', err.message);
-    } else {
-        console.log('Connected to SQLite database.');
-    }
-});
-
-// Create table if not exists
-db.run(`
-    CREATE TABLE IF NOT EXISTS holdings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        symbol TEXT NOT NULL,
-        quantity INTEGER NOT NULL,
-        acquisition_date TEXT NOT NULL,
-        status TEXT NOT NULL CHECK(status IN ('active', 'sold'))
-    )
-`, (err) => {
-    if (err) {
-        console.error('Error creating holdings table:', err.message);
-    }
-});
-
-// Initialize Nodemailer transporter
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: EMAIL_FROM, 
-        pass: EMAIL_PASS,
-    },
-});
-
 /**
  * Logs a message to both console and a log file
  * @param {string} message - The message to log
+ * @param {Object} [fields] - `level` (default `info`) and fields stored with the entry, e.g. `symbol`
  */
-function logMessage(message) {
-    const timestamp = new Date().toISOString();
-    fs.appendFileSync(path.join(LOG_DIR, 'sellPositions.log'), `[${timestamp}] ${message}\n`);
-    console.log(message);
-}
-
-/**
- * Sends a styled HTML email notification about a stock sale
- * @param {string} subject - Email subject line
- * @param {string} symbol - Stock symbol
- * @param {number} quantity - Number of shares sold
- * @param {number} price - Price per share
- * @param {boolean} isProfitable - Whether the position was profitable
- */
-async function sendEmail(subject, symbol, quantity, price, isProfitable) {
-    const status = isProfitable ? 'Profitable' : 'Unprofitable';
-    const mailOptions = {
-        from: EMAIL_FROM,
-        to: EMAIL_TO,
-        subject: subject,
-        html: `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="UTF-8" />
-            <title>${subject}</title>
-            <style>
-              /* Basic MUI-like styling */
-              body {
-                font-family: 'Roboto', Arial, sans-serif;
-                background-color: #f5f5f5;
-                margin: 0;
-                padding: 0;
-              }
-              .container {
-                max-width: 600px;
-                margin: 40px auto;
-                background-color: #ffffff;
-                border-radius: 4px;
-                box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
-                overflow: hidden;
-              }
-              .header {
-                background-color: #d32f2f;
-                padding: 16px;
-                color: #ffffff;
-              }
-              .header h1 {
-                margin: 0;
-                font-size: 24px;
-              }
-              .content {
-                padding: 16px;
-              }
-              .content h2 {
-                margin-top: 0;
-                color: #333;
-              }
-              .report-table {
-                width: 100%;
-                border-collapse: collapse;
-                margin: 16px 0;
-              }
-              .report-table th,
-              .report-table td {
-                text-align: left;
-                padding: 12px 8px;
-                border-bottom: 1px solid #e0e0e0;
-              }
-              .footer {
-                background-color: #fafafa;
-                padding: 12px 16px;
-                text-align: center;
-                font-size: 14px;
-                color: #999999;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <div class="header">
-                <h1>${subject}</h1>
-              </div>
-              <div class="content">
-                <h2>Hello Admin,</h2>
-                <p>A position has been sold:</p>
-                <table class="report-table">
-                  <tr>
-                    <th>Symbol</th>
-                    <td>${symbol}</td>
-                  </tr>
-                  <tr>
-                    <th>Quantity</th>
-                    <td>${quantity}</td>
-                  </tr>
-                  <tr>
-                    <th>Price per Share</th>
-                    <td>$${price.toFixed(2)}</td>
-                  </tr>
-                  <tr>
-                    <th>Status</th>
-                    <td>${status}</td>
-                  </tr>
-                  <tr>
-                    <th>Total Proceeds</th>
-                    <td>$${(quantity * price).toFixed(2)}</td>
-                  </tr>
-                </table>
-                <p>Regards,<br/>Magic Formula Trader Bot</p>
-              </div>
-              <div class="footer">
-                &copy; ${new Date().getFullYear()} Magic Formula Trader
-              </div>
-            </div>
-          </body>
-        </html>
-        `,
-    };
-
-    try {
-        await transporter.sendMail(mailOptions);
-        logMessage(`Email sent: ${subject} for ${symbol}`);
-    } catch (error) {
-        logMessage(`Error sending email for ${symbol}: ${error.message}`);
-    }
-}
-
-/**
- * Fetches the acquisition date for a stock from the database
- * @param {string} symbol - Stock symbol to look up
- * @returns {Promise<Date|null>} Acquisition date or null if not found
- */
-function getAcquisitionDateFromDB(symbol) {
-    return new Promise((resolve, reject) => {
-        db.get(`
-            SELECT acquisition_date FROM holdings
-            WHERE symbol = ? AND status = 'active'
-            ORDER BY acquisition_date ASC
-            LIMIT 1
-        `, [symbol], (err, row) => {
-            if (err) {
-                reject(err);
-            } else if (row) {
-                resolve(new Date(row.acquisition_date));
-            } else {
-                resolve(null);
-            }
-        });
-    });
+function logMessage(message, { level = 'info', ...fields } = {}) {
+    logger.log(level, message, fields);
 }
 
 /**
- * Updates the status of a holding to 'sold' in the database
- * @param {string} symbol - Stock symbol to update
- * @returns {Promise<number>} Number of rows updated
- */
-function updateHoldingStatus(symbol) {
-    return new Promise((resolve, reject) => {
-        db.run(`
-            UPDATE holdings
-            SET status = 'sold'
-            WHERE symbol = ? AND status = 'active'
-        `, [symbol], function(err) {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(this.changes);
-            }
-        });
-    });
-}
-
-/**
- * Fetches account information from Alpaca
+ * Fetches account information from the broker
+ * @param {Object} broker - Broker
  * @returns {Promise<Object|null>} Account information or null if fetch fails
  */
-async function getAccountInfo() {
+async function getAccountInfo(broker) {
     try {
-        const account = await alpaca.getAccount();
+        const account = await broker.getAccount();
         return account;
     } catch (error) {
-        logMessage(`Error fetching Alpaca account info: ${error.message}`);
+        logMessage(`Error fetching ${broker.name} account info: ${error.message}`, { level: 'error' });
         return null;
     }
 }
 
 /**
- * Places a sell order for a stock and records the transaction
+ * Places a sell order for a lot and records the sale against that lot once it fills
+ * @param {Object} broker - Broker
  * @param {string} symbol - Stock symbol to sell
  * @param {number} qty - Number of shares to sell
  * @param {number} price - Current price per share
- * @param {boolean} isProfitable - Whether the position is profitable
+ * @param {boolean} isProfitable - Whether the lot is profitable
+ * @param {string} reason - Why the lot is being sold, stored with the transaction
+ * @param {number} lotId - Lot (holdings row) the sale consumes
+ * @param {string} exitRule - Rule that triggered the sale, for the notification subject
+ * @returns {Promise<{symbol: string, qty: number, lotId: number, orderId: string|null,
+ * status: string|null, filledQty: number, error: string|null}>} What happened to the
+ * order; `orderId` is null if it was not submitted
  */
-async function placeSellOrder(symbol, qty, price, isProfitable) {
+async function placeSellOrder(broker, symbol, qty, price, isProfitable, reason, lotId, exitRule) {
+    const execution = { symbol, qty, lotId, orderId: null, status: null, filledQty: 0, error: null };
     try {
-        const order = await alpaca.createOrder({
-            symbol: symbol,
-            qty: qty,
+        const result = await executeMarketOrder(broker, {
+            symbol,
+            qty,
             side: 'sell',
-            type: 'market',
-            time_in_force: 'day'
+            notes: `Sold lot ${lotId}: ${reason}`,
+            lotIds: [lotId]
         });
-        logMessage(`Successfully placed sell order for ${symbol}: ${JSON.stringify(order)}`);
-
-        // Update the holding status in the SQLite database
-        const changes = await updateHoldingStatus(symbol);
-        if (changes > 0) {
-            logMessage(`Updated holding status for ${symbol} to 'sold' in database.`);
-        } else {
-            logMessage(`No active holdings found for ${symbol} to update in database.`);
+        const orderId = result.order.id;
+        execution.orderId = orderId;
+        execution.status = result.status;
+        execution.filledQty = result.filledQty;
+        logMessage(`Sell order ${orderId} for ${symbol} has status ${result.status}`, { symbol });
+
+        if (!isTerminalStatus(result.status)) {
+            logMessage(`Sell order ${orderId} for ${symbol} is still open (${result.status}). The reconciliation job will record it once it fills.`, { symbol });
+            return execution;
+        }
+        if (result.filledQty <= 0) {
+            logMessage(`Sell order ${orderId} for ${symbol} ended with status ${result.status} and no fills. Nothing recorded.`, { level: 'warn', symbol });
+            await sendNotification('order.failed', {
+                side: 'sell', symbol, quantity: qty, orderId, status: result.status, error: 'Ended with no fills'
+            }, logger);
+            return execution;
+        }
+        if (result.applied) {
+            logMessage(`Recorded sale of ${result.filledQty} of ${qty} shares of ${symbol} at $${result.filledPrice.toFixed(2)}`, { symbol });
+            if (result.filledQty < qty) {
+                logMessage(`Sell order for ${symbol} was only partially filled. The remaining ${qty - result.filledQty} shares of lot ${lotId} stay open.`, { symbol });
+            }
+            if (result.unallocated > 0) {
+                logMessage(`${result.unallocated} sold shares of ${symbol} could not be matched to an open lot.`, { level: 'warn', symbol });
+            }
         }
 
-        // Send styled HTML email notification
-        const subject = `Sold ${qty} shares of ${symbol}`;
-        await sendEmail(subject, symbol, qty, price, isProfitable);
+        await sendNotification('sell.filled', {
+            symbol, quantity: result.filledQty, price: result.filledPrice, profitable: isProfitable, reason, exitRule
+        }, logger);
 
     } catch (error) {
-        logMessage(`Failed to place sell order for ${symbol}: ${error.message}`);
+        logMessage(`Failed to place sell order for ${symbol}: ${error.message}`, { level: 'error', symbol });
+        execution.error = error.message;
+        await sendNotification('order.failed', {
+            side: 'sell', symbol, quantity: qty, orderId: execution.orderId, status: execution.status, error: error.message
+        }, logger);
     }
+    return execution;
 }
 
 /**
- * Main function that manages the portfolio by selling positions based on criteria
- * The strategy follows these steps:
- * 1. Fetches all current positions from Alpaca
- * 2. For each position:
- *    - Calculates holding duration
- *    - Determines if position is profitable
- *    - Checks if position meets sell criteria based on:
- *      * Holding duration for unprofitable positions
- *      * Holding duration for profitable positions
- * 3. Places sell orders for positions that meet criteria
- * 4. Updates database records
- * 5. Sends email notifications
+ * Stores the current price as the high of every open lot that has not seen it yet
+ * @param {Object} broker - Broker
  */
-async function managePortfolio() {
-    logMessage('Starting Portfolio Management...');
+async function recordHighPrices(broker) {
+    try {
+        const positions = await broker.getPositions();
+        for (const position of positions) {
+            if (position.currentPrice > 0) {
+                await recordHighPrice(position.symbol, position.currentPrice);
+            }
+        }
+    } catch (error) {
+        logMessage(`Error recording high prices: ${error.message}`, { level: 'error' });
+    }
+}
+
+/**
+ * Decides whether a lot is sold under the cohort rule
+ * @param {Object} lot - Holdings row
+ * @param {number} entryPrice - Price paid per share
+ * @param {number} currentPrice - Current price per share
+ * @param {Date} asOf - Evaluation date
+ * @param {Object} portfolioConfig - See cohorts.loadPortfolioConfig
+ * @returns {{shouldSell: boolean, reason: string, isProfitable: boolean, holdingDays: number, term: string}}
+ */
+function evaluateCohortExit(lot, entryPrice, currentPrice, asOf, portfolioConfig) {
+    const { expired, cohort, quartersHeld } = evaluateCohort(lot.acquisition_date, asOf, portfolioConfig);
+    return {
+        shouldSell: expired,
+        reason: `cohort ${cohort} held for ${quartersHeld} quarters`,
+        isProfitable: currentPrice > entryPrice,
+        holdingDays: daysBetween(lot.acquisition_date, asOf),
+        term: holdingTerm(lot.acquisition_date, asOf)
+    };
+}
+
+/**
+ * Evaluates every open lot against the sell criteria without trading and returns the
+ * resulting trade plan
+ * The evaluation follows these steps:
+ * 1. Fetches all current positions from the broker
+ * 2. For each open lot of each position:
+ *    - Calculates holding duration from the lot's acquisition date
+ *    - Determines if the lot is profitable against its own acquisition price
+ *    - Checks the risk exits against the entry price and the highest price seen
+ *    - Otherwise checks if the lot meets sell criteria based on:
+ *      * Unprofitable lots: sold just before the one-year mark, as a short-term loss
+ *      * Profitable lots: sold just after it, as a long-term gain
+ *      * In cohort mode, only whether the lot's cohort has reached its holding period
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.broker] - Broker, defaults to the one configured by `BROKER`
+ * @param {Object} [options.portfolioConfig] - Portfolio mode, defaults to the
+ * `PORTFOLIO_MODE` and `COHORT_*` environment variables
+ * @param {Object} [options.riskExitConfig] - Risk exits, defaults to the `RISK_*`
+ * environment variables
+ * @param {Object} [options.sellRuleConfig] - Sell thresholds, defaults to the
+ * `SELL_UNPROFITABLE_AFTER_DAYS` and `SELL_PROFITABLE_AFTER_DAYS` environment variables
+ * @param {Date} [options.asOf] - Evaluation date, defaults to now
+ * @returns {Promise<{type: string, generatedAt: string, positionsChecked: number,
+ * orders: Array<{symbol: string, lotId: number, qty: number, price: number, estimatedProceeds: number,
+ * isProfitable: boolean, holdingDays: number, term: string, exitRule: string, reason: string}>,
+ * skipped: Array<{symbol: string, lotId: number|null, reason: string}>, errors: string[],
+ * message: string|null}>} `errors` lists the positions or steps that could not be evaluated
+ */
+async function buildSellPlan({
+    broker = getBroker(),
+    portfolioConfig = loadPortfolioConfig(),
+    riskExitConfig = loadRiskExitConfig(),
+    sellRuleConfig = loadSellRuleConfig(),
+    asOf = new Date()
+} = {}) {
+    const plan = {
+        type: 'sell',
+        generatedAt: new Date().toISOString(),
+        mode: portfolioConfig.mode,
+        positionsChecked: 0,
+        orders: [],
+        skipped: [],
+        errors: [],
+        message: null
+    };
 
     // Step 1: Fetch all current positions
     let positions;
     try {
-        positions = await alpaca.getPositions();
+        positions = await broker.getPositions();
     } catch (error) {
-        logMessage(`Error fetching positions: ${error.message}`);
-        return;
+        logMessage(`Error fetching positions: ${error.message}`, { level: 'error' });
+        plan.message = `Error fetching positions: ${error.message}`;
+        plan.errors.push(plan.message);
+        return plan;
     }
 
     if (positions.length === 0) {
-        logMessage('No open positions found.');
-        return;
+        plan.message = 'No open positions found.';
+        return plan;
     }
+    plan.positionsChecked = positions.length;
 
     // Step 2: Iterate through each position
     for (const position of positions) {
         const symbol = position.symbol;
-        const qty = parseFloat(position.qty);
-        const entryPrice = parseFloat(position.avg_entry_price);
-        const currentPrice = parseFloat(position.current_price);
-        const isProfitable = currentPrice > entryPrice;
+        const positionEntryPrice = position.avgEntryPrice;
+        const currentPrice = position.currentPrice;
+        let availableQty = position.qty;
 
-        // Fetch acquisition date from the database
-        let acquisitionDate;
+        // Fetch the open lots for this symbol from the database
+        let lots;
         try {
-            acquisitionDate = await getAcquisitionDateFromDB(symbol);
-            if (!acquisitionDate) {
-                logMessage(`Acquisition date for ${symbol} not found in database. Skipping...`);
+            lots = await getOpenLots(symbol);
+            if (lots.length === 0) {
+                logMessage(`No open lots for ${symbol} found in database. Skipping...`, { level: 'warn', symbol });
+                plan.skipped.push({ symbol, lotId: null, reason: 'No open lots in database' });
                 continue;
             }
         } catch (err) {
-            logMessage(`Error fetching acquisition date for ${symbol} from database: ${err.message}`);
+            logMessage(`Error fetching lots for ${symbol} from database: ${err.message}`, { level: 'error', symbol });
+            plan.skipped.push({ symbol, lotId: null, reason: err.message });
+            plan.errors.push(`${symbol}: ${err.message}`);
             continue;
         }
 
-        // Calculate holding duration in days
-        const today = new Date();
-        const holdingDuration = Math.floor((today - acquisitionDate) / (1000 * 60 * 60 * 24));
+        // Step 3: Evaluate each lot on its own acquisition date and cost basis
+        for (const lot of lots) {
+            const entryPrice = lot.acquisition_price != null ? lot.acquisition_price : positionEntryPrice;
 
-        // Determine if the position meets sell criteria
-        let shouldSell = false;
-        let reason = '';
+            // Determine if the lot meets sell criteria. A risk exit sells the lot whatever
+            // its holding period.
+            const holding = portfolioConfig.mode === 'cohort'
+                ? evaluateCohortExit(lot, entryPrice, currentPrice, asOf, portfolioConfig)
+                : evaluateSellRules({
+                    acquisitionDate: lot.acquisition_date,
+                    entryPrice,
+                    currentPrice,
+                    asOf
+                }, sellRuleConfig);
+            const risk = evaluateRiskExits({
+                entryPrice,
+                currentPrice,
+                highPrice: lot.high_price
+            }, riskExitConfig);
+            const { isProfitable, holdingDays: holdingDuration, term } = holding;
+            const shouldSell = risk.triggered || holding.shouldSell;
+            const reason = risk.triggered ? risk.reason : holding.reason;
+            const exitRule = risk.triggered ? risk.rule : portfolioConfig.mode === 'cohort' ? 'cohort' : 'holding-period';
 
-        if (!isProfitable && holdingDuration >= parseInt(SELL_UNPROFITABLE_AFTER_DAYS)) {
-            shouldSell = true;
-            reason = `unprofitable after ${holdingDuration} days`;
-        } else if (isProfitable && holdingDuration >= parseInt(SELL_PROFITABLE_AFTER_DAYS)) {
-            shouldSell = true;
-            reason = `profitable after ${holdingDuration} days`;
-        }
+            if (!shouldSell) {
+                logMessage(`Lot ${lot.id} of ${symbol} does not meet sell criteria (Holding Duration: ${holdingDuration} days, Profitable: ${isProfitable}).`, { level: 'debug', symbol });
+                continue;
+            }
+
+            // Never sell more than the broker reports for the position
+            const qty = Math.min(lot.remaining_quantity, availableQty);
+            if (qty <= 0) {
+                logMessage(`Lot ${lot.id} of ${symbol} meets sell criteria but the broker reports no remaining shares. Skipping...`, { level: 'warn', symbol });
+                plan.skipped.push({ symbol, lotId: lot.id, reason: 'Broker reports no remaining shares' });
+                continue;
+            }
 
-        if (shouldSell) {
-            logMessage(`Position ${symbol} (${reason}) meets sell criteria. Preparing to sell...`);
-            await placeSellOrder(symbol, qty, currentPrice, isProfitable);
-        } else {
-            logMessage(`Position ${symbol} does not meet sell criteria (Holding Duration: ${holdingDuration} days, Profitable: ${isProfitable}).`);
+            logMessage(`Lot ${lot.id} of ${symbol} (${reason}) meets sell criteria.`, { symbol });
+            plan.orders.push({
+                symbol,
+                lotId: lot.id,
+                qty,
+                price: currentPrice,
+                estimatedProceeds: qty * currentPrice,
+                isProfitable,
+                holdingDays: holdingDuration,
+                term,
+                exitRule,
+                reason
+            });
+            availableQty -= qty;
         }
     }
 
-    logMessage('Portfolio Management completed.');
+    return plan;
 }
 
-// Execute the portfolio management
-managePortfolio();
+/**
+ * Builds the sell plan, then places a sell order for each lot that meets criteria,
+ * updates database records and sends notifications. In dry-run mode the plan is
+ * returned without placing orders, writing holdings or sending notifications.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only build and report the plan
+ * @param {Object} [options.broker] - Broker, defaults to the one configured by `BROKER`
+ * @param {Object} [options.portfolioConfig] - Portfolio mode, defaults to the
+ * `PORTFOLIO_MODE` and `COHORT_*` environment variables
+ * @param {Object} [options.riskExitConfig] - Risk exits, defaults to the `RISK_*`
+ * environment variables
+ * @param {Object} [options.sellRuleConfig] - Sell thresholds, defaults to the
+ * `SELL_UNPROFITABLE_AFTER_DAYS` and `SELL_PROFITABLE_AFTER_DAYS` environment variables
+ * @returns {Promise<Object>} The trade plan, with the `executions` of its sell orders, the
+ * number of orders placed (`ordersPlaced`) and any `errors`
+ */
+async function runPortfolioManagement({
+    dryRun = false,
+    broker = getBroker(),
+    portfolioConfig = loadPortfolioConfig(),
+    riskExitConfig = loadRiskExitConfig(),
+    sellRuleConfig = loadSellRuleConfig()
+} = {}) {
+    logMessage(`Starting Portfolio Management${dryRun ? ' (dry run)' : ''}...`);
+
+    // Raise each lot's high price to today's price before the trailing stop is checked
+    if (!dryRun) {
+        await recordHighPrices(broker);
+    }
+
+    const plan = await buildSellPlan({ broker, portfolioConfig, riskExitConfig, sellRuleConfig });
+    plan.dryRun = dryRun;
+    plan.executions = [];
+    if (plan.message) {
+        logMessage(plan.message);
+        return summarizeRun(plan);
+    }
 
-// Close the database connection gracefully on exit
-process.on('SIGINT', () => {
-    logMessage('Closing SQLite database connection.');
-    db.close((err) => {
-        if (err) {
-            console.error('Error closing SQLite database:', err.message);
+    for (const order of plan.orders) {
+        if (dryRun) {
+            logMessage(`[DRY RUN] Would sell ${order.qty} shares of ${order.symbol} from lot ${order.lotId} at $${order.price.toFixed(2)} (${order.reason})`, { symbol: order.symbol });
+            continue;
         }
-        process.exit(0);
+        logMessage(`Preparing to sell ${order.qty} shares of ${order.symbol} from lot ${order.lotId} (${order.reason})...`, { symbol: order.symbol });
+        plan.executions.push(await placeSellOrder(broker, order.symbol, order.qty, order.price, order.isProfitable, order.reason, order.lotId, order.exitRule));
+    }
+
+    logMessage(dryRun ? 'Portfolio Management dry run completed. No orders placed.' : 'Portfolio Management completed.');
+    return summarizeRun(plan);
+}
+
+/**
+ * Adds the number of orders placed and the failed orders of a run to its plan
+ * @param {Object} plan - Trade plan with its sell `executions`
+ * @returns {Object} The plan
+ */
+function summarizeRun(plan) {
+    plan.ordersPlaced = plan.executions.filter((execution) => execution.orderId).length;
+    plan.executions
+        .filter((execution) => execution.error)
+        .forEach((execution) => plan.errors.push(`${execution.symbol} lot ${execution.lotId}: ${execution.error}`));
+    return plan;
+}
+
+/**
+ * Main function that manages the portfolio by selling lots based on criteria
+ * A live run holds the sell job lock, so two runs cannot sell the same lots. Dry runs
+ * do not take it.
+ * @param {Object} [options] - See runPortfolioManagement
+ * @returns {Promise<Object>} The trade plan. A refused run returns a plan without orders
+ * whose `skipReason` says why.
+ */
+async function managePortfolio(options = {}) {
+    if (options.dryRun) {
+        return runPortfolioManagement(options);
+    }
+
+    const lock = await acquireJobLock('sellPositions', logger);
+    if (!lock.acquired) {
+        logMessage(`${lock.reason}. Exiting.`, { level: 'warn' });
+        return {
+            type: 'sell',
+            generatedAt: new Date().toISOString(),
+            orders: [],
+            executions: [],
+            ordersPlaced: 0,
+            errors: [],
+            skipReason: lock.reason,
+            message: lock.reason
+        };
+    }
+    try {
+        return await runPortfolioManagement(options);
+    } finally {
+        await lock.release();
+    }
+}
+
+module.exports = {
+    buildSellPlan,
+    managePortfolio
+};
+
+// Execute the portfolio management when run directly, once the database schema is up to date
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run') || process.env.DRY_RUN === 'true';
+    if (dryRun) {
+        // Keep stdout for the plan so it can be piped into a JSON parser
+        console.log = console.error;
+    }
+
+    database.ready()
+        .then(() => managePortfolio({ dryRun }))
+        .then((plan) => {
+            if (dryRun) {
+                process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+            }
+        })
+        .catch((error) => {
+            logMessage(`Portfolio Management failed: ${error.message}`, { level: 'error' });
+            process.exitCode = 1;
+        });
+
+    // Close the database connection gracefully on exit
+    process.on('SIGINT', () => {
+        logMessage('Closing SQLite database connection.');
+        database.close()
+            .catch((err) => console.error('Error closing SQLite database:', err.message))
+            .finally(() => process.exit(0));
     });
-});
+}
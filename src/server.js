@@ -11,18 +11,92 @@
  * @requires express - Web framework for Node.js
  * @requires dotenv - Environment variable management
  * @requires node-cron - Task scheduling
- * @requires sqlite3 - Database operations
- * @requires path - File path utilities
- * @requires fs - File system operations
+ * @requires ./lib/database - Shared data-access module with schema migrations
+ * @requires ./lib/marketCalendar - Trading days and market hours for the scheduled jobs
+ * @requires ./lib/jobRuns - In-process job runs and their history
+ * @requires ./lib/cronJobs - Stored, editable cron schedules and their change history
+ * @requires ./lib/jobLocks - Job locks and buy batch idempotency keys
+ * @requires ./lib/auth - Users, sessions, API tokens, roles and the audit log
+ * @requires ./lib/rateLimit - Per-client request rate limiting
+ * @requires ./lib/logger - Structured, rotated logs and the log search
+ * @requires ./lib/valuation - Live portfolio valuation and daily snapshots
+ * @requires ./lib/performance - Returns, risk metrics and the benchmark comparison
+ * @requires ./lib/exports - CSV and JSON exports and the year-end tax report
+ * @requires ./lib/notifications - Notification channels, routing and the digest
  */
 
 require("dotenv").config();
 const express = require("express");
 const cron = require("node-cron");
-const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
-const fs = require("fs");
-const { exec } = require("child_process");
+const database = require("./lib/database");
+const { getBroker } = require("./lib/brokers");
+const {
+  createMarketCalendar,
+  checkTradingWindow,
+} = require("./lib/marketCalendar");
+const {
+  runJob,
+  recordSkippedRun,
+  hasCompletedRunSince,
+  failInterruptedRuns,
+} = require("./lib/jobRuns");
+const {
+  scheduleError,
+  getCronJobs,
+  recordCronJobChange,
+  updateCronJobSchedule,
+  setCronJobStatus,
+  markCronJobRun,
+  getCronJobChanges,
+} = require("./lib/cronJobs");
+const { getJobLocks } = require("./lib/jobLocks");
+const {
+  SESSION_COOKIE,
+  loadAuthConfig,
+  hasRole,
+  authenticateUser,
+  createSession,
+  getSessionUser,
+  endSession,
+  getTokenUser,
+  recordAudit,
+  getAuditLog,
+} = require("./lib/auth");
+const { createRateLimiter } = require("./lib/rateLimit");
+const {
+  LOG_LEVELS,
+  LOG_SOURCES,
+  MAX_LOG_LIMIT,
+  MAX_LOG_OFFSET,
+  createLogger,
+  queryLogs,
+} = require("./lib/logger");
+const {
+  getValuation,
+  snapshotPortfolio,
+  getSnapshots,
+} = require("./lib/valuation");
+const {
+  loadPerformanceConfig,
+  cashFlowError,
+  recordCashFlow,
+  getCashFlows,
+  getPerformance,
+} = require("./lib/performance");
+const {
+  EXPORTS,
+  TAX_REPORT_COLUMNS,
+  exportOptionsError,
+  getExportRows,
+  getTaxReport,
+  toCsv,
+} = require("./lib/exports");
+const {
+  CHANNELS,
+  getNotifier,
+  sendNotification,
+  pendingDigestCount,
+} = require("./lib/notifications");
 
 // Initialize Express app
 const app = express();
@@ -30,340 +104,1753 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(express.json());
-app.use(express.static("public"));
+app.use(express.urlencoded({ extended: false }));
 
 // Environment variables
-const {
-  LOG_DIR = "./logs",
-  DATABASE_DIR = "./database",
-  NODE_ENV,
-} = process.env;
+const { NODE_ENV } = process.env;
+
+// Structured logs in $LOG_DIR, filtered by LOG_LEVEL
+const loggers = {
+  server: createLogger("server"),
+  "api-errors": createLogger("api-errors"),
+  "cron-errors": createLogger("cron-errors"),
+};
+
+/**
+ * Utility function to log messages with timestamps
+ * @param {string} message - The message to log
+ * @param {string} [source] - `server`, `api-errors` or `cron-errors`
+ * @param {string} [level] - Defaults to `info` for the server log and `error` otherwise
+ */
+function logMessage(
+  message,
+  source = "server",
+  level = source === "server" ? "info" : "error"
+) {
+  loggers[source].log(level, message);
+}
+
+// ===================== AUTHENTICATION =====================
+
+let authConfig;
+try {
+  authConfig = loadAuthConfig();
+} catch (error) {
+  logMessage(`Invalid authentication settings: ${error.message}`);
+  process.exit(1);
+}
+if (!authConfig.enabled) {
+  logMessage(
+    "⚠️ AUTH_ENABLED=false: the dashboard and API are open to anyone who can reach them",
+    "server",
+    "warn"
+  );
+} else if (authConfig.generatedSecret) {
+  logMessage(
+    "SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts"
+  );
+}
+const rateLimiter = createRateLimiter({
+  limit: authConfig.rateLimitPerMinute,
+});
+
+// Identity of every request when authentication is turned off
+const ANONYMOUS_USER = { name: "anonymous", role: "operator", via: "none" };
+
+// Reachable without logging in
+const PUBLIC_PATHS = ["/health", "/login", "/logout"];
+
+/**
+ * Cookies sent with a request; values that are not valid URI encoding are left out
+ * @param {Object} req - Express request
+ * @returns {Object<string, string>}
+ */
+function parseCookies(req) {
+  const cookies = {};
+  for (const pair of (req.get("cookie") || "").split(";")) {
+    const [name, value] = pair.trim().split("=");
+    if (!name || value === undefined) {
+      continue;
+    }
+    // Another site on the domain may set a value that is not valid URI encoding
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      continue;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Sets or clears the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} value - Signed session id, empty to clear the cookie
+ * @param {number} maxAgeSeconds - Cookie lifetime
+ */
+function setSessionCookie(req, res, value, maxAgeSeconds) {
+  res.append(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${
+      req.secure ? "; Secure" : ""
+    }`
+  );
+}
+
+/**
+ * Whether a request wants a JSON response rather than a page
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsJson(req) {
+  return req.is("application/json") || req.path.startsWith("/api");
+}
+
+/**
+ * Middleware that only lets a role (or a higher one) through
+ * @param {string} role - `viewer` or `operator`
+ * @returns {function} Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (!wantsJson(req) && req.method === "GET") {
+        return res.redirect("/login");
+      }
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `The ${role} role is required`,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware that only lets a role (or a higher one) through when a request asks for
+ * something more than the route's default, e.g. query options that call the broker or
+ * market-data provider live
+ * @param {string} role - `viewer` or `operator`
+ * @param {function(Object): boolean} condition - Whether the request needs the role
+ * @returns {function} Express middleware
+ */
+function requireRoleWhen(role, condition) {
+  const check = requireRole(role);
+  return (req, res, next) => (condition(req) ? check(req, res, next) : next());
+}
+
+// Live pricing calls the broker and market-data provider, so it needs an operator
+const requireOperatorForLivePrices = requireRoleWhen(
+  "operator",
+  (req) => req.query.refresh === "true"
+);
+
+// Rate limit per client address; the health check is exempt for monitors
+app.use((req, res, next) => {
+  if (req.path === "/health") {
+    return next();
+  }
+  const { allowed, limit, remaining, resetAt } = rateLimiter(req.ip);
+  if (!limit) {
+    return next();
+  }
+  res.set({
+    "X-RateLimit-Limit": limit,
+    "X-RateLimit-Remaining": remaining,
+    "X-RateLimit-Reset": Math.ceil(resetAt / 1000),
+  });
+  if (!allowed) {
+    res.set("Retry-After", Math.ceil((resetAt - Date.now()) / 1000));
+    return res.status(429).json({
+      success: false,
+      error: "Too many requests",
+      message: `At most ${limit} requests per minute are allowed`,
+    });
+  }
+  next();
+});
+
+// Identify the user from an API token or the session cookie
+app.use(async (req, res, next) => {
+  if (!authConfig.enabled) {
+    req.user = ANONYMOUS_USER;
+    return next();
+  }
+  try {
+    const authorization = req.get("authorization") || "";
+    if (authorization.startsWith("Bearer ")) {
+      const user = await getTokenUser(authorization.slice(7).trim());
+      req.user = user ? { ...user, via: "token" } : null;
+    } else {
+      const cookie = parseCookies(req)[SESSION_COOKIE];
+      const user = cookie ? await getSessionUser(cookie, authConfig) : null;
+      req.user = user ? { ...user, via: "session" } : null;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Audit every authenticated request that is not a read, once its status is known
+app.use((req, res, next) => {
+  if (
+    req.user &&
+    req.user.via !== "none" &&
+    !["GET", "HEAD", "OPTIONS"].includes(req.method) &&
+    !PUBLIC_PATHS.includes(req.path)
+  ) {
+    res.on("finish", () => {
+      recordAudit({
+        actor: req.user.name,
+        role: req.user.role,
+        action: "request",
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+      }).catch((error) =>
+        logMessage(
+          `Error writing the audit log: ${error.message}`,
+          "api-errors"
+        )
+      );
+    });
+  }
+  next();
+});
+
+// Viewers may read everything; anything that changes state needs an operator
+app.use((req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+  const role = ["GET", "HEAD", "OPTIONS"].includes(req.method)
+    ? "viewer"
+    : "operator";
+  requireRole(role)(req, res, next);
+});
+
+app.use(express.static("public"));
+
+// Trading jobs run in-process. The scripts are loaded on first run so the server starts
+// without broker credentials.
+const tradingJobs = {
+  buyPositions: {
+    label: "buy positions",
+    run: (options) =>
+      require("./scripts/buyPositions").executeMagicFormulaStrategy(options),
+  },
+  sellPositions: {
+    label: "sell positions",
+    run: () => require("./scripts/sellPositions").managePortfolio(),
+  },
+  reconcileOrders: {
+    label: "reconciliation",
+    run: () => require("./scripts/reconcileOrders").reconcile(),
+  },
+  portfolioSnapshot: {
+    label: "portfolio snapshot",
+    run: () => snapshotPortfolio(),
+  },
+  notificationDigest: {
+    label: "notification digest",
+    run: () => getNotifier().sendDigest(),
+  },
+};
+
+/**
+ * Runs a trading job and records it in the job history
+ * @param {string} jobName - Key of `tradingJobs`
+ * @param {string} [trigger] - What started the run
+ * @param {Object} [options] - Passed to the job, e.g. `force` for the buy job
+ */
+async function executeJob(jobName, trigger = "schedule", options = {}) {
+  const { label, run } = tradingJobs[jobName];
+  logMessage(
+    `Starting ${trigger === "schedule" ? "scheduled " : ""}${label} job...`
+  );
+  try {
+    const jobRun = await runJob(jobName, () => run(options), { trigger });
+    const summary = `${label} job ${jobRun.status} (run ${jobRun.runId}, ${
+      jobRun.ordersPlaced
+    } orders placed)${
+      jobRun.result && jobRun.result.skipReason
+        ? `: ${jobRun.result.skipReason}`
+        : ""
+    }`;
+    if (jobRun.errors.length > 0) {
+      logMessage(`${summary}: ${jobRun.errors.join("; ")}`, "cron-errors");
+      await sendNotification(
+        "job.failed",
+        {
+          jobName,
+          label,
+          runId: jobRun.runId,
+          status: jobRun.status,
+          errors: jobRun.errors,
+        },
+        loggers.server
+      );
+    } else {
+      logMessage(summary);
+    }
+  } catch (error) {
+    logMessage(
+      `Failed to record the ${label} job run: ${error.message}`,
+      "cron-errors"
+    );
+  }
+}
+
+let calendarBroker;
+
+/**
+ * Market calendar for a scheduled job. The broker is looked up on first use so the
+ * server can start without broker credentials; calendar fallback warnings go to the
+ * cron log, tagged with the job.
+ * @param {string} jobName - Key of `tradingJobs`
+ */
+function getMarketCalendar(jobName) {
+  if (calendarBroker === undefined) {
+    calendarBroker = null;
+    try {
+      calendarBroker = getBroker();
+    } catch (error) {
+      logMessage(
+        `Broker unavailable for the market calendar, using the bundled holidays: ${error.message}`,
+        "cron-errors"
+      );
+    }
+  }
+  const { label } = tradingJobs[jobName];
+  return createMarketCalendar({
+    broker: calendarBroker,
+    logger: {
+      warn: (message) =>
+        loggers["cron-errors"].warn(`${label} job: ${message}`, {
+          job: jobName,
+        }),
+    },
+  });
+}
+
+/**
+ * Checks the market calendar before a scheduled trading job runs and records a skipped
+ * run when it may not. A quarterly job that has not completed since the first trading
+ * day of the quarter is caught up on the next session the schedule fires.
+ * @param {string} jobName - Key of `tradingJobs`
+ * @param {Object} [options] - See marketCalendar.checkTradingWindow
+ * @returns {Promise<boolean>} Whether the job should run
+ */
+async function marketAllowsRun(jobName, options = {}) {
+  const { label } = tradingJobs[jobName];
+  let reason;
+  try {
+    const window = await checkTradingWindow(getMarketCalendar(jobName), {
+      hasRunSince: (since) => hasCompletedRunSince(jobName, since),
+      ...options,
+    });
+    if (window.run) {
+      if (window.reason) {
+        logMessage(`Running scheduled ${label} job: ${window.reason}`);
+      }
+      return true;
+    }
+    reason = window.reason;
+    logMessage(`Skipping scheduled ${label} job: ${reason}`);
+  } catch (error) {
+    reason = `Market calendar check failed: ${error.message}`;
+    logMessage(
+      `Skipping scheduled ${label} job, market calendar check failed: ${error.message}`,
+      "cron-errors"
+    );
+  }
+  try {
+    await recordSkippedRun(jobName, reason);
+  } catch (error) {
+    logMessage(
+      `Failed to record the skipped ${label} job run: ${error.message}`,
+      "cron-errors"
+    );
+  }
+  return false;
+}
+
+// ===================== CRON JOB SCHEDULING =====================
+
+// What each scheduled job does. Its cron expression, time zone and pause state are
+// stored in the cron_jobs table (see lib/cronJobs) and loaded at startup. Runs started
+// by hand skip the market calendar check.
+const cronJobHandlers = {
+  // Buy positions: by default 9:45 AM on each of the first seven days of Jan, Apr, Jul
+  // and Oct; the market calendar picks the first trading day of the quarter, or a later
+  // one when the buy has not completed since
+  buyPositions: {
+    description:
+      "Buy positions quarterly (first trading day of the quarter, after the open)",
+    run: async (trigger, options) => {
+      if (
+        trigger !== "schedule" ||
+        (await marketAllowsRun("buyPositions", { quarterly: true }))
+      ) {
+        await executeJob("buyPositions", trigger, options);
+      }
+    },
+  },
+  // Sell positions: by default daily at 10:00 AM (Monday-Friday), skipped when the
+  // market is closed
+  sellPositions: {
+    description: "Sell positions daily (trading days)",
+    run: async (trigger) => {
+      if (trigger !== "schedule" || (await marketAllowsRun("sellPositions"))) {
+        await executeJob("sellPositions", trigger);
+      }
+    },
+  },
+  // Reconcile orders and positions: by default daily at 4:30 PM (Monday-Friday), after
+  // day orders expire
+  reconcileOrders: {
+    description: "Reconcile orders and positions daily (weekdays)",
+    run: (trigger) => executeJob("reconcileOrders", trigger),
+  },
+  // Portfolio snapshot: by default daily at 4:45 PM (Monday-Friday), after the close and
+  // reconciliation; skipped on market holidays
+  portfolioSnapshot: {
+    description: "Record the day's portfolio valuation (trading days)",
+    run: async (trigger) => {
+      if (
+        trigger !== "schedule" ||
+        (await marketAllowsRun("portfolioSnapshot", { requireOpen: false }))
+      ) {
+        await executeJob("portfolioSnapshot", trigger);
+      }
+    },
+  },
+  // Notification digest: by default daily at 5:00 PM (Monday-Friday), after the trading
+  // jobs; sends the notifications routed to the digest as one message
+  notificationDigest: {
+    description: "Send the notification digest daily (weekdays)",
+    run: (trigger) => executeJob("notificationDigest", trigger),
+  },
+  // Health check: by default every hour
+  healthCheck: {
+    description: "System health check hourly",
+    run: async () => {
+      logMessage("System health check - Server running normally");
+      try {
+        await markCronJobRun("healthCheck");
+      } catch (error) {
+        logMessage(
+          `Failed to record the health check run: ${error.message}`,
+          "cron-errors"
+        );
+      }
+    },
+  },
+};
+
+// Scheduled node-cron tasks by job name
+const cronTasks = new Map();
+
+/**
+ * Schedules a stored job, replacing its current task. The task only starts in
+ * production and while the job is not paused.
+ * @param {Object} job - cron_jobs row
+ */
+function scheduleCronJob(job) {
+  const handler = cronJobHandlers[job.job_name];
+  if (!handler) {
+    logMessage(
+      `Stored cron job ${job.job_name} has no handler and is not scheduled`,
+      "cron-errors"
+    );
+    return;
+  }
+
+  const current = cronTasks.get(job.job_name);
+  if (current) {
+    current.task.stop();
+    cronTasks.delete(job.job_name);
+  }
+  try {
+    const task = cron.schedule(job.schedule, () => handler.run("schedule"), {
+      scheduled: false,
+      timezone: job.timezone,
+      name: job.job_name,
+    });
+    const started = NODE_ENV === "prod" && job.status === "active";
+    if (started) {
+      task.start();
+    }
+    cronTasks.set(job.job_name, { task, started });
+  } catch (error) {
+    logMessage(
+      `Failed to schedule cron job ${job.job_name} (${job.schedule}): ${error.message}`,
+      "cron-errors"
+    );
+  }
+}
+
+/**
+ * Loads the stored schedules and schedules every job
+ */
+async function loadCronJobs() {
+  const jobs = await getCronJobs();
+  jobs.forEach(scheduleCronJob);
+  if (NODE_ENV === "prod") {
+    logMessage(
+      `Cron jobs started for production environment: ${jobs
+        .map((job) => `${job.job_name} (${job.status})`)
+        .join(", ")}`
+    );
+  } else {
+    logMessage("Cron jobs disabled in development mode");
+  }
+}
+
+/**
+ * Describes a stored job and the state of its task
+ * @param {Object} job - cron_jobs row
+ * @returns {Object}
+ */
+function describeCronJob(job) {
+  const scheduled = cronTasks.get(job.job_name);
+  let status = "stopped";
+  if (job.status === "paused") {
+    status = "paused";
+  } else if (scheduled && scheduled.started) {
+    status = "running";
+  }
+  return {
+    name: job.job_name,
+    schedule: job.schedule,
+    timezone: job.timezone,
+    status,
+    paused: job.status === "paused",
+    description: cronJobHandlers[job.job_name]
+      ? cronJobHandlers[job.job_name].description
+      : null,
+    lastRun: job.last_run,
+    updatedAt: job.updated_at,
+  };
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Who is changing a cron job: the logged-in user or API token, or with authentication
+ * off the request's `changedBy` or the client address
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function requestActor(req) {
+  if (req.user && req.user.via !== "none") {
+    return req.user.name;
+  }
+  return (req.body && req.body.changedBy) || req.ip;
+}
+
+// ===================== API ENDPOINTS =====================
+
+// Login page
+app.get("/login", (req, res) => {
+  if (!authConfig.enabled || req.user) {
+    return res.redirect("/");
+  }
+  const failed = req.query.error !== undefined;
+  res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Magic Formula Trader - Log in</title>
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+            <style>
+                body { font-family: system-ui, sans-serif; background: #f5f7fa; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; }
+                form { background: white; padding: 2rem; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); width: 280px; display: flex; flex-direction: column; gap: 0.75rem; }
+                h1 { font-size: 1.25rem; margin: 0 0 0.5rem; }
+                input { padding: 0.5rem; border: 1px solid #ccd; border-radius: 4px; }
+                button { padding: 0.5rem; border: none; border-radius: 4px; background: #2563eb; color: white; cursor: pointer; }
+                .error { color: #dc2626; font-size: 0.875rem; }
+            </style>
+        </head>
+        <body>
+            <form method="POST" action="/login">
+                <h1>Magic Formula Trader</h1>
+                ${
+                  failed
+                    ? '<div class="error">Invalid username or password</div>'
+                    : ""
+                }
+                <input name="username" placeholder="Username" autocomplete="username" required autofocus>
+                <input name="password" type="password" placeholder="Password" autocomplete="current-password" required>
+                <button type="submit">Log in</button>
+            </form>
+        </body>
+        </html>
+    `);
+});
+
+// Log in with a username and password (form or JSON body); sets the session cookie
+app.post("/login", async (req, res) => {
+  if (!authConfig.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: "Authentication is disabled",
+    });
+  }
+  const { username, password } = req.body || {};
+  try {
+    const user = await authenticateUser(username, password);
+    if (!user) {
+      await recordAudit({
+        actor: username || "(none)",
+        action: "login_failed",
+        ip: req.ip,
+      });
+      logMessage(
+        `Failed login for "${username}" from ${req.ip}`,
+        "server",
+        "warn"
+      );
+      return wantsJson(req)
+        ? res.status(401).json({
+            success: false,
+            error: "Invalid username or password",
+          })
+        : res.redirect("/login?error");
+    }
+
+    const { cookieValue } = await createSession(user.id, authConfig);
+    setSessionCookie(
+      req,
+      res,
+      cookieValue,
+      Math.round(authConfig.sessionTtlHours * 3600)
+    );
+    await recordAudit({
+      actor: user.name,
+      role: user.role,
+      action: "login",
+      ip: req.ip,
+    });
+    logMessage(`${user.name} (${user.role}) logged in from ${req.ip}`);
+    wantsJson(req)
+      ? res.json({ success: true, data: { name: user.name, role: user.role } })
+      : res.redirect("/");
+  } catch (error) {
+    logMessage(`Login error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Login failed",
+      message: error.message,
+    });
+  }
+});
+
+// End the session
+app.post("/logout", async (req, res) => {
+  try {
+    const cookie = parseCookies(req)[SESSION_COOKIE];
+    if (cookie) {
+      await endSession(cookie, authConfig);
+    }
+    if (req.user && req.user.via === "session") {
+      await recordAudit({
+        actor: req.user.name,
+        role: req.user.role,
+        action: "logout",
+        ip: req.ip,
+      });
+    }
+    setSessionCookie(req, res, "", 0);
+    wantsJson(req) ? res.json({ success: true }) : res.redirect("/login");
+  } catch (error) {
+    logMessage(`Logout error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Logout failed",
+      message: error.message,
+    });
+  }
+});
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    environment: NODE_ENV,
+    cronJobs: Object.fromEntries(
+      Object.keys(cronJobHandlers).map((jobName) => {
+        const scheduled = cronTasks.get(jobName);
+        return [
+          jobName,
+          scheduled && scheduled.started ? "running" : "stopped",
+        ];
+      })
+    ),
+  });
+});
+
+// Get portfolio holdings
+app.get("/api/holdings", async (req, res) => {
+  const query = `
+        SELECT h.*, 
+               (CASE WHEN h.status = 'active' THEN 'Active' ELSE 'Sold' END) as status_display
+        FROM holdings h 
+        ORDER BY h.acquisition_date DESC
+    `;
 
-// Ensure directories exist
-[LOG_DIR, DATABASE_DIR].forEach((dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+  try {
+    const rows = await database.all(query);
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get the sales that consumed a lot, with realized P&L and tax classification per sale
+app.get("/api/holdings/:id/sales", async (req, res) => {
+  const query = `
+        SELECT * FROM lot_sales
+        WHERE holding_id = ?
+        ORDER BY sale_date ASC
+    `;
+
+  try {
+    const rows = await database.all(query, [parseInt(req.params.id)]);
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get transaction history
+app.get("/api/transactions", async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+
+  const query = `
+        SELECT * FROM transactions 
+        ORDER BY transaction_date DESC 
+        LIMIT ? OFFSET ?
+    `;
+
+  try {
+    const rows = await database.all(query, [parseInt(limit), parseInt(offset)]);
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get tracked orders and their lifecycle status
+app.get("/api/orders", async (req, res) => {
+  const { limit = 50, offset = 0, status } = req.query;
+
+  const query = `
+        SELECT * FROM orders
+        ${status ? "WHERE status = ?" : ""}
+        ORDER BY submitted_at DESC
+        LIMIT ? OFFSET ?
+    `;
+  const params = status
+    ? [status, parseInt(limit), parseInt(offset)]
+    : [parseInt(limit), parseInt(offset)];
+
+  try {
+    const rows = await database.all(query, params);
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get universe snapshots, one per quarterly buy run
+app.get("/api/universe", async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+
+  const query = `
+        SELECT * FROM universe_snapshots
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `;
+
+  try {
+    const rows = await database.all(query, [parseInt(limit), parseInt(offset)]);
+    res.json({
+      success: true,
+      data: rows.map((row) => ({ ...row, config: JSON.parse(row.config) })),
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get the candidates of a universe snapshot; ?included=true|false filters them
+app.get("/api/universe/:snapshotId", async (req, res) => {
+  const { included } = req.query;
+  const filtered = included === "true" || included === "false";
+
+  const query = `
+        SELECT * FROM universe_members
+        WHERE snapshot_id = ? ${filtered ? "AND included = ?" : ""}
+        ORDER BY market_cap DESC
+    `;
+  const params = [parseInt(req.params.snapshotId)];
+  if (filtered) {
+    params.push(included === "true" ? 1 : 0);
+  }
+
+  try {
+    const rows = await database.all(query, params);
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get ranking runs, newest first, with how many of their stocks were bought
+app.get("/api/rankings", async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+
+  const query = `
+        SELECT r.*,
+            (SELECT COUNT(*) FROM ranking_entries e
+             JOIN orders o ON o.alpaca_order_id = e.order_id
+             WHERE e.run_id = r.id AND o.filled_qty > 0) AS bought_count
+        FROM ranking_runs r
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT ? OFFSET ?
+    `;
+
+  try {
+    const rows = await database.all(query, [parseInt(limit), parseInt(offset)]);
+    res.json({
+      success: true,
+      data: rows.map((row) => ({ ...row, config: JSON.parse(row.config) })),
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Get one ranking run: every symbol's factors, ranks and outcome, ranked symbols first.
+// `bought` comes from the linked order, so it also covers orders filled after the run.
+// ?status=excluded|ranked|selected|skipped|ordered filters the entries.
+app.get("/api/rankings/:runId", async (req, res) => {
+  const runId = parseInt(req.params.runId);
+  const { status } = req.query;
+
+  try {
+    const run = await database.get("SELECT * FROM ranking_runs WHERE id = ?", [
+      runId,
+    ]);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Ranking run not found",
+      });
+    }
+
+    const query = `
+            SELECT e.*, o.status AS order_status, o.filled_qty, o.filled_avg_price,
+                CASE WHEN o.filled_qty > 0 THEN 1 ELSE 0 END AS bought
+            FROM ranking_entries e
+            LEFT JOIN orders o ON o.alpaca_order_id = e.order_id
+            WHERE e.run_id = ? ${status ? "AND e.status = ?" : ""}
+            ORDER BY e.position IS NULL, e.position, e.symbol
+        `;
+    const params = status ? [runId, status] : [runId];
+
+    const rows = await database.all(query, params);
+    res.json({
+      success: true,
+      run: { ...run, config: JSON.parse(run.config) },
+      data: rows.map((row) => ({
+        ...row,
+        factor_ranks: row.factor_ranks ? JSON.parse(row.factor_ranks) : null,
+        bought: row.bought === 1,
+      })),
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Dry-run trade plans: run the full buy or sell pipeline without placing orders.
+// The scripts are loaded on demand so the server starts without broker credentials.
+// Building a plan calls the market-data provider and broker, so it needs an operator.
+const tradePlanBuilders = {
+  buy: () => require("./scripts/buyPositions").buildBuyPlan(),
+  sell: () => require("./scripts/sellPositions").buildSellPlan(),
+};
+
+app.get("/api/plan/:side", requireRole("operator"), async (req, res) => {
+  const buildPlan = tradePlanBuilders[req.params.side];
+  if (!buildPlan) {
+    return res.status(400).json({
+      success: false,
+      error: "Unknown plan type",
+      availablePlans: Object.keys(tradePlanBuilders),
+    });
+  }
+
+  try {
+    logMessage(`Building ${req.params.side} trade plan (dry run)`);
+    const plan = await buildPlan();
+    res.json({
+      success: true,
+      plan: { ...plan, dryRun: true },
+    });
+  } catch (error) {
+    logMessage(
+      `Failed to build ${req.params.side} trade plan: ${error.message}`,
+      "api-errors"
+    );
+    res.status(500).json({
+      success: false,
+      error: "Failed to build trade plan",
+      message: error.message,
+    });
+  }
+});
+
+// Manual trading endpoints removed - trades execute automatically via cron jobs only
+
+/**
+ * Whether a query parameter is a whole number within bounds
+ * @param {string} value - Query parameter
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean}
+ */
+function isIntegerBetween(value, min, max) {
+  return (
+    /^\d+$/.test(String(value)) && Number(value) >= min && Number(value) <= max
+  );
+}
+
+/**
+ * Responds with a page of log entries matching the request's filters
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string[]} sources - Log sources to search
+ */
+async function sendLogs(req, res, sources) {
+  const {
+    level = "debug",
+    from,
+    to,
+    symbol,
+    runId,
+    q,
+    limit = 100,
+    offset = 0,
+  } = req.query;
+
+  const unknown = sources.filter(
+    (source) => !Object.prototype.hasOwnProperty.call(LOG_SOURCES, source)
+  );
+  let problem = null;
+  if (unknown.length > 0) {
+    problem = `Unknown log "${unknown.join(", ")}"`;
+  } else if (!LOG_LEVELS.includes(level)) {
+    problem = `level must be one of: ${LOG_LEVELS.join(", ")}`;
+  } else if ([from, to].some((value) => value && isNaN(Date.parse(value)))) {
+    problem = "from and to must be ISO dates or date-times";
+  } else if (runId !== undefined && !(parseInt(runId) > 0)) {
+    problem = "runId must be a job run id";
+  } else if (!isIntegerBetween(limit, 1, MAX_LOG_LIMIT)) {
+    problem = `limit must be an integer between 1 and ${MAX_LOG_LIMIT}`;
+  } else if (!isIntegerBetween(offset, 0, MAX_LOG_OFFSET)) {
+    problem = `offset must be an integer between 0 and ${MAX_LOG_OFFSET}`;
+  }
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      error: problem,
+      availableLogs: Object.keys(LOG_SOURCES),
+    });
+  }
+
+  // A bare date as `to` covers that whole day
+  const isoTimestamp = (value) =>
+    value.length === 10 ? value : new Date(value).toISOString();
+
+  try {
+    const { entries, total } = await queryLogs({
+      sources,
+      level,
+      from: from ? isoTimestamp(from) : null,
+      to: to ? isoTimestamp(to) : null,
+      symbol,
+      runId: runId !== undefined ? parseInt(runId) : null,
+      search: q,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      total,
+    });
+  } catch (error) {
+    logMessage(`Error reading logs: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Failed to read logs",
+      message: error.message,
+    });
+  }
+}
+
+// Search the logs, newest first. ?source= takes a comma-separated list of logs (default
+// all); level= is the least severe level returned; from=/to= bound the timestamps;
+// symbol=, runId= and q= (message text) narrow the entries; limit=/offset= paginate.
+app.get("/api/logs", (req, res) =>
+  sendLogs(
+    req,
+    res,
+    req.query.source ? req.query.source.split(",") : Object.keys(LOG_SOURCES)
+  )
+);
+
+// One log, with the same filters. A trailing `.log` is accepted for older links.
+app.get("/api/logs/:source", (req, res) =>
+  sendLogs(req, res, [req.params.source.replace(/\.log$/, "")])
+);
+
+// Cron job management
+app.get("/api/cron/status", async (req, res) => {
+  try {
+    const jobs = await getCronJobs();
+    res.json({
+      success: true,
+      jobs: Object.fromEntries(
+        jobs.map((job) => [job.job_name, describeCronJob(job)])
+      ),
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// List the stored cron jobs with their schedule, time zone and status
+app.get("/api/cron/jobs", async (req, res) => {
+  try {
+    const jobs = await getCronJobs();
+    res.json({
+      success: true,
+      data: jobs.map(describeCronJob),
+      count: jobs.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Change a job's cron expression and/or time zone: {"schedule": "0 11 * * 1-5",
+// "timezone": "America/New_York", "changedBy": "alice"}. The job is rescheduled at once.
+app.patch("/api/cron/jobs/:jobName", async (req, res) => {
+  const { jobName } = req.params;
+  const { schedule, timezone } = req.body || {};
+  if (schedule === undefined && timezone === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: "Nothing to update",
+      message: "Provide a schedule and/or a timezone",
+    });
+  }
+  const invalid = scheduleError({ schedule, timezone });
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid schedule",
+      message: invalid,
+    });
+  }
+
+  try {
+    const job = await updateCronJobSchedule(
+      jobName,
+      { schedule, timezone },
+      requestActor(req)
+    );
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Cron job not found",
+      });
+    }
+    scheduleCronJob(job);
+    logMessage(
+      `Cron job ${jobName} scheduled at "${job.schedule}" (${
+        job.timezone
+      }) by ${requestActor(req)}`
+    );
+    res.json({ success: true, data: describeCronJob(job) });
+  } catch (error) {
+    logMessage(
+      `Failed to update cron job ${jobName}: ${error.message}`,
+      "api-errors"
+    );
+    res.status(500).json({
+      success: false,
+      error: "Failed to update cron job",
+      message: error.message,
+    });
+  }
+});
+
+// Pause or resume a job's schedule. A paused job can still be run by hand.
+["pause", "resume"].forEach((action) => {
+  app.post(`/api/cron/jobs/:jobName/${action}`, async (req, res) => {
+    const { jobName } = req.params;
+    try {
+      const job = await setCronJobStatus(
+        jobName,
+        action === "pause" ? "paused" : "active",
+        requestActor(req)
+      );
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Cron job not found",
+        });
+      }
+      scheduleCronJob(job);
+      logMessage(`Cron job ${jobName} ${job.status} by ${requestActor(req)}`);
+      res.json({ success: true, data: describeCronJob(job) });
+    } catch (error) {
+      logMessage(
+        `Failed to ${action} cron job ${jobName}: ${error.message}`,
+        "api-errors"
+      );
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} cron job`,
+        message: error.message,
+      });
+    }
+  });
+});
+
+// Run a job now, without waiting for the response; follow it in GET /api/jobs/runs.
+// {"force": true} buys again when this quarter's buy batch already executed.
+app.post("/api/cron/jobs/:jobName/run", async (req, res) => {
+  const { jobName } = req.params;
+  const force = Boolean(req.body && req.body.force === true);
+  const handler = cronJobHandlers[jobName];
+  if (!handler) {
+    return res.status(404).json({
+      success: false,
+      error: "Cron job not found",
+      availableJobs: Object.keys(cronJobHandlers),
+    });
+  }
+
+  try {
+    await recordCronJobChange(
+      jobName,
+      "run",
+      requestActor(req),
+      null,
+      force ? { force } : null
+    );
+  } catch (error) {
+    logMessage(
+      `Failed to record the manual run of ${jobName}: ${error.message}`,
+      "api-errors"
+    );
+    return res.status(500).json({
+      success: false,
+      error: "Failed to start cron job",
+      message: error.message,
+    });
+  }
+  logMessage(
+    `Cron job ${jobName} started by hand by ${requestActor(req)}${
+      force ? " (forced)" : ""
+    }`
+  );
+  handler.run("manual", { force });
+  res.status(202).json({
+    success: true,
+    message: `${jobName} started`,
+  });
+});
+
+// Cron job change history, newest first (?job=sellPositions&limit=20)
+app.get("/api/cron/changes", async (req, res) => {
+  const { job, limit = 50 } = req.query;
+  try {
+    const changes = await getCronJobChanges({
+      jobName: job || null,
+      limit: parseInt(limit),
+    });
+    res.json({ success: true, data: changes, count: changes.length });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Job run history, newest first. The captured log is only returned for a single run.
+// ?job=buyPositions|sellPositions|reconcileOrders and ?status= filter the runs.
+app.get("/api/jobs/runs", async (req, res) => {
+  const { job, status, limit = 50, offset = 0 } = req.query;
+  const conditions = [];
+  const params = [];
+  if (job) {
+    conditions.push("job_name = ?");
+    params.push(job);
+  }
+  if (status) {
+    conditions.push("status = ?");
+    params.push(status);
+  }
+
+  const query = `
+        SELECT id, job_name, trigger, status, started_at, finished_at, duration_ms,
+            orders_placed, errors
+        FROM job_runs
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY started_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `;
+
+  try {
+    const rows = await database.all(query, [
+      ...params,
+      parseInt(limit),
+      parseInt(offset),
+    ]);
+    res.json({
+      success: true,
+      data: rows.map((row) => ({
+        ...row,
+        errors: row.errors ? JSON.parse(row.errors) : [],
+      })),
+      count: rows.length,
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
   }
 });
 
-// Initialize SQLite Database
-const dbPath = path.join(DATABASE_DIR, "portfolio.db");
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error("Error connecting to SQLite database:", err.message);
-    process.exit(1);
-  } else {
-    console.log("Connected to SQLite database at:", dbPath);
+// Held job locks and the claimed idempotency keys of executed buy batches
+app.get("/api/jobs/locks", async (req, res) => {
+  try {
+    res.json({ success: true, data: await getJobLocks() });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
   }
 });
 
-// Create tables if they don't exist
-db.serialize(() => {
-  db.run(`
-        CREATE TABLE IF NOT EXISTS holdings (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            symbol TEXT NOT NULL,
-            quantity INTEGER NOT NULL,
-            acquisition_date TEXT NOT NULL,
-            acquisition_price REAL,
-            status TEXT NOT NULL CHECK(status IN ('active', 'sold')),
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-  db.run(`
-        CREATE TABLE IF NOT EXISTS transactions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            symbol TEXT NOT NULL,
-            action TEXT NOT NULL CHECK(action IN ('buy', 'sell')),
-            quantity INTEGER NOT NULL,
-            price REAL NOT NULL,
-            total_amount REAL NOT NULL,
-            transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-            notes TEXT
-        )
-    `);
+// Get one job run with its result and captured log
+app.get("/api/jobs/runs/:runId", async (req, res) => {
+  const runId = parseInt(req.params.runId);
 
-  db.run(`
-        CREATE TABLE IF NOT EXISTS cron_jobs (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            job_name TEXT NOT NULL,
-            schedule TEXT NOT NULL,
-            script_path TEXT NOT NULL,
-            last_run DATETIME,
-            status TEXT DEFAULT 'active',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
+  try {
+    const row = await database.get("SELECT * FROM job_runs WHERE id = ?", [
+      runId,
+    ]);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        error: "Job run not found",
+      });
+    }
+    res.json({
+      success: true,
+      data: {
+        ...row,
+        errors: row.errors ? JSON.parse(row.errors) : [],
+        result: row.result ? JSON.parse(row.result) : null,
+        log: row.log ? row.log.split("\n") : [],
+      },
+    });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
 });
 
-/**
- * Utility function to log messages with timestamps
- */
-function logMessage(message, logFile = "server.log") {
-  const timestamp = new Date().toISOString();
-  const logPath = path.join(LOG_DIR, logFile);
-  fs.appendFileSync(logPath, `[${timestamp}] ${message}\n`);
-  console.log(`[${timestamp}] ${message}`);
-}
-
-/**
- * Execute a script and return a promise
- */
-function executeScript(scriptPath, args = []) {
-  return new Promise((resolve, reject) => {
-    const command = `node ${scriptPath} ${args.join(" ")}`;
-    logMessage(`Executing: ${command}`);
-
-    // Use parent directory as cwd since server.js is now in src/
-    const rootDir = path.join(__dirname, "..");
-    exec(command, { cwd: rootDir }, (error, stdout, stderr) => {
-      if (error) {
-        logMessage(
-          `Script execution error: ${error.message}`,
-          "cron-errors.log"
-        );
-        reject(error);
-      } else {
-        logMessage(`Script completed successfully: ${scriptPath}`);
-        if (stdout) logMessage(`STDOUT: ${stdout.trim()}`);
-        if (stderr) logMessage(`STDERR: ${stderr.trim()}`);
-        resolve({ stdout, stderr });
-      }
+// Audit log of logins and authenticated changes, newest first (operators only).
+// ?actor= filters by user name or `token:<name>`.
+app.get("/api/audit", requireRole("operator"), async (req, res) => {
+  const { actor, limit = 100, offset = 0 } = req.query;
+  try {
+    const rows = await getAuditLog({
+      actor,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
     });
-  });
-}
-
-// ===================== CRON JOB SCHEDULING =====================
-
-// Buy positions: First day of Jan, Apr, Jul, Oct at 9:00 AM
-const buyPositionsCron = cron.schedule(
-  "0 9 1 1,4,7,10 *",
-  async () => {
-    logMessage("Starting scheduled buy positions job...");
-    try {
-      await executeScript("./src/scripts/buyPositions.js");
-      logMessage("Buy positions job completed successfully");
-    } catch (error) {
-      logMessage(
-        `Buy positions job failed: ${error.message}`,
-        "cron-errors.log"
-      );
-    }
-  },
-  {
-    scheduled: false,
-    timezone: "America/New_York",
   }
-);
+});
 
-// Sell positions: Daily at 10:00 AM (Monday-Friday)
-const sellPositionsCron = cron.schedule(
-  "0 10 * * 1-5",
-  async () => {
-    logMessage("Starting scheduled sell positions job...");
+// Valuation of the open lots: current price, market value, unrealized P&L, days held and
+// when the sell rules will sell each lot. A recent valuation is reused; ?refresh=true
+// prices the portfolio live (operators only).
+app.get(
+  "/api/portfolio/valuation",
+  requireOperatorForLivePrices,
+  async (req, res) => {
     try {
-      await executeScript("./src/scripts/sellPositions.js");
-      logMessage("Sell positions job completed successfully");
+      res.json({
+        success: true,
+        data: await getValuation({ refresh: req.query.refresh === "true" }),
+      });
     } catch (error) {
-      logMessage(
-        `Sell positions job failed: ${error.message}`,
-        "cron-errors.log"
-      );
+      logMessage(`Portfolio valuation failed: ${error.message}`, "api-errors");
+      res.status(500).json({
+        success: false,
+        error: "Portfolio valuation failed",
+        message: error.message,
+      });
     }
-  },
-  {
-    scheduled: false,
-    timezone: "America/New_York",
   }
 );
 
-// Health check cron: Every hour
-const healthCheckCron = cron.schedule(
-  "0 * * * *",
-  () => {
-    logMessage("System health check - Server running normally");
-  },
-  {
-    scheduled: false,
+// Daily portfolio snapshots, oldest first. ?from=&to= take ISO dates.
+app.get("/api/portfolio/snapshots", async (req, res) => {
+  const { from, to } = req.query;
+  const invalid = [from, to].find(
+    (date) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date)
+  );
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid date "${invalid}", expected YYYY-MM-DD`,
+    });
+  }
+  try {
+    const rows = await getSnapshots({ from, to });
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
   }
-);
-
-// Start cron jobs
-if (NODE_ENV === "prod") {
-  buyPositionsCron.start();
-  sellPositionsCron.start();
-  healthCheckCron.start();
-  logMessage("All cron jobs started for production environment");
-} else {
-  logMessage("Cron jobs disabled in development mode");
-}
-
-// ===================== API ENDPOINTS =====================
-
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    timestamp: new Date().toISOString(),
-    environment: NODE_ENV,
-    cronJobs: {
-      buyPositions: buyPositionsCron.running ? "running" : "stopped",
-      sellPositions: sellPositionsCron.running ? "running" : "stopped",
-      healthCheck: healthCheckCron.running ? "running" : "stopped",
-    },
-  });
 });
 
-// Get portfolio holdings
-app.get("/api/holdings", (req, res) => {
-  const query = `
-        SELECT h.*, 
-               (CASE WHEN h.status = 'active' THEN 'Active' ELSE 'Sold' END) as status_display
-        FROM holdings h 
-        ORDER BY h.acquisition_date DESC
-    `;
-
-  db.all(query, [], (err, rows) => {
-    if (err) {
-      logMessage(`Database error: ${err.message}`, "api-errors.log");
-      res.status(500).json({
+// Returns, risk metrics and per-cohort returns against the benchmark.
+// ?from=&to= take ISO dates; ?benchmark= compares against another symbol, whose prices
+// are fetched from the market-data provider, so it needs an operator.
+app.get(
+  "/api/performance",
+  requireRoleWhen("operator", (req) => Boolean(req.query.benchmark)),
+  async (req, res) => {
+    const { from, to, benchmark } = req.query;
+    const invalid = [from, to].find(
+      (date) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date)
+    );
+    if (invalid) {
+      return res.status(400).json({
         success: false,
-        error: "Database error",
-        message: err.message,
-      });
-    } else {
-      res.json({
-        success: true,
-        data: rows,
-        count: rows.length,
+        error: `Invalid date "${invalid}", expected YYYY-MM-DD`,
       });
     }
-  });
-});
-
-// Get transaction history
-app.get("/api/transactions", (req, res) => {
-  const { limit = 50, offset = 0 } = req.query;
-
-  const query = `
-        SELECT * FROM transactions 
-        ORDER BY transaction_date DESC 
-        LIMIT ? OFFSET ?
-    `;
-
-  db.all(query, [parseInt(limit), parseInt(offset)], (err, rows) => {
-    if (err) {
-      logMessage(`Database error: ${err.message}`, "api-errors.log");
-      res.status(500).json({
+    if (benchmark && !/^[A-Za-z.^-]{1,10}$/.test(benchmark)) {
+      return res.status(400).json({
         success: false,
-        error: "Database error",
-        message: err.message,
+        error: `Invalid benchmark symbol "${benchmark}"`,
       });
-    } else {
+    }
+
+    try {
+      let config = loadPerformanceConfig();
+      // BENCHMARK_PRICES_FILE only holds the configured benchmark's prices
+      if (benchmark && benchmark.toUpperCase() !== config.benchmarkSymbol) {
+        config = {
+          ...config,
+          benchmarkSymbol: benchmark.toUpperCase(),
+          benchmarkPricesFile: null,
+        };
+      }
       res.json({
         success: true,
-        data: rows,
-        count: rows.length,
+        data: await getPerformance({ from, to, config }),
+      });
+    } catch (error) {
+      logMessage(`Performance report failed: ${error.message}`, "api-errors");
+      res.status(500).json({
+        success: false,
+        error: "Performance report failed",
+        message: error.message,
       });
     }
-  });
-});
-
-// Manual trading endpoints removed - trades execute automatically via cron jobs only
+  }
+);
 
-// Get system logs
-app.get("/api/logs/:logFile?", (req, res) => {
-  const { logFile = "server.log" } = req.params;
-  const { lines = 100 } = req.query;
+// Deposits and withdrawals, which the time-weighted return leaves out
+app.get("/api/performance/cash-flows", async (req, res) => {
+  try {
+    const rows = await getCashFlows();
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
 
-  const logPath = path.join(LOG_DIR, logFile);
+// Record a deposit (positive amount) or withdrawal (negative amount):
+// {"date": "2025-03-03", "amount": 5000, "note": "Monthly deposit"}
+app.post("/api/performance/cash-flows", async (req, res) => {
+  const { date, amount, note = null } = req.body || {};
+  const invalid = cashFlowError({ date, amount });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
 
-  if (!fs.existsSync(logPath)) {
-    return res.status(404).json({
+  try {
+    const id = await recordCashFlow({ date, amount, note });
+    logMessage(
+      `Cash flow of ${amount} on ${date} recorded by ${requestActor(req)}`
+    );
+    res.status(201).json({ success: true, data: { id, date, amount, note } });
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
       success: false,
-      error: "Log file not found",
-      availableLogs: fs.readdirSync(LOG_DIR).filter((f) => f.endsWith(".log")),
+      error: "Database error",
+      message: error.message,
     });
   }
+});
 
+// Configured notification channels, the route of each event and the digest backlog
+app.get("/api/notifications", async (req, res) => {
   try {
-    const logContent = fs.readFileSync(logPath, "utf8");
-    const logLines = logContent.split("\n").slice(-parseInt(lines));
-
+    const { config } = getNotifier();
     res.json({
       success: true,
-      logFile: logFile,
-      lines: logLines.length,
-      content: logLines.join("\n"),
+      data: {
+        channels: Object.keys(config.channels),
+        routes: config.routes,
+        digestChannels: config.digestChannels,
+        pendingDigest: await pendingDigestCount(),
+      },
     });
   } catch (error) {
+    logMessage(`Notification settings error: ${error.message}`, "api-errors");
     res.status(500).json({
       success: false,
-      error: "Failed to read log file",
+      error: "Notification settings error",
       message: error.message,
     });
   }
 });
 
-// Cron job management
-app.get("/api/cron/status", (req, res) => {
-  res.json({
-    success: true,
-    jobs: {
-      buyPositions: {
-        schedule: "0 9 1 1,4,7,10 *",
-        status: buyPositionsCron.running ? "running" : "stopped",
-        description: "Buy positions quarterly",
-      },
-      sellPositions: {
-        schedule: "0 10 * * 1-5",
-        status: sellPositionsCron.running ? "running" : "stopped",
-        description: "Sell positions daily (weekdays)",
-      },
-      healthCheck: {
-        schedule: "0 * * * *",
-        status: healthCheckCron.running ? "running" : "stopped",
-        description: "System health check hourly",
-      },
-    },
+// Send a test notification to one channel ({"channel": "slack"}) or along the test
+// event's route
+app.post("/api/notifications/test", async (req, res) => {
+  const { channel } = req.body || {};
+  let notifier;
+  try {
+    notifier = getNotifier();
+  } catch (error) {
+    logMessage(`Notification settings error: ${error.message}`, "api-errors");
+    return res.status(500).json({
+      success: false,
+      error: "Notification settings error",
+      message: error.message,
+    });
+  }
+  if (channel && !notifier.config.channels[channel]) {
+    return res.status(400).json({
+      success: false,
+      error: `Notification channel "${channel}" is not configured`,
+      availableChannels: CHANNELS.filter(
+        (name) => notifier.config.channels[name]
+      ),
+    });
+  }
+
+  const result = await notifier.notify(
+    "test",
+    { sentBy: requestActor(req) },
+    channel ? { channels: [channel] } : {}
+  );
+  if (result.errors.length > 0) {
+    logMessage(
+      `Test notification failed: ${result.errors.join("; ")}`,
+      "api-errors"
+    );
+  }
+  res.status(result.errors.length > 0 ? 502 : 200).json({
+    success: result.errors.length === 0,
+    data: result,
   });
 });
 
-// Portfolio statistics endpoint
-app.get("/api/stats", (req, res) => {
+/**
+ * Sends an export as a file download
+ * @param {Object} res - Express response
+ * @param {string} filename - File name without extension
+ * @param {string} format - `csv` or `json`
+ * @param {Array<Object>} rows - Rows for the CSV
+ * @param {string[]} columns - CSV columns
+ * @param {Object} json - Body of the JSON download
+ */
+function sendExport(res, filename, format, rows, columns, json) {
+  res.attachment(`${filename}.${format}`);
+  if (format === "csv") {
+    res.type("text/csv").send(`${toCsv(rows, columns)}\n`);
+  } else {
+    res.json(json);
+  }
+}
+
+// Year-end tax report: the lot sales of a calendar year with acquisition and sale dates,
+// proceeds, cost basis and short/long-term classification (?format=csv|json)
+app.get("/api/exports/tax-report/:year", async (req, res) => {
+  const year = parseInt(req.params.year);
+  const { format = "csv" } = req.query;
+  const invalid =
+    exportOptionsError({ format }) ||
+    (/^\d{4}$/.test(req.params.year) ? null : "Year must be YYYY");
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const report = await getTaxReport(year);
+    sendExport(
+      res,
+      `tax-report-${year}`,
+      format,
+      report.sales,
+      TAX_REPORT_COLUMNS,
+      { success: true, data: report }
+    );
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Download holdings, lots, transactions or realized gains (?format=csv|json&from=&to=)
+app.get("/api/exports/:dataset", async (req, res) => {
+  const { dataset } = req.params;
+  const { format = "csv", from, to } = req.query;
+  if (!Object.prototype.hasOwnProperty.call(EXPORTS, dataset)) {
+    return res.status(400).json({
+      success: false,
+      error: "Unknown export",
+      availableExports: [...Object.keys(EXPORTS), "tax-report/:year"],
+    });
+  }
+  const invalid = exportOptionsError({ format, from, to });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const rows = await getExportRows(dataset, { from, to });
+    const range = from || to ? `-${from || "start"}-to-${to || "now"}` : "";
+    sendExport(
+      res,
+      `${dataset}${range}`,
+      format,
+      rows,
+      EXPORTS[dataset].columns,
+      {
+        success: true,
+        data: rows,
+        count: rows.length,
+        range: { from: from || null, to: to || null },
+        exportedAt: new Date().toISOString(),
+      }
+    );
+  } catch (error) {
+    logMessage(`Database error: ${error.message}`, "api-errors");
+    res.status(500).json({
+      success: false,
+      error: "Database error",
+      message: error.message,
+    });
+  }
+});
+
+// Portfolio statistics endpoint. The portfolio is valued as /api/portfolio/valuation
+// values it (?refresh=true for live prices, operators only); when the broker or market
+// data cannot be reached, `portfolioValue` holds the error.
+app.get("/api/stats", requireOperatorForLivePrices, async (req, res) => {
   const queries = {
     activeHoldings:
       'SELECT COUNT(*) as count FROM holdings WHERE status = "active"',
     totalTransactions: "SELECT COUNT(*) as count FROM transactions",
-    portfolioValue: `
-            SELECT 
-                SUM(CASE WHEN action = 'buy' THEN total_amount ELSE -total_amount END) as net_invested
-            FROM transactions
+    realizedPnl:
+      "SELECT COALESCE(SUM(realized_pnl), 0) as total FROM lot_sales",
+    realizedPnlByTerm: `
+            SELECT
+                COALESCE(SUM(CASE WHEN holding_term = 'short' THEN realized_pnl END), 0) as short_term,
+                COALESCE(SUM(CASE WHEN holding_term = 'long' THEN realized_pnl END), 0) as long_term
+            FROM lot_sales
         `,
   };
 
   const stats = {};
-  let completedQueries = 0;
-  const totalQueries = Object.keys(queries).length;
-
-  Object.entries(queries).forEach(([key, query]) => {
-    db.get(query, [], (err, row) => {
-      if (err) {
-        stats[key] = { error: err.message };
-      } else {
-        stats[key] = row;
-      }
-
-      completedQueries++;
-      if (completedQueries === totalQueries) {
-        res.json({
-          success: true,
-          stats: stats,
-          timestamp: new Date().toISOString(),
-        });
+  await Promise.all(
+    Object.entries(queries).map(async ([key, query]) => {
+      try {
+        stats[key] = await database.get(query);
+      } catch (error) {
+        stats[key] = { error: error.message };
       }
+    })
+  );
+  try {
+    const valuation = await getValuation({
+      refresh: req.query.refresh === "true",
     });
+    stats.portfolioValue = {
+      ...valuation.totals,
+      valuedAt: valuation.asOf,
+      missingPrices: valuation.missingPrices,
+      errors: valuation.errors,
+    };
+  } catch (error) {
+    logMessage(`Portfolio valuation failed: ${error.message}`, "api-errors");
+    stats.portfolioValue = { error: error.message };
+  }
+
+  res.json({
+    success: true,
+    stats: stats,
+    timestamp: new Date().toISOString(),
   });
 });
 
@@ -542,6 +2029,7 @@ app.get("/", (req, res) => {
                 .status-sold { background: #f5f5f5; color: #6a6a6a; }
                 .status-running { background: #f0f0f0; color: #4a4a4a; }
                 .status-stopped { background: #f5f5f5; color: #6a6a6a; }
+                .status-paused { background: #f5f5f5; color: #8a6d3b; }
                 .log-container {
                     background: #fafafa;
                     color: #4a4a4a;
@@ -588,14 +2076,37 @@ app.get("/", (req, res) => {
                 <div style="display: flex; flex-direction: row; gap: 0.5rem; align-items: center; justify-content: center;">
                     <div class="status-indicator" id="statusIndicator" style="margin: auto;"></div>
                     <span id="headerStatus"">Loading...</span>
+                    ${
+                      req.user.via === "session"
+                        ? `<span>${escapeHtml(req.user.name)} (${escapeHtml(
+                            req.user.role
+                          )})</span>
+                    <form method="POST" action="/logout" style="margin: 0;">
+                        <button type="submit">Log out</button>
+                    </form>`
+                        : ""
+                    }
                 </div>
             </div>
             
             <div class="container">
                 <div class="controls">
-                    <button class="refresh-btn" onclick="refreshDashboard()">Refresh All</button>
+                    <button class="refresh-btn" onclick="refreshDashboard(true)">Refresh All</button>
                     <button onclick="toggleAutoRefresh()">Auto Refresh: <span id="autoRefreshStatus">ON</span></button>
                     <button onclick="showSystemInfo()">System Info</button>
+                    <select id="exportDataset">
+                        <option value="holdings">Holdings</option>
+                        <option value="lots">Lots</option>
+                        <option value="transactions">Transactions</option>
+                        <option value="realized-gains">Realized Gains</option>
+                        <option value="tax-report">Tax Report</option>
+                    </select>
+                    <input type="number" id="exportYear" title="Tax year" style="width: 6rem;">
+                    <select id="exportFormat">
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                    </select>
+                    <button onclick="exportData()">Export</button>
                 </div>
                 
                 <!-- Top row with 3 equal cards -->
@@ -633,7 +2144,11 @@ app.get("/", (req, res) => {
                             </div>
                             <div class="metric">
                                 <div class="metric-value" id="portfolioValue">Loading...</div>
-                                <div class="metric-label">Net Invested</div>
+                                <div class="metric-label">Market Value</div>
+                            </div>
+                            <div class="metric">
+                                <div class="metric-value" id="unrealizedPnl">Loading...</div>
+                                <div class="metric-label">Unrealized P&amp;L</div>
                             </div>
                         </div>
                     </div>
@@ -655,6 +2170,7 @@ app.get("/", (req, res) => {
                         <div class="chart-container">
                             <canvas id="performanceChart"></canvas>
                         </div>
+                        <div id="performanceSummary" style="margin-top: 0.5rem; font-size: 0.85rem; color: #6c757d;"></div>
                     </div>
                     
                     <!-- Recent Holdings Card -->
@@ -678,10 +2194,12 @@ app.get("/", (req, res) => {
                         <h3>System Logs</h3>
                         <div class="controls">
                             <select id="logFileSelector">
-                                <option value="server.log">Server Logs</option>
-                                <option value="buyOrders.log">Buy Orders</option>
-                                <option value="sellPositions.log">Sell Positions</option>
-                                <option value="cron-errors.log">Cron Errors</option>
+                                <option value="server">Server Logs</option>
+                                <option value="buyOrders">Buy Orders</option>
+                                <option value="sellPositions">Sell Positions</option>
+                                <option value="reconciliation">Reconciliation</option>
+                                <option value="cron-errors">Cron Errors</option>
+                                <option value="api-errors">API Errors</option>
                             </select>
                             <button onclick="refreshLogs()">Refresh Logs</button>
                             <button onclick="clearLogs()">Clear Display</button>
@@ -694,6 +2212,9 @@ app.get("/", (req, res) => {
             </div>
             
             <script>
+                // Viewers may not price the portfolio live, so their refresh reuses
+                // the server's recent valuation
+                const canPriceLive = ${hasRole(req.user, "operator")};
                 let autoRefresh = true;
                 let refreshInterval;
                 let performanceChart;
@@ -712,26 +2233,33 @@ app.get("/", (req, res) => {
                         data: {
                             labels: [],
                             datasets: [{
-                                label: 'Portfolio Value',
+                                label: 'Portfolio',
                                 data: [],
                                 borderColor: '#3498db',
                                 backgroundColor: 'rgba(52, 152, 219, 0.1)',
                                 tension: 0.4,
                                 fill: true
+                            }, {
+                                label: 'Benchmark',
+                                data: [],
+                                borderColor: '#95a5a6',
+                                borderDash: [5, 5],
+                                tension: 0.4,
+                                fill: false
                             }]
                         },
                         options: {
                             responsive: true,
                             maintainAspectRatio: false,
                             plugins: {
-                                legend: { display: false }
+                                legend: { display: true }
                             },
                             scales: {
                                 y: {
                                     beginAtZero: true,
                                     ticks: {
                                         callback: function(value) {
-                                            return '$' + value.toLocaleString();
+                                            return value.toFixed(1) + '%';
                                         }
                                     }
                                 }
@@ -740,13 +2268,15 @@ app.get("/", (req, res) => {
                     });
                 }
                 
-                async function refreshDashboard() {
+                // The timer reuses the server's recent valuation; an explicit refresh
+                // (live = true) prices the portfolio once, for the holdings, and the
+                // overview then reads that valuation
+                async function refreshDashboard(live = false) {
                     try {
                         await Promise.all([
                             updateSystemStatus(),
-                            updatePortfolioOverview(),
+                            updateHoldings(live && canPriceLive).then(updatePortfolioOverview),
                             updateCronStatus(),
-                            updateHoldings(),
                             updateTransactions(),
                             updateLogs(),
                             updatePerformanceChart()
@@ -783,9 +2313,12 @@ app.get("/", (req, res) => {
                             document.getElementById('totalHoldings').textContent = stats.activeHoldings?.count || 0;
                             document.getElementById('totalTransactions').textContent = stats.totalTransactions?.count || 0;
                             
-                            const netInvested = stats.portfolioValue?.net_invested || 0;
-                            document.getElementById('portfolioValue').textContent = netInvested ? 
-                                '$' + Math.abs(netInvested).toLocaleString() : '$0';
+                            const value = stats.portfolioValue || {};
+                            document.getElementById('portfolioValue').textContent = value.error ?
+                                'N/A' : formatMoney(value.marketValue);
+                            const pnl = document.getElementById('unrealizedPnl');
+                            pnl.textContent = value.error ? 'N/A' : formatMoney(value.unrealizedPnl);
+                            pnl.style.color = value.unrealizedPnl < 0 ? '#e74c3c' : '#27ae60';
                         }
                     } catch (error) {
                         console.error('Portfolio overview error:', error);
@@ -815,33 +2348,40 @@ app.get("/", (req, res) => {
                     }
                 }
                 
-                async function updateHoldings() {
+                async function updateHoldings(live) {
                     try {
-                        const response = await fetch('/api/holdings');
+                        const response = await fetch(live ? '/api/portfolio/valuation?refresh=true' : '/api/portfolio/valuation');
                         const data = await response.json();
                         
-                        if (data.success && data.data.length > 0) {
+                        if (data.success && data.data.positions.length > 0) {
                             const holdingsHtml = \`
                                 <table class="holdings-table">
                                     <thead>
                                         <tr>
                                             <th>Symbol</th>
-                                            <th>Quantity</th>
-                                            <th>Acquisition Date</th>
-                                            <th>Status</th>
+                                            <th>Shares</th>
+                                            <th>Price</th>
+                                            <th>Value</th>
+                                            <th>Return</th>
+                                            <th>Held</th>
+                                            <th>Sells In</th>
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        \${data.data.slice(0, 10).map(holding => \`
+                                        \${data.data.positions.slice(0, 10).map(position => \`
                                             <tr>
-                                                <td><strong>\${holding.symbol}</strong></td>
-                                                <td>\${holding.quantity}</td>
-                                                <td>\${new Date(holding.acquisition_date).toLocaleDateString()}</td>
-                                                <td><span class="status-badge status-\${holding.status}">\${holding.status.toUpperCase()}</span></td>
+                                                <td><strong>\${position.symbol}</strong></td>
+                                                <td>\${position.quantity}</td>
+                                                <td>\${formatMoney(position.currentPrice)}\${position.priceSource === 'cost' ? ' *' : ''}</td>
+                                                <td>\${formatMoney(position.marketValue)}</td>
+                                                <td style="color: \${position.unrealizedPnl < 0 ? '#e74c3c' : '#27ae60'}">\${position.returnPercent != null ? (position.returnPercent * 100).toFixed(1) + '%' : 'N/A'}</td>
+                                                <td>\${position.daysHeld}d</td>
+                                                <td title="\${position.sellRule}">\${position.daysUntilSell}d</td>
                                             </tr>
                                         \`).join('')}
                                     </tbody>
                                 </table>
+                                \${data.data.missingPrices.length > 0 ? '<small>* No current price, valued at cost</small>' : ''}
                             \`;
                             document.getElementById('holdingsContainer').innerHTML = holdingsHtml;
                         } else {
@@ -896,12 +2436,14 @@ app.get("/", (req, res) => {
                 async function updateLogs() {
                     const logFile = document.getElementById('logFileSelector').value;
                     try {
-                        const response = await fetch(\`/api/logs/\${logFile}?lines=50\`);
+                        const response = await fetch(\`/api/logs/\${logFile}?limit=20\`);
                         const data = await response.json();
                         
                         if (data.success) {
-                            const logs = data.content.split('\\n').filter(line => line.trim()).slice(-20);
-                            document.getElementById('logsContainer').innerHTML = logs.join('\\n') || 'No logs available';
+                            const logs = data.data.reverse().map(entry =>
+                                \`[\${entry.timestamp}] \${entry.level.toUpperCase()} \${entry.message}\`
+                            );
+                            document.getElementById('logsContainer').textContent = logs.join('\\n') || 'No logs available';
                         } else {
                             document.getElementById('logsContainer').innerHTML = 'Error loading logs: ' + data.error;
                         }
@@ -912,35 +2454,45 @@ app.get("/", (req, res) => {
                 
                 async function updatePerformanceChart() {
                     try {
-                        const response = await fetch('/api/transactions');
+                        const response = await fetch('/api/performance');
                         const data = await response.json();
                         
-                        if (data.success && data.data.length > 0) {
-                            const chartData = calculatePortfolioValue(data.data);
-                            performanceChart.data.labels = chartData.labels;
-                            performanceChart.data.datasets[0].data = chartData.values;
+                        if (data.success && data.data.series.length > 0) {
+                            const { series, portfolio, benchmark, excessReturn } = data.data;
+                            const toPercent = value => value != null ? value * 100 : null;
+                            performanceChart.data.labels = series.map(point => point.date);
+                            performanceChart.data.datasets[0].data = series.map(point => toPercent(point.portfolioReturn));
+                            performanceChart.data.datasets[1].label = benchmark ? benchmark.symbol : 'Benchmark';
+                            performanceChart.data.datasets[1].data = series.map(point => toPercent(point.benchmarkReturn));
                             performanceChart.update();
+                            
+                            const percent = value => value != null ? (value * 100).toFixed(1) + '%' : 'N/A';
+                            const parts = [
+                                'Return ' + percent(portfolio.totalReturn),
+                                'CAGR ' + percent(portfolio.cagr),
+                                'Volatility ' + percent(portfolio.volatility),
+                                'Sharpe ' + (portfolio.sharpeRatio != null ? portfolio.sharpeRatio.toFixed(2) : 'N/A'),
+                                'Max drawdown ' + percent(portfolio.maxDrawdown)
+                            ];
+                            if (benchmark && benchmark.metrics) {
+                                parts.push(benchmark.symbol + ' ' + percent(benchmark.metrics.totalReturn));
+                                parts.push('Excess ' + percent(excessReturn));
+                            }
+                            document.getElementById('performanceSummary').textContent = parts.join(' · ');
                         }
                     } catch (error) {
                         console.error('Chart update error:', error);
                     }
                 }
                 
-                function calculatePortfolioValue(transactions) {
-                    const dailyValues = {};
-                    let runningTotal = 0;
-                    
-                    transactions.forEach(tx => {
-                        const date = new Date(tx.transaction_date).toLocaleDateString();
-                        const amount = tx.action === 'buy' ? -tx.total_amount : tx.total_amount;
-                        runningTotal += amount;
-                        dailyValues[date] = runningTotal;
+                function formatMoney(value) {
+                    if (value == null) {
+                        return 'N/A';
+                    }
+                    return (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString(undefined, {
+                        minimumFractionDigits: 2,
+                        maximumFractionDigits: 2
                     });
-                    
-                    const labels = Object.keys(dailyValues).slice(-30);
-                    const values = labels.map(date => Math.abs(dailyValues[date]));
-                    
-                    return { labels, values };
                 }
                 
                 function toggleAutoRefresh() {
@@ -956,7 +2508,7 @@ app.get("/", (req, res) => {
                 
                 function startAutoRefresh() {
                     if (refreshInterval) clearInterval(refreshInterval);
-                    refreshInterval = setInterval(refreshDashboard, 30000);
+                    refreshInterval = setInterval(() => refreshDashboard(), 30000);
                 }
                 
                 function refreshLogs() {
@@ -968,8 +2520,12 @@ app.get("/", (req, res) => {
                 }
                 
                 function exportData() {
-                    // Export functionality would go here
-                    alert('Export functionality - would download portfolio data as CSV/JSON');
+                    const dataset = document.getElementById('exportDataset').value;
+                    const format = document.getElementById('exportFormat').value;
+                    const year = document.getElementById('exportYear').value || new Date().getFullYear();
+                    window.location.href = dataset === 'tax-report'
+                        ? \`/api/exports/tax-report/\${year}?format=\${format}\`
+                        : \`/api/exports/\${dataset}?format=\${format}\`;
                 }
                 
                 function showSystemInfo() {
@@ -986,7 +2542,7 @@ Last Updated: \${new Date().toLocaleString()}\`);
                         switch(e.key) {
                             case 'r':
                                 e.preventDefault();
-                                refreshDashboard();
+                                refreshDashboard(true);
                                 break;
                         }
                     }
@@ -999,7 +2555,7 @@ Last Updated: \${new Date().toLocaleString()}\`);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  logMessage(`Unhandled error: ${err.message}`, "api-errors.log");
+  logMessage(`Unhandled error: ${err.message}`, "api-errors");
   res.status(500).json({
     success: false,
     error: "Internal server error",
@@ -1015,50 +2571,102 @@ app.use((req, res) => {
     availableEndpoints: [
       "GET /",
       "GET /health",
+      "GET /login",
+      "POST /login",
+      "POST /logout",
       "GET /api/holdings",
+      "GET /api/holdings/:id/sales",
       "GET /api/transactions",
+      "GET /api/orders",
+      "GET /api/universe",
+      "GET /api/universe/:snapshotId",
+      "GET /api/rankings",
+      "GET /api/rankings/:runId",
+      "GET /api/plan/:side",
       "GET /api/stats",
+      "GET /api/portfolio/valuation",
+      "GET /api/portfolio/snapshots",
+      "GET /api/performance",
+      "GET /api/performance/cash-flows",
+      "POST /api/performance/cash-flows",
+      "GET /api/exports/:dataset",
+      "GET /api/exports/tax-report/:year",
+      "GET /api/notifications",
+      "POST /api/notifications/test",
       "GET /api/cron/status",
-      "GET /api/logs/:logFile",
+      "GET /api/cron/jobs",
+      "PATCH /api/cron/jobs/:jobName",
+      "POST /api/cron/jobs/:jobName/pause",
+      "POST /api/cron/jobs/:jobName/resume",
+      "POST /api/cron/jobs/:jobName/run",
+      "GET /api/cron/changes",
+      "GET /api/jobs/runs",
+      "GET /api/jobs/runs/:runId",
+      "GET /api/jobs/locks",
+      "GET /api/logs",
+      "GET /api/logs/:source",
+      "GET /api/audit",
     ],
   });
 });
 
 // Graceful shutdown
-process.on("SIGTERM", () => {
-  logMessage("SIGTERM received. Shutting down gracefully...");
-  server.close(() => {
-    db.close((err) => {
-      if (err) {
-        logMessage(`Error closing database: ${err.message}`);
-      } else {
-        logMessage("Database connection closed.");
-      }
-      process.exit(0);
-    });
-  });
-});
+let server;
 
-process.on("SIGINT", () => {
-  logMessage("SIGINT received. Shutting down gracefully...");
-  server.close(() => {
-    db.close((err) => {
-      if (err) {
-        logMessage(`Error closing database: ${err.message}`);
-      } else {
-        logMessage("Database connection closed.");
-      }
-      process.exit(0);
+/**
+ * Stops accepting connections, then closes the database and exits. A signal during
+ * startup, before the server listens, still closes the database.
+ * @param {string} signal - Signal received
+ */
+function shutdown(signal) {
+  logMessage(`${signal} received. Shutting down gracefully...`);
+  const closeDatabase = () =>
+    database
+      .close()
+      .then(() => logMessage("Database connection closed."))
+      .catch((err) => logMessage(`Error closing database: ${err.message}`))
+      .finally(() => process.exit(0));
+  if (server) {
+    server.close(closeDatabase);
+  } else {
+    closeDatabase();
+  }
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+// Start server once the database schema is up to date
+database
+  .ready()
+  .then(() => failInterruptedRuns())
+  .then(async (interrupted) => {
+    if (interrupted > 0) {
+      logMessage(
+        `Marked ${interrupted} job runs interrupted by the last shutdown as failed`,
+        "cron-errors"
+      );
+    }
+    try {
+      getNotifier();
+    } catch (error) {
+      logMessage(
+        `Notifications are not sent until this is fixed: ${error.message}`,
+        "cron-errors"
+      );
+    }
+    await loadCronJobs();
+    server = app.listen(PORT, () => {
+      logMessage(`🚀 Magic Formula Trader Server started on port ${PORT}`);
+      logMessage(`📊 Dashboard available at: http://localhost:${PORT}`);
+      logMessage(`🔧 API available at: http://localhost:${PORT}/api/*`);
+      logMessage(`Database: ${database.DATABASE_PATH}`);
+      logMessage(`Environment: ${NODE_ENV}`);
     });
+  })
+  .catch((error) => {
+    logMessage(`Database migration failed: ${error.message}`);
+    process.exit(1);
   });
-});
-
-// Start server
-const server = app.listen(PORT, () => {
-  logMessage(`🚀 Magic Formula Trader Server started on port ${PORT}`);
-  logMessage(`📊 Dashboard available at: http://localhost:${PORT}`);
-  logMessage(`🔧 API available at: http://localhost:${PORT}/api/*`);
-  logMessage(`Environment: ${NODE_ENV}`);
-});
 
 module.exports = app;
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempDatabase } = require("./helpers/database");
+
+useTempDatabase();
+const {
+  loadAuthConfig,
+  hasRole,
+  saveUser,
+  removeUser,
+  authenticateUser,
+  createSession,
+  getSessionUser,
+  endSession,
+  createApiToken,
+  revokeApiToken,
+  getTokenUser,
+} = require("../src/lib/auth");
+
+const config = loadAuthConfig({ SESSION_SECRET: "test-secret" });
+
+test("loadAuthConfig requires a session secret in production", () => {
+  assert.throws(
+    () => loadAuthConfig({ NODE_ENV: "prod" }),
+    /SESSION_SECRET must be set/
+  );
+  assert.equal(
+    loadAuthConfig({ NODE_ENV: "prod", AUTH_ENABLED: "false" }).enabled,
+    false
+  );
+  assert.equal(loadAuthConfig({}).generatedSecret, true);
+  assert.equal(config.generatedSecret, false);
+  assert.equal(loadAuthConfig({ RATE_LIMIT: "0" }).rateLimitPerMinute, 0);
+  assert.throws(
+    () => loadAuthConfig({ SESSION_TTL_HOURS: "0" }),
+    /SESSION_TTL_HOURS/
+  );
+});
+
+test("hasRole lets operators do what viewers can", () => {
+  assert.equal(hasRole({ role: "operator" }, "viewer"), true);
+  assert.equal(hasRole({ role: "viewer" }, "viewer"), true);
+  assert.equal(hasRole({ role: "viewer" }, "operator"), false);
+  assert.equal(hasRole(null, "viewer"), false);
+});
+
+test("users sign in with their password only", async () => {
+  await assert.rejects(() => saveUser("<b>", "secret", "viewer"));
+  await assert.rejects(() => saveUser("alex", "secret", "admin"));
+
+  await saveUser("alex", "secret", "viewer");
+  const user = await authenticateUser("alex", "secret");
+  assert.equal(user.name, "alex");
+  assert.equal(user.role, "viewer");
+  assert.equal(await authenticateUser("alex", "wrong"), null);
+  assert.equal(await authenticateUser("nobody", "secret"), null);
+
+  assert.equal(await removeUser("alex"), true);
+  assert.equal(await authenticateUser("alex", "secret"), null);
+});
+
+test("sessions are signed and end on logout", async () => {
+  await saveUser("sam", "secret", "operator");
+  const { id } = await authenticateUser("sam", "secret");
+  const { cookieValue } = await createSession(id, config);
+
+  const user = await getSessionUser(cookieValue, config);
+  assert.equal(user.name, "sam");
+  assert.equal(user.role, "operator");
+
+  const [sessionId] = cookieValue.split(".");
+  assert.equal(await getSessionUser(`${sessionId}.forged`, config), null);
+  assert.equal(
+    await getSessionUser(cookieValue, { ...config, sessionSecret: "other" }),
+    null
+  );
+
+  await endSession(cookieValue, config);
+  assert.equal(await getSessionUser(cookieValue, config), null);
+});
+
+test("API tokens work until they are revoked", async () => {
+  const token = await createApiToken("grafana", "viewer");
+  assert.deepEqual(await getTokenUser(token), {
+    name: "token:grafana",
+    role: "viewer",
+  });
+  assert.equal(await getTokenUser("not-a-token"), null);
+
+  assert.equal(await revokeApiToken("grafana"), true);
+  assert.equal(await getTokenUser(token), null);
+  assert.equal(await revokeApiToken("grafana"), false);
+});
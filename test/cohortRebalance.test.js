@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempDatabase } = require("./helpers/database");
+
+const { run } = useTempDatabase();
+const { createPaperBroker } = require("../src/lib/brokers/paper");
+const { executeMarketOrder } = require("../src/lib/orders");
+const { buildBuyPlan } = require("../src/scripts/buyPositions");
+
+const portfolioConfig = {
+  mode: "cohort",
+  targetPositions: 4,
+  holdingQuarters: 4,
+};
+const prices = { AAA: 50, BBB: 50, CCC: 50, DDD: 50 };
+
+// Four equally ranked-looking stocks, priced by the paper broker
+const marketData = {
+  name: "stub",
+  screenStocks: async ({ exchange }) =>
+    exchange !== "NYSE"
+      ? []
+      : Object.keys(prices).map((symbol, index) => ({
+          symbol,
+          companyName: symbol,
+          marketCap: (index + 2) * 1e9,
+          price: prices[symbol],
+          volume: 1e6,
+          avgVolume: 1e6,
+          exchange: "NYSE",
+          sector: "Technology",
+          industry: "Software",
+          country: "US",
+          isEtf: false,
+          isFund: false,
+        })),
+  getKeyMetrics: async (symbol) => [
+    {
+      symbol,
+      date: "2026-06-30",
+      roic: 0.1 + Object.keys(prices).indexOf(symbol) / 100,
+      earningsYield: 0.12,
+    },
+  ],
+  getHistoricalPrices: async () => [],
+  getQuote: async (symbol) => ({
+    symbol,
+    price: prices[symbol],
+    timestamp: new Date().toISOString(),
+  }),
+};
+
+/**
+ * Buys a position through the broker, so it has an order, a lot and a broker position
+ * @param {Object} broker - Paper broker
+ * @param {string} symbol - Stock symbol
+ * @param {number} price - Fill price
+ */
+async function hold(broker, symbol, price) {
+  await broker.setPrices({ [symbol]: price });
+  await executeMarketOrder(broker, { symbol, qty: 10, side: "buy" });
+}
+
+test("a pending risk exit does not stop a live cohort rebalance", async () => {
+  process.env.RISK_STOP_LOSS_PERCENT = "0.2";
+  const broker = createPaperBroker({ initialCash: 10000, prices });
+  // Bought this quarter and down 50%, so only the stop-loss wants to sell it
+  await hold(broker, "EEE", 10);
+  await broker.setPrices({ EEE: 5 });
+
+  const plan = await buildBuyPlan({
+    broker,
+    marketData,
+    portfolioConfig,
+    dryRun: false,
+    persist: false,
+  });
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(plan.cohorts.pendingSales, []);
+  assert.ok(plan.orders.length > 0);
+});
+
+test("a pending sale of the expired cohort stops a live cohort rebalance", async () => {
+  const broker = createPaperBroker();
+  await hold(broker, "OLD", 20);
+  await run(
+    `UPDATE holdings SET acquisition_date = '2024-01-02T15:00:00.000Z' WHERE symbol = 'OLD'`
+  );
+
+  const plan = await buildBuyPlan({
+    broker,
+    marketData,
+    portfolioConfig,
+    dryRun: false,
+    persist: false,
+  });
+  assert.deepEqual(
+    plan.cohorts.pendingSales.map((sale) => [sale.symbol, sale.exitRule]),
+    [["OLD", "cohort"]]
+  );
+  assert.match(plan.errors[0], /cohort sales have not filled \(OLD\)/);
+  assert.deepEqual(plan.orders, []);
+});
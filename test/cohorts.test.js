@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_PORTFOLIO_CONFIG,
+  loadPortfolioConfig,
+  cohortOf,
+  cohortSize,
+  evaluateCohort,
+  cohortExpiryDate,
+  summarizeCohorts,
+  cohortBudget,
+} = require("../src/lib/cohorts");
+
+const config = { mode: "cohort", targetPositions: 20, holdingQuarters: 4 };
+
+test("loadPortfolioConfig uses the defaults and rejects invalid settings", () => {
+  assert.deepEqual(loadPortfolioConfig({}), DEFAULT_PORTFOLIO_CONFIG);
+  assert.equal(
+    loadPortfolioConfig({ PORTFOLIO_MODE: "Cohort" }).mode,
+    "cohort"
+  );
+  assert.throws(
+    () => loadPortfolioConfig({ PORTFOLIO_MODE: "monthly" }),
+    /Unknown PORTFOLIO_MODE/
+  );
+  assert.throws(
+    () => loadPortfolioConfig({ COHORT_TARGET_POSITIONS: "0" }),
+    /positive integers/
+  );
+});
+
+test("cohortOf labels the purchase quarter", () => {
+  assert.equal(cohortOf("2025-02-15T00:00:00Z"), "2025-Q1");
+  assert.equal(cohortOf("2025-12-31T12:00:00Z"), "2025-Q4");
+});
+
+test("evaluateCohort expires a cohort after its holding quarters", () => {
+  assert.deepEqual(evaluateCohort("2024-02-01", "2025-01-15", config), {
+    expired: true,
+    cohort: "2024-Q1",
+    quartersHeld: 4,
+  });
+  assert.equal(
+    evaluateCohort("2024-04-01", "2025-01-15", config).expired,
+    false
+  );
+});
+
+test("cohortExpiryDate is the first day of the quarter the cohort expires", () => {
+  assert.equal(cohortExpiryDate("2024-05-10", config), "2025-04-01");
+  assert.equal(cohortExpiryDate("2024-11-30", config), "2025-10-01");
+});
+
+test("summarizeCohorts groups lots by cohort, oldest first", () => {
+  const cohorts = summarizeCohorts(
+    [
+      { symbol: "NEW", acquisitionDate: "2025-01-10", qty: 1, costBasis: 50 },
+      { symbol: "AAA", acquisitionDate: "2024-01-10", qty: 1, costBasis: 100 },
+      { symbol: "AAA", acquisitionDate: "2024-03-10", qty: 2, costBasis: 200 },
+    ],
+    "2025-02-01",
+    config
+  );
+  assert.deepEqual(cohorts, [
+    {
+      cohort: "2024-Q1",
+      quartersHeld: 4,
+      expired: true,
+      symbols: ["AAA"],
+      lotCount: 2,
+      costBasis: 300,
+    },
+    {
+      cohort: "2025-Q1",
+      quartersHeld: 0,
+      expired: false,
+      symbols: ["NEW"],
+      lotCount: 1,
+      costBasis: 50,
+    },
+  ]);
+});
+
+test("cohortBudget fills the open positions up to one cohort's size", () => {
+  assert.equal(cohortSize(config), 5);
+  assert.equal(cohortSize({ targetPositions: 10, holdingQuarters: 4 }), 3);
+
+  assert.deepEqual(
+    cohortBudget({
+      heldPositions: 17,
+      portfolioValue: 100000,
+      cash: 50000,
+      config,
+    }),
+    { slots: 3, targetPositionValue: 5000, budget: 15000 }
+  );
+  assert.equal(
+    cohortBudget({
+      heldPositions: 0,
+      portfolioValue: 100000,
+      cash: 8000,
+      config,
+    }).budget,
+    8000
+  );
+  assert.equal(
+    cohortBudget({
+      heldPositions: 25,
+      portfolioValue: 100000,
+      cash: 8000,
+      config,
+    }).slots,
+    0
+  );
+});
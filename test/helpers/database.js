@@ -0,0 +1,32 @@
+/**
+ * @file database.js
+ * @description Gives a test file its own empty database. Call useTempDatabase() before
+ * requiring any module that uses `src/lib/database`, since the database path is read
+ * when that module is first loaded.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { before, after } = require("node:test");
+
+/**
+ * Points DATABASE_DIR (and LOG_DIR) at a new temporary directory, migrates it before the
+ * tests and deletes it after them
+ * @returns {Object} The database module
+ */
+function useTempDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mft-test-"));
+  process.env.DATABASE_DIR = dir;
+  process.env.LOG_DIR = path.join(dir, "logs");
+  const database = require("../../src/lib/database");
+
+  before(() => database.ready());
+  after(async () => {
+    await database.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return database;
+}
+
+module.exports = { useTempDatabase };
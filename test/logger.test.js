@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_LOGGING_CONFIG,
+  MAX_LOG_OFFSET,
+  queryLogs,
+} = require("../src/lib/logger");
+
+const config = {
+  ...DEFAULT_LOGGING_CONFIG,
+  dir: fs.mkdtempSync(path.join(os.tmpdir(), "mft-logs-")),
+  level: "debug",
+};
+
+test.after(() => fs.rmSync(config.dir, { recursive: true, force: true }));
+
+test("queryLogs pages through matching entries, newest first", async () => {
+  fs.writeFileSync(
+    path.join(config.dir, "buyOrders.log"),
+    ["first", "second", "third"]
+      .map((message, index) =>
+        JSON.stringify({
+          timestamp: `2025-01-02T14:0${index}:00.000Z`,
+          level: "info",
+          source: "buyOrders",
+          message,
+        })
+      )
+      .join("\n")
+  );
+
+  const { entries, total } = await queryLogs(
+    { sources: ["buyOrders"], limit: 1, offset: 1 },
+    config
+  );
+  assert.equal(total, 3);
+  assert.deepEqual(
+    entries.map((entry) => entry.message),
+    ["second"]
+  );
+});
+
+test("queryLogs rejects offsets and limits outside its page bounds", async () => {
+  for (const filters of [
+    { offset: -1 },
+    { offset: MAX_LOG_OFFSET + 1 },
+    { offset: 1.5 },
+    { limit: 0 },
+    { limit: 1001 },
+  ]) {
+    await assert.rejects(
+      () => queryLogs({ sources: ["buyOrders"], ...filters }, config),
+      /must be an integer between/
+    );
+  }
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempDatabase } = require("./helpers/database");
+
+const { get } = useTempDatabase();
+const {
+  openLot,
+  getOpenLots,
+  recordHighPrice,
+  getLotSalesSince,
+  allocateSale,
+  consumeLots,
+} = require("../src/lib/lots");
+
+test("allocateSale consumes the oldest lots first", () => {
+  const lots = [
+    { id: 1, remaining_quantity: 5 },
+    { id: 2, remaining_quantity: 10 },
+  ];
+  const { allocations, unallocated } = allocateSale(lots, 8);
+  assert.deepEqual(
+    allocations.map(({ lot, quantity }) => [lot.id, quantity]),
+    [
+      [1, 5],
+      [2, 3],
+    ]
+  );
+  assert.equal(unallocated, 0);
+  assert.equal(allocateSale(lots, 20).unallocated, 5);
+});
+
+test("allocateSale consumes only the given lots, in the given order", () => {
+  const lots = [
+    { id: 1, remaining_quantity: 5 },
+    { id: 2, remaining_quantity: 10 },
+  ];
+  const { allocations, unallocated } = allocateSale(lots, 12, [2, 1]);
+  assert.deepEqual(
+    allocations.map(({ lot, quantity }) => [lot.id, quantity]),
+    [
+      [2, 10],
+      [1, 2],
+    ]
+  );
+  assert.equal(unallocated, 0);
+  assert.equal(allocateSale(lots, 12, [2]).unallocated, 2);
+});
+
+test("consumeLots closes lots and classifies each sale", async () => {
+  const first = await openLot({
+    symbol: "AAA",
+    quantity: 10,
+    price: 10,
+    acquisitionDate: "2024-01-02T15:00:00.000Z",
+  });
+  const second = await openLot({
+    symbol: "AAA",
+    quantity: 5,
+    price: 20,
+    acquisitionDate: "2024-06-03T15:00:00.000Z",
+  });
+
+  const { sales, unallocated } = await consumeLots({
+    symbol: "AAA",
+    quantity: 12,
+    price: 15,
+    saleDate: "2025-03-03T15:00:00.000Z",
+  });
+  assert.equal(unallocated, 0);
+  assert.deepEqual(
+    sales.map(({ lotId, quantity, realizedPnl, gainClassification }) => [
+      lotId,
+      quantity,
+      realizedPnl,
+      gainClassification,
+    ]),
+    [
+      [first, 10, 50, "long-term-gain"],
+      [second, 2, -10, "short-term-loss"],
+    ]
+  );
+
+  const closed = await get("SELECT * FROM holdings WHERE id = ?", [first]);
+  assert.equal(closed.status, "sold");
+  assert.equal(closed.remaining_quantity, 0);
+  const open = await getOpenLots("AAA");
+  assert.deepEqual(
+    open.map((lot) => [lot.id, lot.remaining_quantity]),
+    [[second, 3]]
+  );
+  assert.equal((await getLotSalesSince("2025-01-01")).length, 2);
+});
+
+test("recordHighPrice only raises the high-water mark", async () => {
+  const id = await openLot({ symbol: "BBB", quantity: 1, price: 10 });
+  await recordHighPrice("BBB", 12);
+  await recordHighPrice("BBB", 11);
+  const lot = await get("SELECT high_price FROM holdings WHERE id = ?", [id]);
+  assert.equal(lot.high_price, 12);
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  marketDateTime,
+  nyseHolidays,
+  bundledSessions,
+  createMarketCalendar,
+  checkTradingWindow,
+} = require("../src/lib/marketCalendar");
+
+test("nyseHolidays lists the observed holidays of a year", () => {
+  assert.deepEqual(
+    [...nyseHolidays(2025)],
+    [
+      ["2025-01-01", "New Year's Day"],
+      ["2025-01-20", "Martin Luther King Jr. Day"],
+      ["2025-02-17", "Washington's Birthday"],
+      ["2025-04-18", "Good Friday"],
+      ["2025-05-26", "Memorial Day"],
+      ["2025-06-19", "Juneteenth"],
+      ["2025-07-04", "Independence Day"],
+      ["2025-09-01", "Labor Day"],
+      ["2025-11-27", "Thanksgiving Day"],
+      ["2025-12-25", "Christmas Day"],
+    ]
+  );
+});
+
+test("nyseHolidays moves weekend holidays to the nearest weekday", () => {
+  const holidays2022 = nyseHolidays(2022);
+  // New Year's Day on a Saturday is not observed
+  assert.equal(holidays2022.get("2022-01-01"), undefined);
+  assert.equal(holidays2022.get("2022-06-20"), "Juneteenth");
+  assert.equal(holidays2022.get("2022-12-26"), "Christmas Day");
+  assert.equal(nyseHolidays(2026).get("2026-07-03"), "Independence Day");
+  // Juneteenth is a market holiday from 2022
+  assert.equal([...nyseHolidays(2021).values()].includes("Juneteenth"), false);
+});
+
+test("bundledSessions skips weekends and holidays and closes early before them", () => {
+  assert.deepEqual(bundledSessions("2025-07-03", "2025-07-07"), [
+    { date: "2025-07-03", open: "09:30", close: "13:00" },
+    { date: "2025-07-07", open: "09:30", close: "16:00" },
+  ]);
+  assert.deepEqual(
+    bundledSessions("2025-11-27", "2025-11-28").map(({ date, close }) => [
+      date,
+      close,
+    ]),
+    [["2025-11-28", "13:00"]]
+  );
+  assert.equal(bundledSessions("2025-12-24", "2025-12-24")[0].close, "13:00");
+  // July 3 is the observed Independence Day when July 4 is a Saturday
+  assert.deepEqual(bundledSessions("2026-07-03", "2026-07-03"), []);
+});
+
+test("marketDateTime reads the date and time in New York", () => {
+  assert.deepEqual(marketDateTime(new Date("2025-01-02T02:30:00Z")), {
+    date: "2025-01-01",
+    time: "21:30",
+  });
+  assert.deepEqual(marketDateTime(new Date("2025-07-01T13:30:00Z")), {
+    date: "2025-07-01",
+    time: "09:30",
+  });
+});
+
+test("createMarketCalendar sends broker fallback warnings to its logger", async () => {
+  const warnings = [];
+  const failing = () => Promise.reject(new Error("timeout"));
+  const calendar = createMarketCalendar({
+    source: "broker",
+    broker: { name: "alpaca", getCalendar: failing, getClock: failing },
+    logger: { warn: (message) => warnings.push(message) },
+  });
+  assert.equal(await calendar.isTradingDay("2025-01-02"), true);
+  assert.equal(
+    (await calendar.getClock(new Date("2025-01-02T14:45:00Z"))).isOpen,
+    true
+  );
+  assert.deepEqual(warnings, [
+    "alpaca market calendar unavailable, using the bundled holidays: timeout",
+    "alpaca market clock unavailable, using the bundled holidays: timeout",
+  ]);
+});
+
+test("checkTradingWindow catches up on a quarterly run missed on the first trading day", async () => {
+  const calendar = createMarketCalendar({ source: "bundled" });
+  const at = (date) => new Date(`${date}T14:45:00Z`);
+  const sinceDates = [];
+  const hasRunSince = (ran) => async (since) => {
+    sinceDates.push(since);
+    return ran;
+  };
+
+  assert.deepEqual(
+    await checkTradingWindow(calendar, {
+      quarterly: true,
+      now: at("2025-01-02"),
+    }),
+    { run: true, reason: null }
+  );
+  assert.deepEqual(
+    await checkTradingWindow(calendar, {
+      quarterly: true,
+      hasRunSince: hasRunSince(false),
+      now: at("2025-01-03"),
+    }),
+    {
+      run: true,
+      reason: "Catching up on the quarterly run missed on 2025-01-02",
+    }
+  );
+  assert.deepEqual(sinceDates, ["2025-01-02"]);
+  assert.equal(
+    (
+      await checkTradingWindow(calendar, {
+        quarterly: true,
+        hasRunSince: hasRunSince(true),
+        now: at("2025-01-03"),
+      })
+    ).run,
+    false
+  );
+  // Without a run history only the first trading day will do
+  assert.equal(
+    (
+      await checkTradingWindow(calendar, {
+        quarterly: true,
+        now: at("2025-01-03"),
+      })
+    ).run,
+    false
+  );
+  // A catch-up still waits for the market to open
+  assert.deepEqual(
+    await checkTradingWindow(calendar, {
+      quarterly: true,
+      hasRunSince: hasRunSince(false),
+      now: new Date("2025-01-04T14:45:00Z"),
+    }),
+    { run: false, reason: "2025-01-04 is not a trading day" }
+  );
+});
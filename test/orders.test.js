@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempDatabase } = require("./helpers/database");
+
+const { run, get, all } = useTempDatabase();
+const {
+  submitOrder,
+  refreshOpenOrders,
+  latestOrderRowId,
+  countOrdersAfter,
+} = require("../src/lib/orders");
+
+/**
+ * A broker that answers getOrder from a map of order id to order
+ * @param {Object<string, Object>} orders - Orders by id
+ * @returns {Object} Broker
+ */
+function stubBroker(orders) {
+  return {
+    name: "stub",
+    getOrder: async (id) => {
+      if (!orders[id]) {
+        throw new Error(`Order ${id} not found`);
+      }
+      return { id, ...orders[id] };
+    },
+  };
+}
+
+/**
+ * Stores an order as submitOrder does
+ * @param {string} id - Broker order id
+ * @param {string} symbol - Stock symbol
+ */
+function storeOrder(id, symbol) {
+  return run(
+    `INSERT INTO orders (alpaca_order_id, symbol, side, requested_qty, status, notes)
+     VALUES (?, ?, 'buy', 5, 'new', ?)`,
+    [id, symbol, `Buy ${symbol}`]
+  );
+}
+
+test("a replaced order's fills are applied once, from its replacement", async () => {
+  await storeOrder("old", "AAA");
+  const broker = stubBroker({
+    old: { symbol: "AAA", status: "replaced", filledQty: 0, replacedBy: "new" },
+    new: {
+      symbol: "AAA",
+      status: "filled",
+      filledQty: 5,
+      filledAvgPrice: 10,
+      filledAt: "2025-03-03T15:00:00Z",
+    },
+  });
+
+  const results = await refreshOpenOrders(broker);
+  assert.deepEqual(
+    results.map(({ orderId, status, applied }) => [orderId, status, applied]),
+    [["new", "filled", true]]
+  );
+  assert.equal(
+    (await get(`SELECT replaced_by FROM orders WHERE alpaca_order_id = 'old'`))
+      .replaced_by,
+    "new"
+  );
+  assert.deepEqual(
+    await all(`SELECT alpaca_order_id, quantity, notes FROM transactions`),
+    [{ alpaca_order_id: "new", quantity: 5, notes: "Buy AAA" }]
+  );
+  assert.deepEqual(await refreshOpenOrders(broker), []);
+});
+
+test("done_for_day, stopped and suspended orders stay open until they fill", async () => {
+  await storeOrder("paused", "BBB");
+  const order = { symbol: "BBB", status: "done_for_day", filledQty: 2 };
+  const broker = stubBroker({ paused: order });
+
+  for (const status of ["done_for_day", "stopped", "suspended"]) {
+    order.status = status;
+    const [result] = await refreshOpenOrders(broker);
+    assert.equal(result.applied, false);
+  }
+
+  Object.assign(order, { status: "filled", filledQty: 5, filledAvgPrice: 20 });
+  const [result] = await refreshOpenOrders(broker);
+  assert.equal(result.applied, true);
+  assert.equal(result.filledQty, 5);
+});
+
+test("an order the broker cannot report does not stop the others", async () => {
+  await storeOrder("unknown", "CCC");
+  await storeOrder("known", "DDD");
+  const broker = stubBroker({
+    known: { symbol: "DDD", status: "filled", filledQty: 1, filledAvgPrice: 5 },
+  });
+
+  const results = await refreshOpenOrders(broker);
+  assert.deepEqual(
+    results.map(({ orderId, applied, error }) => [orderId, applied, error]),
+    [
+      ["unknown", false, "Order unknown not found"],
+      ["known", true, null],
+    ]
+  );
+});
+
+test("an order the broker refuses is kept as rejected and not counted as placed", async () => {
+  const before = await latestOrderRowId();
+  const broker = {
+    createOrder: async () => {
+      throw new Error("insufficient buying power");
+    },
+  };
+
+  await assert.rejects(
+    () => submitOrder(broker, { symbol: "EEE", qty: 1, side: "buy" }),
+    /insufficient buying power/
+  );
+  const row = await get(`SELECT * FROM orders WHERE symbol = 'EEE'`);
+  assert.equal(row.status, "rejected");
+  assert.equal(row.applied, 1);
+  assert.equal(await countOrdersAfter(before), 0);
+});
+
+test("an accepted order that cannot be stored names the broker's order id", async () => {
+  await storeOrder("taken", "FFF");
+  await run(`UPDATE orders SET applied = 1 WHERE alpaca_order_id = 'taken'`);
+  const before = await latestOrderRowId();
+  // The broker returns an id that is already stored, so storing it fails
+  const broker = {
+    createOrder: async () => ({ id: "taken", status: "accepted" }),
+  };
+
+  await assert.rejects(
+    () => submitOrder(broker, { symbol: "GGG", qty: 1, side: "buy" }),
+    /Order taken for GGG was placed with the broker but could not be stored/
+  );
+  assert.equal(await countOrdersAfter(before), 1);
+  const result = (await refreshOpenOrders(stubBroker({}))).find(
+    (update) => update.symbol === "GGG"
+  );
+  assert.match(result.error, /never stored with the broker's order id/);
+});
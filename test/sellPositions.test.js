@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempDatabase } = require("./helpers/database");
+
+useTempDatabase();
+const { createPaperBroker } = require("../src/lib/brokers/paper");
+const { executeMarketOrder } = require("../src/lib/orders");
+const { loadPortfolioConfig } = require("../src/lib/cohorts");
+const { loadRiskExitConfig } = require("../src/lib/riskExits");
+const { buildSellPlan } = require("../src/scripts/sellPositions");
+
+test("buildSellPlan reads the sell thresholds on each call, unless they are passed in", async () => {
+  const broker = createPaperBroker({ initialCash: 10000, prices: { AAA: 10 } });
+  await executeMarketOrder(broker, { symbol: "AAA", qty: 10, side: "buy" });
+  await broker.setPrices({ AAA: 8 });
+  const options = {
+    broker,
+    portfolioConfig: loadPortfolioConfig({}),
+    riskExitConfig: loadRiskExitConfig({}),
+  };
+
+  assert.deepEqual((await buildSellPlan(options)).orders, []);
+
+  process.env.SELL_UNPROFITABLE_AFTER_DAYS = "0";
+  try {
+    const plan = await buildSellPlan(options);
+    assert.deepEqual(
+      plan.orders.map(({ symbol, qty, exitRule }) => ({
+        symbol,
+        qty,
+        exitRule,
+      })),
+      [{ symbol: "AAA", qty: 10, exitRule: "holding-period" }]
+    );
+  } finally {
+    delete process.env.SELL_UNPROFITABLE_AFTER_DAYS;
+  }
+
+  const overridden = await buildSellPlan({
+    ...options,
+    sellRuleConfig: {
+      sellUnprofitableAfterDays: 0,
+      sellProfitableAfterDays: 367,
+      washSaleDays: 30,
+    },
+  });
+  assert.equal(overridden.orders.length, 1);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_SELL_RULE_CONFIG,
+  loadSellRuleConfig,
+  daysBetween,
+  holdingTerm,
+  classifyGain,
+  evaluateSellRules,
+  washSaleBlocks,
+} = require("../src/lib/sellRules");
+
+test("loadSellRuleConfig uses the defaults and validates overrides", () => {
+  assert.deepEqual(loadSellRuleConfig({}), DEFAULT_SELL_RULE_CONFIG);
+  assert.equal(loadSellRuleConfig({ WASH_SALE_DAYS: "0" }).washSaleDays, 0);
+  assert.throws(
+    () => loadSellRuleConfig({ SELL_PROFITABLE_AFTER_DAYS: "-1" }),
+    /non-negative integers/
+  );
+});
+
+test("daysBetween counts whole days", () => {
+  assert.equal(daysBetween("2025-01-01", "2025-01-31"), 30);
+  assert.equal(daysBetween("2025-01-01T12:00:00Z", "2025-01-02T11:00:00Z"), 0);
+});
+
+test("holdingTerm is long only after the purchase anniversary", () => {
+  assert.equal(holdingTerm("2024-01-10", "2025-01-10"), "short");
+  assert.equal(holdingTerm("2024-01-10", "2025-01-11"), "long");
+});
+
+test("classifyGain combines the term with the sign of the P&L", () => {
+  assert.deepEqual(
+    classifyGain({
+      acquisitionDate: "2024-01-10",
+      saleDate: "2024-12-01",
+      realizedPnl: -5,
+    }),
+    { term: "short", classification: "short-term-loss" }
+  );
+  assert.deepEqual(
+    classifyGain({
+      acquisitionDate: "2024-01-10",
+      saleDate: "2025-02-01",
+      realizedPnl: 0,
+    }),
+    { term: "long", classification: "long-term-gain" }
+  );
+  assert.equal(
+    classifyGain({
+      acquisitionDate: "2024-01-10",
+      saleDate: "2025-02-01",
+      realizedPnl: null,
+    }).classification,
+    null
+  );
+});
+
+test("evaluateSellRules sells losers before and winners after the one-year mark", () => {
+  const lot = { acquisitionDate: "2024-01-01", entryPrice: 10 };
+  const config = DEFAULT_SELL_RULE_CONFIG;
+
+  const loser = (asOf) =>
+    evaluateSellRules({ ...lot, currentPrice: 9, asOf }, config);
+  assert.equal(loser("2024-12-23").shouldSell, false);
+  assert.equal(loser("2024-12-24").shouldSell, true);
+  assert.equal(loser("2024-12-24").term, "short");
+
+  const winner = (asOf) =>
+    evaluateSellRules({ ...lot, currentPrice: 11, asOf }, config);
+  assert.equal(winner("2025-01-01").shouldSell, false);
+  assert.equal(winner("2025-01-02").shouldSell, true);
+  assert.equal(winner("2025-01-02").term, "long");
+});
+
+test("washSaleBlocks blocks symbols sold at a loss within the window", () => {
+  const sales = [
+    { symbol: "AAA", saleDate: "2025-02-20T15:00:00Z", realizedPnl: -4 },
+    { symbol: "AAA", saleDate: "2025-03-01T15:00:00Z", realizedPnl: -10 },
+    { symbol: "BBB", saleDate: "2025-03-01T15:00:00Z", realizedPnl: 5 },
+    { symbol: "CCC", saleDate: "2025-01-01T15:00:00Z", realizedPnl: -3 },
+  ];
+  const blocked = washSaleBlocks(sales, "2025-03-20", DEFAULT_SELL_RULE_CONFIG);
+  assert.deepEqual([...blocked], [["AAA", "2025-03-01"]]);
+  assert.equal(
+    washSaleBlocks(sales, "2025-03-20", { washSaleDays: 0 }).size,
+    0
+  );
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_SIZING_CONFIG,
+  loadSizingConfig,
+  annualizedVolatility,
+  sizePositions,
+} = require("../src/lib/sizing");
+const { loadBatchConfig } = require("../src/lib/cohorts");
+
+/**
+ * Sizes a 3-slot batch of $3,000 from a $10,000 portfolio
+ * @param {Array<Object>} candidates
+ * @param {Object} [config] - Overrides of the default sizing config
+ * @returns {Object} See sizePositions
+ */
+function size(candidates, config = {}) {
+  return sizePositions({
+    candidates,
+    budget: 3000,
+    portfolioValue: 10000,
+    slots: 3,
+    config: { ...DEFAULT_SIZING_CONFIG, ...config },
+  });
+}
+
+test("loadSizingConfig rejects unknown methods", () => {
+  assert.deepEqual(loadSizingConfig({}), DEFAULT_SIZING_CONFIG);
+  assert.throws(
+    () => loadSizingConfig({ SIZING_METHOD: "kelly" }),
+    /Unknown SIZING_METHOD/
+  );
+  assert.throws(
+    () => loadSizingConfig({ SIZING_HELD_POSITIONS: "double" }),
+    /Unknown SIZING_HELD_POSITIONS/
+  );
+});
+
+test("loadSizingConfig validates the position cap and the volatility window", () => {
+  assert.deepEqual(
+    loadSizingConfig({
+      SIZING_MAX_POSITION_PERCENT: "0.05",
+      SIZING_VOLATILITY_DAYS: "21",
+    }),
+    { ...DEFAULT_SIZING_CONFIG, maxPositionPercent: 0.05, volatilityDays: 21 }
+  );
+  for (const value of ["0", "-0.1", "1.5", "5%", "abc"]) {
+    assert.throws(
+      () => loadSizingConfig({ SIZING_MAX_POSITION_PERCENT: value }),
+      /SIZING_MAX_POSITION_PERCENT must be a fraction above 0 and at most 1/
+    );
+  }
+  for (const value of ["1", "0", "2.5", "abc"]) {
+    assert.throws(
+      () => loadSizingConfig({ SIZING_VOLATILITY_DAYS: value }),
+      /SIZING_VOLATILITY_DAYS must be an integer of at least 2/
+    );
+  }
+});
+
+test("loadBatchConfig requires a positive batch size and a fraction to invest", () => {
+  assert.deepEqual(
+    loadBatchConfig({
+      NUMBER_OF_STOCKS_PER_BATCH: "20",
+      MAX_TOTAL_INVESTMENT_PERCENT: "0.1",
+    }),
+    { stocksPerBatch: 20, maxInvestmentPercent: 0.1 }
+  );
+  ["", "abc", "0", "2.5", "-3"].forEach((value) => {
+    assert.throws(
+      () =>
+        loadBatchConfig({
+          NUMBER_OF_STOCKS_PER_BATCH: value,
+          MAX_TOTAL_INVESTMENT_PERCENT: "0.1",
+        }),
+      /NUMBER_OF_STOCKS_PER_BATCH must be a positive integer/
+    );
+  });
+  ["", "0", "1.5", "ten"].forEach((value) => {
+    assert.throws(
+      () =>
+        loadBatchConfig({
+          NUMBER_OF_STOCKS_PER_BATCH: "20",
+          MAX_TOTAL_INVESTMENT_PERCENT: value,
+        }),
+      /MAX_TOTAL_INVESTMENT_PERCENT/
+    );
+  });
+});
+
+test("equal sizing splits the budget over the slots in whole shares", () => {
+  const sizing = size([
+    { symbol: "AAA", price: 100 },
+    { symbol: "BBB", price: 50 },
+    { symbol: "CCC", price: 30 },
+  ]);
+  assert.deepEqual(
+    sizing.orders.map(({ symbol, qty }) => [symbol, qty]),
+    [
+      ["AAA", 10],
+      ["BBB", 20],
+      ["CCC", 33],
+    ]
+  );
+  assert.equal(sizing.unallocated, 10);
+  assert.equal(sizing.exhausted, false);
+});
+
+test("a stock that cannot buy a share hands its slot to the next-ranked stock", () => {
+  const sizing = size([
+    { symbol: "AAA", price: 1500 },
+    { symbol: "BBB", price: 50 },
+    { symbol: "CCC", price: 30 },
+    { symbol: "DDD", price: 10 },
+  ]);
+  assert.deepEqual(
+    sizing.orders.map(({ symbol }) => symbol),
+    ["BBB", "CCC", "DDD"]
+  );
+  assert.deepEqual(sizing.skipped, [
+    { symbol: "AAA", reason: "Price $1500.00 exceeds allocation $1000.00" },
+  ]);
+});
+
+test("held and blocked stocks are skipped", () => {
+  const sizing = size([
+    { symbol: "AAA", price: 100, heldValue: 500 },
+    { symbol: "BBB", price: 50, blockedReason: "Sold at a loss on 2025-03-01" },
+    { symbol: "CCC", price: 30 },
+  ]);
+  assert.deepEqual(sizing.skipped, [
+    { symbol: "AAA", reason: "Already held" },
+    { symbol: "BBB", reason: "Sold at a loss on 2025-03-01" },
+  ]);
+  assert.deepEqual(
+    sizing.orders.map(({ symbol }) => symbol),
+    ["CCC"]
+  );
+  assert.equal(sizing.exhausted, true);
+});
+
+test("the per-position cap limits each order", () => {
+  const sizing = size([{ symbol: "AAA", price: 100 }], {
+    maxPositionPercent: 0.05,
+  });
+  assert.equal(sizing.orders[0].qty, 5);
+});
+
+test("top-up buys the difference to the slot's target", () => {
+  const sizing = size([{ symbol: "AAA", price: 100, heldValue: 400 }], {
+    heldPositions: "top-up",
+  });
+  assert.deepEqual(
+    sizing.orders.map(({ symbol, qty, topUp }) => [symbol, qty, topUp]),
+    [["AAA", 6, true]]
+  );
+});
+
+test("fractional shares spend the slot almost exactly", () => {
+  const sizing = size([{ symbol: "AAA", price: 300 }], {
+    fractionalShares: true,
+  });
+  assert.equal(sizing.orders[0].qty, 3.333333);
+});
+
+test("inverse-volatility sizing gives calmer stocks more", () => {
+  const sizing = size(
+    [
+      { symbol: "CALM", price: 1, volatility: 0.1 },
+      { symbol: "WILD", price: 1, volatility: 0.4 },
+      { symbol: "MID", price: 1, volatility: 0.2 },
+    ],
+    { method: "inverse-volatility" }
+  );
+  const qty = Object.fromEntries(
+    sizing.orders.map(({ symbol, qty }) => [symbol, qty])
+  );
+  assert.ok(qty.CALM > qty.MID && qty.MID > qty.WILD);
+});
+
+test("annualizedVolatility needs history and is 0 for flat prices", () => {
+  const flat = ["2025-01-02", "2025-01-03", "2025-01-06", "2025-01-07"].map(
+    (date) => ({ date, close: 10 })
+  );
+  assert.equal(annualizedVolatility(flat, "2025-01-07", 3), 0);
+  assert.equal(annualizedVolatility(flat.slice(0, 2), "2025-01-07", 3), null);
+});
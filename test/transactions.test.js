@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempDatabase } = require("./helpers/database");
+
+const { all } = useTempDatabase();
+const { createPaperBroker } = require("../src/lib/brokers/paper");
+const { executeMarketOrder } = require("../src/lib/orders");
+
+test("applied buy and sell fills are recorded in transactions", async () => {
+  const broker = createPaperBroker({ initialCash: 1000, prices: { AAA: 10 } });
+
+  const buy = await executeMarketOrder(broker, {
+    symbol: "AAA",
+    qty: 10,
+    side: "buy",
+    notes: "Magic Formula buy",
+  });
+  await broker.setPrices({ AAA: 12 });
+  const sell = await executeMarketOrder(broker, {
+    symbol: "AAA",
+    qty: 4,
+    side: "sell",
+    notes: "Holding period reached",
+  });
+  // Rejected for lack of a price, so nothing was filled
+  const rejected = await executeMarketOrder(broker, {
+    symbol: "ZZZ",
+    qty: 1,
+    side: "buy",
+  });
+  assert.equal(rejected.status, "rejected");
+
+  const rows = await all(
+    `SELECT symbol, action, quantity, price, total_amount, notes, alpaca_order_id
+     FROM transactions ORDER BY id`
+  );
+  assert.deepEqual(rows, [
+    {
+      symbol: "AAA",
+      action: "buy",
+      quantity: 10,
+      price: 10,
+      total_amount: 100,
+      notes: "Magic Formula buy",
+      alpaca_order_id: buy.order.id,
+    },
+    {
+      symbol: "AAA",
+      action: "sell",
+      quantity: 4,
+      price: 12,
+      total_amount: 48,
+      notes: "Holding period reached",
+      alpaca_order_id: sell.order.id,
+    },
+  ]);
+});